@@ -14,12 +14,12 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-const {onCall} = require('firebase-functions/v2/https');
+const {onCall, onRequest, HttpsError} = require('firebase-functions/v2/https');
 const {setGlobalOptions} = require('firebase-functions/v2');
 const logger = require('firebase-functions/logger');
 const fetch = require('node-fetch');
+const crypto = require('crypto');
 const admin = require('firebase-admin');
-const https = require('https');
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
@@ -43,6 +43,43 @@ setGlobalOptions({
 // Get Firestore instance
 const db = admin.firestore();
 
+// ==================== AUTHENTICATION ====================
+
+/**
+ * Get the caller's user ID from the verified Firebase Auth token
+ * Never trust a userId sent in request.data - it can be set to anything
+ * @param {Object} request - Callable request
+ * @returns {string} Firebase Auth uid
+ */
+function requireAuth(request) {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new HttpsError('unauthenticated', 'You must be signed in to use this function');
+  }
+  return uid;
+}
+
+/**
+ * Verify the Firebase ID token on an HTTP (non-callable) request
+ * Expects an "Authorization: Bearer <idToken>" header
+ * @param {Object} req - Express request
+ * @returns {Promise<string|null>} Firebase Auth uid, or null if missing/invalid
+ */
+async function verifyRequestAuth(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  try {
+    const decoded = await admin.auth().verifyIdToken(match[1]);
+    return decoded.uid;
+  } catch (error) {
+    logger.warn('Invalid ID token on HTTP request', { error: error.message });
+    return null;
+  }
+}
+
 // ==================== USER TIER MANAGEMENT ====================
 
 /**
@@ -82,7 +119,13 @@ const RATE_LIMITS = {
   queryCourseStore: { requests: 50, windowMs: 60000 },      // 50 queries per minute
   uploadToStore: { requests: 20, windowMs: 60000 },          // 20 uploads per minute
   createCourseStore: { requests: 5, windowMs: 60000 },       // 5 store creations per minute
-  deleteDocument: { requests: 30, windowMs: 60000 }          // 30 deletions per minute
+  deleteDocument: { requests: 30, windowMs: 60000 },         // 30 deletions per minute
+  startIngestionJob: { requests: 5, windowMs: 60000 },       // 5 ingestion jobs per minute
+  searchChatHistory: { requests: 20, windowMs: 60000 },      // 20 searches per minute
+  generateQuiz: { requests: 10, windowMs: 60000 },          // 10 quizzes per minute
+  generateFlashcards: { requests: 10, windowMs: 60000 },     // 10 flashcard decks per minute
+  generateStudyPlan: { requests: 5, windowMs: 60000 },       // 5 study plans per minute
+  enrollInCourse: { requests: 10, windowMs: 60000 }          // 10 enrollments per minute
 };
 
 /**
@@ -230,6 +273,47 @@ async function linkStoreToCourse(courseId, storeName, userId) {
   logger.info('Store linked to course and user auto-enrolled', { courseId, storeName, userId });
 }
 
+/**
+ * Firestore document ID for a course file, derived from its Canvas URL
+ * Must match the client's btoa(url).replace(/[/+=]/g, '_') scheme
+ * @param {string} url - Canvas file URL
+ * @returns {string} Document ID
+ */
+function getDocumentId(url) {
+  return Buffer.from(url, 'utf8').toString('base64').replace(/[/+=]/g, '_');
+}
+
+/**
+ * Create or update a course document record (courses/{courseId}/documents/{docId})
+ * Course documents are shared by every enrolled student, so clients can't write them -
+ * only Cloud Functions do, after verifying enrollment
+ * @param {string} courseId - Canvas course ID
+ * @param {string} url - Canvas file URL
+ * @param {Object} fields - Fields to merge into the record
+ * @returns {Promise<string>} Document ID
+ */
+async function saveCourseDocument(courseId, url, fields) {
+  const docId = getDocumentId(url);
+  await db
+    .collection('courses').doc(courseId)
+    .collection('documents').doc(docId)
+    .set({
+      fileUrl: url,
+      ...fields
+    }, { merge: true });
+  return docId;
+}
+
+/**
+ * A string from a model reply, trimmed and cut to maxLength
+ * @param {*} value - Value from the parsed JSON reply
+ * @param {number} maxLength - Maximum length
+ * @returns {string} The text, or '' when value isn't a string
+ */
+function trimText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().substring(0, maxLength) : '';
+}
+
 // ==================== FILE SEARCH STORE MANAGEMENT ====================
 
 /**
@@ -240,11 +324,13 @@ async function linkStoreToCourse(courseId, storeName, userId) {
  * Rate limited: 5 requests per minute per user
  */
 exports.createCourseStore = onCall(async (request) => {
+  const userId = requireAuth(request);
+
   try {
-    const { courseId, userId, displayName, courseName } = request.data;
+    const { courseId, displayName, courseName } = request.data;
 
-    if (!courseId || !userId) {
-      throw new Error('courseId and userId are required');
+    if (!courseId) {
+      throw new Error('courseId is required');
     }
 
     // Check rate limit (5 store creations per minute)
@@ -339,11 +425,13 @@ exports.createCourseStore = onCall(async (request) => {
  * Verifies user is enrolled in the course
  */
 exports.getStore = onCall(async (request) => {
+  const userId = requireAuth(request);
+
   try {
-    const { storeName, userId } = request.data;
+    const { storeName } = request.data;
 
-    if (!storeName || !userId) {
-      throw new Error('storeName and userId are required');
+    if (!storeName) {
+      throw new Error('storeName is required');
     }
 
     // Get courseId from store and verify enrollment
@@ -378,13 +466,9 @@ exports.getStore = onCall(async (request) => {
  * Returns course stores based on enrollment
  */
 exports.listStores = onCall(async (request) => {
-  try {
-    const { userId } = request.data || {};
-
-    if (!userId) {
-      throw new Error('userId is required');
-    }
+  const userId = requireAuth(request);
 
+  try {
     // Get user's enrollments
     const enrollmentsSnapshot = await db
       .collection('users').doc(userId)
@@ -429,11 +513,13 @@ exports.listStores = onCall(async (request) => {
  * Verifies user is enrolled in the course (only course creator can delete)
  */
 exports.deleteStore = onCall(async (request) => {
+  const userId = requireAuth(request);
+
   try {
-    const { storeName, userId } = request.data;
+    const { storeName } = request.data;
 
-    if (!storeName || !userId) {
-      throw new Error('storeName and userId are required');
+    if (!storeName) {
+      throw new Error('storeName is required');
     }
 
     // Get courseId and verify enrollment
@@ -475,8 +561,302 @@ exports.deleteStore = onCall(async (request) => {
 
 // ==================== DOCUMENT MANAGEMENT ====================
 
+// Course file types that can be indexed, keyed by file extension
+const SUPPORTED_FILE_TYPES = {
+  pdf: { mimeType: 'application/pdf', label: 'PDF' },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', label: 'Word document' },
+  pptx: { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', label: 'PowerPoint presentation' },
+  txt: { mimeType: 'text/plain', label: 'text file' },
+  md: { mimeType: 'text/markdown', label: 'Markdown file' }
+};
+
+// Canvas content indexed as text (pages, syllabus, assignments) is sent by the
+// extension as Markdown; anything else is a file downloaded from Canvas
+const TEXT_SOURCE_TYPES = ['page', 'syllabus', 'assignment'];
+const MAX_TEXT_CONTENT_LENGTH = 250000; // characters, well under the 1 MB Cloud Tasks payload limit
+
+/**
+ * Get the lowercase extension of a file name ('' if none)
+ */
+function getFileExtension(fileName) {
+  const match = (fileName || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Identify a course file from its contents
+ * - PDF: %PDF- magic bytes
+ * - docx/pptx: ZIP signature (PK\x03\x04) with word/ or ppt/ parts
+ * - txt/md: only when the name or MIME type says so, and the content isn't binary or HTML
+ *   (an expired Canvas session returns an HTML login page instead of the file)
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - File name (used for its extension)
+ * @param {string} declaredMimeType - MIME type reported by the client or Canvas
+ * @returns {{extension: string, mimeType: string, label: string}}
+ */
+function detectFileType(buffer, fileName, declaredMimeType) {
+  const signature = buffer.slice(0, 4).toString('latin1');
+
+  if (signature === '%PDF') {
+    return { extension: 'pdf', ...SUPPORTED_FILE_TYPES.pdf };
+  }
+
+  if (signature === 'PK\x03\x04') {
+    if (buffer.includes('word/document')) {
+      return { extension: 'docx', ...SUPPORTED_FILE_TYPES.docx };
+    }
+    if (buffer.includes('ppt/presentation')) {
+      return { extension: 'pptx', ...SUPPORTED_FILE_TYPES.pptx };
+    }
+    throw new Error(`Unsupported file type: ${fileName} is a ZIP archive but not a Word or PowerPoint file`);
+  }
+
+  const extension = getFileExtension(fileName);
+  const declared = (declaredMimeType || '').split(';')[0].trim().toLowerCase();
+
+  if (['txt', 'md', 'markdown'].includes(extension) || ['text/plain', 'text/markdown'].includes(declared)) {
+    const sample = buffer.slice(0, 8192);
+    const start = sample.toString('utf8').trimStart().toLowerCase();
+
+    if (sample.includes(0) || start.startsWith('<!doctype html') || start.startsWith('<html')) {
+      throw new Error(`Invalid file: ${fileName} is not a plain text file`);
+    }
+
+    const isMarkdown = extension === 'md' || extension === 'markdown' || declared === 'text/markdown';
+    return isMarkdown
+      ? { extension: 'md', ...SUPPORTED_FILE_TYPES.md }
+      : { extension: 'txt', ...SUPPORTED_FILE_TYPES.txt };
+  }
+
+  if (SUPPORTED_FILE_TYPES[extension]) {
+    throw new Error(`Invalid file: ${fileName} is not a valid ${SUPPORTED_FILE_TYPES[extension].label}`);
+  }
+
+  throw new Error(`Unsupported file type: ${fileName}`);
+}
+
+/**
+ * Check whether an upload error means the file can never be indexed
+ * (wrong format), as opposed to a transient failure worth retrying
+ */
+function isUnsupportedFileError(error) {
+  return /^(Invalid file|Unsupported file type)/.test(error.message);
+}
+
+/**
+ * Validate a course file and upload it to a File Search store
+ * Shared by the uploadToStore callable and the ingestion worker
+ * @param {Object} params
+ * @param {string} params.storeName - File Search store name
+ * @param {Buffer} params.buffer - File contents
+ * @param {string} params.fileName - Display name for the document
+ * @param {string} params.originalFileName - Canvas file name, if different (used for its extension)
+ * @param {string} params.mimeType - MIME type reported by the client or Canvas
+ * @param {Object} params.metadata - Custom metadata (becomes File Search customMetadata)
+ * @returns {Promise<{documentName: string, documentId: string, operationName: string, mimeType: string}>}
+ */
+async function uploadBufferToStore({ storeName, buffer, fileName, originalFileName, mimeType, metadata }) {
+  // Step 1: Identify and validate the file
+  let fileType;
+  try {
+    fileType = detectFileType(buffer, originalFileName || fileName, mimeType);
+  } catch (error) {
+    logger.error('Invalid or unsupported file', {
+      fileName,
+      firstBytes: buffer.slice(0, 20).toString('hex'),
+      mimeType
+    });
+    throw error;
+  }
+
+  // Step 2: Build upload metadata
+  const uploadMetadata = {
+    displayName: fileName,
+    mimeType: fileType.mimeType
+  };
+
+  // Convert metadata to CustomMetadata array format required by API
+  if (metadata && Object.keys(metadata).length > 0) {
+    uploadMetadata.customMetadata = Object.entries(metadata).map(([key, value]) => {
+      // Convert each key-value pair to CustomMetadata format
+      if (typeof value === 'number') {
+        return { key, numericValue: value };
+      } else if (Array.isArray(value)) {
+        return { key, stringListValue: { values: value } };
+      } else {
+        return { key, stringValue: String(value) };
+      }
+    });
+  }
+
+  const fileSize = buffer.length;
+  
+  // Verify file size is within File Search API limits (100 MB)
+  const maxFileSize = 100 * 1024 * 1024; // 100 MB
+  if (fileSize > maxFileSize) {
+    throw new Error(`File size (${Math.round(fileSize / 1024 / 1024)} MB) exceeds File Search API limit of 100 MB`);
+  }
+  
+  logger.info('File decoded and validated successfully', { 
+    fileSizeMB: Math.round(fileSize / 1024 / 1024),
+    fileType: fileType.extension
+  });
+
+  // File Search API uses multipart/form-data (NOT resumable protocol like Files API!)
+  // Create multipart boundary
+  const boundary = '----WebKitFormBoundary' + Math.random().toString(36).substring(2);
+  
+  // Build multipart body
+  const parts = [];
+  
+  // Part 1: metadata as JSON
+  parts.push(
+    `--${boundary}\r\n` +
+    `Content-Disposition: form-data; name="metadata"\r\n` +
+    `Content-Type: application/json\r\n\r\n` +
+    JSON.stringify(uploadMetadata) + '\r\n'
+  );
+  
+  // Part 2: file content
+  parts.push(
+    `--${boundary}\r\n` +
+    `Content-Disposition: form-data; name="file"; filename="${fileName}"\r\n` +
+    `Content-Type: ${fileType.mimeType}\r\n\r\n`
+  );
+  
+  // Create final body with buffer
+  const textParts = parts.join('');
+  const endBoundary = `\r\n--${boundary}--\r\n`;
+  
+  const bodyParts = [
+    Buffer.from(textParts, 'utf-8'),
+    buffer,
+    Buffer.from(endBoundary, 'utf-8')
+  ];
+  
+  const multipartBody = Buffer.concat(bodyParts);
+
+  // Upload directly with multipart/form-data
+  const uploadUrl = `https://generativelanguage.googleapis.com/upload/v1beta/${storeName}:uploadToFileSearchStore?key=${GEMINI_API_KEY}`;
+  
+  logger.info('Uploading to File Search store', { 
+    url: uploadUrl.replace(GEMINI_API_KEY, 'REDACTED'),
+    fileSize,
+    fileName,
+    storeName 
+  });
+
+  const uploadResponse = await fetch(uploadUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': `multipart/form-data; boundary=${boundary}`,
+      'Content-Length': multipartBody.length.toString()
+    },
+    body: multipartBody
+  });
+
+  if (!uploadResponse.ok) {
+    const errorText = await uploadResponse.text();
+    let errorDetails;
+    try {
+      errorDetails = JSON.parse(errorText);
+    } catch {
+      errorDetails = errorText;
+    }
+    
+    logger.error('Upload failed', { 
+      status: uploadResponse.status,
+      statusText: uploadResponse.statusText,
+      error: errorDetails,
+      fileName,
+      fileSize: Math.round(fileSize / 1024 / 1024) + ' MB',
+      storeName,
+      requestHeaders: {
+        'Content-Type': `multipart/form-data; boundary=${boundary}`,
+        'Content-Length': multipartBody.length
+      }
+    });
+    
+    // Provide more helpful error messages
+    if (uploadResponse.status === 500) {
+      throw new Error(`Google API Internal Error (500). This may be due to: invalid file format, corrupted PDF, or temporary API issues. File: ${fileName}`);
+    } else if (uploadResponse.status === 429) {
+      throw new Error(`Rate limit exceeded. Please wait a moment and try again.`);
+    } else if (uploadResponse.status === 403) {
+      throw new Error(`Permission denied. Check API key and store access.`);
+    } else {
+      throw new Error(`Upload failed [${uploadResponse.status}]: ${JSON.stringify(errorDetails)}`);
+    }
+  }
+
+  // uploadToFileSearchStore returns a long-running operation
+  const operationData = await uploadResponse.json();
+  
+  logger.info('Upload operation started', { 
+    operationName: operationData.name,
+    done: operationData.done 
+  });
+
+  // Step 4: Poll operation until done
+  let operation = operationData;
+  let attempts = 0;
+  const maxAttempts = 30;
+
+  while (!operation.done && attempts < maxAttempts) {
+    await new Promise(resolve => setTimeout(resolve, 2000));
+    
+    // Poll the operation status
+    const statusResponse = await fetch(
+      `${GEMINI_API_ENDPOINT}/${operation.name}?key=${GEMINI_API_KEY}`
+    );
+    
+    if (statusResponse.ok) {
+      operation = await statusResponse.json();
+      logger.info('Operation status', { 
+        done: operation.done, 
+        attempt: attempts + 1 
+      });
+    }
+    
+    attempts++;
+  }
+
+  if (!operation.done) {
+    throw new Error(`Upload operation timed out after ${maxAttempts} attempts`);
+  }
+
+  if (operation.error) {
+    logger.error('Upload operation failed', { error: operation.error });
+    throw new Error(`Upload operation failed: ${JSON.stringify(operation.error)}`);
+  }
+
+  // Extract document info from operation response
+  const document = operation.response;
+  
+  // Log the full response structure for debugging
+  logger.info('Operation response structure', { 
+    responseKeys: document ? Object.keys(document) : 'null',
+    hasDocumentName: !!document?.documentName,
+    documentName: document?.documentName
+  });
+
+  // Get the full document resource name from the response
+  // Format: fileSearchStores/{store}/documents/{documentId}
+  const documentName = document?.documentName;
+  
+  if (!documentName) {
+    logger.error('No document name in operation response', { operation });
+    throw new Error('Document name not found in upload response');
+  }
+
+  // Extract just the document ID from the full resource name
+  const documentId = documentName.split('/').pop();
+
+  return { documentName, documentId, operationName: operation.name, mimeType: fileType.mimeType };
+}
+
 /**
- * Upload a PDF directly to File Search store
+ * Upload a course file (PDF, Word, PowerPoint, text or Markdown) directly to File Search store
  * Automatically chunks, embeds, and indexes the document
  * Verifies user is enrolled in the course
  * 
@@ -489,11 +869,13 @@ exports.uploadToStore = onCall(
     cpu: 2                 // 2 vCPUs for faster processing
   },
   async (request) => {
+  const userId = requireAuth(request);
+
   try {
-    const { storeName, fileData, fileName, mimeType, metadata, userId } = request.data;
+    const { storeName, fileData, fileName, mimeType, metadata } = request.data;
 
-    if (!storeName || !fileData || !fileName || !userId) {
-      throw new Error('storeName, fileData, fileName, and userId are required');
+    if (!storeName || !fileData || !fileName) {
+      throw new Error('storeName, fileData, and fileName are required');
     }
 
     // File Search API has a 100 MB limit per document
@@ -519,203 +901,19 @@ exports.uploadToStore = onCall(
     const courseId = await getCourseIdFromStore(storeName);
     await verifyEnrollment(userId, courseId);
 
-    // Step 1: Initialize resumable upload
-    const uploadMetadata = {
-      displayName: fileName,
-      mimeType: mimeType || 'application/pdf'
-    };
-
-    // Convert metadata to CustomMetadata array format required by API
-    if (metadata && Object.keys(metadata).length > 0) {
-      uploadMetadata.customMetadata = Object.entries(metadata).map(([key, value]) => {
-        // Convert each key-value pair to CustomMetadata format
-        if (typeof value === 'number') {
-          return { key, numericValue: value };
-        } else if (Array.isArray(value)) {
-          return { key, stringListValue: { values: value } };
-        } else {
-          return { key, stringValue: String(value) };
-        }
-      });
-    }
-
-    // Step 2: Decode base64 to get actual file buffer
+    // Decode base64 to get actual file buffer
     // Note: This temporarily doubles memory usage (base64 string + buffer)
     const buffer = Buffer.from(fileData, 'base64');
     const fileSize = buffer.length;
-    
-    // Verify file size is within File Search API limits (100 MB)
-    const maxFileSize = 100 * 1024 * 1024; // 100 MB
-    if (fileSize > maxFileSize) {
-      throw new Error(`File size (${Math.round(fileSize / 1024 / 1024)} MB) exceeds File Search API limit of 100 MB`);
-    }
-    
-    // Validate PDF format by checking magic bytes
-    const pdfMagicBytes = buffer.slice(0, 5).toString();
-    if (!pdfMagicBytes.startsWith('%PDF-')) {
-      logger.error('Invalid PDF file', {
-        fileName,
-        firstBytes: buffer.slice(0, 20).toString('hex'),
-        mimeType
-      });
-      throw new Error(`Invalid PDF file: ${fileName}. File does not have PDF magic bytes.`);
-    }
-    
-    logger.info('File decoded and validated successfully', { 
-      fileSizeMB: Math.round(fileSize / 1024 / 1024),
-      pdfVersion: pdfMagicBytes
-    });
 
-    // File Search API uses multipart/form-data (NOT resumable protocol like Files API!)
-    // Create multipart boundary
-    const boundary = '----WebKitFormBoundary' + Math.random().toString(36).substring(2);
-    
-    // Build multipart body
-    const parts = [];
-    
-    // Part 1: metadata as JSON
-    parts.push(
-      `--${boundary}\r\n` +
-      `Content-Disposition: form-data; name="metadata"\r\n` +
-      `Content-Type: application/json\r\n\r\n` +
-      JSON.stringify(uploadMetadata) + '\r\n'
-    );
-    
-    // Part 2: file content
-    parts.push(
-      `--${boundary}\r\n` +
-      `Content-Disposition: form-data; name="file"; filename="${fileName}"\r\n` +
-      `Content-Type: ${mimeType || 'application/pdf'}\r\n\r\n`
-    );
-    
-    // Create final body with buffer
-    const textParts = parts.join('');
-    const endBoundary = `\r\n--${boundary}--\r\n`;
-    
-    const bodyParts = [
-      Buffer.from(textParts, 'utf-8'),
+    const { documentName, documentId, operationName, mimeType: detectedMimeType } = await uploadBufferToStore({
+      storeName,
       buffer,
-      Buffer.from(endBoundary, 'utf-8')
-    ];
-    
-    const multipartBody = Buffer.concat(bodyParts);
-
-    // Upload directly with multipart/form-data
-    const uploadUrl = `https://generativelanguage.googleapis.com/upload/v1beta/${storeName}:uploadToFileSearchStore?key=${GEMINI_API_KEY}`;
-    
-    logger.info('Uploading to File Search store', { 
-      url: uploadUrl.replace(GEMINI_API_KEY, 'REDACTED'),
-      fileSize,
       fileName,
-      storeName 
-    });
-
-    const uploadResponse = await fetch(uploadUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': `multipart/form-data; boundary=${boundary}`,
-        'Content-Length': multipartBody.length.toString()
-      },
-      body: multipartBody
-    });
-
-    if (!uploadResponse.ok) {
-      const errorText = await uploadResponse.text();
-      let errorDetails;
-      try {
-        errorDetails = JSON.parse(errorText);
-      } catch {
-        errorDetails = errorText;
-      }
-      
-      logger.error('Upload failed', { 
-        status: uploadResponse.status,
-        statusText: uploadResponse.statusText,
-        error: errorDetails,
-        fileName,
-        fileSize: Math.round(fileSize / 1024 / 1024) + ' MB',
-        storeName,
-        requestHeaders: {
-          'Content-Type': `multipart/form-data; boundary=${boundary}`,
-          'Content-Length': multipartBody.length
-        }
-      });
-      
-      // Provide more helpful error messages
-      if (uploadResponse.status === 500) {
-        throw new Error(`Google API Internal Error (500). This may be due to: invalid file format, corrupted PDF, or temporary API issues. File: ${fileName}`);
-      } else if (uploadResponse.status === 429) {
-        throw new Error(`Rate limit exceeded. Please wait a moment and try again.`);
-      } else if (uploadResponse.status === 403) {
-        throw new Error(`Permission denied. Check API key and store access.`);
-      } else {
-        throw new Error(`Upload failed [${uploadResponse.status}]: ${JSON.stringify(errorDetails)}`);
-      }
-    }
-
-    // uploadToFileSearchStore returns a long-running operation
-    const operationData = await uploadResponse.json();
-    
-    logger.info('Upload operation started', { 
-      operationName: operationData.name,
-      done: operationData.done 
-    });
-
-    // Step 4: Poll operation until done
-    let operation = operationData;
-    let attempts = 0;
-    const maxAttempts = 30;
-
-    while (!operation.done && attempts < maxAttempts) {
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Poll the operation status
-      const statusResponse = await fetch(
-        `${GEMINI_API_ENDPOINT}/${operation.name}?key=${GEMINI_API_KEY}`
-      );
-      
-      if (statusResponse.ok) {
-        operation = await statusResponse.json();
-        logger.info('Operation status', { 
-          done: operation.done, 
-          attempt: attempts + 1 
-        });
-      }
-      
-      attempts++;
-    }
-
-    if (!operation.done) {
-      throw new Error(`Upload operation timed out after ${maxAttempts} attempts`);
-    }
-
-    if (operation.error) {
-      logger.error('Upload operation failed', { error: operation.error });
-      throw new Error(`Upload operation failed: ${JSON.stringify(operation.error)}`);
-    }
-
-    // Extract document info from operation response
-    const document = operation.response;
-    
-    // Log the full response structure for debugging
-    logger.info('Operation response structure', { 
-      responseKeys: document ? Object.keys(document) : 'null',
-      hasDocumentName: !!document?.documentName,
-      documentName: document?.documentName
+      mimeType,
+      metadata
     });
 
-    // Get the full document resource name from the response
-    // Format: fileSearchStores/{store}/documents/{documentId}
-    const documentName = document?.documentName;
-    
-    if (!documentName) {
-      logger.error('No document name in operation response', { operation });
-      throw new Error('Document name not found in upload response');
-    }
-
-    // Extract just the document ID from the full resource name
-    const documentId = documentName.split('/').pop();
-
     // Update last upload timestamp (pdfCount is set by client during batch upload)
     await db
       .collection('courses').doc(courseId)
@@ -723,6 +921,21 @@ exports.uploadToStore = onCall(
         lastUploadAt: admin.firestore.FieldValue.serverTimestamp()
       });
 
+    // Record the document for the course (clients can't write course documents)
+    let docId = null;
+    if (metadata?.originalUrl) {
+      docId = await saveCourseDocument(courseId, metadata.originalUrl, {
+        fileName,
+        fileSize,
+        fileType: detectedMimeType,
+        scannedFrom: metadata.source || 'unknown',
+        uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
+        uploadedBy: userId,
+        fileSearchDocumentName: documentName,
+        uploadStatus: 'completed'
+      });
+    }
+
     logger.info('Document uploaded to File Search store', { 
       storeName,
       documentId,
@@ -736,8 +949,9 @@ exports.uploadToStore = onCall(
       success: true,
       name: documentName,           // Full resource name
       documentId,                   // Just the ID
+      docId,                        // Firestore course document ID
       fileName,
-      operationName: operation.name
+      operationName
     };
 
   } catch (error) {
@@ -751,11 +965,13 @@ exports.uploadToStore = onCall(
  * Verifies user is enrolled in the course
  */
 exports.listDocuments = onCall(async (request) => {
+  const userId = requireAuth(request);
+
   try {
-    const { storeName, pageSize = 20, pageToken, userId } = request.data;
+    const { storeName, pageSize = 20, pageToken } = request.data;
 
-    if (!storeName || !userId) {
-      throw new Error('storeName and userId are required');
+    if (!storeName) {
+      throw new Error('storeName is required');
     }
 
     // Get courseId and verify enrollment
@@ -791,17 +1007,35 @@ exports.listDocuments = onCall(async (request) => {
   }
 });
 
+/**
+ * Delete a document from a File Search store
+ * @param {string} documentName - Full document resource name (fileSearchStores/.../documents/...)
+ */
+async function deleteStoreDocument(documentName) {
+  const response = await fetch(
+    `${GEMINI_API_ENDPOINT}/${documentName}?key=${GEMINI_API_KEY}`,
+    { method: 'DELETE' }
+  );
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Delete document failed: ${error}`);
+  }
+}
+
 /**
  * Delete a document from File Search store
  * Verifies user is enrolled in the course
  * Rate limited: 30 deletions per minute per user
  */
 exports.deleteDocument = onCall(async (request) => {
+  const userId = requireAuth(request);
+
   try {
-    const { documentName, storeName, userId } = request.data;
+    const { documentName, storeName } = request.data;
 
-    if (!documentName || !storeName || !userId) {
-      throw new Error('documentName, storeName, and userId are required');
+    if (!documentName || !storeName) {
+      throw new Error('documentName and storeName are required');
     }
 
     // Check rate limit (30 deletions per minute)
@@ -811,15 +1045,19 @@ exports.deleteDocument = onCall(async (request) => {
     const courseId = await getCourseIdFromStore(storeName);
     await verifyEnrollment(userId, courseId);
 
-    const response = await fetch(
-      `${GEMINI_API_ENDPOINT}/${documentName}?key=${GEMINI_API_KEY}`,
-      { method: 'DELETE' }
-    );
+    await deleteStoreDocument(documentName);
 
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Delete document failed: ${error}`);
-    }
+    // Remove the matching course document record and its content hash claim
+    const recordsSnapshot = await db
+      .collection('courses').doc(courseId)
+      .collection('documents')
+      .where('fileSearchDocumentName', '==', documentName)
+      .get();
+    await Promise.all(recordsSnapshot.docs.map(async (doc) => {
+      await releaseContentHash(courseId, doc.data().contentHash, doc.id);
+      await removeDocumentFromGlossary(courseId, doc.id);
+      await doc.ref.delete();
+    }));
 
     logger.info('Document deleted', { documentName, storeName, userId });
 
@@ -833,6 +1071,26 @@ exports.deleteDocument = onCall(async (request) => {
 
 // ==================== QUERY WITH FILE SEARCH ====================
 
+// Models students can pick for answers and generated study material
+const CHAT_MODELS = ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.5-flash-lite'];
+const DEFAULT_CHAT_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Check a requested chat model against CHAT_MODELS
+ * The model is part of the request URL, so arbitrary values can't be passed through
+ * @param {string|undefined} model - Requested model
+ * @returns {string} Model to use
+ */
+function resolveChatModel(model) {
+  if (model === undefined || model === null) {
+    return DEFAULT_CHAT_MODEL;
+  }
+  if (!CHAT_MODELS.includes(model)) {
+    throw new Error(`Unsupported model: ${model}`);
+  }
+  return model;
+}
+
 /**
  * Parse streaming response from Gemini API (Node.js readable stream)
  * The response comes as a JSON array with multiple objects, each containing a chunk
@@ -921,83 +1179,117 @@ async function parseStreamingResponse(response) {
   }
 }
 
+// Cross-course queries send several File Search stores in one request
+const MAX_CROSS_COURSE_QUERY_COURSES = 5;
+
 /**
- * Query course's shared File Search store with STREAMING support
- * Verifies user is enrolled in course
- * Optionally saves to user's private chat history
- * Rate limited: 50 requests per minute per user
+ * Resolve the courses a query runs against, verifying enrollment in each
+ * A single courseId is the normal case; courseIds (cross-course mode) adds more
+ * enrolled courses whose stores are searched together
+ * @param {string} userId - Firebase Auth uid
+ * @param {string|null} courseId - Primary course ID
+ * @param {Array<string>|null} courseIds - Course IDs for a cross-course query
+ * @returns {Promise<Array<{courseId: string, courseName: string, storeName: string}>>}
  */
-exports.queryCourseStore = onCall({
-  timeoutSeconds: 180,  // 3 minutes for complex queries with streaming
-  memory: '512MiB'      // Ensure enough memory for stream processing
-}, async (request) => {
-  const startTime = Date.now();
-  
-  try {
-    const { 
-      question, 
-      courseId,
-      userId,
-      model = 'gemini-1.5-flash',
-      metadataFilter,
-      topK = 5,
-      saveToHistory = false,
-      sessionId = null,
-      history = []
-    } = request.data;
+async function resolveQueryCourses(userId, courseId, courseIds = null) {
+  const ids = [...new Set([courseId, ...(Array.isArray(courseIds) ? courseIds : [])]
+    .filter(Boolean)
+    .map(String))];
 
-    if (!question || !courseId || !userId) {
-      throw new Error('question, courseId, and userId are required');
-    }
+  if (ids.length > MAX_CROSS_COURSE_QUERY_COURSES) {
+    throw new Error(`A cross-course question can include at most ${MAX_CROSS_COURSE_QUERY_COURSES} courses`);
+  }
 
-    // Check rate limit (50 queries per minute)
-    await checkRateLimit(userId, 'queryCourseStore');
+  return Promise.all(ids.map(async (id) => {
+    const enrollment = await verifyEnrollment(userId, id);
+    const storeName = await getSharedStore(id);
+    return { courseId: id, courseName: enrollment.courseName || `Course ${id}`, storeName };
+  }));
+}
 
-    // Verify user is enrolled in course
-    await verifyEnrollment(userId, courseId);
-    
-    // Get shared store for course
-    const storeName = await getSharedStore(courseId);
+/**
+ * Numbered list of a course's indexed documents for the system prompt
+ * @param {string} courseId - Canvas course ID
+ * @returns {Promise<Array<string>>} Document names, empty if the list can't be loaded
+ */
+async function listCourseDocumentNames(courseId) {
+  try {
+    const docsSnapshot = await db
+      .collection('courses').doc(courseId)
+      .collection('documents')
+      .where('uploadStatus', '==', 'completed')
+      .get();
 
-    // Fetch list of successfully uploaded documents from Firestore
-    let documentsList = '';
-    try {
-      const docsSnapshot = await db
-        .collection('courses').doc(courseId)
-        .collection('documents')
-        .where('uploadStatus', '==', 'completed')
-        .get();
-      
-      if (!docsSnapshot.empty) {
-        const docNames = docsSnapshot.docs
-          .map(doc => doc.data().title || doc.data().fileName || 'Untitled')
-          .filter(name => name && name !== 'Untitled')
-          .sort();
-        
-        if (docNames.length > 0) {
-          documentsList = `\n\nAVAILABLE DOCUMENTS IN THIS COURSE:\n${docNames.map((name, i) => `${i + 1}. ${name}`).join('\n')}`;
-          logger.info('Document list prepared', { courseId, documentCount: docNames.length });
+    const docNames = docsSnapshot.docs
+      .map(doc => {
+        const data = doc.data();
+        const name = data.title || data.fileName || 'Untitled';
+        if (name === 'Untitled') {
+          return name;
         }
-      }
-    } catch (error) {
-      logger.warn('Failed to fetch document list', { courseId, error: error.message });
-      // Continue without document list rather than failing the query
-    }
+        // Label Canvas pages/assignments so due dates can be answered from the list,
+        // and module membership so questions like "summarize week 5" find their documents
+        const details = [
+          TEXT_SOURCE_TYPES.includes(data.sourceType) && data.sourceType,
+          data.dueAt && `due ${data.dueAt}`,
+          data.moduleName && `module: ${data.moduleName}`
+        ].filter(Boolean);
+        return details.length > 0 ? `${name} (${details.join(', ')})` : name;
+      })
+      .filter(name => name && name !== 'Untitled')
+      .sort();
+
+    logger.info('Document list prepared', { courseId, documentCount: docNames.length });
+    return docNames;
+  } catch (error) {
+    logger.warn('Failed to fetch document list', { courseId, error: error.message });
+    // Continue without document list rather than failing the query
+    return [];
+  }
+}
 
-    // Build request with File Search tool
-    // Start with conversation history (limit to last 10 messages)
-    const contents = history.slice(-10);
-    
-    // Add current user question
-    contents.push({
-      role: 'user',
-      parts: [{ text: question }]
-    });
-    
-    const requestBody = {
-      system_instruction: {
-        parts: [{ 
-          text: `You are Canvs LM, an intelligent course assistant for courses on Canvas. Your purpose is to help students understand their course materials by answering questions based EXCLUSIVELY on the uploaded documents in the knowledge base.
+/**
+ * Build the Gemini request body for a course query
+ * Shared by the callable (queryCourseStore) and the streaming HTTP endpoint (streamCourseQuery)
+ * @param {Object} params
+ * @param {Array} params.courses - Courses to search, from resolveQueryCourses
+ * @param {string} params.question - The user's question
+ * @param {Array} params.history - Conversation history in Gemini format
+ * @param {number} params.topK - Number of chunks to retrieve
+ * @param {string|null} params.metadataFilter - Optional File Search metadata filter
+ * @returns {Promise<Object>} Request body for streamGenerateContent
+ */
+async function buildCourseQueryRequest({ courses, question, history = [], topK = 5, metadataFilter = null }) {
+  const isCrossCourse = courses.length > 1;
+  const courseDocumentNames = await Promise.all(courses.map(course => listCourseDocumentNames(course.courseId)));
+
+  let documentsList = '';
+  courses.forEach((course, index) => {
+    const docNames = courseDocumentNames[index];
+    if (docNames.length === 0) return;
+    const heading = isCrossCourse ? `AVAILABLE DOCUMENTS IN ${course.courseName}` : 'AVAILABLE DOCUMENTS IN THIS COURSE';
+    documentsList += `\n\n${heading}:\n${docNames.map((name, i) => `${i + 1}. ${name}`).join('\n')}`;
+  });
+
+  // Cross-course answers must say which course each piece of information comes from
+  const crossCourseInstruction = isCrossCourse
+    ? `\n\nCROSS-COURSE QUESTION: The knowledge base covers these courses: ${courses.map(course => course.courseName).join(', ')}. Name the course along with the document whenever you use information from it, and point out where the courses agree or differ.`
+    : '';
+
+  // Build request with File Search tool
+  // Start with conversation history (limit to last 10 messages)
+  const contents = history.slice(-10);
+  
+  // Add current user question
+  contents.push({
+    role: 'user',
+    parts: [{ text: question }]
+  });
+  
+  const requestBody = {
+    system_instruction: {
+      parts: [{ 
+        text: `You are Canvs LM, an intelligent course assistant for courses on Canvas. Your purpose is to help students understand their course materials by answering questions based EXCLUSIVELY on the uploaded documents in the knowledge base.
 
 IMPORTANT: Answer questions directly using the documents. Do not explain what you are going to search for or describe your process. Simply provide the answer immediately.
 
@@ -1014,30 +1306,152 @@ RESPONSE FORMAT:
 - Include the document name(s) in your response (e.g., "In the document 'Lecture 3.pdf', it states...")
 - Include relevant details, examples, or explanations from the course materials
 - When asked for when the exam date is, always mention only the latest date available
+- Course pages, the syllabus and assignment descriptions are documents too; assignment documents state their due date and points at the top
 - When asked what documents/PDFs/files are available or indexed, provide the complete list below
 
-Remember: Your knowledge is based on what's been uploaded to this course. ALWAYS mention which document(s) you used to answer. This ensures accuracy and prevents misinformation. List of documents: ${documentsList}`
-        }]
-      },
-      contents: contents,
-      tools: [{
-        fileSearch: {
-          fileSearchStoreNames: [storeName],
-          topK: topK
-        }
-      }],
-      generationConfig: {
-        maxOutputTokens: 8192  // Increase from default (~2048) to allow longer responses
+Remember: Your knowledge is based on what's been uploaded to this course. ALWAYS mention which document(s) you used to answer. This ensures accuracy and prevents misinformation.${crossCourseInstruction} List of documents: ${documentsList}`
+      }]
+    },
+    contents: contents,
+    tools: [{
+      fileSearch: {
+        fileSearchStoreNames: courses.map(course => course.storeName),
+        topK: topK
       }
-    };
+    }],
+    generationConfig: {
+      maxOutputTokens: 8192  // Increase from default (~2048) to allow longer responses
+    }
+  };
+
+  // Add metadata filter if provided
+  if (metadataFilter) {
+    requestBody.tools[0].fileSearch.metadataFilter = metadataFilter;
+  }
+
+  return requestBody;
+}
+
+/**
+ * Map Gemini grounding metadata back to the courses' Firestore documents
+ * Grounding chunks only carry the File Search display name (our fileName) and the
+ * retrieved passage, so we resolve them to documents to get the Canvas fileUrl
+ * @param {Array} courses - Courses that were searched, from resolveQueryCourses
+ * @param {Object|null} groundingMetadata - groundingMetadata from the Gemini response
+ * @returns {Promise<Array>} One entry per cited document:
+ *   {index, documentId, courseId, courseName, title, fileUrl, passages}
+ */
+async function resolveCitations(courses, groundingMetadata) {
+  const chunks = groundingMetadata?.groundingChunks || [];
+  if (chunks.length === 0) {
+    return [];
+  }
+
+  const byTitle = new Map();
+  const byFileSearchName = new Map();
+
+  const snapshots = await Promise.all(courses.map(({ courseId }) =>
+    db.collection('courses').doc(courseId).collection('documents').get()
+      .catch((error) => {
+        logger.warn('Failed to load documents for citations', { courseId, error: error.message });
+        return null;
+      })
+  ));
+
+  snapshots.forEach((docsSnapshot, index) => {
+    const { courseId, courseName } = courses[index];
+    docsSnapshot?.forEach((doc) => {
+      const data = doc.data();
+      const entry = { documentId: doc.id, courseId, courseName, title: data.fileName, fileUrl: data.fileUrl || null };
+      // File names can repeat across courses; the primary (first) course wins
+      if (data.fileName && !byTitle.has(data.fileName)) byTitle.set(data.fileName, entry);
+      if (data.fileSearchDocumentName) byFileSearchName.set(data.fileSearchDocumentName, entry);
+    });
+  });
+
+  const citations = [];
+  const citationByKey = new Map();
+
+  for (const chunk of chunks) {
+    const context = chunk.retrievedContext;
+    if (!context) continue;
+
+    const match = byFileSearchName.get(context.uri) || byTitle.get(context.title);
+    const key = match ? `${match.courseId}/${match.documentId}` : (context.title || context.uri);
+    if (!key) continue;
+
+    let citation = citationByKey.get(key);
+    if (!citation) {
+      citation = {
+        index: citations.length + 1,
+        documentId: match?.documentId || null,
+        courseId: match?.courseId || null,
+        courseName: match?.courseName || null,
+        title: match?.title || context.title || 'Course document',
+        fileUrl: match?.fileUrl || null,
+        passages: []
+      };
+      citationByKey.set(key, citation);
+      citations.push(citation);
+    }
+
+    const passage = context.text?.trim();
+    if (passage && !citation.passages.includes(passage)) {
+      citation.passages.push(passage);
+    }
+  }
+
+  return citations;
+}
+
+/**
+ * Query course's shared File Search store with STREAMING support
+ * Verifies user is enrolled in course (in every course when courseIds asks for a cross-course query)
+ * Optionally saves to user's private chat history
+ * model must be one of CHAT_MODELS (default: gemini-2.5-flash)
+ * Rate limited: 50 requests per minute per user
+ */
+exports.queryCourseStore = onCall({
+  timeoutSeconds: 180,  // 3 minutes for complex queries with streaming
+  memory: '512MiB'      // Ensure enough memory for stream processing
+}, async (request) => {
+  const startTime = Date.now();
+  const userId = requireAuth(request);
+  
+  try {
+    const { 
+      question, 
+      courseId,
+      model: requestedModel,
+      metadataFilter,
+      topK = 5,
+      saveToHistory = false,
+      sessionId = null,
+      history = [],
+      courseIds = null
+    } = request.data;
 
-    // Add metadata filter if provided
-    if (metadataFilter) {
-      requestBody.tools[0].fileSearch.metadataFilter = metadataFilter;
+    if (!question || !courseId) {
+      throw new Error('question and courseId are required');
     }
+    const model = resolveChatModel(requestedModel);
+
+    // Check rate limit (50 queries per minute)
+    await checkRateLimit(userId, 'queryCourseStore');
+
+    // Verify enrollment and get the shared store for each course searched
+    const courses = await resolveQueryCourses(userId, courseId, courseIds);
+
+    const requestBody = await buildCourseQueryRequest({
+      courses,
+      question,
+      history,
+      topK,
+      metadataFilter
+    });
 
     // Use streamGenerateContent endpoint for complete responses
-    logger.info('Starting streaming query...', { model, courseId, userId });
+    logger.info('Starting streaming query...', { model, courseId, courseCount: courses.length, userId });
     
     const response = await fetch(
       `${GEMINI_API_ENDPOINT}/models/${model}:streamGenerateContent?key=${GEMINI_API_KEY}`,
@@ -1124,132 +1538,2778 @@ Remember: Your knowledge is based on what's been uploaded to this course. ALWAYS
           });
         chatSessionId = sessionRef.id;
       }
-      
-      // Add messages to session
-      const sessionRef = db
-        .collection('users').doc(userId)
-        .collection('chatSessions').doc(chatSessionId);
-      
-      await sessionRef.collection('messages').add({
-        role: 'user',
-        content: question,
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
-      });
-      
-      await sessionRef.collection('messages').add({
-        role: 'assistant',
-        content: fullText,
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
-      });
-      
-      // Update session metadata
-      await sessionRef.update({
-        lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
-        messageCount: admin.firestore.FieldValue.increment(2)
-      });
+      
+      // Add messages to session
+      const sessionRef = db
+        .collection('users').doc(userId)
+        .collection('chatSessions').doc(chatSessionId);
+      
+      await sessionRef.collection('messages').add({
+        role: 'user',
+        content: question,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      await sessionRef.collection('messages').add({
+        role: 'assistant',
+        content: fullText,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      // Update session metadata
+      await sessionRef.update({
+        lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
+        messageCount: admin.firestore.FieldValue.increment(2)
+      });
+    }
+
+    // Ensure proper UTF-8 encoding by normalizing the text
+    // This handles any potential encoding issues with special characters
+    const normalizedText = Buffer.from(fullText, 'utf8').toString('utf8');
+    
+    const citations = await resolveCitations(courses, groundingMetadata);
+    
+    return {
+      success: true,
+      answer: normalizedText,
+      groundingMetadata: groundingMetadata,
+      citations: citations,
+      sessionId: sessionId,
+      model: model
+    };
+
+  } catch (error) {
+    logger.error('Streaming query error:', error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Read a Gemini SSE stream (alt=sse) and forward each text part as it arrives
+ * Each event is a single "data: {...}" line holding one GenerateContentResponse
+ * @param {Response} response - node-fetch response with Node.js readable stream
+ * @param {Function} onText - Called with each text fragment as it is received
+ * @returns {Promise<{fullText: string, groundingMetadata: object}>}
+ */
+function forwardStreamingResponse(response, onText) {
+  let buffer = '';
+  let fullText = '';
+  let groundingMetadata = null;
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+
+    const payload = line.slice(5).trim();
+    if (!payload) return;
+
+    try {
+      const item = JSON.parse(payload);
+      const candidate = item.candidates?.[0];
+      const parts = candidate?.content?.parts || [];
+
+      for (const part of parts) {
+        if (part.text) {
+          fullText += part.text;
+          onText(part.text);
+        }
+      }
+
+      if (candidate?.groundingMetadata) {
+        groundingMetadata = candidate.groundingMetadata;
+      }
+    } catch (parseError) {
+      logger.warn('Failed to parse SSE event:', parseError.message);
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    response.body.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split(/\r?\n/);
+      // Keep the last (possibly incomplete) line for the next chunk
+      buffer = lines.pop() || '';
+      lines.forEach(handleLine);
+    });
+
+    response.body.on('end', () => {
+      if (buffer) handleLine(buffer);
+      resolve({ fullText, groundingMetadata });
+    });
+
+    response.body.on('error', (streamError) => {
+      logger.error('Stream error:', streamError.message);
+      reject(streamError);
+    });
+  });
+}
+
+/**
+ * Query course's shared File Search store and stream the answer back as it is generated
+ * HTTP endpoint emitting server-sent events, since callables can only return once:
+ *   event: chunk     data: {"text": "..."}
+ *   event: grounding data: {"groundingMetadata": {...}, "citations": [...]}
+ *   event: done      data: {"success": true, "model": "..."}
+ *   event: error     data: {"error": "..."}
+ * Request body follows the callable format: { data: { question, courseId, courseIds?, ... } }
+ * Caller is identified by the "Authorization: Bearer <Firebase ID token>" header
+ * Closing the connection (the student pressing stop) cancels the Gemini request
+ * Rate limited together with queryCourseStore: 50 requests per minute per user
+ */
+exports.streamCourseQuery = onRequest({
+  timeoutSeconds: 180,
+  memory: '512MiB',
+  cors: true
+}, async (req, res) => {
+  const startTime = Date.now();
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const userId = await verifyRequestAuth(req);
+  if (!userId) {
+    res.status(401).json({ error: 'You must be signed in to use this function' });
+    return;
+  }
+
+  let headersSent = false;
+
+  // The student pressed stop (or closed the popup): stop generating too
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      upstream.abort();
+    }
+  });
+
+  try {
+    const {
+      question,
+      courseId,
+      model: requestedModel,
+      metadataFilter,
+      topK = 5,
+      history = [],
+      courseIds = null
+    } = req.body?.data || {};
+
+    if (!question || !courseId) {
+      res.status(400).json({ error: 'question and courseId are required' });
+      return;
+    }
+    const model = resolveChatModel(requestedModel);
+
+    // Shares the query budget with the callable endpoint
+    await checkRateLimit(userId, 'queryCourseStore');
+    const courses = await resolveQueryCourses(userId, courseId, courseIds);
+
+    const requestBody = await buildCourseQueryRequest({
+      courses,
+      question,
+      history,
+      topK,
+      metadataFilter
+    });
+
+    logger.info('Starting SSE query...', { model, courseId, courseCount: courses.length, userId });
+
+    const response = await fetch(
+      `${GEMINI_API_ENDPOINT}/models/${model}:streamGenerateContent?alt=sse&key=${GEMINI_API_KEY}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody),
+        signal: upstream.signal
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Streaming query failed: ${error}`);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    headersSent = true;
+
+    const { fullText, groundingMetadata } = await forwardStreamingResponse(
+      response,
+      (text) => sendEvent('chunk', { text })
+    );
+
+    if (!fullText || fullText.trim().length === 0) {
+      throw new Error('No response text received from stream');
+    }
+
+    if (groundingMetadata) {
+      const citations = await resolveCitations(courses, groundingMetadata);
+      sendEvent('grounding', { groundingMetadata, citations });
+    }
+
+    logger.info('SSE query completed', {
+      model,
+      courseId,
+      userId,
+      responseLength: fullText.length,
+      executionTimeMs: Date.now() - startTime
+    });
+
+    sendEvent('done', { success: true, model });
+    res.end();
+
+  } catch (error) {
+    if (upstream.signal.aborted) {
+      logger.info('SSE query cancelled by the client', { userId, executionTimeMs: Date.now() - startTime });
+      return;
+    }
+
+    logger.error('SSE query error:', error);
+
+    if (headersSent) {
+      sendEvent('error', { error: error.message });
+      res.end();
+    } else {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// ==================== PDF DOWNLOAD PROXY ====================
+
+/**
+ * Convert a cookies object to a Cookie header string
+ * @param {Object} cookies - Canvas cookies as { name: value }
+ * @returns {string} Cookie header value
+ */
+function toCookieHeader(cookies) {
+  return Object.entries(cookies)
+    .map(([name, value]) => `${name}=${value}`)
+    .join('; ');
+}
+
+/**
+ * Download a file from Canvas with the student's session cookies
+ * @param {string} url - Canvas file download URL
+ * @param {Object} cookies - Canvas cookies as { name: value }
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+async function fetchCanvasFile(url, cookies) {
+  // Validate Canvas URL
+  if (!url.includes('canvas.education.lu.se')) {
+    throw new Error('Invalid Canvas URL');
+  }
+
+  logger.info('Downloading file via proxy', { 
+    url: url.substring(0, 100), // Log partial URL for debugging
+    hasCookies: Object.keys(cookies).length > 0 
+  });
+
+  // Make authenticated request to Canvas
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Cookie': toCookieHeader(cookies),
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+      'Accept': '*/*',
+      'Referer': 'https://canvas.education.lu.se/',
+      'Accept-Language': 'en-US,en;q=0.9'
+    },
+    redirect: 'follow' // Follow redirects automatically
+  });
+
+  if (!response.ok) {
+    throw new Error(`Canvas returned ${response.status}: ${response.statusText}`);
+  }
+
+  // Canvas serves its login page as HTML when the session has expired
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType.includes('text/html')) {
+    logger.warn('Unexpected content type', { contentType, url });
+  }
+
+  // Get file as buffer
+  const buffer = await response.buffer();
+
+  return { buffer, contentType };
+}
+
+/**
+ * Proxy function to download PDFs from Canvas
+ * Bypasses CORS by making server-side request with user's session cookies
+ * 
+ * This is the industry-standard solution for cross-origin authenticated downloads:
+ * - Extension passes Canvas session cookies to backend
+ * - Backend makes authenticated request to Canvas
+ * - Backend streams PDF back as base64
+ * - Extension uploads to Google File Search
+ */
+exports.downloadCanvasPdf = onCall(async (request) => {
+  requireAuth(request);
+
+  try {
+    const { url, cookies } = request.data;
+
+    if (!url) {
+      throw new Error('url is required');
+    }
+
+    if (!cookies || typeof cookies !== 'object') {
+      throw new Error('cookies object is required');
+    }
+
+    const { buffer, contentType } = await fetchCanvasFile(url, cookies);
+    
+    // Convert to base64
+    const base64Data = buffer.toString('base64');
+
+    logger.info('PDF downloaded successfully', { 
+      size: buffer.length,
+      contentType 
+    });
+
+    return {
+      success: true,
+      base64Data: base64Data,
+      mimeType: contentType.includes('pdf') ? 'application/pdf' : contentType,
+      size: buffer.length
+    };
+
+  } catch (error) {
+    logger.error('PDF download error:', error);
+    throw new Error(`Failed to download PDF: ${error.message}`);
+  }
+});
+
+// ==================== ENROLLMENT ====================
+
+/**
+ * Check that the student's Canvas session can see a course
+ * Canvas answers 401 (signed out) or 404 (not a member) otherwise
+ * @param {string} courseId - Canvas course ID
+ * @param {Object} cookies - Canvas cookies as { name: value }
+ * @returns {Promise<Object>} The Canvas course
+ */
+async function fetchCanvasCourse(courseId, cookies) {
+  const response = await fetch(`https://canvas.education.lu.se/api/v1/courses/${courseId}`, {
+    method: 'GET',
+    headers: {
+      'Cookie': toCookieHeader(cookies),
+      'Accept': 'application/json'
+    },
+    redirect: 'manual' // An expired session redirects to the login page
+  });
+
+  if (!response.ok) {
+    throw new Error(`Unauthorized: Canvas returned ${response.status} for course ${courseId}`);
+  }
+
+  // Canvas prefixes session-authenticated JSON with "while(1);" to prevent JSON hijacking
+  const text = await response.text();
+  let course = null;
+  try {
+    course = JSON.parse(text.replace(/^while\(1\);/, ''));
+  } catch (error) {
+    // Handled below
+  }
+
+  if (String(course?.id) !== courseId) {
+    throw new Error(`Unauthorized: Canvas did not return course ${courseId}`);
+  }
+
+  return course;
+}
+
+/**
+ * Enroll the caller in a course, or record a visit if they already are
+ * Enrollments grant access to a course's store, so clients can't create them:
+ * a new one is only written once Canvas confirms the student can see the course
+ */
+exports.enrollInCourse = onCall(async (request) => {
+  const userId = requireAuth(request);
+
+  try {
+    const { courseId, courseName, cookies, colorId } = request.data;
+
+    if (typeof courseId !== 'string' || !/^\d+$/.test(courseId)) {
+      throw new Error('A Canvas courseId is required');
+    }
+
+    const enrollmentRef = db
+      .collection('users').doc(userId)
+      .collection('enrollments').doc(courseId);
+    const enrollmentDoc = await enrollmentRef.get();
+
+    if (enrollmentDoc.exists) {
+      await enrollmentRef.update({ lastAccessedAt: admin.firestore.FieldValue.serverTimestamp() });
+      return { success: true, isNewEnrollment: false };
+    }
+
+    if (!cookies || typeof cookies !== 'object' || Object.keys(cookies).length === 0) {
+      throw new Error('Canvas cookies are required - please make sure you are logged into Canvas');
+    }
+
+    await checkRateLimit(userId, 'enrollInCourse');
+    const canvasCourse = await fetchCanvasCourse(courseId, cookies);
+
+    await enrollmentRef.set({
+      courseId,
+      courseName: trimText(courseName, 200) || canvasCourse.name || `Course ${courseId}`,
+      enrolledAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastAccessedAt: admin.firestore.FieldValue.serverTimestamp(),
+      favorite: false,
+      // Display color picked by the client (course-colors.js); filled in later if missing
+      colorId: typeof colorId === 'string' && /^[a-z]{1,20}$/.test(colorId) ? colorId : null
+    });
+
+    const courseRef = db.collection('courses').doc(courseId);
+    if ((await courseRef.get()).exists) {
+      await courseRef.update({ totalEnrollments: admin.firestore.FieldValue.increment(1) });
+    }
+
+    logger.info('User enrolled in course', { courseId, userId });
+    return { success: true, isNewEnrollment: true };
+
+  } catch (error) {
+    logger.error('Enroll in course error:', error);
+    throw new Error(error.message);
+  }
+});
+
+// ==================== INGESTION JOBS ====================
+
+/**
+ * Course ingestion runs server-side as a job:
+ * - The extension submits the files it discovered (startIngestionJob)
+ * - Each file becomes a Cloud Task handled by processIngestionFile
+ *   (download from Canvas -> validate -> upload to File Search -> update Firestore)
+ * - Progress lives in courses/{courseId}/ingestionJobs/{jobId}, which the popup observes
+ *
+ * courses/{courseId}.activeIngestionJobId points at the running job, so a second
+ * student sees "course is being indexed" instead of starting a duplicate scan.
+ */
+const {onTaskDispatched} = require('firebase-functions/v2/tasks');
+const {getFunctions} = require('firebase-admin/functions');
+
+// Cloud Tasks retries a failed file this many times before it's marked failed
+const INGESTION_MAX_ATTEMPTS = 3;
+
+// A job with no progress for this long is treated as dead and can be replaced
+const INGESTION_STALE_MS = 15 * 60 * 1000; // 15 minutes
+
+// lastSyncedAt is moved back by this much so client clock skew can't hide a Canvas change
+const SYNC_CLOCK_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Convert a Canvas file URL to its direct download URL
+ * Preview URLs (/files/123) return HTML, not the file
+ * @param {string} url - Canvas file URL
+ * @returns {string} Download URL
+ */
+function toCanvasDownloadUrl(url) {
+  if (url.includes('/files/') && !url.includes('/download')) {
+    const fileIdMatch = url.match(/\/files\/(\d+)/);
+    if (fileIdMatch) {
+      const baseUrl = url.split('/files/')[0];
+      return `${baseUrl}/files/${fileIdMatch[1]}/download?download_frd=1`;
+    }
+  } else if (url.includes('/download') && !url.includes('download_frd=1')) {
+    return url.includes('?') ? `${url}&download_frd=1` : `${url}?download_frd=1`;
+  }
+  return url;
+}
+
+/**
+ * Check whether an ingestion job is still making progress
+ * @param {Object} job - Ingestion job data
+ * @returns {boolean} true if the job is queued/running and not stale
+ */
+function isIngestionJobActive(job) {
+  if (!job || !['queued', 'running'].includes(job.status)) {
+    return false;
+  }
+  const updatedAt = job.updatedAt?.toMillis?.() || 0;
+  return Date.now() - updatedAt < INGESTION_STALE_MS;
+}
+
+/**
+ * SHA-256 of a file's content
+ * Identifies the same file behind different Canvas URLs (file link, module item,
+ * embedded link) and tells whether an indexed file has changed
+ * @param {Buffer} buffer - File content
+ * @returns {string} Hex digest
+ */
+function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Claim a file's content for a course document
+ * courses/{courseId}/contentHashes/{hash} records which document owns each piece of
+ * content, so two tasks for different URLs of the same file never both upload it.
+ * An existing claim is kept while its document is indexed with that content (or is
+ * still being ingested); otherwise this document takes it over.
+ * @param {string} courseId - Canvas course ID
+ * @param {string} contentHash - SHA-256 of the content
+ * @param {string} docId - Course document ID claiming the content
+ * @returns {Promise<string>} ID of the document that owns the content
+ */
+async function claimContentHash(courseId, contentHash, docId) {
+  const courseRef = db.collection('courses').doc(courseId);
+  const hashRef = courseRef.collection('contentHashes').doc(contentHash);
+
+  return db.runTransaction(async (transaction) => {
+    const hashDoc = await transaction.get(hashRef);
+    const claim = hashDoc.data();
+
+    if (claim && claim.documentId !== docId) {
+      const ownerDoc = await transaction.get(courseRef.collection('documents').doc(claim.documentId));
+      const owner = ownerDoc.data();
+      const claimedAt = claim.claimedAt?.toMillis?.() || 0;
+
+      const ownerIndexed = owner?.uploadStatus === 'completed' && owner.contentHash === contentHash;
+      const ownerIngesting = ['pending', 'uploading'].includes(owner?.uploadStatus) &&
+        Date.now() - claimedAt < INGESTION_STALE_MS;
+
+      if (ownerIndexed || ownerIngesting) {
+        return claim.documentId;
+      }
+    }
+
+    transaction.set(hashRef, {
+      documentId: docId,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return docId;
+  });
+}
+
+/**
+ * Drop a document's claim on content it no longer holds
+ * @param {string} courseId - Canvas course ID
+ * @param {string|undefined} contentHash - Hash the document was indexed with
+ * @param {string} docId - Course document ID
+ */
+async function releaseContentHash(courseId, contentHash, docId) {
+  if (!contentHash) {
+    return;
+  }
+
+  const hashRef = db
+    .collection('courses').doc(courseId)
+    .collection('contentHashes').doc(contentHash);
+
+  await db.runTransaction(async (transaction) => {
+    const hashDoc = await transaction.get(hashRef);
+    if (hashDoc.exists && hashDoc.data().documentId === docId) {
+      transaction.delete(hashRef);
+    }
+  });
+}
+
+/**
+ * Whether Canvas reports a file unchanged since it was indexed
+ * Compares the updated_at and size the crawler read from the Canvas API, so the
+ * file doesn't have to be downloaded and hashed again. A file added to, moved between
+ * or removed from modules counts as changed, so its module metadata is updated
+ * @param {Object} record - Course document record
+ * @param {Object} file - Scanned file ({updatedAt, size} and module fields)
+ * @returns {boolean} true if both match the indexed version
+ */
+function isUnchangedOnCanvas(record, file) {
+  return Boolean(record?.contentHash && record.canvasUpdatedAt && file.updatedAt) &&
+    record.canvasUpdatedAt === file.updatedAt &&
+    record.canvasSize === (file.size ?? null) &&
+    hasSameModuleFields(record, file);
+}
+
+/**
+ * Whether a document record has the module structure a scan found for it
+ * Scans that didn't look at modules (DOM scraping) don't count as a change
+ * @param {Object} record - Course document record
+ * @param {Object} file - Scanned file
+ * @returns {boolean}
+ */
+function hasSameModuleFields(record, file) {
+  return Object.entries(toModuleFields(file)).every(([key, value]) => (record?.[key] ?? null) === value);
+}
+
+/**
+ * Canvas module structure of a scanned file, validated for Firestore and File Search metadata
+ * @param {Object} file - Scanned file ({moduleName, modulePosition, itemPosition, lectureNumber});
+ *   moduleName is null for a file the API crawl found in no module, and absent when the
+ *   scan didn't look at modules
+ * @returns {Object} Fields to store; all null when the file isn't listed in a module,
+ *   {} when that isn't known
+ */
+function toModuleFields(file) {
+  if (file.moduleName === undefined) {
+    return {};
+  }
+  if (typeof file.moduleName !== 'string' || !file.moduleName.trim()) {
+    return { moduleName: null, modulePosition: null, itemPosition: null, lectureNumber: null };
+  }
+
+  const toNumber = (value) => (Number.isInteger(value) && value >= 0 ? value : null);
+  return {
+    moduleName: file.moduleName.trim().substring(0, 200),
+    modulePosition: toNumber(file.modulePosition),
+    itemPosition: toNumber(file.itemPosition),
+    lectureNumber: toNumber(file.lectureNumber)
+  };
+}
+
+/**
+ * Delete a File Search upload whose document record was never completed
+ * (pendingUpload, left by an attempt that failed after uploading)
+ * @param {string} courseId - Canvas course ID
+ * @param {Object|undefined} record - Document record
+ */
+async function discardPendingUpload(courseId, record) {
+  if (!record?.pendingUpload) {
+    return;
+  }
+  try {
+    await deleteStoreDocument(record.pendingUpload.documentName);
+  } catch (error) {
+    logger.warn('Could not delete unfinished upload', {
+      courseId,
+      documentName: record.pendingUpload.documentName,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Record the outcome of one file and complete the job when all files are done
+ * A completed job that indexed new or changed files refreshes the course's study plans
+ * @param {string} courseId - Canvas course ID
+ * @param {string} jobId - Ingestion job ID
+ * @param {'succeeded'|'updated'|'unchanged'|'deduplicated'|'failed'|'skipped'} outcome - What happened to the file
+ */
+async function recordIngestionOutcome(courseId, jobId, outcome) {
+  const courseRef = db.collection('courses').doc(courseId);
+  const jobRef = courseRef.collection('ingestionJobs').doc(jobId);
+
+  const hasNewMaterial = await db.runTransaction(async (transaction) => {
+    const [jobDoc, courseDoc] = await Promise.all([
+      transaction.get(jobRef),
+      transaction.get(courseRef)
+    ]);
+
+    if (!jobDoc.exists) {
+      return false;
+    }
+
+    const job = jobDoc.data();
+    const processed = (job.processed || 0) + 1;
+    const update = {
+      processed,
+      [outcome]: (job[outcome] || 0) + 1,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (processed >= job.total) {
+      update.status = 'completed';
+      update.currentFile = null;
+      update.completedAt = admin.firestore.FieldValue.serverTimestamp();
+
+      if (courseDoc.exists && courseDoc.data().activeIngestionJobId === jobId) {
+        transaction.update(courseRef, {
+          activeIngestionJobId: null,
+          lastIngestedAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...(job.syncStartedAt ? { lastSyncedAt: job.syncStartedAt } : {})
+        });
+      }
+    }
+
+    transaction.update(jobRef, update);
+
+    return update.status === 'completed' &&
+      (job.succeeded || 0) + (job.updated || 0) + (['succeeded', 'updated'].includes(outcome) ? 1 : 0) > 0;
+  });
+
+  // Study plans are regenerated once the whole re-scan is in
+  if (hasNewMaterial) {
+    await queueStudyPlanRefresh(courseId);
+  }
+}
+
+/**
+ * Start (or join) the ingestion job for a course
+ * Verifies user is enrolled in the course
+ *
+ * New files are uploaded. Indexed files are skipped if Canvas reports the same
+ * updated_at and size, and otherwise re-checked by content hash so changed files are
+ * replaced. If another student's job is still running for the course, that job is
+ * returned instead of a new one.
+ *
+ * syncStartedAt (when the crawl started) becomes the course's lastSyncedAt once the
+ * job completes; the next re-scan only asks Canvas for what changed after it.
+ * Canvas cookies only travel in the task payloads - they are never stored in Firestore.
+ */
+exports.startIngestionJob = onCall(async (request) => {
+  const userId = requireAuth(request);
+
+  try {
+    const { courseId, files, cookies, syncStartedAt } = request.data;
+
+    if (!courseId || !Array.isArray(files)) {
+      throw new Error('courseId and files are required');
+    }
+
+    if (!cookies || typeof cookies !== 'object' || Object.keys(cookies).length === 0) {
+      throw new Error('Canvas cookies are required - please make sure you are logged into Canvas');
+    }
+
+    // Check rate limit (5 jobs per minute)
+    await checkRateLimit(userId, 'startIngestionJob');
+    await verifyEnrollment(userId, courseId);
+
+    const storeName = await getSharedStore(courseId);
+    const courseRef = db.collection('courses').doc(courseId);
+
+    const syncTime = Date.parse(syncStartedAt);
+    const lastSyncedAt = Number.isFinite(syncTime)
+      ? admin.firestore.Timestamp.fromMillis(Math.min(syncTime, Date.now()) - SYNC_CLOCK_SKEW_MS)
+      : null;
+
+    // Indexed files are re-checked rather than re-uploaded, and URLs already known
+    // to be duplicates of another document don't get a record of their own
+    const existingSnapshot = await courseRef.collection('documents').get();
+    const indexedRecords = new Map();
+    const aliasOwners = new Map();
+    existingSnapshot.docs.forEach(doc => {
+      const data = doc.data();
+      if (data.uploadStatus === 'completed') {
+        indexedRecords.set(data.fileUrl, data);
+      }
+      (data.aliasUrls || []).forEach(url => aliasOwners.set(url, doc.id));
+    });
+
+    const seenUrls = new Set();
+    let unchangedOnCanvas = 0;
+    const pendingFiles = files.filter(file => {
+      if (!file?.url || seenUrls.has(file.url)) {
+        return false;
+      }
+      seenUrls.add(file.url);
+      if (isUnchangedOnCanvas(indexedRecords.get(file.url), file)) {
+        unchangedOnCanvas++;
+        return false;
+      }
+      if (file.content !== undefined && (
+        !TEXT_SOURCE_TYPES.includes(file.sourceType) ||
+        typeof file.content !== 'string' ||
+        file.content.length > MAX_TEXT_CONTENT_LENGTH
+      )) {
+        logger.warn('Skipping invalid text document', { courseId, url: file.url, sourceType: file.sourceType });
+        return false;
+      }
+      return true;
+    });
+
+    // Claim the course for this job, or join the job that's already running
+    const jobRef = courseRef.collection('ingestionJobs').doc();
+    const result = await db.runTransaction(async (transaction) => {
+      const courseDoc = await transaction.get(courseRef);
+      const courseData = courseDoc.data();
+
+      if (courseData.activeIngestionJobId) {
+        const activeJobRef = courseRef.collection('ingestionJobs').doc(courseData.activeIngestionJobId);
+        const activeJob = await transaction.get(activeJobRef);
+
+        if (activeJob.exists && isIngestionJobActive(activeJob.data())) {
+          return {
+            jobId: activeJob.id,
+            total: activeJob.data().total,
+            alreadyRunning: true,
+            courseName: courseData.courseName
+          };
+        }
+      }
+
+      const isEmpty = pendingFiles.length === 0;
+
+      transaction.set(jobRef, {
+        status: isEmpty ? 'completed' : 'queued',
+        createdBy: userId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        completedAt: isEmpty ? admin.firestore.FieldValue.serverTimestamp() : null,
+        total: pendingFiles.length,
+        processed: 0,
+        succeeded: 0,
+        updated: 0,
+        unchanged: 0,
+        deduplicated: 0,
+        failed: 0,
+        skipped: 0,
+        alreadyUploaded: unchangedOnCanvas,
+        syncStartedAt: lastSyncedAt,
+        currentFile: null
+      });
+
+      if (!isEmpty) {
+        transaction.update(courseRef, { activeIngestionJobId: jobRef.id });
+      } else if (lastSyncedAt) {
+        transaction.update(courseRef, { lastSyncedAt });
+      }
+
+      return {
+        jobId: jobRef.id,
+        total: pendingFiles.length,
+        alreadyRunning: false,
+        courseName: courseData.courseName
+      };
+    });
+
+    // Documents indexed before summaries and the glossary existed, or whose
+    // summary or glossary update failed, are queued now
+    if (!result.alreadyRunning) {
+      const indexedDocs = existingSnapshot.docs.filter(doc => doc.data().uploadStatus === 'completed');
+      await Promise.all(indexedDocs.map(async (doc) => {
+        const data = doc.data();
+        if (!data.summary && data.summaryStatus !== 'pending') {
+          await enqueueDocumentSummary(courseId, doc.id);
+        }
+        if (!['pending', 'completed'].includes(data.glossaryStatus)) {
+          await enqueueGlossaryUpdate(courseId, doc.id);
+        }
+      }));
+    }
+
+    if (result.alreadyRunning || result.total === 0) {
+      logger.info('Ingestion job not started', { courseId, jobId: result.jobId, alreadyRunning: result.alreadyRunning, userId });
+      return { success: true, ...result };
+    }
+
+    // Mark new files as pending so the document list reflects the job
+    // (indexed files stay completed and searchable while they're re-checked)
+    const newFiles = pendingFiles.filter(file => !indexedRecords.has(file.url) && !aliasOwners.has(file.url));
+    await Promise.all(newFiles.map(file => saveCourseDocument(courseId, file.url, {
+      fileName: file.title || 'Unknown Document',
+      scannedFrom: file.type || file.context || 'unknown',
+      sourceType: file.content !== undefined ? file.sourceType : 'file',
+      ...toModuleFields(file),
+      uploadStatus: 'pending',
+      ingestionJobId: result.jobId
+    })));
+
+    // One task per file so a slow or failing file doesn't hold up the rest
+    const queue = getFunctions().taskQueue('locations/europe-north1/functions/processIngestionFile');
+    const enqueued = await Promise.allSettled(pendingFiles.map(file => queue.enqueue({
+      jobId: result.jobId,
+      courseId,
+      courseName: result.courseName || '',
+      storeName,
+      userId,
+      file: {
+        url: file.url,
+        title: file.title || 'Unknown Document',
+        filename: file.filename || null,
+        source: file.type || file.context || 'unknown',
+        updatedAt: typeof file.updatedAt === 'string' ? file.updatedAt : null,
+        size: typeof file.size === 'number' ? file.size : null,
+        ...toModuleFields(file),
+        ...(file.content !== undefined ? {
+          sourceType: file.sourceType,
+          content: file.content,
+          dueAt: file.dueAt || null,
+          pointsPossible: typeof file.pointsPossible === 'number' ? file.pointsPossible : null
+        } : {})
+      },
+      aliasOf: aliasOwners.get(file.url) || null,
+      cookies
+    })));
+
+    // Files whose task never got queued count as failed (the next scan retries them),
+    // so the job still completes once the queued ones are done
+    const notQueued = pendingFiles.filter((file, index) => enqueued[index].status === 'rejected');
+    if (notQueued.length > 0) {
+      logger.error('Could not queue ingestion tasks', {
+        courseId,
+        jobId: result.jobId,
+        count: notQueued.length,
+        error: enqueued.find(outcome => outcome.status === 'rejected').reason?.message
+      });
+      for (const file of notQueued) {
+        if (!indexedRecords.has(file.url) && !aliasOwners.has(file.url)) {
+          await saveCourseDocument(courseId, file.url, {
+            uploadStatus: 'failed',
+            failedAt: admin.firestore.FieldValue.serverTimestamp(),
+            lastError: 'Could not be queued for indexing'
+          });
+        }
+        await recordIngestionOutcome(courseId, result.jobId, 'failed');
+      }
+    }
+
+    logger.info('Ingestion job started', { courseId, jobId: result.jobId, total: result.total, queued: result.total - notQueued.length, userId });
+
+    return { success: true, ...result };
+
+  } catch (error) {
+    logger.error('Start ingestion job error:', error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Ingestion worker: download one Canvas file (or take the Markdown of a page,
+ * syllabus or assignment), validate its type, upload it to the course's
+ * File Search store and record the result
+ *
+ * Content is hashed before uploading:
+ * - Same content as another document (a second URL for the same file) -> recorded
+ *   as an alias of that document instead of being indexed twice
+ * - Same content as when this URL was indexed -> left alone
+ * - Changed content -> the new version is uploaded, then the old one is removed
+ *   from the store
+ *
+ * Every upload queues a document summary (summarizeDocument) and a course glossary
+ * update (extractGlossaryTerms).
+ *
+ * Transient failures are thrown so Cloud Tasks retries them; the file is only
+ * marked failed (and retried on the next scan) after the last attempt.
+ */
+exports.processIngestionFile = onTaskDispatched(
+  {
+    retryConfig: {
+      maxAttempts: INGESTION_MAX_ATTEMPTS,
+      minBackoffSeconds: 30
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 3  // Be gentle with Canvas and the File Search API
+    },
+    memory: '1GiB',        // Same headroom as uploadToStore for large files
+    timeoutSeconds: 540
+  },
+  async (request) => {
+  const { jobId, courseId, courseName, storeName, userId, file, aliasOf, cookies } = request.data;
+  const courseRef = db.collection('courses').doc(courseId);
+  const jobRef = courseRef.collection('ingestionJobs').doc(jobId);
+  const docId = getDocumentId(file.url);
+  const docRef = courseRef.collection('documents').doc(docId);
+
+  const jobDoc = await jobRef.get();
+  if (!jobDoc.exists || jobDoc.data().status === 'completed') {
+    logger.warn('Skipping task for missing or finished ingestion job', { courseId, jobId });
+    return;
+  }
+
+  await jobRef.update({
+    status: 'running',
+    currentFile: file.title,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  // An indexed document stays completed (and searchable) until a new version replaces it
+  const existing = (await docRef.get()).data();
+  const indexed = existing?.uploadStatus === 'completed' && existing.fileSearchDocumentName
+    ? existing
+    : null;
+
+  try {
+    // Pages, syllabus and assignments arrive as Markdown; files are downloaded from Canvas
+    const isTextDocument = file.content !== undefined;
+    const { buffer, contentType } = isTextDocument
+      ? { buffer: Buffer.from(file.content, 'utf8'), contentType: 'text/markdown' }
+      : await fetchCanvasFile(toCanvasDownloadUrl(file.url), cookies || {});
+    const sourceType = isTextDocument ? file.sourceType : 'file';
+    const contentHash = hashContent(buffer);
+
+    // Canvas' view of the file, so the next scan can skip it without downloading
+    const canvasFields = {
+      canvasUpdatedAt: file.updatedAt || null,
+      canvasSize: file.size ?? null
+    };
+
+    const ownerId = await claimContentHash(courseId, contentHash, docId);
+
+    if (ownerId !== docId) {
+      // Another URL for content that's already indexed (or being indexed)
+      await courseRef.collection('documents').doc(ownerId).update({
+        aliasUrls: admin.firestore.FieldValue.arrayUnion(file.url)
+      });
+      if (indexed) {
+        await deleteStoreDocument(indexed.fileSearchDocumentName);
+        await releaseContentHash(courseId, indexed.contentHash, docId);
+      }
+      if (existing) {
+        await discardPendingUpload(courseId, existing);
+        await removeDocumentFromGlossary(courseId, docId);
+        await docRef.delete();
+      }
+      await recordIngestionOutcome(courseId, jobId, 'deduplicated');
+
+      logger.info('Deduplicated document', { courseId, jobId, fileName: file.title, duplicateOf: ownerId });
+      return;
+    }
+
+    // A file that moved between modules is uploaded again, since File Search metadata
+    // (moduleName, lectureNumber, ...) can't be changed in place
+    if (indexed && (indexed.contentHash === contentHash || !indexed.contentHash) && hasSameModuleFields(indexed, file)) {
+      // Records indexed before content hashing adopt the current hash instead of
+      // every existing file being uploaded again
+      await discardPendingUpload(courseId, existing);
+      await docRef.update({
+        contentHash,
+        ...canvasFields,
+        contentCheckedAt: admin.firestore.FieldValue.serverTimestamp(),
+        pendingUpload: null,
+        lastError: null
+      });
+      await recordIngestionOutcome(courseId, jobId, 'unchanged');
+      return;
+    }
+
+    if (!indexed) {
+      await saveCourseDocument(courseId, file.url, { uploadStatus: 'uploading' });
+    }
+
+    const textFields = isTextDocument ? {
+      dueAt: file.dueAt || null,
+      pointsPossible: file.pointsPossible ?? null
+    } : {};
+
+    const metadata = {
+      courseId,
+      courseName,
+      fileName: file.title,
+      source: file.source,
+      sourceType,
+      originalUrl: file.url
+    };
+    if (textFields.dueAt) metadata.dueAt = textFields.dueAt;
+    if (typeof textFields.pointsPossible === 'number') metadata.pointsPossible = textFields.pointsPossible;
+
+    // Module structure lets queries filter by module, e.g. moduleName = "Week 5" or lectureNumber >= 4
+    const moduleFields = toModuleFields(file);
+    Object.entries(moduleFields).forEach(([key, value]) => {
+      if (value !== null) metadata[key] = value;
+    });
+
+    // A retry after the upload went through reuses it instead of indexing the file a second time
+    let pendingUpload = existing?.pendingUpload?.contentHash === contentHash ? existing.pendingUpload : null;
+    if (!pendingUpload) {
+      await discardPendingUpload(courseId, existing);
+      const { documentName, mimeType } = await uploadBufferToStore({
+        storeName,
+        buffer,
+        fileName: file.title,
+        originalFileName: isTextDocument ? `${file.title}.md` : file.filename,
+        mimeType: contentType,
+        metadata
+      });
+      pendingUpload = { documentName, mimeType, contentHash };
+      // Saved before any step that can fail, so a retry can find it
+      await saveCourseDocument(courseId, file.url, { pendingUpload });
+    }
+    const { documentName, mimeType } = pendingUpload;
+
+    await saveCourseDocument(courseId, file.url, {
+      fileName: file.title,
+      fileSize: buffer.length,
+      fileType: mimeType,
+      scannedFrom: file.source,
+      sourceType,
+      ...textFields,
+      ...moduleFields,
+      contentHash,
+      ...canvasFields,
+      contentCheckedAt: admin.firestore.FieldValue.serverTimestamp(),
+      uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
+      uploadedBy: userId,
+      fileSearchDocumentName: documentName,
+      pendingUpload: null,
+      uploadStatus: 'completed',
+      failedAt: null,
+      lastError: null
+    });
+
+    // This URL now has content of its own
+    if (aliasOf) {
+      await courseRef.collection('documents').doc(aliasOf).update({
+        aliasUrls: admin.firestore.FieldValue.arrayRemove(file.url)
+      }).catch(error => logger.warn('Could not remove alias URL', { courseId, aliasOf, error: error.message }));
+    }
+
+    // Swap out the previous version only once the new one is indexed
+    if (indexed) {
+      try {
+        await deleteStoreDocument(indexed.fileSearchDocumentName);
+      } catch (error) {
+        logger.warn('Could not delete previous document version', {
+          courseId,
+          documentName: indexed.fileSearchDocumentName,
+          error: error.message
+        });
+      }
+      // A file re-uploaded for its module fields keeps its content - and its claim on it
+      if (indexed.contentHash !== contentHash) {
+        await releaseContentHash(courseId, indexed.contentHash, docId);
+      }
+    }
+
+    await courseRef.update({
+      lastUploadAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await enqueueDocumentSummary(courseId, docId);
+    await enqueueGlossaryUpdate(courseId, docId);
+
+    await recordIngestionOutcome(courseId, jobId, indexed ? 'updated' : 'succeeded');
+
+    logger.info(indexed ? 'Re-indexed changed document' : 'Ingested document', {
+      courseId,
+      jobId,
+      fileName: file.title,
+      documentName
+    });
+
+  } catch (error) {
+    // Unsupported file types will never upload, so don't retry or keep a record for them.
+    // An indexed document keeps its record - Canvas may just be returning an error page.
+    if (isUnsupportedFileError(error)) {
+      logger.info('Skipping unsupported file', { courseId, jobId, fileName: file.title, reason: error.message });
+      if (indexed) {
+        await docRef.update({ lastError: error.message });
+      } else {
+        await docRef.delete();
+      }
+      await recordIngestionOutcome(courseId, jobId, 'skipped');
+      return;
+    }
+
+    if (request.retryCount < INGESTION_MAX_ATTEMPTS - 1) {
+      logger.warn('Ingestion attempt failed, will retry', {
+        courseId,
+        jobId,
+        fileName: file.title,
+        attempt: request.retryCount + 1,
+        error: error.message
+      });
+      if (!indexed) {
+        await saveCourseDocument(courseId, file.url, { uploadStatus: 'pending' });
+      }
+      throw error;
+    }
+
+    logger.error('Ingestion failed', { courseId, jobId, fileName: file.title, error: error.message });
+
+    // A failed re-check leaves the indexed version in place
+    await saveCourseDocument(courseId, file.url, indexed ? {
+      lastError: error.message
+    } : {
+      uploadStatus: 'failed',
+      failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastError: error.message
+    });
+    await recordIngestionOutcome(courseId, jobId, 'failed');
+  }
+});
+
+// ==================== CHAT HISTORY SEARCH ====================
+
+const CHAT_SEARCH_MAX_SESSIONS = 200;   // Most recent sessions scanned per search
+const CHAT_SEARCH_MAX_RESULTS = 50;
+const CHAT_SEARCH_SNIPPET_RADIUS = 80;  // Characters of context on each side of a match
+
+/**
+ * Parse an optional date filter (ISO string or epoch ms)
+ * @returns {number|null} Epoch ms, or null when not set
+ */
+function parseSearchDate(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid ${name} date`);
+  }
+  return time;
+}
+
+/**
+ * Excerpt of a message around its first matching term, whitespace collapsed
+ * @param {string} content - Message text
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {string} Snippet with ellipses where the text was cut
+ */
+function buildSearchSnippet(content, terms) {
+  const text = content.replace(/\s+/g, ' ').trim();
+  const lower = text.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+  const matchIndex = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, matchIndex - CHAT_SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(text.length, matchIndex + CHAT_SEARCH_SNIPPET_RADIUS * 2);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search the caller's chat messages across all of their sessions
+ * Every term must appear in a message (case-insensitive); results are ranked by
+ * number of term occurrences, then newest first
+ */
+exports.searchChatHistory = onCall(async (request) => {
+  const userId = requireAuth(request);
+
+  try {
+    const { query, courseId, from, to } = request.data || {};
+
+    if (typeof query !== 'string' || query.trim().length < 2) {
+      throw new Error('Search query must be at least 2 characters');
+    }
+
+    await checkRateLimit(userId, 'searchChatHistory');
+
+    const terms = [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))].slice(0, 10);
+    const fromTime = parseSearchDate(from, 'from');
+    const toTime = parseSearchDate(to, 'to');
+
+    let sessionsQuery = db.collection('chatSessions').where('userId', '==', userId);
+    if (courseId) {
+      sessionsQuery = sessionsQuery.where('courseId', '==', courseId);
+    }
+    const sessionsSnapshot = await sessionsQuery.get();
+
+    // Skip sessions that cannot contain a message in the date range
+    const sessions = sessionsSnapshot.docs
+      .filter(doc => {
+        const data = doc.data();
+        if (fromTime && data.lastMessageAt && data.lastMessageAt.toMillis() < fromTime) return false;
+        if (toTime && data.createdAt && data.createdAt.toMillis() > toTime) return false;
+        return true;
+      })
+      .sort((a, b) => (b.data().lastMessageAt?.toMillis() || 0) - (a.data().lastMessageAt?.toMillis() || 0));
+
+    const truncated = sessions.length > CHAT_SEARCH_MAX_SESSIONS;
+    const sessionsToScan = sessions.slice(0, CHAT_SEARCH_MAX_SESSIONS);
+
+    const matches = [];
+    for (let i = 0; i < sessionsToScan.length; i += 10) {
+      const chunk = sessionsToScan.slice(i, i + 10);
+      const snapshots = await Promise.all(chunk.map(sessionDoc => {
+        let messagesQuery = sessionDoc.ref.collection('messages');
+        if (fromTime) {
+          messagesQuery = messagesQuery.where('timestamp', '>=', admin.firestore.Timestamp.fromMillis(fromTime));
+        }
+        if (toTime) {
+          messagesQuery = messagesQuery.where('timestamp', '<=', admin.firestore.Timestamp.fromMillis(toTime));
+        }
+        return messagesQuery.get();
+      }));
+
+      snapshots.forEach((messagesSnapshot, index) => {
+        const session = chunk[index];
+        messagesSnapshot.forEach(messageDoc => {
+          const message = messageDoc.data();
+          const content = typeof message.content === 'string' ? message.content : '';
+          const lower = content.toLowerCase();
+
+          if (!terms.every(term => lower.includes(term))) {
+            return;
+          }
+
+          matches.push({
+            sessionId: session.id,
+            sessionTitle: session.data().title || 'New chat',
+            courseId: session.data().courseId,
+            messageId: messageDoc.id,
+            role: message.role,
+            snippet: buildSearchSnippet(content, terms),
+            timestamp: message.timestamp ? message.timestamp.toDate().toISOString() : null,
+            score: terms.reduce((sum, term) => sum + lower.split(term).length - 1, 0)
+          });
+        });
+      });
+    }
+
+    matches.sort((a, b) => b.score - a.score || (b.timestamp || '').localeCompare(a.timestamp || ''));
+    const results = matches.slice(0, CHAT_SEARCH_MAX_RESULTS);
+
+    // Attach course names for display
+    const courseIds = [...new Set(results.map(result => result.courseId).filter(Boolean))];
+    const courseDocs = courseIds.length > 0
+      ? await db.getAll(...courseIds.map(id => db.collection('courses').doc(id)))
+      : [];
+    const courseNames = Object.fromEntries(
+      courseDocs.map(doc => [doc.id, doc.exists ? (doc.data().courseName || `Course ${doc.id}`) : `Course ${doc.id}`])
+    );
+
+    logger.info(`🔎 Chat search by ${userId}: ${matches.length} matches in ${sessionsToScan.length} sessions`);
+
+    return {
+      success: true,
+      terms,
+      totalMatches: matches.length,
+      truncated,
+      results: results.map(({ score, ...result }) => ({
+        ...result,
+        courseName: courseNames[result.courseId] || null
+      }))
+    };
+  } catch (error) {
+    logger.error('Search chat history error:', error);
+    throw new Error(error.message);
+  }
+});
+
+// ==================== QUIZZES ====================
+
+const QUIZ_MAX_QUESTIONS = 10;
+const MAX_SOURCE_DOCUMENTS = 20;  // Documents a quiz or flashcard deck can cover, same cap as the chat's document scope
+const QUIZ_QUESTION_TYPES = ['multiple_choice', 'short_answer'];
+
+/**
+ * File Search metadata filter matching any of the given documents
+ * Documents are uploaded with their display name as the fileName custom metadata
+ * @param {string[]} fileNames - Document display names
+ * @returns {string} AIP-160 filter expression
+ */
+function buildFileNameFilter(fileNames) {
+  return fileNames
+    .map(name => `fileName = "${name.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`)
+    .join(' OR ');
+}
+
+/**
+ * Build the Gemini request for a quiz grounded in one course's File Search store
+ * The File Search tool does the retrieval, so the JSON shape is described in the
+ * prompt and checked by normalizeQuizQuestion instead of a response schema
+ * @param {Object} params
+ * @param {Object} params.course - Course from resolveQueryCourses
+ * @param {string[]} params.documentNames - Documents to quiz on; empty for the whole course
+ * @param {number} params.questionCount - Number of questions
+ * @param {string[]} params.questionTypes - Allowed QUIZ_QUESTION_TYPES
+ * @returns {Object} Gemini request body
+ */
+function buildQuizRequest({ course, documentNames, questionCount, questionTypes }) {
+  const scope = documentNames.length > 0
+    ? `these documents only:\n${documentNames.map((name, i) => `${i + 1}. ${name}`).join('\n')}`
+    : 'the most important topics across all of the course documents';
+
+  const typeInstructions = [
+    questionTypes.includes('multiple_choice') &&
+      '- "multiple_choice": exactly 4 options with one correct answer; wrong options should be plausible mistakes a student could make',
+    questionTypes.includes('short_answer') &&
+      '- "short_answer": answerable in 1-3 sentences; "answer" is a model answer the student can compare with'
+  ].filter(Boolean).join('\n');
+
+  return {
+    system_instruction: {
+      parts: [{
+        text: `You write practice quizzes for students of the course "${course.courseName}" on Canvas. Every question, answer and explanation must be based EXCLUSIVELY on the course documents in the knowledge base - never on outside knowledge.
+
+Test understanding of concepts, definitions, methods and results rather than trivia such as page numbers or file names. Write in the language of the course documents.
+
+Reply with ONLY a JSON object and no other text or Markdown, in this shape:
+{"questions": [{"type": "...", "question": "...", "options": ["..."], "answerIndex": 0, "answer": "...", "explanation": "...", "sourceDocument": "...", "sourceQuote": "..."}]}
+
+Fields:
+- "type": one of the allowed question types
+- "options" and "answerIndex" (0-based index of the correct option): multiple_choice questions only
+- "answer": the correct answer
+- "explanation": why the answer is correct, referring to the course material
+- "sourceDocument": the exact name of the document the question is based on
+- "sourceQuote": a short verbatim quote from that document supporting the answer`
+      }]
+    },
+    contents: [{
+      role: 'user',
+      parts: [{
+        text: `Write ${questionCount} questions about ${scope}
+
+Allowed question types:
+${typeInstructions}`
+      }]
+    }],
+    tools: [{
+      fileSearch: {
+        fileSearchStoreNames: [course.storeName],
+        topK: 10,
+        ...(documentNames.length > 0 ? { metadataFilter: buildFileNameFilter(documentNames) } : {})
+      }
+    }],
+    generationConfig: {
+      maxOutputTokens: 8192
+    }
+  };
+}
+
+/**
+ * Validate one generated question and link its source document
+ * @param {Object} raw - Question object from the model
+ * @param {string[]} questionTypes - Allowed question types
+ * @param {Map<string, Object>} documentsByName - Course documents keyed by fileName
+ * @returns {Object|null} Question to store, or null when it is unusable
+ */
+function normalizeQuizQuestion(raw, questionTypes, documentsByName) {
+  const question = trimText(raw?.question, 1000);
+  if (!question || !questionTypes.includes(raw.type)) {
+    return null;
+  }
+
+  const sourceName = trimText(raw.sourceDocument, 300);
+  const source = documentsByName.get(sourceName) || null;
+  const entry = {
+    type: raw.type,
+    question,
+    explanation: trimText(raw.explanation, 2000),
+    citation: {
+      documentId: source?.id || null,
+      title: source?.fileName || sourceName || null,
+      fileUrl: source?.fileUrl || null,
+      quote: trimText(raw.sourceQuote, 500) || null
+    }
+  };
+
+  if (raw.type === 'multiple_choice') {
+    const options = Array.isArray(raw.options) ? raw.options.map(option => trimText(option, 500)) : [];
+    if (options.length < 2 || options.some(option => !option) ||
+        !Number.isInteger(raw.answerIndex) || !options[raw.answerIndex]) {
+      return null;
+    }
+    return { ...entry, options, answerIndex: raw.answerIndex, answer: options[raw.answerIndex] };
+  }
+
+  const answer = trimText(raw.answer, 2000);
+  return answer ? { ...entry, answer } : null;
+}
+
+/**
+ * Run a File Search grounded Gemini request whose reply should be a JSON object
+ * Tolerates code fences or stray text around the object
+ * @param {string} model - Gemini model
+ * @param {Object} requestBody - Request with the fileSearch tool
+ * @returns {Promise<Object|null>} Parsed reply, or null when it isn't valid JSON
+ */
+async function generateGroundedJson(model, requestBody) {
+  const response = await fetch(
+    `${GEMINI_API_ENDPOINT}/models/${model}:generateContent?key=${GEMINI_API_KEY}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(requestBody)
+    }
+  );
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Generation failed: ${error}`);
+  }
+
+  const result = await response.json();
+  const responseText = (result.candidates?.[0]?.content?.parts || [])
+    .map(part => part.text || '')
+    .join('');
+
+  try {
+    return JSON.parse(responseText.slice(responseText.indexOf('{'), responseText.lastIndexOf('}') + 1));
+  } catch (error) {
+    logger.warn('Model reply was not valid JSON', { error: error.message, length: responseText.length });
+    return null;
+  }
+}
+
+/**
+ * Indexed documents of a course, for restricting a search and linking sources
+ * @param {string} courseId - Canvas course ID
+ * @returns {Promise<Array<Object>>} Completed documents ({ id, fileName, fileUrl, moduleName, ... })
+ */
+async function loadIndexedDocuments(courseId) {
+  const docsSnapshot = await db.collection('courses').doc(courseId).collection('documents').get();
+  return docsSnapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(doc => doc.fileName && doc.uploadStatus === 'completed');
+}
+
+/**
+ * Generate a practice quiz grounded in a course's documents (all of them, or the
+ * documentIds picked by the student)
+ * Each question carries its answer key, an explanation and the source document.
+ * The quiz is saved to quizzes/{quizId} so attempts can be graded server-side
+ * model must be one of CHAT_MODELS (default: gemini-2.5-flash)
+ * Rate limited: 10 quizzes per minute per user
+ */
+exports.generateQuiz = onCall({
+  timeoutSeconds: 180,
+  memory: '512MiB'
+}, async (request) => {
+  const userId = requireAuth(request);
+
+  try {
+    const {
+      courseId,
+      documentIds = [],
+      questionCount = 5,
+      questionTypes = QUIZ_QUESTION_TYPES,
+      model: requestedModel
+    } = request.data || {};
+
+    if (!courseId) {
+      throw new Error('courseId is required');
+    }
+    const model = resolveChatModel(requestedModel);
+    if (!Array.isArray(documentIds) || documentIds.length > MAX_SOURCE_DOCUMENTS) {
+      throw new Error(`A quiz can cover at most ${MAX_SOURCE_DOCUMENTS} documents`);
+    }
+
+    const count = Math.min(Math.max(parseInt(questionCount, 10) || 5, 1), QUIZ_MAX_QUESTIONS);
+    const types = (Array.isArray(questionTypes) ? questionTypes : [])
+      .filter(type => QUIZ_QUESTION_TYPES.includes(type));
+    if (types.length === 0) {
+      throw new Error('Choose at least one question type');
+    }
+
+    await checkRateLimit(userId, 'generateQuiz');
+
+    const [course] = await resolveQueryCourses(userId, String(courseId));
+
+    // Indexed documents, to restrict the search and link each question to its source
+    const documents = await loadIndexedDocuments(course.courseId);
+    const documentsByName = new Map(documents.map(doc => [doc.fileName, doc]));
+
+    const selectedDocuments = documents.filter(doc => documentIds.includes(doc.id));
+    if (documentIds.length > 0 && selectedDocuments.length === 0) {
+      throw new Error('None of the selected documents have been indexed');
+    }
+    const documentNames = selectedDocuments.map(doc => doc.fileName);
+
+    logger.info('Generating quiz...', { courseId: course.courseId, userId, count, types, documentCount: documentNames.length });
+
+    const reply = await generateGroundedJson(
+      model,
+      buildQuizRequest({ course, documentNames, questionCount: count, questionTypes: types })
+    );
+
+    const questions = (Array.isArray(reply?.questions) ? reply.questions : [])
+      .map(raw => normalizeQuizQuestion(raw, types, documentsByName))
+      .filter(Boolean)
+      .slice(0, count);
+    if (questions.length === 0) {
+      throw new Error('No questions could be generated from these documents. Please try again.');
+    }
+
+    const quizRef = db.collection('quizzes').doc();
+    await quizRef.set({
+      userId,
+      courseId: course.courseId,
+      courseName: course.courseName,
+      documentIds: selectedDocuments.map(doc => doc.id),
+      documentNames,
+      questionTypes: types,
+      questions,
+      model,
+      attempts: 0,
+      lastScore: null,
+      bestScore: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    logger.info(`📝 Quiz ${quizRef.id} generated for ${userId}: ${questions.length}/${count} questions`);
+
+    return {
+      success: true,
+      quizId: quizRef.id,
+      courseId: course.courseId,
+      courseName: course.courseName,
+      documentNames,
+      questions
+    };
+  } catch (error) {
+    logger.error('Generate quiz error:', error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Grade an attempt at a generated quiz and add it to the user's score for the course
+ * Multiple-choice answers are checked against the stored answer key; short answers
+ * are self-marked by the student after comparing with the model answer
+ * Course totals are kept in users/{userId}/quizScores/{courseId}
+ */
+exports.submitQuizAttempt = onCall(async (request) => {
+  const userId = requireAuth(request);
+
+  try {
+    const { quizId, answers } = request.data || {};
+
+    if (!quizId || !Array.isArray(answers)) {
+      throw new Error('quizId and answers are required');
+    }
+
+    const quizRef = db.collection('quizzes').doc(String(quizId));
+    const quizDoc = await quizRef.get();
+    if (!quizDoc.exists || quizDoc.data().userId !== userId) {
+      throw new Error('Quiz not found');
+    }
+
+    const quiz = quizDoc.data();
+    const results = quiz.questions.map((question, index) => {
+      const answer = answers.find(a => a?.questionIndex === index) || {};
+      const correct = question.type === 'multiple_choice'
+        ? answer.selectedIndex === question.answerIndex
+        : answer.selfMarkedCorrect === true;
+      return { questionIndex: index, correct };
+    });
+
+    const score = results.filter(result => result.correct).length;
+    const total = results.length;
+
+    const scoreRef = db.collection('users').doc(userId).collection('quizScores').doc(quiz.courseId);
+    const batch = db.batch();
+    batch.update(quizRef, {
+      attempts: admin.firestore.FieldValue.increment(1),
+      lastScore: score,
+      bestScore: Math.max(quiz.bestScore ?? 0, score),
+      lastAttemptAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    batch.set(scoreRef, {
+      courseId: quiz.courseId,
+      courseName: quiz.courseName,
+      quizzesTaken: admin.firestore.FieldValue.increment(1),
+      questionsAnswered: admin.firestore.FieldValue.increment(total),
+      correctAnswers: admin.firestore.FieldValue.increment(score),
+      lastScore: score,
+      lastTotal: total,
+      lastTakenAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    await batch.commit();
+
+    const courseScore = (await scoreRef.get()).data();
+
+    logger.info(`📝 Quiz ${quizId} attempt by ${userId}: ${score}/${total}`);
+
+    return {
+      success: true,
+      score,
+      total,
+      results,
+      courseScore: {
+        quizzesTaken: courseScore.quizzesTaken,
+        questionsAnswered: courseScore.questionsAnswered,
+        correctAnswers: courseScore.correctAnswers
+      }
+    };
+  } catch (error) {
+    logger.error('Submit quiz attempt error:', error);
+    throw new Error(error.message);
+  }
+});
+
+// ==================== FLASHCARDS ====================
+
+const FLASHCARD_MAX_CARDS = 40;
+const FLASHCARD_DEFAULT_EASE = 2.5;  // SM-2 starting ease factor
+
+/**
+ * Build the Gemini request for a flashcard deck grounded in the given documents
+ * @param {Object} params
+ * @param {Object} params.course - Course from resolveQueryCourses
+ * @param {string[]} params.documentNames - Documents to make cards from
+ * @param {number} params.cardCount - Number of cards
+ * @returns {Object} Gemini request body
+ */
+function buildFlashcardRequest({ course, documentNames, cardCount }) {
+  return {
+    system_instruction: {
+      parts: [{
+        text: `You write spaced-repetition flashcards for students of the course "${course.courseName}" on Canvas. Every card must be based EXCLUSIVELY on the course documents in the knowledge base - never on outside knowledge.
+
+Good cards test one fact, term, formula or idea each. The front is a short question or cue; the back is the shortest complete answer (at most 2 sentences). Avoid yes/no questions and cards about file names or page numbers. Write in the language of the course documents.
+
+Reply with ONLY a JSON object and no other text or Markdown, in this shape:
+{"cards": [{"front": "...", "back": "...", "sourceDocument": "..."}]}
+
+"sourceDocument" is the exact name of the document the card comes from.`
+      }]
+    },
+    contents: [{
+      role: 'user',
+      parts: [{
+        text: `Write ${cardCount} flashcards covering the key content of these documents:\n${documentNames.map((name, i) => `${i + 1}. ${name}`).join('\n')}`
+      }]
+    }],
+    tools: [{
+      fileSearch: {
+        fileSearchStoreNames: [course.storeName],
+        topK: 10,
+        metadataFilter: buildFileNameFilter(documentNames)
+      }
+    }],
+    generationConfig: {
+      maxOutputTokens: 8192
+    }
+  };
+}
+
+/**
+ * Generate a flashcard deck from one Canvas module or a set of documents and save
+ * it under users/{userId}/flashcardDecks/{deckId}, cards in its cards subcollection
+ * Cards start due now with SM-2 defaults; reviews are scheduled by the client
+ * model must be one of CHAT_MODELS (default: gemini-2.5-flash)
+ * Rate limited: 10 decks per minute per user
+ */
+exports.generateFlashcards = onCall({
+  timeoutSeconds: 180,
+  memory: '512MiB'
+}, async (request) => {
+  const userId = requireAuth(request);
+
+  try {
+    const {
+      courseId,
+      documentIds = [],
+      moduleName = null,
+      cardCount = 20,
+      model: requestedModel
+    } = request.data || {};
+
+    if (!courseId) {
+      throw new Error('courseId is required');
+    }
+    const model = resolveChatModel(requestedModel);
+    if (!moduleName && (!Array.isArray(documentIds) || documentIds.length === 0)) {
+      throw new Error('Choose a module or documents to make flashcards from');
+    }
+    if (Array.isArray(documentIds) && documentIds.length > MAX_SOURCE_DOCUMENTS) {
+      throw new Error(`A deck can cover at most ${MAX_SOURCE_DOCUMENTS} documents`);
+    }
+
+    const count = Math.min(Math.max(parseInt(cardCount, 10) || 20, 5), FLASHCARD_MAX_CARDS);
+
+    await checkRateLimit(userId, 'generateFlashcards');
+
+    const [course] = await resolveQueryCourses(userId, String(courseId));
+
+    const documents = await loadIndexedDocuments(course.courseId);
+    const documentsByName = new Map(documents.map(doc => [doc.fileName, doc]));
+
+    // Modules are resolved from the documents' Canvas module metadata
+    const selectedDocuments = (moduleName
+      ? documents.filter(doc => doc.moduleName === moduleName)
+      : documents.filter(doc => documentIds.includes(doc.id))
+    ).slice(0, MAX_SOURCE_DOCUMENTS);
+
+    if (selectedDocuments.length === 0) {
+      throw new Error(moduleName
+        ? `No indexed documents found in module "${moduleName}"`
+        : 'None of the selected documents have been indexed');
+    }
+    const documentNames = selectedDocuments.map(doc => doc.fileName);
+
+    logger.info('Generating flashcards...', { courseId: course.courseId, userId, count, moduleName, documentCount: documentNames.length });
+
+    const reply = await generateGroundedJson(model, buildFlashcardRequest({ course, documentNames, cardCount: count }));
+
+    const cards = (Array.isArray(reply?.cards) ? reply.cards : [])
+      .map(raw => {
+        const front = trimText(raw?.front, 500);
+        const back = trimText(raw?.back, 1500);
+        const source = documentsByName.get(trimText(raw?.sourceDocument, 300)) || null;
+        return front && back
+          ? { front, back, documentId: source?.id || null, sourceDocument: source?.fileName || null }
+          : null;
+      })
+      .filter(Boolean)
+      .slice(0, count);
+
+    if (cards.length === 0) {
+      throw new Error('No flashcards could be generated from these documents. Please try again.');
+    }
+
+    const title = moduleName ||
+      (documentNames.length === 1 ? documentNames[0] : `${documentNames[0]} + ${documentNames.length - 1} more`);
+
+    const deckRef = db.collection('users').doc(userId).collection('flashcardDecks').doc();
+    const now = admin.firestore.Timestamp.now();
+    const batch = db.batch();
+
+    batch.set(deckRef, {
+      courseId: course.courseId,
+      courseName: course.courseName,
+      title,
+      moduleName: moduleName || null,
+      documentIds: selectedDocuments.map(doc => doc.id),
+      documentNames,
+      cardCount: cards.length,
+      model,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    cards.forEach(card => {
+      batch.set(deckRef.collection('cards').doc(), {
+        ...card,
+        ease: FLASHCARD_DEFAULT_EASE,
+        interval: 0,
+        repetitions: 0,
+        dueAt: now,
+        lastReviewedAt: null
+      });
+    });
+    await batch.commit();
+
+    logger.info(`🃏 Flashcard deck ${deckRef.id} generated for ${userId}: ${cards.length}/${count} cards`);
+
+    return {
+      success: true,
+      deckId: deckRef.id,
+      title,
+      cardCount: cards.length
+    };
+  } catch (error) {
+    logger.error('Generate flashcards error:', error);
+    throw new Error(error.message);
+  }
+});
+
+// ==================== DOCUMENT SUMMARIES ====================
+
+/**
+ * Each indexed document gets one structured summary (overview, key concepts,
+ * definitions, formulas), generated in the background after it is uploaded and
+ * stored on courses/{courseId}/documents/{docId}. Every student of the course reads
+ * the same summary, so it is generated once per version of the document.
+ *
+ * Set DOCUMENT_SUMMARIES=false in functions/.env to turn summaries off.
+ */
+const DOCUMENT_SUMMARIES_ENABLED = process.env.DOCUMENT_SUMMARIES !== 'false';
+const SUMMARY_MAX_ATTEMPTS = 3;
+const SUMMARY_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Queue a background task for one indexed document and mark it pending
+ * Never throws - a missing summary or glossary update must not fail ingestion
+ * @param {string} functionName - Task queue function (summarizeDocument, extractGlossaryTerms)
+ * @param {string} statusField - Document field tracking the task (summaryStatus, glossaryStatus)
+ * @param {string} courseId - Canvas course ID
+ * @param {string} docId - Document ID
+ */
+async function enqueueDocumentTask(functionName, statusField, courseId, docId) {
+  try {
+    const queue = getFunctions().taskQueue(`locations/europe-north1/functions/${functionName}`);
+    await queue.enqueue({ courseId, docId });
+    await db.collection('courses').doc(courseId).collection('documents').doc(docId).update({
+      [statusField]: 'pending'
+    });
+  } catch (error) {
+    logger.warn('Could not queue document task', { functionName, courseId, docId, error: error.message });
+  }
+}
+
+/**
+ * Queue a summary for a newly indexed (or re-indexed) document
+ * @param {string} courseId - Canvas course ID
+ * @param {string} docId - Document ID
+ */
+async function enqueueDocumentSummary(courseId, docId) {
+  if (DOCUMENT_SUMMARIES_ENABLED) {
+    await enqueueDocumentTask('summarizeDocument', 'summaryStatus', courseId, docId);
+  }
+}
+
+/**
+ * Build the Gemini request summarizing one document of a course store
+ * @param {Object} params
+ * @param {string} params.courseName - Course name
+ * @param {string} params.storeName - Course File Search store
+ * @param {string} params.fileName - Document display name
+ * @returns {Object} Gemini request body
+ */
+function buildSummaryRequest({ courseName, storeName, fileName }) {
+  return {
+    system_instruction: {
+      parts: [{
+        text: `You write study summaries of course documents for students of the course "${courseName}" on Canvas. The summary must be based EXCLUSIVELY on the document in the knowledge base - never on outside knowledge. Write in the language of the document.
+
+Reply with ONLY a JSON object and no other text or Markdown, in this shape:
+{"overview": "...", "keyConcepts": [{"name": "...", "explanation": "..."}], "definitions": [{"term": "...", "definition": "..."}], "formulas": [{"name": "...", "latex": "...", "explanation": "..."}]}
+
+Fields:
+- "overview": 2-4 sentences on what the document covers
+- "keyConcepts": the most important ideas, at most 8, each explained in 1-2 sentences
+- "definitions": terms the document defines, at most 12, with the document's definition
+- "formulas": formulas the document states, at most 8, as LaTeX without $ delimiters; an empty list when there are none`
+      }]
+    },
+    contents: [{
+      role: 'user',
+      parts: [{ text: `Summarize the document "${fileName}"` }]
+    }],
+    tools: [{
+      fileSearch: {
+        fileSearchStoreNames: [storeName],
+        topK: 10,
+        metadataFilter: buildFileNameFilter([fileName])
+      }
+    }],
+    generationConfig: {
+      maxOutputTokens: 4096
+    }
+  };
+}
+
+/**
+ * Validate a generated summary
+ * @param {Object} raw - Summary object from the model
+ * @returns {Object|null} Summary to store, or null when it has no overview
+ */
+function normalizeDocumentSummary(raw) {
+  const list = (value, maxItems, toEntry) => (Array.isArray(value) ? value : [])
+    .map(toEntry)
+    .filter(Boolean)
+    .slice(0, maxItems);
+
+  const overview = trimText(raw?.overview, 1500);
+  if (!overview) {
+    return null;
+  }
+
+  return {
+    overview,
+    keyConcepts: list(raw.keyConcepts, 8, item => {
+      const name = trimText(item?.name, 200);
+      return name ? { name, explanation: trimText(item.explanation, 600) } : null;
+    }),
+    definitions: list(raw.definitions, 12, item => {
+      const term = trimText(item?.term, 200);
+      const definition = trimText(item?.definition, 800);
+      return term && definition ? { term, definition } : null;
+    }),
+    formulas: list(raw.formulas, 8, item => {
+      const latex = trimText(item?.latex, 500);
+      return latex ? { name: trimText(item.name, 200), latex, explanation: trimText(item.explanation, 600) } : null;
+    })
+  };
+}
+
+/**
+ * Summary worker: summarize one indexed document and store the result on its record
+ * summaryContentHash records which version was summarized, so duplicate tasks and
+ * re-scans of unchanged documents don't generate it again
+ */
+exports.summarizeDocument = onTaskDispatched(
+  {
+    retryConfig: {
+      maxAttempts: SUMMARY_MAX_ATTEMPTS,
+      minBackoffSeconds: 60
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 2
+    },
+    memory: '512MiB',
+    timeoutSeconds: 180
+  },
+  async (request) => {
+  const { courseId, docId } = request.data;
+  const courseRef = db.collection('courses').doc(courseId);
+  const docRef = courseRef.collection('documents').doc(docId);
+
+  const [courseDoc, documentDoc] = await Promise.all([courseRef.get(), docRef.get()]);
+  const document = documentDoc.data();
+
+  if (!courseDoc.exists || document?.uploadStatus !== 'completed' || !document.fileName) {
+    logger.warn('Skipping summary for missing or unindexed document', { courseId, docId });
+    return;
+  }
+  if (document.summary && document.summaryContentHash === document.contentHash) {
+    return;
+  }
+
+  const { courseName, fileSearchStoreName } = courseDoc.data();
+
+  try {
+    const raw = await generateGroundedJson(SUMMARY_MODEL, buildSummaryRequest({
+      courseName: courseName || courseId,
+      storeName: fileSearchStoreName,
+      fileName: document.fileName
+    }));
+    const summary = normalizeDocumentSummary(raw);
+    if (!summary) {
+      throw new Error('The model did not return a usable summary');
+    }
+
+    await docRef.update({
+      summary,
+      summaryStatus: 'completed',
+      summaryContentHash: document.contentHash || null,
+      summaryModel: SUMMARY_MODEL,
+      summaryGeneratedAt: admin.firestore.FieldValue.serverTimestamp(),
+      summaryError: null
+    });
+
+    logger.info('Summarized document', { courseId, docId, fileName: document.fileName });
+  } catch (error) {
+    if (request.retryCount < SUMMARY_MAX_ATTEMPTS - 1) {
+      logger.warn('Summary attempt failed, will retry', { courseId, docId, attempt: request.retryCount + 1, error: error.message });
+      throw error;
+    }
+
+    // A previous summary (of an older version) is kept rather than showing nothing
+    logger.error('Summary failed', { courseId, docId, error: error.message });
+    await docRef.update({
+      summaryStatus: 'failed',
+      summaryError: error.message
+    });
+  }
+});
+
+// ==================== COURSE GLOSSARY ====================
+
+/**
+ * Course-wide glossary in courses/{courseId}/glossary/{termId}, shared by every student
+ * Terms are extracted one document at a time (extractGlossaryTerms, queued after each
+ * upload) and merged into the course's entries, so new documents only add to it:
+ * - occurrences.{docId} holds the pages where the document uses the term and its definition there
+ * - The entry's definition comes from the first document that defined the term
+ * - Re-indexing or deleting a document removes what it contributed first
+ */
+const GLOSSARY_MAX_TERMS_PER_DOCUMENT = 30;
+const GLOSSARY_MAX_ATTEMPTS = 3;
+const GLOSSARY_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Firestore ID of a glossary term, the same for every spelling variant of its case and spacing
+ * @param {string} term - Term as written
+ * @returns {string} Term ID
+ */
+function toGlossaryTermId(term) {
+  const key = term.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 32);
+}
+
+/**
+ * Queue glossary extraction for a newly indexed (or re-indexed) document
+ * @param {string} courseId - Canvas course ID
+ * @param {string} docId - Document ID
+ */
+async function enqueueGlossaryUpdate(courseId, docId) {
+  await enqueueDocumentTask('extractGlossaryTerms', 'glossaryStatus', courseId, docId);
+}
+
+/**
+ * Build the Gemini request listing the terms one document of a course store defines or uses
+ * @param {Object} params
+ * @param {string} params.courseName - Course name
+ * @param {string} params.storeName - Course File Search store
+ * @param {string} params.fileName - Document display name
+ * @returns {Object} Gemini request body
+ */
+function buildGlossaryRequest({ courseName, storeName, fileName }) {
+  return {
+    system_instruction: {
+      parts: [{
+        text: `You build a glossary for students of the course "${courseName}" on Canvas, many of whom are not native speakers of the course language. Use EXCLUSIVELY the document in the knowledge base - never outside knowledge.
+
+List the subject-specific terms a student must understand to follow the document: technical vocabulary, named methods, theorems, models and abbreviations. Skip everyday words and names of people, files or courses. Write in the language of the document and keep each term exactly as the document spells it.
+
+Reply with ONLY a JSON object and no other text or Markdown, in this shape:
+{"terms": [{"term": "...", "definition": "...", "aliases": ["..."], "pages": [1]}]}
+
+Fields:
+- "definition": 1-2 plain sentences based on how the document defines or uses the term
+- "aliases": abbreviations or other spellings the document uses for the term; an empty list when there are none
+- "pages": page or slide numbers where the term appears, when the document shows them; an empty list otherwise`
+      }]
+    },
+    contents: [{
+      role: 'user',
+      parts: [{ text: `List the glossary terms of the document "${fileName}" (at most ${GLOSSARY_MAX_TERMS_PER_DOCUMENT})` }]
+    }],
+    tools: [{
+      fileSearch: {
+        fileSearchStoreNames: [storeName],
+        topK: 10,
+        metadataFilter: buildFileNameFilter([fileName])
+      }
+    }],
+    generationConfig: {
+      maxOutputTokens: 8192
+    }
+  };
+}
+
+/**
+ * Validate extracted terms, dropping unusable entries and duplicates
+ * @param {Object} raw - Reply from the model
+ * @returns {Array<Object>} Terms ({ id, term, definition, aliases, pages })
+ */
+function normalizeGlossaryTerms(raw) {
+  const seen = new Set();
+
+  return (Array.isArray(raw?.terms) ? raw.terms : [])
+    .map(item => {
+      const term = trimText(item?.term, 120);
+      const definition = trimText(item?.definition, 800);
+      if (!term || !definition) {
+        return null;
+      }
+      const aliases = (Array.isArray(item.aliases) ? item.aliases : [])
+        .map(alias => trimText(alias, 120))
+        .filter(alias => alias && alias.toLowerCase() !== term.toLowerCase())
+        .slice(0, 5);
+      const pages = [...new Set((Array.isArray(item.pages) ? item.pages : [])
+        .filter(page => Number.isInteger(page) && page > 0))]
+        .sort((a, b) => a - b)
+        .slice(0, 20);
+      return { id: toGlossaryTermId(term), term, definition, aliases, pages };
+    })
+    .filter(entry => entry && !seen.has(entry.id) && seen.add(entry.id))
+    .slice(0, GLOSSARY_MAX_TERMS_PER_DOCUMENT);
+}
+
+/**
+ * Remove everything a document contributed to the course glossary
+ * Terms only that document used are deleted; a term it defined takes its definition
+ * from another document that uses it
+ * @param {string} courseId - Canvas course ID
+ * @param {string} docId - Document ID
+ */
+async function removeDocumentFromGlossary(courseId, docId) {
+  const snapshot = await db.collection('courses').doc(courseId).collection('glossary')
+    .where('documentIds', 'array-contains', docId)
+    .get();
+
+  const batch = db.batch();
+  snapshot.docs.forEach(termDoc => {
+    const data = termDoc.data();
+    const remaining = (data.documentIds || []).filter(id => id !== docId);
+
+    if (remaining.length === 0) {
+      batch.delete(termDoc.ref);
+      return;
+    }
+
+    const fields = [
+      new admin.firestore.FieldPath('occurrences', docId), admin.firestore.FieldValue.delete(),
+      'documentIds', admin.firestore.FieldValue.arrayRemove(docId),
+      'updatedAt', admin.firestore.FieldValue.serverTimestamp()
+    ];
+    const replacement = data.occurrences?.[remaining[0]];
+    if (data.definitionSource?.documentId === docId && replacement) {
+      fields.push(
+        'definition', replacement.definition,
+        'definitionSource', { documentId: remaining[0], fileName: replacement.fileName }
+      );
+    }
+    batch.update(termDoc.ref, ...fields);
+  });
+  await batch.commit();
+}
+
+/**
+ * Merge one document's terms into the course glossary
+ * Runs in a transaction so documents processed at the same time can't overwrite
+ * each other's definition of a shared term
+ * @param {string} courseId - Canvas course ID
+ * @param {Object} document - Document ({ id, fileName, fileUrl })
+ * @param {Array<Object>} terms - Terms from normalizeGlossaryTerms
+ */
+async function mergeGlossaryTerms(courseId, document, terms) {
+  const glossaryRef = db.collection('courses').doc(courseId).collection('glossary');
+  const refs = terms.map(entry => glossaryRef.doc(entry.id));
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  await db.runTransaction(async (transaction) => {
+    const snapshots = await transaction.getAll(...refs);
+
+    snapshots.forEach((snapshot, i) => {
+      const { term, definition, aliases, pages } = terms[i];
+      const occurrence = { fileName: document.fileName, fileUrl: document.fileUrl || null, pages, definition };
+      const definitionSource = { documentId: document.id, fileName: document.fileName };
+
+      if (!snapshot.exists) {
+        transaction.set(refs[i], {
+          term,
+          definition,
+          definitionSource,
+          aliases,
+          documentIds: [document.id],
+          occurrences: { [document.id]: occurrence },
+          createdAt: now,
+          updatedAt: now
+        });
+        return;
+      }
+
+      const fields = [
+        new admin.firestore.FieldPath('occurrences', document.id), occurrence,
+        'documentIds', admin.firestore.FieldValue.arrayUnion(document.id),
+        'updatedAt', now
+      ];
+      if (aliases.length > 0) {
+        fields.push('aliases', admin.firestore.FieldValue.arrayUnion(...aliases));
+      }
+      if (!snapshot.data().definition) {
+        fields.push('definition', definition, 'definitionSource', definitionSource);
+      }
+      transaction.update(refs[i], ...fields);
+    });
+  });
+}
+
+/**
+ * Glossary worker: extract the terms of one indexed document and merge them into
+ * the course glossary, replacing what an earlier version of the document contributed
+ * glossaryContentHash records which version was processed, so duplicate tasks are skipped
+ */
+exports.extractGlossaryTerms = onTaskDispatched(
+  {
+    retryConfig: {
+      maxAttempts: GLOSSARY_MAX_ATTEMPTS,
+      minBackoffSeconds: 60
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 2
+    },
+    memory: '512MiB',
+    timeoutSeconds: 180
+  },
+  async (request) => {
+  const { courseId, docId } = request.data;
+  const courseRef = db.collection('courses').doc(courseId);
+  const docRef = courseRef.collection('documents').doc(docId);
+
+  const [courseDoc, documentDoc] = await Promise.all([courseRef.get(), docRef.get()]);
+  const document = documentDoc.data();
+
+  if (!courseDoc.exists || document?.uploadStatus !== 'completed' || !document.fileName) {
+    logger.warn('Skipping glossary update for missing or unindexed document', { courseId, docId });
+    return;
+  }
+  if (document.glossaryStatus === 'completed' && document.glossaryContentHash === document.contentHash) {
+    return;
+  }
+
+  const { courseName, fileSearchStoreName } = courseDoc.data();
+
+  try {
+    const raw = await generateGroundedJson(GLOSSARY_MODEL, buildGlossaryRequest({
+      courseName: courseName || courseId,
+      storeName: fileSearchStoreName,
+      fileName: document.fileName
+    }));
+    if (!raw) {
+      throw new Error('The model did not return a usable term list');
     }
+    const terms = normalizeGlossaryTerms(raw);
 
-    // Ensure proper UTF-8 encoding by normalizing the text
-    // This handles any potential encoding issues with special characters
-    const normalizedText = Buffer.from(fullText, 'utf8').toString('utf8');
-    
-    return {
-      success: true,
-      answer: normalizedText,
-      groundingMetadata: groundingMetadata,
-      sessionId: sessionId,
-      model: model
-    };
+    await removeDocumentFromGlossary(courseId, docId);
+    if (terms.length > 0) {
+      await mergeGlossaryTerms(courseId, { id: docId, fileName: document.fileName, fileUrl: document.fileUrl }, terms);
+    }
+
+    await docRef.update({
+      glossaryStatus: 'completed',
+      glossaryContentHash: document.contentHash || null,
+      glossaryTermCount: terms.length,
+      glossaryError: null
+    });
+    await courseRef.update({
+      glossaryUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
 
+    logger.info('Updated course glossary', { courseId, docId, fileName: document.fileName, terms: terms.length });
   } catch (error) {
-    logger.error('Streaming query error:', error);
-    throw new Error(error.message);
+    if (request.retryCount < GLOSSARY_MAX_ATTEMPTS - 1) {
+      logger.warn('Glossary attempt failed, will retry', { courseId, docId, attempt: request.retryCount + 1, error: error.message });
+      throw error;
+    }
+
+    logger.error('Glossary update failed', { courseId, docId, error: error.message });
+    await docRef.update({
+      glossaryStatus: 'failed',
+      glossaryError: error.message
+    });
   }
 });
 
-// ==================== PDF DOWNLOAD PROXY ====================
+// ==================== STUDY PLANS ====================
 
 /**
- * Proxy function to download PDFs from Canvas
- * Bypasses CORS by making server-side request with user's session cookies
- * 
- * This is the industry-standard solution for cross-origin authenticated downloads:
- * - Extension passes Canvas session cookies to backend
- * - Backend makes authenticated request to Canvas
- * - Backend streams PDF back as base64
- * - Extension uploads to Google File Search
+ * Exam-prep planner: studyPlans/{userId}_{courseId} holds one day-by-day plan per
+ * student and course
+ * 1. Assessment dates are extracted from the syllabus and assignments (File Search),
+ *    with assignment due dates from Canvas taking precedence
+ * 2. A plan from today to the last assessment is written against the course's
+ *    modules and documents
+ * Plans are regenerated (refreshStudyPlan) when a re-scan indexes new material.
+ * Students tick off tasks; everything else is written here.
  */
-exports.downloadCanvasPdf = onCall(async (request) => {
+const STUDY_PLAN_MAX_DAYS = 42;
+const STUDY_PLAN_MAX_ATTEMPTS = 3;
+const STUDY_PLAN_MINUTES = { min: 15, max: 480, default: 60 };
+const ASSESSMENT_TYPES = ['exam', 'quiz', 'assignment', 'project', 'presentation', 'other'];
+
+// Documents likely to list exam dates, besides the syllabus and assignments
+const SCHEDULE_DOCUMENT_PATTERN = /syllab|schedule|outline|course[ -]?(pm|plan|memo)|kurs[ -]?pm|exam|tenta/i;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in a time zone
+ */
+function toZonedDate(value, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(value));
+}
+
+/**
+ * Wall-clock time (HH:MM) of an instant in a time zone
+ */
+function toZonedTime(value, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .format(new Date(value));
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+}
+
+function isValidTimeZone(timeZone) {
   try {
-    const { url, cookies } = request.data;
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
-    if (!url) {
-      throw new Error('url is required');
+/**
+ * Build the Gemini request that lists a course's upcoming assessments
+ * @param {Object} params
+ * @param {Object} params.course - Course from resolveQueryCourses
+ * @param {string[]} params.documentNames - Syllabus/schedule/assignment documents; empty to search everything
+ * @param {Array<Object>} params.knownAssignments - Assignments with Canvas due dates ({ title, date })
+ * @param {string} params.today - YYYY-MM-DD
+ * @returns {Object} Gemini request body
+ */
+function buildAssessmentRequest({ course, documentNames, knownAssignments, today }) {
+  const known = knownAssignments.length > 0
+    ? `\n\nCanvas already lists these assignment due dates, which are correct:\n${knownAssignments.map(a => `- ${a.title}: ${a.date}`).join('\n')}`
+    : '';
+
+  return {
+    system_instruction: {
+      parts: [{
+        text: `You find the graded assessments of the course "${course.courseName}" on Canvas: exams, re-exams, quizzes, assignments, projects and presentations. Use EXCLUSIVELY the course documents in the knowledge base, mainly the syllabus, course schedule and assignment descriptions - never guess dates.
+
+Reply with ONLY a JSON object and no other text or Markdown, in this shape:
+{"assessments": [{"title": "...", "type": "exam", "date": "YYYY-MM-DD", "time": "HH:MM", "topics": ["..."], "weight": "..."}]}
+
+Fields:
+- "type": one of ${ASSESSMENT_TYPES.join(', ')}
+- "date": the date it takes place or is due; when the documents give several dates (e.g. a rescheduled exam), use the latest one
+- "time": start time or deadline in 24-hour format, or "" when not stated
+- "topics": the lectures, chapters or modules it covers, as named in the documents; an empty list when not stated
+- "weight": its share of the grade as stated (e.g. "40%"), or ""
+
+Only list assessments on or after ${today}.`
+      }]
+    },
+    contents: [{
+      role: 'user',
+      parts: [{ text: `List the upcoming assessments of this course.${known}` }]
+    }],
+    tools: [{
+      fileSearch: {
+        fileSearchStoreNames: [course.storeName],
+        topK: 10,
+        ...(documentNames.length > 0 ? { metadataFilter: buildFileNameFilter(documentNames) } : {})
+      }
+    }],
+    generationConfig: {
+      maxOutputTokens: 4096
     }
+  };
+}
 
-    if (!cookies || typeof cookies !== 'object') {
-      throw new Error('cookies object is required');
+/**
+ * Upcoming assessments of a course: Canvas assignment due dates, plus exams and
+ * other assessments the syllabus and assignment documents mention
+ * @param {Object} course - Course from resolveQueryCourses
+ * @param {Array<Object>} documents - Indexed documents from loadIndexedDocuments
+ * @param {string} today - YYYY-MM-DD in the student's time zone
+ * @param {string} timeZone - IANA time zone
+ * @param {string} model - Gemini model
+ * @returns {Promise<Array<Object>>} Assessments ({ title, type, date, time, topics, weight, documentId }) by date
+ */
+async function findUpcomingAssessments(course, documents, today, timeZone, model) {
+  const assignments = documents
+    .filter(doc => doc.sourceType === 'assignment' && !Number.isNaN(Date.parse(doc.dueAt)) &&
+      toZonedDate(doc.dueAt, timeZone) >= today)
+    .map(doc => ({
+      title: doc.fileName,
+      type: 'assignment',
+      date: toZonedDate(doc.dueAt, timeZone),
+      time: toZonedTime(doc.dueAt, timeZone),
+      topics: [],
+      weight: '',
+      documentId: doc.id
+    }));
+
+  const scheduleDocuments = documents
+    .filter(doc => ['syllabus', 'assignment'].includes(doc.sourceType) || SCHEDULE_DOCUMENT_PATTERN.test(doc.fileName))
+    .slice(0, MAX_SOURCE_DOCUMENTS);
+
+  const reply = await generateGroundedJson(model, buildAssessmentRequest({
+    course,
+    documentNames: scheduleDocuments.map(doc => doc.fileName),
+    knownAssignments: assignments,
+    today
+  }));
+
+  // Canvas due dates win over dates the model read for the same assignment
+  const knownTitles = new Set(assignments.map(a => a.title.toLowerCase()));
+  const extracted = (Array.isArray(reply?.assessments) ? reply.assessments : [])
+    .map(raw => {
+      const title = trimText(raw?.title, 200);
+      const date = trimText(raw?.date, 10);
+      if (!title || !ISO_DATE_PATTERN.test(date) || date < today || knownTitles.has(title.toLowerCase())) {
+        return null;
+      }
+      const time = trimText(raw.time, 5);
+      return {
+        title,
+        type: ASSESSMENT_TYPES.includes(raw.type) ? raw.type : 'other',
+        date,
+        time: TIME_PATTERN.test(time) ? time : '',
+        topics: (Array.isArray(raw.topics) ? raw.topics : []).map(topic => trimText(topic, 200)).filter(Boolean).slice(0, 10),
+        weight: trimText(raw.weight, 40),
+        documentId: null
+      };
+    })
+    .filter(Boolean);
+
+  const seen = new Set();
+  return [...assignments, ...extracted]
+    .filter(a => {
+      const key = `${a.title.toLowerCase()}|${a.date}`;
+      return !seen.has(key) && seen.add(key);
+    })
+    .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+/**
+ * Build the Gemini request for a day-by-day study plan
+ * @param {Object} params
+ * @param {Object} params.course - Course from resolveQueryCourses
+ * @param {Array<Object>} params.assessments - From findUpcomingAssessments
+ * @param {Array<Object>} params.documents - Indexed documents
+ * @param {string} params.startDate - First plan day (YYYY-MM-DD)
+ * @param {string} params.endDate - Last plan day
+ * @param {number} params.minutesPerDay - Study time available per day
+ * @returns {Object} Gemini request body
+ */
+function buildStudyPlanRequest({ course, assessments, documents, startDate, endDate, minutesPerDay }) {
+  // Documents in course order, grouped by module like the course drawer
+  const byModule = new Map();
+  [...documents]
+    .sort((a, b) => (a.modulePosition ?? Infinity) - (b.modulePosition ?? Infinity) ||
+      (a.itemPosition ?? Infinity) - (b.itemPosition ?? Infinity))
+    .forEach(doc => {
+      const moduleName = doc.moduleName || 'Other documents';
+      if (!byModule.has(moduleName)) byModule.set(moduleName, []);
+      byModule.get(moduleName).push(doc.fileName);
+    });
+  const materials = [...byModule.entries()]
+    .map(([moduleName, names]) => `${moduleName}:\n${names.map(name => `  - ${name}`).join('\n')}`)
+    .join('\n');
+
+  const assessmentList = assessments
+    .map(a => `- ${a.date}${a.time ? ` ${a.time}` : ''}: ${a.title} (${a.type}${a.weight ? `, ${a.weight}` : ''})${a.topics.length > 0 ? ` - covers ${a.topics.join('; ')}` : ''}`)
+    .join('\n');
+
+  return {
+    system_instruction: {
+      parts: [{
+        text: `You plan exam preparation for a student of the course "${course.courseName}" on Canvas. Use the course documents in the knowledge base to decide which documents each assessment covers.
+
+Plan every day from ${startDate} to ${endDate} with at most ${minutesPerDay} minutes of study per day. Spread reading over the available days, finish assignments before their due date, and leave the last days before each exam for review and practice of the material it covers. A day may be left free (no tasks) when there is little to do.
+
+Reply with ONLY a JSON object and no other text or Markdown, in this shape:
+{"days": [{"date": "YYYY-MM-DD", "tasks": [{"title": "...", "description": "...", "documents": ["..."], "minutes": 30, "assessment": "..."}]}]}
+
+Fields:
+- "title": a short, concrete task (e.g. "Read lecture 4: eigenvalues")
+- "description": 1-2 sentences on what to focus on
+- "documents": exact names of the course documents the task uses, from the list the student gives
+- "minutes": estimated time
+- "assessment": title of the assessment the task prepares for, or ""
+Write in the language of the course documents.`
+      }]
+    },
+    contents: [{
+      role: 'user',
+      parts: [{
+        text: `Upcoming assessments:\n${assessmentList}\n\nCourse documents by module:\n${materials}`
+      }]
+    }],
+    tools: [{
+      fileSearch: {
+        fileSearchStoreNames: [course.storeName],
+        topK: 10
+      }
+    }],
+    generationConfig: {
+      maxOutputTokens: 16384
     }
+  };
+}
+
+/**
+ * Validate the generated days: dates inside the plan, known documents, sane durations
+ * Tasks of a day that was already ticked off keep their done flag
+ * @param {Object} reply - Reply from the model
+ * @param {Object} params
+ * @param {string} params.startDate - First plan day
+ * @param {string} params.endDate - Last plan day
+ * @param {Map<string, Object>} params.documentsByName - Indexed documents by fileName
+ * @param {Set<string>} params.doneTasks - "date|title" keys of tasks done in the previous plan
+ * @returns {Array<Object>} Days ({ date, tasks: [{ title, description, documentIds, documentNames, minutes, assessment, done }] })
+ */
+function normalizeStudyPlanDays(reply, { startDate, endDate, documentsByName, doneTasks }) {
+  const days = new Map();
 
-    // Validate Canvas URL
-    if (!url.includes('canvas.education.lu.se')) {
-      throw new Error('Invalid Canvas URL');
+  (Array.isArray(reply?.days) ? reply.days : []).forEach(rawDay => {
+    const date = trimText(rawDay?.date, 10);
+    if (!ISO_DATE_PATTERN.test(date) || date < startDate || date > endDate) {
+      return;
     }
 
-    logger.info('Downloading PDF via proxy', { 
-      url: url.substring(0, 100), // Log partial URL for debugging
-      hasCookies: Object.keys(cookies).length > 0 
-    });
+    const tasks = (Array.isArray(rawDay.tasks) ? rawDay.tasks : [])
+      .map(raw => {
+        const title = trimText(raw?.title, 200);
+        if (!title) {
+          return null;
+        }
+        const sources = (Array.isArray(raw.documents) ? raw.documents : [])
+          .map(name => documentsByName.get(trimText(name, 300)))
+          .filter(Boolean);
+        return {
+          title,
+          description: trimText(raw.description, 600),
+          documentIds: sources.map(doc => doc.id),
+          documentNames: sources.map(doc => doc.fileName),
+          minutes: Math.min(Math.max(parseInt(raw.minutes, 10) || 30, 5), STUDY_PLAN_MINUTES.max),
+          assessment: trimText(raw.assessment, 200),
+          done: doneTasks.has(`${date}|${title}`)
+        };
+      })
+      .filter(Boolean)
+      .slice(0, 8);
 
-    // Convert cookies object to Cookie header string
-    const cookieHeader = Object.entries(cookies)
-      .map(([name, value]) => `${name}=${value}`)
-      .join('; ');
-
-    // Make authenticated request to Canvas
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Cookie': cookieHeader,
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-        'Accept': 'application/pdf,*/*',
-        'Referer': 'https://canvas.education.lu.se/',
-        'Accept-Language': 'en-US,en;q=0.9'
-      },
-      redirect: 'follow' // Follow redirects automatically
-    });
+    days.set(date, [...(days.get(date) || []), ...tasks]);
+  });
 
-    if (!response.ok) {
-      throw new Error(`Canvas returned ${response.status}: ${response.statusText}`);
+  return [...days.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([date, tasks]) => ({ date, tasks }));
+}
+
+/**
+ * Generate (or regenerate) a student's study plan for a course and save it
+ * Days before today are kept from the previous plan as a record of what was done
+ * @param {Object} params
+ * @param {string} params.userId - Firebase Auth uid
+ * @param {string} params.courseId - Canvas course ID
+ * @param {string} params.timeZone - IANA time zone of the student
+ * @param {number} params.minutesPerDay - Study time per day
+ * @param {string} params.model - Gemini model
+ * @returns {Promise<Object>} Saved plan
+ */
+async function buildStudyPlan({ userId, courseId, timeZone, minutesPerDay, model }) {
+  const [course] = await resolveQueryCourses(userId, courseId);
+  const planRef = db.collection('studyPlans').doc(`${userId}_${course.courseId}`);
+  const previous = (await planRef.get()).data();
+
+  const today = toZonedDate(Date.now(), timeZone);
+  const documents = await loadIndexedDocuments(course.courseId);
+  if (documents.length === 0) {
+    throw new Error('This course has no indexed documents yet');
+  }
+
+  const assessments = await findUpcomingAssessments(course, documents, today, timeZone, model);
+  if (assessments.length === 0) {
+    throw new Error('No upcoming exams or assignments were found in the syllabus or assignments');
+  }
+
+  const lastAssessment = assessments[assessments.length - 1].date;
+  const endDate = [lastAssessment, addDays(today, STUDY_PLAN_MAX_DAYS - 1)].sort()[0];
+
+  const doneTasks = new Set();
+  (previous?.days || []).forEach(day => day.tasks.forEach(task => {
+    if (task.done) doneTasks.add(`${day.date}|${task.title}`);
+  }));
+
+  const reply = await generateGroundedJson(model, buildStudyPlanRequest({
+    course,
+    assessments: assessments.filter(a => a.date <= endDate),
+    documents,
+    startDate: today,
+    endDate,
+    minutesPerDay
+  }));
+  const days = normalizeStudyPlanDays(reply, {
+    startDate: today,
+    endDate,
+    documentsByName: new Map(documents.map(doc => [doc.fileName, doc])),
+    doneTasks
+  });
+  if (days.length === 0) {
+    throw new Error('No study plan could be generated. Please try again.');
+  }
+
+  const plan = {
+    userId,
+    courseId: course.courseId,
+    courseName: course.courseName,
+    timeZone,
+    minutesPerDay,
+    startDate: today,
+    endDate,
+    assessments,
+    days: [...(previous?.days || []).filter(day => day.date < today), ...days],
+    documentCount: documents.length,
+    model,
+    refreshError: null
+  };
+  await planRef.set({
+    ...plan,
+    createdAt: previous?.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+    generatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { id: planRef.id, ...plan };
+}
+
+/**
+ * Queue a refresh of every study plan for a course, after a re-scan indexed new material
+ * Never throws - ingestion is already done
+ * @param {string} courseId - Canvas course ID
+ */
+async function queueStudyPlanRefresh(courseId) {
+  try {
+    const plansSnapshot = await db.collection('studyPlans').where('courseId', '==', courseId).get();
+    if (plansSnapshot.empty) {
+      return;
     }
+    const queue = getFunctions().taskQueue('locations/europe-north1/functions/refreshStudyPlan');
+    await Promise.all(plansSnapshot.docs.map(planDoc => queue.enqueue({ planId: planDoc.id })));
+    logger.info('Queued study plan refresh', { courseId, plans: plansSnapshot.size });
+  } catch (error) {
+    logger.warn('Could not queue study plan refresh', { courseId, error: error.message });
+  }
+}
+
+/**
+ * Generate a day-by-day exam-prep plan for a course from its syllabus, assignments
+ * and documents, saved to studyPlans/{userId}_{courseId} (replacing the previous plan)
+ * model must be one of CHAT_MODELS (default: gemini-2.5-flash)
+ * Rate limited: 5 plans per minute per user
+ */
+exports.generateStudyPlan = onCall({
+  timeoutSeconds: 300,
+  memory: '512MiB'
+}, async (request) => {
+  const userId = requireAuth(request);
+
+  try {
+    const {
+      courseId,
+      timeZone = 'UTC',
+      minutesPerDay = STUDY_PLAN_MINUTES.default,
+      model: requestedModel
+    } = request.data || {};
 
-    // Check content type
-    const contentType = response.headers.get('content-type') || '';
-    if (!contentType.includes('pdf') && !contentType.includes('octet-stream')) {
-      logger.warn('Unexpected content type', { contentType, url });
+    if (!courseId) {
+      throw new Error('courseId is required');
+    }
+    const model = resolveChatModel(requestedModel);
+    if (!isValidTimeZone(timeZone)) {
+      throw new Error('Unknown time zone');
     }
 
-    // Get PDF as buffer
-    const buffer = await response.buffer();
-    
-    // Convert to base64
-    const base64Data = buffer.toString('base64');
+    await checkRateLimit(userId, 'generateStudyPlan');
 
-    logger.info('PDF downloaded successfully', { 
-      size: buffer.length,
-      contentType 
-    });
+    const minutes = Math.min(
+      Math.max(parseInt(minutesPerDay, 10) || STUDY_PLAN_MINUTES.default, STUDY_PLAN_MINUTES.min),
+      STUDY_PLAN_MINUTES.max
+    );
 
-    return {
-      success: true,
-      base64Data: base64Data,
-      mimeType: contentType.includes('pdf') ? 'application/pdf' : contentType,
-      size: buffer.length
-    };
+    logger.info('Generating study plan...', { courseId, userId, minutes, timeZone });
+
+    const plan = await buildStudyPlan({ userId, courseId: String(courseId), timeZone, minutesPerDay: minutes, model });
 
+    logger.info(`🗓️ Study plan ${plan.id} generated: ${plan.days.length} days, ${plan.assessments.length} assessments`);
+
+    return { success: true, plan };
   } catch (error) {
-    logger.error('PDF download error:', error);
-    throw new Error(`Failed to download PDF: ${error.message}`);
+    logger.error('Generate study plan error:', error);
+    throw new Error(error.message);
+  }
+});
+
+/**
+ * Study plan worker: regenerate one plan with its saved settings after new course
+ * material was indexed. A failed refresh keeps the old plan and records the error.
+ */
+exports.refreshStudyPlan = onTaskDispatched(
+  {
+    retryConfig: {
+      maxAttempts: STUDY_PLAN_MAX_ATTEMPTS,
+      minBackoffSeconds: 120
+    },
+    rateLimits: {
+      maxConcurrentDispatches: 2
+    },
+    memory: '512MiB',
+    timeoutSeconds: 300
+  },
+  async (request) => {
+  const { planId } = request.data;
+  const planRef = db.collection('studyPlans').doc(planId);
+  const plan = (await planRef.get()).data();
+
+  if (!plan) {
+    return;
+  }
+
+  try {
+    await buildStudyPlan({
+      userId: plan.userId,
+      courseId: plan.courseId,
+      timeZone: plan.timeZone,
+      minutesPerDay: plan.minutesPerDay,
+      model: resolveChatModel(plan.model)
+    });
+    logger.info('Refreshed study plan', { planId, courseId: plan.courseId });
+  } catch (error) {
+    if (request.retryCount < STUDY_PLAN_MAX_ATTEMPTS - 1) {
+      logger.warn('Study plan refresh failed, will retry', { planId, attempt: request.retryCount + 1, error: error.message });
+      throw error;
+    }
+
+    logger.error('Study plan refresh failed', { planId, error: error.message });
+    await planRef.update({ refreshError: error.message });
   }
 });
 
@@ -1269,6 +4329,7 @@ exports.onCourseDeleted = onDocumentDeleted('courses/{courseId}', async (event)
     let deletedSessions = 0;
     let deletedMessages = 0;
     let deletedDocuments = 0;
+    let deletedQuizzes = 0;
     
     // 1. Delete all chat sessions for this course
     const sessionsSnapshot = await db.collection('chatSessions')
@@ -1292,16 +4353,36 @@ exports.onCourseDeleted = onDocumentDeleted('courses/{courseId}', async (event)
       deletedSessions++;
     }
     
-    // 2. Note: Course documents are subcollections and need manual cleanup
+    // 2. Delete quizzes generated from this course (course score totals are kept)
+    const quizzesSnapshot = await db.collection('quizzes')
+      .where('courseId', '==', courseId)
+      .get();
+
+    for (const quizDoc of quizzesSnapshot.docs) {
+      await quizDoc.ref.delete();
+      deletedQuizzes++;
+    }
+    
+    // 3. Delete study plans for this course
+    const plansSnapshot = await db.collection('studyPlans')
+      .where('courseId', '==', courseId)
+      .get();
+
+    for (const planDoc of plansSnapshot.docs) {
+      await planDoc.ref.delete();
+    }
+    
+    // 4. Note: Course documents are subcollections and need manual cleanup
     // They will be handled by the deleteCourseWithCascade function in firestore-helpers
     
-    logger.info(`✅ Cascade delete complete for course ${courseId}: ${deletedSessions} sessions, ${deletedMessages} messages`);
+    logger.info(`✅ Cascade delete complete for course ${courseId}: ${deletedSessions} sessions, ${deletedMessages} messages, ${deletedQuizzes} quizzes`);
     
     return {
       success: true,
       courseId,
       deletedSessions,
-      deletedMessages
+      deletedMessages,
+      deletedQuizzes
     };
   } catch (error) {
     logger.error(`❌ Error in cascade delete for course ${courseId}:`, error);
@@ -1316,11 +4397,7 @@ exports.onCourseDeleted = onDocumentDeleted('courses/{courseId}', async (event)
  * Returns allowed status, remaining count, and reset time
  */
 exports.checkUsageLimit = onCall(async (request) => {
-  const { userId } = request.data;
-  
-  if (!userId) {
-    throw new https.HttpsError('invalid-argument', 'userId is required');
-  }
+  const userId = requireAuth(request);
 
   const now = admin.firestore.Timestamp.now();
   
@@ -1421,11 +4498,8 @@ exports.checkUsageLimit = onCall(async (request) => {
  * Called after successfully sending a message
  */
 exports.recordMessageUsage = onCall(async (request) => {
-  const { userId, courseChatId, messageId } = request.data;
-  
-  if (!userId) {
-    throw new https.HttpsError('invalid-argument', 'userId is required');
-  }
+  const userId = requireAuth(request);
+  const { courseChatId, messageId } = request.data;
 
   const now = admin.firestore.Timestamp.now();
   
@@ -1503,7 +4577,7 @@ exports.recordMessageUsage = onCall(async (request) => {
     return { success: true, recorded: true };
   } catch (error) {
     logger.error('Error recording message usage:', error);
-    throw new https.HttpsError('internal', 'Failed to record usage');
+    throw new HttpsError('internal', 'Failed to record usage');
   }
 });
 
@@ -1512,11 +4586,7 @@ exports.recordMessageUsage = onCall(async (request) => {
  * Shows current usage, message history, and reset times
  */
 exports.getUsageDetails = onCall(async (request) => {
-  const userId = request.auth?.uid;
-  
-  if (!userId) {
-    throw new https.HttpsError('unauthenticated', 'User must be authenticated');
-  }
+  const userId = requireAuth(request);
 
   const now = admin.firestore.Timestamp.now();
   
@@ -1558,19 +4628,19 @@ exports.getUsageDetails = onCall(async (request) => {
     };
   } catch (error) {
     logger.error('Error getting usage details:', error);
-    throw new https.HttpsError('internal', 'Failed to get usage details');
+    throw new HttpsError('internal', 'Failed to get usage details');
   }
 });
 
 /**
  * Initialize usage limit configuration (run once)
- * Creates the default config document if it doesn't exist
+ * Creates the default config document if it doesn't exist (admin only)
  */
 exports.initializeUsageLimitConfig = onCall(async (request) => {
-  const { userId } = request.data;
+  const userId = requireAuth(request);
   
-  if (!userId) {
-    throw new https.HttpsError('invalid-argument', 'userId is required');
+  if (!(await isAdminUser(userId))) {
+    throw new HttpsError('permission-denied', 'Only admins can initialize usage limit configuration');
   }
   
   try {
@@ -1606,6 +4676,132 @@ exports.initializeUsageLimitConfig = onCall(async (request) => {
     };
   } catch (error) {
     logger.error('Error initializing config:', error);
-    throw new https.HttpsError('internal', 'Failed to initialize config: ' + error.message);
+    throw new HttpsError('internal', 'Failed to initialize config: ' + error.message);
+  }
+});
+
+// ==================== ACCOUNT MIGRATION ====================
+
+/**
+ * Copy every document in a collection reference into another collection reference
+ * @param {FirebaseFirestore.CollectionReference} from - Source collection
+ * @param {FirebaseFirestore.CollectionReference} to - Destination collection
+ * @returns {Promise<number>} Number of documents copied
+ */
+async function copyCollection(from, to) {
+  const snapshot = await from.get();
+  let batch = db.batch();
+  let pending = 0;
+
+  for (const doc of snapshot.docs) {
+    batch.set(to.doc(doc.id), doc.data(), { merge: true });
+    pending++;
+
+    // Firestore batches are capped at 500 writes
+    if (pending === 450) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0) {
+    await batch.commit();
+  }
+
+  return snapshot.size;
+}
+
+/**
+ * Move a user's data from their legacy Chrome Identity ID to their Firebase Auth uid
+ * Before Firebase Auth, users were keyed by the Chrome profile ID, which is the
+ * Google account ID. Google sign-in exposes the same ID as the google.com identity
+ * on the verified token, so ownership of the legacy data is proven server-side
+ * Safe to call repeatedly - already migrated accounts are skipped
+ */
+exports.migrateLegacyUser = onCall(async (request) => {
+  const uid = requireAuth(request);
+  const legacyId = request.auth.token.firebase?.identities?.['google.com']?.[0];
+
+  try {
+    if (!legacyId || legacyId === uid) {
+      return { success: true, migrated: false, reason: 'no-legacy-account' };
+    }
+
+    const legacyUserRef = db.collection('users').doc(legacyId);
+    const userRef = db.collection('users').doc(uid);
+    const legacyUserDoc = await legacyUserRef.get();
+
+    if (!legacyUserDoc.exists || legacyUserDoc.data().migratedTo) {
+      return { success: true, migrated: false, reason: legacyUserDoc.exists ? 'already-migrated' : 'no-legacy-account' };
+    }
+
+    logger.info('Migrating legacy user', { legacyId, uid });
+
+    // Profile (including tier, which users cannot set themselves)
+    await userRef.set({
+      ...legacyUserDoc.data(),
+      migratedFrom: legacyId,
+      migratedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    // Enrollments
+    const enrollmentsCopied = await copyCollection(
+      legacyUserRef.collection('enrollments'),
+      userRef.collection('enrollments')
+    );
+
+    // Chat sessions live at the root and reference the owner by userId
+    const sessionsSnapshot = await db.collection('chatSessions')
+      .where('userId', '==', legacyId)
+      .get();
+    for (let i = 0; i < sessionsSnapshot.docs.length; i += 450) {
+      const batch = db.batch();
+      sessionsSnapshot.docs.slice(i, i + 450).forEach(doc => batch.update(doc.ref, { userId: uid }));
+      await batch.commit();
+    }
+
+    // Usage history, so migrating doesn't reset the rolling message window
+    const usageDoc = await db.collection('userUsageLimits').doc(legacyId).get();
+    if (usageDoc.exists) {
+      await db.collection('userUsageLimits').doc(uid).set(usageDoc.data(), { merge: true });
+    }
+
+    // Course ownership (store creator may delete the store)
+    const ownedCoursesSnapshot = await db.collection('courses')
+      .where('createdBy', '==', legacyId)
+      .get();
+    for (const courseDoc of ownedCoursesSnapshot.docs) {
+      const updates = { createdBy: uid };
+      if (courseDoc.data().storeCreatedBy === legacyId) {
+        updates.storeCreatedBy = uid;
+      }
+      await courseDoc.ref.update(updates);
+    }
+
+    // Keep the legacy doc as a tombstone so the migration runs only once
+    await legacyUserRef.set({
+      migratedTo: uid,
+      migratedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    logger.info('Legacy user migrated', {
+      legacyId,
+      uid,
+      enrollments: enrollmentsCopied,
+      chatSessions: sessionsSnapshot.size,
+      courses: ownedCoursesSnapshot.size
+    });
+
+    return {
+      success: true,
+      migrated: true,
+      enrollments: enrollmentsCopied,
+      chatSessions: sessionsSnapshot.size,
+      courses: ownedCoursesSnapshot.size
+    };
+  } catch (error) {
+    logger.error('Error migrating legacy user:', error);
+    throw new HttpsError('internal', 'Failed to migrate account: ' + error.message);
   }
 });
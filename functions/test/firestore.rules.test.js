@@ -0,0 +1,316 @@
+/**
+ * Firestore security rules tests
+ * Runs against the Firestore emulator: npm run test:rules (from functions/)
+ */
+
+const {describe, it, before, after, beforeEach} = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} = require('@firebase/rules-unit-testing');
+const {
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  addDoc,
+  collection,
+  query,
+  where
+} = require('firebase/firestore');
+
+const PROJECT_ID = 'demo-canvas-lm';
+const COURSE_ID = '12345';
+
+let testEnv;
+
+/**
+ * Seed data with rules disabled (as Cloud Functions would write it)
+ */
+async function seed() {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+
+    await setDoc(doc(db, 'users/alice'), { email: 'alice@example.com', isAdmin: false });
+    await setDoc(doc(db, 'users/bob'), { email: 'bob@example.com', isAdmin: false });
+    await setDoc(doc(db, 'users/admin'), { email: 'admin@example.com', tier: 'admin' });
+    await setDoc(doc(db, `users/alice/enrollments/${COURSE_ID}`), { courseId: COURSE_ID });
+
+    await setDoc(doc(db, `courses/${COURSE_ID}`), {
+      courseName: 'Linear Algebra',
+      createdBy: 'alice',
+      fileSearchStoreName: 'fileSearchStores/abc'
+    });
+    await setDoc(doc(db, `courses/${COURSE_ID}/documents/doc1`), {
+      fileName: 'Lecture 1.pdf',
+      uploadStatus: 'completed'
+    });
+    await setDoc(doc(db, `courses/${COURSE_ID}/glossary/term1`), {
+      term: 'Eigenvalue',
+      definition: 'A scalar by which an eigenvector is scaled',
+      documentIds: ['doc1']
+    });
+    await setDoc(doc(db, `courses/${COURSE_ID}/ingestionJobs/job1`), {
+      status: 'running',
+      createdBy: 'alice',
+      total: 3,
+      processed: 1
+    });
+
+    await setDoc(doc(db, 'chatSessions/aliceSession'), {
+      userId: 'alice',
+      courseId: COURSE_ID,
+      title: 'Eigenvalues'
+    });
+    await setDoc(doc(db, 'chatSessions/aliceSession/messages/m1'), {
+      role: 'user',
+      content: 'What is an eigenvalue?'
+    });
+
+    await setDoc(doc(db, 'quizzes/aliceQuiz'), {
+      userId: 'alice',
+      courseId: COURSE_ID,
+      questions: [{ type: 'short_answer', question: 'Define an eigenvalue', answer: 'A scalar λ with Av = λv' }]
+    });
+    await setDoc(doc(db, `users/alice/quizScores/${COURSE_ID}`), { quizzesTaken: 1, correctAnswers: 1 });
+
+    await setDoc(doc(db, `studyPlans/alice_${COURSE_ID}`), {
+      userId: 'alice',
+      courseId: COURSE_ID,
+      assessments: [{ title: 'Final exam', type: 'exam', date: '2026-12-15' }],
+      days: [{ date: '2026-12-01', tasks: [{ title: 'Read lecture 1', done: false }] }]
+    });
+
+    await setDoc(doc(db, 'users/alice/flashcardDecks/deck1'), { courseId: COURSE_ID, title: 'Week 1', cardCount: 1 });
+    await setDoc(doc(db, 'users/alice/flashcardDecks/deck1/cards/card1'), {
+      front: 'Eigenvalue',
+      back: 'A scalar λ with Av = λv',
+      ease: 2.5,
+      interval: 0,
+      repetitions: 0
+    });
+
+    await setDoc(doc(db, 'userUsageLimits/alice'), { messages: [] });
+  });
+}
+
+describe('Firestore security rules', () => {
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: {
+        rules: fs.readFileSync(path.join(__dirname, '..', '..', 'firestore.rules'), 'utf8')
+      }
+    });
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed();
+  });
+
+  const alice = () => testEnv.authenticatedContext('alice').firestore();
+  const bob = () => testEnv.authenticatedContext('bob').firestore();
+  const admin = () => testEnv.authenticatedContext('admin').firestore();
+  const anonymous = () => testEnv.unauthenticatedContext().firestore();
+
+  describe('chat sessions', () => {
+    it('lets the owner read their session and messages', async () => {
+      await assertSucceeds(getDoc(doc(alice(), 'chatSessions/aliceSession')));
+      await assertSucceeds(getDocs(collection(alice(), 'chatSessions/aliceSession/messages')));
+    });
+
+    it('denies other users reading a session or its messages', async () => {
+      await assertFails(getDoc(doc(bob(), 'chatSessions/aliceSession')));
+      await assertFails(getDocs(collection(bob(), 'chatSessions/aliceSession/messages')));
+    });
+
+    it('denies unauthenticated reads', async () => {
+      await assertFails(getDoc(doc(anonymous(), 'chatSessions/aliceSession')));
+    });
+
+    it('only allows listing sessions filtered to your own userId', async () => {
+      await assertSucceeds(getDocs(query(collection(alice(), 'chatSessions'), where('userId', '==', 'alice'))));
+      await assertFails(getDocs(query(collection(bob(), 'chatSessions'), where('userId', '==', 'alice'))));
+      await assertFails(getDocs(collection(bob(), 'chatSessions')));
+    });
+
+    it('only allows creating sessions owned by the caller', async () => {
+      await assertSucceeds(addDoc(collection(bob(), 'chatSessions'), { userId: 'bob', courseId: COURSE_ID }));
+      await assertFails(addDoc(collection(bob(), 'chatSessions'), { userId: 'alice', courseId: COURSE_ID }));
+    });
+
+    it('prevents transferring a session to another user', async () => {
+      await assertFails(updateDoc(doc(alice(), 'chatSessions/aliceSession'), { userId: 'bob' }));
+      await assertSucceeds(updateDoc(doc(alice(), 'chatSessions/aliceSession'), { title: 'Renamed' }));
+    });
+
+    it('denies other users writing or deleting messages', async () => {
+      await assertFails(addDoc(collection(bob(), 'chatSessions/aliceSession/messages'), { role: 'user', content: 'hi' }));
+      await assertFails(deleteDoc(doc(bob(), 'chatSessions/aliceSession/messages/m1')));
+      await assertFails(deleteDoc(doc(bob(), 'chatSessions/aliceSession')));
+    });
+
+    it('lets admins read sessions for support', async () => {
+      await assertSucceeds(getDoc(doc(admin(), 'chatSessions/aliceSession')));
+    });
+  });
+
+  describe('course documents', () => {
+    it('are readable by signed-in users only', async () => {
+      await assertSucceeds(getDocs(collection(bob(), `courses/${COURSE_ID}/documents`)));
+      await assertFails(getDocs(collection(anonymous(), `courses/${COURSE_ID}/documents`)));
+    });
+
+    it('cannot be written or deleted by clients, even enrolled ones', async () => {
+      await assertFails(setDoc(doc(alice(), `courses/${COURSE_ID}/documents/doc2`), { fileName: 'x.pdf' }));
+      await assertFails(updateDoc(doc(alice(), `courses/${COURSE_ID}/documents/doc1`), { uploadStatus: 'failed' }));
+      await assertFails(deleteDoc(doc(alice(), `courses/${COURSE_ID}/documents/doc1`)));
+    });
+  });
+
+  describe('course glossary', () => {
+    it('is readable by signed-in users only', async () => {
+      await assertSucceeds(getDocs(collection(bob(), `courses/${COURSE_ID}/glossary`)));
+      await assertFails(getDoc(doc(anonymous(), `courses/${COURSE_ID}/glossary/term1`)));
+    });
+
+    it('can only be written by Cloud Functions', async () => {
+      await assertFails(setDoc(doc(alice(), `courses/${COURSE_ID}/glossary/term2`), { term: 'Matrix' }));
+      await assertFails(updateDoc(doc(alice(), `courses/${COURSE_ID}/glossary/term1`), { definition: 'Wrong' }));
+      await assertFails(deleteDoc(doc(alice(), `courses/${COURSE_ID}/glossary/term1`)));
+      await assertFails(updateDoc(doc(bob(), `courses/${COURSE_ID}`), { glossaryUpdatedAt: new Date(0) }));
+    });
+  });
+
+  describe('ingestion jobs', () => {
+    it('are visible to any signed-in student', async () => {
+      await assertSucceeds(getDoc(doc(bob(), `courses/${COURSE_ID}/ingestionJobs/job1`)));
+      await assertFails(getDoc(doc(anonymous(), `courses/${COURSE_ID}/ingestionJobs/job1`)));
+    });
+
+    it('can only be created or advanced by Cloud Functions', async () => {
+      await assertFails(setDoc(doc(alice(), `courses/${COURSE_ID}/ingestionJobs/job2`), { status: 'queued' }));
+      await assertFails(updateDoc(doc(alice(), `courses/${COURSE_ID}/ingestionJobs/job1`), { status: 'completed' }));
+      await assertFails(updateDoc(doc(bob(), `courses/${COURSE_ID}`), { activeIngestionJobId: null }));
+      await assertFails(updateDoc(doc(bob(), `courses/${COURSE_ID}`), { lastSyncedAt: new Date(0) }));
+    });
+
+    it('keep content hash claims server-only', async () => {
+      await assertFails(getDoc(doc(alice(), `courses/${COURSE_ID}/contentHashes/abc123`)));
+      await assertFails(setDoc(doc(alice(), `courses/${COURSE_ID}/contentHashes/abc123`), { documentId: 'doc1' }));
+    });
+  });
+
+  describe('courses', () => {
+    it('protects the File Search store link and creator', async () => {
+      await assertFails(updateDoc(doc(bob(), `courses/${COURSE_ID}`), { fileSearchStoreName: 'fileSearchStores/evil' }));
+      await assertFails(updateDoc(doc(bob(), `courses/${COURSE_ID}`), { createdBy: 'bob' }));
+      await assertSucceeds(updateDoc(doc(bob(), `courses/${COURSE_ID}`), { totalEnrollments: 2 }));
+    });
+
+    it('cannot be deleted by regular users', async () => {
+      await assertFails(deleteDoc(doc(alice(), `courses/${COURSE_ID}`)));
+    });
+  });
+
+  describe('quizzes', () => {
+    it('are readable by their owner only', async () => {
+      await assertSucceeds(getDoc(doc(alice(), 'quizzes/aliceQuiz')));
+      await assertFails(getDoc(doc(bob(), 'quizzes/aliceQuiz')));
+      await assertSucceeds(getDoc(doc(admin(), 'quizzes/aliceQuiz')));
+    });
+
+    it('cannot be created or changed by clients', async () => {
+      await assertFails(addDoc(collection(alice(), 'quizzes'), { userId: 'alice', courseId: COURSE_ID, questions: [] }));
+      await assertFails(updateDoc(doc(alice(), 'quizzes/aliceQuiz'), { bestScore: 10 }));
+      await assertFails(deleteDoc(doc(bob(), 'quizzes/aliceQuiz')));
+      await assertSucceeds(deleteDoc(doc(alice(), 'quizzes/aliceQuiz')));
+    });
+
+    it('keep course score totals private and server-written', async () => {
+      await assertSucceeds(getDoc(doc(alice(), `users/alice/quizScores/${COURSE_ID}`)));
+      await assertFails(getDoc(doc(bob(), `users/alice/quizScores/${COURSE_ID}`)));
+      await assertFails(setDoc(doc(alice(), `users/alice/quizScores/${COURSE_ID}`), { correctAnswers: 100 }));
+    });
+  });
+
+  describe('study plans', () => {
+    const planPath = `studyPlans/alice_${COURSE_ID}`;
+
+    it('are readable by their owner only', async () => {
+      await assertSucceeds(getDoc(doc(alice(), planPath)));
+      await assertFails(getDoc(doc(bob(), planPath)));
+      await assertSucceeds(getDoc(doc(admin(), planPath)));
+    });
+
+    it('let the owner tick off tasks but not change the plan', async () => {
+      const days = [{ date: '2026-12-01', tasks: [{ title: 'Read lecture 1', done: true }] }];
+      await assertSucceeds(updateDoc(doc(alice(), planPath), { days }));
+      await assertFails(updateDoc(doc(bob(), planPath), { days }));
+      await assertFails(updateDoc(doc(alice(), planPath), { assessments: [] }));
+      await assertFails(setDoc(doc(bob(), `studyPlans/bob_${COURSE_ID}`), { userId: 'bob', courseId: COURSE_ID, days: [] }));
+    });
+
+    it('can be deleted by their owner', async () => {
+      await assertFails(deleteDoc(doc(bob(), planPath)));
+      await assertSucceeds(deleteDoc(doc(alice(), planPath)));
+    });
+  });
+
+  describe('flashcard decks', () => {
+    it('are private to their owner', async () => {
+      await assertSucceeds(getDocs(collection(alice(), 'users/alice/flashcardDecks/deck1/cards')));
+      await assertFails(getDoc(doc(bob(), 'users/alice/flashcardDecks/deck1')));
+      await assertFails(getDocs(collection(bob(), 'users/alice/flashcardDecks/deck1/cards')));
+    });
+
+    it('let the owner reschedule and delete cards but not create decks', async () => {
+      await assertSucceeds(updateDoc(doc(alice(), 'users/alice/flashcardDecks/deck1/cards/card1'), { interval: 1, repetitions: 1 }));
+      await assertFails(updateDoc(doc(bob(), 'users/alice/flashcardDecks/deck1/cards/card1'), { interval: 100 }));
+      await assertFails(setDoc(doc(alice(), 'users/alice/flashcardDecks/deck2'), { title: 'Mine' }));
+      await assertSucceeds(deleteDoc(doc(alice(), 'users/alice/flashcardDecks/deck1/cards/card1')));
+      await assertSucceeds(deleteDoc(doc(alice(), 'users/alice/flashcardDecks/deck1')));
+    });
+  });
+
+  describe('users and enrollments', () => {
+    it('keeps profiles and enrollments private', async () => {
+      await assertSucceeds(getDoc(doc(alice(), 'users/alice')));
+      await assertFails(getDoc(doc(bob(), 'users/alice')));
+      await assertFails(getDoc(doc(bob(), `users/alice/enrollments/${COURSE_ID}`)));
+      await assertFails(deleteDoc(doc(bob(), `users/alice/enrollments/${COURSE_ID}`)));
+    });
+
+    it('leaves creating enrollments to Cloud Functions', async () => {
+      await assertFails(setDoc(doc(bob(), `users/bob/enrollments/${COURSE_ID}`), { courseId: COURSE_ID }));
+      await assertFails(setDoc(doc(alice(), `users/alice/enrollments/${COURSE_ID}`), { courseId: COURSE_ID, role: 'creator' }));
+      await assertFails(updateDoc(doc(alice(), `users/alice/enrollments/${COURSE_ID}`), { enrolledAt: new Date() }));
+      await assertSucceeds(updateDoc(doc(alice(), `users/alice/enrollments/${COURSE_ID}`), { favorite: true }));
+      await assertSucceeds(updateDoc(doc(alice(), `users/alice/enrollments/${COURSE_ID}`), { colorId: 'blue' }));
+      await assertSucceeds(deleteDoc(doc(alice(), `users/alice/enrollments/${COURSE_ID}`)));
+    });
+
+    it('prevents users from granting themselves admin or a paid tier', async () => {
+      await assertFails(updateDoc(doc(alice(), 'users/alice'), { tier: 'admin' }));
+      await assertFails(updateDoc(doc(alice(), 'users/alice'), { isAdmin: true }));
+      await assertFails(setDoc(doc(testEnv.authenticatedContext('carol').firestore(), 'users/carol'), { tier: 'premium' }));
+      await assertSucceeds(setDoc(doc(testEnv.authenticatedContext('carol').firestore(), 'users/carol'), { email: 'carol@example.com', isAdmin: false }));
+    });
+
+    it('keeps usage data private and server-written', async () => {
+      await assertSucceeds(getDoc(doc(alice(), 'userUsageLimits/alice')));
+      await assertFails(getDoc(doc(bob(), 'userUsageLimits/alice')));
+      await assertFails(setDoc(doc(alice(), 'userUsageLimits/alice'), { messages: [] }));
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Ingestion worker tests (processIngestionFile)
+ * Runs against the Firestore emulator: npm run test:rules (from functions/)
+ * Gemini File Search calls are answered by a fake node-fetch
+ */
+
+const {describe, it, after, beforeEach} = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// Own project, so the rules tests clearing their data don't interfere
+process.env.GCLOUD_PROJECT = 'demo-canvas-lm-ingestion';
+// Summary and glossary tasks fail to queue (and are only logged) without Cloud Tasks
+process.env.CLOUD_TASKS_EMULATOR_HOST = '127.0.0.1:9';
+
+const fetchCalls = [];
+let nextDocumentName = null;
+
+require.cache[require.resolve('node-fetch')] = {
+  id: require.resolve('node-fetch'),
+  filename: require.resolve('node-fetch'),
+  loaded: true,
+  exports: async (url, options = {}) => {
+    const method = options.method || 'GET';
+    fetchCalls.push({ method, url });
+
+    if (method === 'POST' && url.includes(':uploadToFileSearchStore')) {
+      const operation = { name: 'operations/upload', done: true, response: { documentName: nextDocumentName } };
+      return { ok: true, status: 200, json: async () => operation, text: async () => JSON.stringify(operation) };
+    }
+    if (method === 'DELETE') {
+      return { ok: true, status: 200, json: async () => ({}), text: async () => '' };
+    }
+    return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}), text: async () => 'Not Found' };
+  }
+};
+
+const admin = require('firebase-admin');
+const functions = require('../index');
+
+const COURSE_ID = '12345';
+const STORE_NAME = 'fileSearchStores/abc';
+const PAGE_URL = 'https://canvas.education.lu.se/courses/12345/pages/eigenvalues';
+const CONTENT = '# Eigenvalues\n\nA scalar λ with Av = λv.';
+const CONTENT_HASH = crypto.createHash('sha256').update(Buffer.from(CONTENT, 'utf8')).digest('hex');
+
+const db = admin.firestore();
+const courseRef = db.collection('courses').doc(COURSE_ID);
+const documentId = (url) => Buffer.from(url, 'utf8').toString('base64').replace(/[/+=]/g, '_');
+
+/**
+ * Seed a course whose page is indexed in "Week 1" (as Cloud Functions would write it)
+ */
+async function seed() {
+  await db.recursiveDelete(courseRef);
+
+  await courseRef.set({ courseName: 'Linear Algebra', fileSearchStoreName: STORE_NAME });
+  await courseRef.collection('ingestionJobs').doc('job1').set({ status: 'running', total: 2, processed: 0 });
+  await courseRef.collection('documents').doc(documentId(PAGE_URL)).set({
+    fileUrl: PAGE_URL,
+    fileName: 'Eigenvalues',
+    sourceType: 'page',
+    uploadStatus: 'completed',
+    fileSearchDocumentName: `${STORE_NAME}/documents/old`,
+    contentHash: CONTENT_HASH,
+    moduleName: 'Week 1',
+    modulePosition: 1,
+    itemPosition: 1,
+    lectureNumber: null
+  });
+  await courseRef.collection('contentHashes').doc(CONTENT_HASH).set({ documentId: documentId(PAGE_URL) });
+}
+
+/**
+ * Run the worker for one page of job1
+ */
+function ingest(url, fileFields = {}) {
+  return functions.processIngestionFile.run({
+    data: {
+      jobId: 'job1',
+      courseId: COURSE_ID,
+      courseName: 'Linear Algebra',
+      storeName: STORE_NAME,
+      userId: 'alice',
+      file: { url, title: 'Eigenvalues', source: 'api_page', sourceType: 'page', content: CONTENT, ...fileFields },
+      aliasOf: null,
+      cookies: {}
+    },
+    retryCount: 0
+  });
+}
+
+describe('processIngestionFile', () => {
+  after(async () => {
+    await db.recursiveDelete(courseRef);
+    await admin.app().delete();
+  });
+
+  beforeEach(async () => {
+    fetchCalls.length = 0;
+    nextDocumentName = `${STORE_NAME}/documents/new`;
+    await seed();
+  });
+
+  describe('a file that moved to another module', () => {
+    it('is uploaded again with its new module and the old version is deleted', async () => {
+      await ingest(PAGE_URL, { moduleName: 'Week 2', modulePosition: 2, itemPosition: 3, lectureNumber: null });
+
+      const record = (await courseRef.collection('documents').doc(documentId(PAGE_URL)).get()).data();
+      assert.equal(record.fileSearchDocumentName, `${STORE_NAME}/documents/new`);
+      assert.equal(record.moduleName, 'Week 2');
+      assert.equal(record.modulePosition, 2);
+      assert.equal(record.itemPosition, 3);
+      assert.ok(fetchCalls.some(call => call.method === 'DELETE' && call.url.includes('/documents/old')));
+    });
+
+    it('keeps its claim on the content, so other URLs for it are still deduplicated', async () => {
+      await ingest(PAGE_URL, { moduleName: 'Week 2', modulePosition: 2, itemPosition: 3, lectureNumber: null });
+
+      const claim = (await courseRef.collection('contentHashes').doc(CONTENT_HASH).get()).data();
+      assert.equal(claim?.documentId, documentId(PAGE_URL));
+
+      const aliasUrl = `${PAGE_URL}-copy`;
+      fetchCalls.length = 0;
+      await ingest(aliasUrl, { moduleName: null });
+
+      const owner = (await courseRef.collection('documents').doc(documentId(PAGE_URL)).get()).data();
+      const alias = await courseRef.collection('documents').doc(documentId(aliasUrl)).get();
+      assert.deepEqual(owner.aliasUrls, [aliasUrl]);
+      assert.equal(alias.exists, false);
+      assert.ok(!fetchCalls.some(call => call.url.includes(':uploadToFileSearchStore')));
+
+      const job = (await courseRef.collection('ingestionJobs').doc('job1').get()).data();
+      assert.equal(job.updated, 1);
+      assert.equal(job.deduplicated, 1);
+    });
+  });
+
+  it('leaves a file alone when neither its content nor its module changed', async () => {
+    await ingest(PAGE_URL, { moduleName: 'Week 1', modulePosition: 1, itemPosition: 1, lectureNumber: null });
+
+    const record = (await courseRef.collection('documents').doc(documentId(PAGE_URL)).get()).data();
+    assert.equal(record.fileSearchDocumentName, `${STORE_NAME}/documents/old`);
+    assert.ok(!fetchCalls.some(call => call.url.includes(':uploadToFileSearchStore')));
+  });
+});
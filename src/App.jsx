@@ -1,11 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { Settings, ChevronDown, Info } from 'lucide-react';
+import { Settings, ChevronDown, Info, Search } from 'lucide-react';
 import { Header } from './components/Header';
 import { CoursePDFDrawer } from './components/CoursePDFDrawer';
 import { AuthSection } from './components/AuthSection';
 import { CourseDetection } from './components/CourseDetection';
 import { CourseInfo } from './components/CourseInfo';
 import { ChatSection } from './components/ChatSection';
+import { ChatSearch } from './components/ChatSearch';
+import { QuizPanel } from './components/QuizPanel';
+import { FlashcardPanel } from './components/FlashcardPanel';
+import { GlossaryPanel } from './components/GlossaryPanel';
+import { StudyPlanPanel } from './components/StudyPlanPanel';
+import { ChatExportPanel } from './components/ChatExportPanel';
 import { CourseSelector } from './components/CourseSelector';
 import { AllCoursesView } from './components/AllCoursesView';
 import { About } from './components/About';
@@ -42,6 +48,10 @@ const CSS_VARS = `
   }
 `;
 
+// sidepanel.html runs the same app as the popup, docked next to the Canvas page
+const IS_SIDE_PANEL = window.location.pathname.endsWith('/sidepanel.html');
+const POPUP_FRAME = IS_SIDE_PANEL ? 'w-full h-screen overflow-x-hidden overflow-y-auto' : 'w-[550px] min-h-[600px] overflow-hidden';
+
 export const App = ({ 
   popupLogic 
 }) => {
@@ -60,8 +70,24 @@ export const App = ({
   const [scanStartTime, setScanStartTime] = useState(null);
   const [estimatedScanTime, setEstimatedScanTime] = useState(null);
   const [chatMessages, setChatMessages] = useState([]);
+  const [chatThreads, setChatThreads] = useState([]);
+  const [activeChatThreadId, setActiveChatThreadId] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [chatSearchOpen, setChatSearchOpen] = useState(false);
+  const [quizOpen, setQuizOpen] = useState(false);
+  const [flashcardsOpen, setFlashcardsOpen] = useState(false);
+  const [glossary, setGlossary] = useState([]);
+  const [glossaryOpen, setGlossaryOpen] = useState(false);
+  const [glossaryEntryId, setGlossaryEntryId] = useState(null);
+  const [studyPlanOpen, setStudyPlanOpen] = useState(false);
+  const [chatExportOpen, setChatExportOpen] = useState(false);
+  const [crossCourseOptions, setCrossCourseOptions] = useState([]);
+  const [crossCourseIds, setCrossCourseIds] = useState([]);
+  const [documentScope, setDocumentScope] = useState([]);
+  const [quotedSelection, setQuotedSelection] = useState(null);
   const [chatInput, setChatInput] = useState('');
   const [isChatLoading, setIsChatLoading] = useState(false);
+  const [isAnswering, setIsAnswering] = useState(false);
   const [isExtensionPage, setIsExtensionPage] = useState(false);
   const [currentCourseDocCount, setCurrentCourseDocCount] = useState(0);
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
@@ -108,12 +134,14 @@ export const App = ({
   }, [isScanning, scanStartTime, estimatedScanTime]);
 
   useEffect(() => {
-    // Check if we're on an extension page
-    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
-      if (tab && tab.url.startsWith('chrome-extension://')) {
-        setIsExtensionPage(true);
-      }
-    });
+    // Check if we're on an extension page (the side panel always uses the compact layout)
+    if (!IS_SIDE_PANEL) {
+      chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+        if (tab && tab.url.startsWith('chrome-extension://')) {
+          setIsExtensionPage(true);
+        }
+      });
+    }
     
     // Initialize and pass state setters to popup logic
     if (popupLogic) {
@@ -133,7 +161,16 @@ export const App = ({
         setScanStartTime,
         setEstimatedScanTime,
         setChatMessages,
+        setChatThreads,
+        setActiveChatThreadId,
+        setHighlightedMessageId,
+        setCrossCourseOptions,
+        setCrossCourseIds,
+        setDocumentScope,
+        setQuotedSelection,
+        setGlossary,
         setIsChatLoading,
+        setIsAnswering,
         setCurrentCourseDocCount,
         setEnrollmentStatus,
         setNewDocumentsFound,
@@ -199,24 +236,189 @@ export const App = ({
   };
 
   const handleChatSend = () => {
-    if (popupLogic && chatInput.trim()) {
+    if (popupLogic && chatInput.trim() && !isAnswering) {
       popupLogic.handleChatSend(chatInput);
       setChatInput('');
     }
   };
 
+  const handleStopAnswer = () => {
+    if (popupLogic) {
+      popupLogic.stopAnswer();
+    }
+  };
+
+  const handleRegenerateAnswer = (model) => {
+    if (popupLogic) {
+      popupLogic.regenerateAnswer(model);
+    }
+  };
+
+  const handleEditMessage = (index, content) => {
+    if (popupLogic) {
+      popupLogic.editAndResendMessage(index, content);
+    }
+  };
+
   const handleNewChat = () => {
     if (popupLogic) {
       popupLogic.startNewChat();
     }
   };
 
+  const handleSelectThread = (threadId) => {
+    if (popupLogic) {
+      popupLogic.openChatThread(threadId);
+    }
+  };
+
+  const handleSearchChats = (query, filters) => {
+    return popupLogic.searchChatHistory(query, filters);
+  };
+
+  const handleOpenSearchResult = (result) => {
+    if (popupLogic) {
+      const course = courseList.find(c => c.id === result.courseId) || null;
+      popupLogic.openChatSearchResult(result, course);
+    }
+  };
+
+  const handleGenerateQuiz = (options) => {
+    return popupLogic.generateQuiz(options);
+  };
+
+  const handleSubmitQuiz = (quizId, answers) => {
+    return popupLogic.submitQuizAttempt(quizId, answers);
+  };
+
+  const handleLoadQuizScore = () => {
+    return popupLogic.getQuizScore();
+  };
+
+  const handleLoadFlashcardDecks = () => {
+    return popupLogic.loadFlashcardDecks();
+  };
+
+  const handleLoadCourseDocuments = () => {
+    return popupLogic.getCourseDocumentsForDrawer();
+  };
+
+  const handleGenerateFlashcards = (source) => {
+    return popupLogic.generateFlashcardDeck(source);
+  };
+
+  const handleLoadFlashcards = (deckId) => {
+    return popupLogic.loadFlashcards(deckId);
+  };
+
+  const handleReviewFlashcard = (deckId, card, quality) => {
+    return popupLogic.reviewFlashcard(deckId, card, quality);
+  };
+
+  const handleDeleteFlashcardDeck = (deckId) => {
+    return popupLogic.deleteFlashcardDeck(deckId);
+  };
+
+  const handleExportFlashcardDeck = (deck, format) => {
+    return popupLogic.exportFlashcardDeck(deck, format);
+  };
+
+  const handleLoadStudyPlan = () => {
+    return popupLogic.loadStudyPlan();
+  };
+
+  const handleGenerateStudyPlan = (options) => {
+    return popupLogic.generateStudyPlan(options);
+  };
+
+  const handleToggleStudyTask = (plan, date, taskIndex) => {
+    return popupLogic.toggleStudyTask(plan, date, taskIndex);
+  };
+
+  const handleExportStudyPlan = (plan) => {
+    return popupLogic.exportStudyPlan(plan);
+  };
+
+  const handleExportChats = (options) => {
+    return popupLogic.exportChats(options);
+  };
+
+  // Opened from the chat toolbar, or from a term linked in an answer
+  const handleOpenGlossary = (entry = null) => {
+    setGlossaryEntryId(entry?.id || null);
+    setGlossaryOpen(true);
+  };
+
+  const handleRefreshGlossary = () => {
+    return popupLogic.loadGlossary();
+  };
+
+  const handleCrossCourseChange = (courseIds) => {
+    if (popupLogic) {
+      popupLogic.setCrossCourseIds(courseIds);
+    }
+  };
+
+  const handleLoadCrossCourseOptions = () => {
+    if (popupLogic) {
+      popupLogic.loadCrossCourseOptions();
+    }
+  };
+
+  const handleToggleScopedDocument = (doc) => {
+    if (popupLogic) {
+      popupLogic.toggleDocumentInScope(doc);
+    }
+  };
+
+  const handleToggleScopedModule = (documents) => {
+    if (popupLogic) {
+      popupLogic.toggleModuleInScope(documents);
+    }
+  };
+
+  const handleClearDocumentScope = () => {
+    if (popupLogic) {
+      popupLogic.setDocumentScope([]);
+    }
+  };
+
+  const handleRemoveQuotedSelection = () => {
+    if (popupLogic) {
+      popupLogic.setQuotedSelection(null);
+    }
+  };
+
+  const handleRenameThread = (threadId, title) => {
+    if (popupLogic) {
+      popupLogic.renameChatThread(threadId, title);
+    }
+  };
+
+  const handleTogglePinThread = (threadId) => {
+    if (popupLogic) {
+      popupLogic.toggleChatThreadPinned(threadId);
+    }
+  };
+
+  const handleDeleteThread = (threadId) => {
+    if (popupLogic) {
+      popupLogic.deleteChatThread(threadId);
+    }
+  };
+
   const handleExpandWindow = () => {
     if (popupLogic) {
       popupLogic.handleExpandWindow();
     }
   };
 
+  const handleOpenSidePanel = () => {
+    if (popupLogic) {
+      popupLogic.openSidePanel();
+    }
+  };
+
   const handleSelectCourse = (course) => {
     if (popupLogic) {
       popupLogic.selectCourse(course);
@@ -294,6 +496,77 @@ export const App = ({
         
         {/* About Modal - rendered outside main container to avoid overflow issues */}
         {showAbout && <About onClose={() => setShowAbout(false)} />}
+
+        {/* Chat History Search */}
+        <ChatSearch
+          open={chatSearchOpen}
+          onClose={() => setChatSearchOpen(false)}
+          courses={courseList}
+          onSearch={handleSearchChats}
+          onOpenResult={handleOpenSearchResult}
+        />
+
+        {/* Practice Quiz - mounted only while open so it starts fresh each time */}
+        {quizOpen && (
+          <QuizPanel
+            open={quizOpen}
+            onClose={() => setQuizOpen(false)}
+            documentScope={documentScope}
+            onGenerate={handleGenerateQuiz}
+            onSubmit={handleSubmitQuiz}
+            onLoadScore={handleLoadQuizScore}
+          />
+        )}
+
+        {/* Flashcards */}
+        {flashcardsOpen && (
+          <FlashcardPanel
+            open={flashcardsOpen}
+            onClose={() => setFlashcardsOpen(false)}
+            documentScope={documentScope}
+            onLoadDecks={handleLoadFlashcardDecks}
+            onLoadDocuments={handleLoadCourseDocuments}
+            onGenerate={handleGenerateFlashcards}
+            onLoadCards={handleLoadFlashcards}
+            onReview={handleReviewFlashcard}
+            onDelete={handleDeleteFlashcardDeck}
+            onExport={handleExportFlashcardDeck}
+          />
+        )}
+
+        {/* Course Glossary */}
+        {glossaryOpen && (
+          <GlossaryPanel
+            open={glossaryOpen}
+            onClose={() => setGlossaryOpen(false)}
+            entries={glossary}
+            initialEntryId={glossaryEntryId}
+            onRefresh={handleRefreshGlossary}
+          />
+        )}
+
+        {/* Study Plan */}
+        {studyPlanOpen && (
+          <StudyPlanPanel
+            open={studyPlanOpen}
+            onClose={() => setStudyPlanOpen(false)}
+            onLoad={handleLoadStudyPlan}
+            onGenerate={handleGenerateStudyPlan}
+            onToggleTask={handleToggleStudyTask}
+            onExport={handleExportStudyPlan}
+          />
+        )}
+
+        {/* Chat Export */}
+        {chatExportOpen && (
+          <ChatExportPanel
+            open={chatExportOpen}
+            onClose={() => setChatExportOpen(false)}
+            hasActiveThread={Boolean(activeChatThreadId)}
+            threadCount={chatThreads.length}
+            onExport={handleExportChats}
+          />
+        )}
         
         <div className="w-screen h-screen bg-slate-50 flex overflow-hidden relative">
           {/* Aurora Background - only show on welcome screen */}
@@ -342,6 +615,20 @@ export const App = ({
               </button>
             </div>
 
+            {/* Search Chats */}
+            <div className="px-3 pt-3">
+              <button
+                onClick={() => setChatSearchOpen(true)}
+                className={`w-full flex items-center gap-2 p-3 text-sm text-slate-700 hover:bg-slate-200 rounded-lg transition-colors ${
+                  sidebarCollapsed ? 'justify-center' : ''
+                }`}
+                title="Search chats"
+              >
+                <Search size={16} className="text-slate-600" />
+                {!sidebarCollapsed && <span>Search chats</span>}
+              </button>
+            </div>
+
             {/* Course List */}
             <div className="flex-1 overflow-y-auto p-3">
               <div className="space-y-1">
@@ -397,6 +684,10 @@ export const App = ({
                               open={true}
                               documents={drawerDocuments}
                               isLoading={drawerLoading}
+                              selectedIds={documentScope.map(doc => doc.id)}
+                              onToggleSelect={enrollmentStatus.isEnrolled ? handleToggleScopedDocument : null}
+                              onToggleModule={enrollmentStatus.isEnrolled ? handleToggleScopedModule : null}
+                              onClearSelection={handleClearDocumentScope}
                             />
                           )}
                           <button
@@ -493,10 +784,36 @@ export const App = ({
                   onInputChange={setChatInput}
                   onSend={handleChatSend}
                   isLoading={isChatLoading}
+                  isAnswering={isAnswering}
+                  onStop={handleStopAnswer}
+                  onRegenerate={handleRegenerateAnswer}
+                  onEditMessage={handleEditMessage}
                   isFullScreen={true}
                   user={user}
                   currentPagePDF={null}
                   onNewChat={handleNewChat}
+                  threads={chatThreads}
+                  activeThreadId={activeChatThreadId}
+                  onSelectThread={handleSelectThread}
+                  onRenameThread={handleRenameThread}
+                  onTogglePinThread={handleTogglePinThread}
+                  onDeleteThread={handleDeleteThread}
+                  highlightedMessageId={highlightedMessageId}
+                  crossCourseOptions={crossCourseOptions}
+                  crossCourseIds={crossCourseIds}
+                  onCrossCourseChange={handleCrossCourseChange}
+                  onLoadCrossCourseOptions={handleLoadCrossCourseOptions}
+                  documentScope={documentScope}
+                  onRemoveScopedDocument={handleToggleScopedDocument}
+                  onClearDocumentScope={handleClearDocumentScope}
+                  quotedSelection={quotedSelection}
+                  onRemoveQuotedSelection={handleRemoveQuotedSelection}
+                  onOpenQuiz={() => setQuizOpen(true)}
+                  onOpenFlashcards={() => setFlashcardsOpen(true)}
+                  glossary={glossary}
+                  onOpenGlossary={handleOpenGlossary}
+                  onOpenStudyPlan={() => setStudyPlanOpen(true)}
+                  onOpenChatExport={() => setChatExportOpen(true)}
                 />
               </div>
             ) : showCourseInfo ? (
@@ -634,7 +951,7 @@ export const App = ({
     return (
       <>
         <style>{CSS_VARS}</style>
-        <div className="w-[550px] min-h-[600px] bg-gradient-to-br from-slate-50 via-white to-slate-50 relative overflow-hidden">
+        <div className={`${POPUP_FRAME} bg-gradient-to-br from-slate-50 via-white to-slate-50 relative`}>
           <div className="absolute top-0 right-0 w-64 h-64 bg-gradient-to-br from-blue-200/40 to-sky-200/40 rounded-full blur-3xl animate-pulse" />
           <div className="absolute bottom-0 left-0 w-64 h-64 bg-gradient-to-tr from-blue-200/40 to-cyan-200/40 rounded-full blur-3xl animate-pulse" style={{ animationDelay: '1s' }} />
           
@@ -672,13 +989,85 @@ export const App = ({
   return (
     <>
       <style>{CSS_VARS}</style>
-      <div className="w-[550px] min-h-[600px] bg-gradient-to-br from-slate-50 via-white to-slate-50 relative overflow-hidden">
+      <ChatSearch
+        open={chatSearchOpen}
+        onClose={() => setChatSearchOpen(false)}
+        courses={courseList}
+        onSearch={handleSearchChats}
+        onOpenResult={handleOpenSearchResult}
+      />
+      {quizOpen && (
+        <QuizPanel
+          open={quizOpen}
+          onClose={() => setQuizOpen(false)}
+          documentScope={documentScope}
+          onGenerate={handleGenerateQuiz}
+          onSubmit={handleSubmitQuiz}
+          onLoadScore={handleLoadQuizScore}
+        />
+      )}
+      {flashcardsOpen && (
+        <FlashcardPanel
+          open={flashcardsOpen}
+          onClose={() => setFlashcardsOpen(false)}
+          documentScope={documentScope}
+          onLoadDecks={handleLoadFlashcardDecks}
+          onLoadDocuments={handleLoadCourseDocuments}
+          onGenerate={handleGenerateFlashcards}
+          onLoadCards={handleLoadFlashcards}
+          onReview={handleReviewFlashcard}
+          onDelete={handleDeleteFlashcardDeck}
+          onExport={handleExportFlashcardDeck}
+        />
+      )}
+
+      {/* Course Glossary */}
+      {glossaryOpen && (
+        <GlossaryPanel
+          open={glossaryOpen}
+          onClose={() => setGlossaryOpen(false)}
+          entries={glossary}
+          initialEntryId={glossaryEntryId}
+          onRefresh={handleRefreshGlossary}
+        />
+      )}
+
+      {/* Study Plan */}
+      {studyPlanOpen && (
+        <StudyPlanPanel
+          open={studyPlanOpen}
+          onClose={() => setStudyPlanOpen(false)}
+          onLoad={handleLoadStudyPlan}
+          onGenerate={handleGenerateStudyPlan}
+          onToggleTask={handleToggleStudyTask}
+          onExport={handleExportStudyPlan}
+        />
+      )}
+
+      {/* Chat Export */}
+      {chatExportOpen && (
+        <ChatExportPanel
+          open={chatExportOpen}
+          onClose={() => setChatExportOpen(false)}
+          hasActiveThread={Boolean(activeChatThreadId)}
+          threadCount={chatThreads.length}
+          onExport={handleExportChats}
+        />
+      )}
+      <div className={`${POPUP_FRAME} bg-gradient-to-br from-slate-50 via-white to-slate-50 relative`}>
         {/* Animated background gradient orbs - Arcade style */}
         <div className="absolute top-0 right-0 w-64 h-64 bg-gradient-to-br from-blue-200/40 to-sky-200/40 rounded-full blur-3xl animate-pulse" />
         <div className="absolute bottom-0 left-0 w-64 h-64 bg-gradient-to-tr from-blue-200/40 to-cyan-200/40 rounded-full blur-3xl animate-pulse" style={{ animationDelay: '1s' }} />
         
         <div className="relative z-10 p-6">
-          <Header user={user} onExpandWindow={handleExpandWindow} isExtensionPage={isExtensionPage} usageStatus={usageStatus} />
+          <Header
+            user={user}
+            onExpandWindow={handleExpandWindow}
+            onOpenSidePanel={IS_SIDE_PANEL ? null : handleOpenSidePanel}
+            onOpenSearch={isLoggedIn ? () => setChatSearchOpen(true) : null}
+            isExtensionPage={isExtensionPage}
+            usageStatus={usageStatus}
+          />
           
           <div className="space-y-4 mt-6">
             <AuthSection 
@@ -743,10 +1132,36 @@ export const App = ({
                   onInputChange={setChatInput}
                   onSend={handleChatSend}
                   isLoading={isChatLoading}
+                  isAnswering={isAnswering}
+                  onStop={handleStopAnswer}
+                  onRegenerate={handleRegenerateAnswer}
+                  onEditMessage={handleEditMessage}
                   user={user}
                   currentPagePDF={currentPagePDF}
                   onContextToggle={handleContextToggle}
                   onNewChat={handleNewChat}
+                  threads={chatThreads}
+                  activeThreadId={activeChatThreadId}
+                  onSelectThread={handleSelectThread}
+                  onRenameThread={handleRenameThread}
+                  onTogglePinThread={handleTogglePinThread}
+                  onDeleteThread={handleDeleteThread}
+                  highlightedMessageId={highlightedMessageId}
+                  crossCourseOptions={crossCourseOptions}
+                  crossCourseIds={crossCourseIds}
+                  onCrossCourseChange={handleCrossCourseChange}
+                  onLoadCrossCourseOptions={handleLoadCrossCourseOptions}
+                  documentScope={documentScope}
+                  onRemoveScopedDocument={handleToggleScopedDocument}
+                  onClearDocumentScope={handleClearDocumentScope}
+                  quotedSelection={quotedSelection}
+                  onRemoveQuotedSelection={handleRemoveQuotedSelection}
+                  onOpenQuiz={() => setQuizOpen(true)}
+                  onOpenFlashcards={() => setFlashcardsOpen(true)}
+                  glossary={glossary}
+                  onOpenGlossary={handleOpenGlossary}
+                  onOpenStudyPlan={() => setStudyPlanOpen(true)}
+                  onOpenChatExport={() => setChatExportOpen(true)}
                 />
               </div>
             )}
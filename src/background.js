@@ -173,6 +173,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           courseId: request.courseId,
           courseName: request.courseName,
           pdfs: request.pdfs,
+          incremental: Boolean(request.incremental),
           lastScanned: new Date().toISOString(),
           pageUrl: request.pageUrl
         }
@@ -247,11 +248,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       
     case 'FETCH_PDF_BLOB':
       // Download PDF using chrome.downloads API (bypasses CORS)
-      downloadPDFAsBlob(request.url)
+      downloadPDFAsBlob(request.url, request.idToken)
         .then(result => sendResponse({ success: true, ...result }))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
       
+    case 'GET_CANVAS_COOKIES':
+      // Canvas session cookies for the server-side ingestion job
+      getCanvasCookies()
+        .then(cookies => sendResponse({ success: true, cookies }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+      
     case 'OPEN_AND_SCAN_TAB':
       // Open URL in background tab and scan for PDFs
       openAndScanTab(request.url, request.courseId)
@@ -461,6 +469,9 @@ async function fetchCanvasPageWithNavigation(url, originalTabId) {
 }
 
 // Filter and deduplicate PDFs
+// Course file types the knowledge base can index
+const SUPPORTED_DOCUMENT_PATTERN = /\.(pdf|docx|pptx|txt|md)($|\?)/i;
+
 async function filterAndDeduplicatePdfs(pdfs) {
   const seenUrls = new Set();
   const titleCounts = new Map(); // Track how many times we've seen each title
@@ -473,17 +484,17 @@ async function filterAndDeduplicatePdfs(pdfs) {
       continue;
     }
     
-    // Check if this looks like a PDF based on available information
-    // Be more strict about what we consider a valid PDF
+    // Check if this looks like a supported document based on available information
+    // Be more strict about what we consider a valid document
     const isPdf = (
-      // Direct PDF links
-      pdf.url.match(/\.pdf($|\?)/i) ||
+      // Direct PDF/Word/PowerPoint/text/Markdown links
+      pdf.url.match(SUPPORTED_DOCUMENT_PATTERN) ||
       // Canvas download URLs (but not preview/wrap URLs)
       (pdf.url.includes('/download') && pdf.url.includes('/files/') && !pdf.url.includes('/preview') && !pdf.url.includes('/wrap')) ||
       // Explicitly marked as PDF types
       pdf.type === 'direct_link' ||
-      // PDF in filename
-      (pdf.filename && pdf.filename.toLowerCase().endsWith('.pdf'))
+      // Supported extension in filename
+      (pdf.filename && SUPPORTED_DOCUMENT_PATTERN.test(pdf.filename))
     ) && (
       // Exclude URLs that are likely to return HTML previews
       !pdf.url.includes('/preview') &&
@@ -510,7 +521,7 @@ async function filterAndDeduplicatePdfs(pdfs) {
       console.log(`✅ Valid PDF: ${pdf.uniqueTitle} (${pdf.type || 'unknown type'}) - URL: ${pdf.url}`);
     } else {
       console.log(`❌ Skipping non-PDF: ${pdf.title} (${pdf.type || 'unknown type'}) - URL: ${pdf.url}`, {
-        hasUrlPdfMatch: !!pdf.url.match(/\.pdf($|\?)/i),
+        hasUrlPdfMatch: !!pdf.url.match(SUPPORTED_DOCUMENT_PATTERN),
         hasDownloadUrl: pdf.url.includes('/download') && pdf.url.includes('/files/'),
         hasPreview: pdf.url.includes('/preview'),
         hasWrap: pdf.url.includes('/wrap'),
@@ -568,6 +579,10 @@ async function downloadPDFsWithAuth(pdfs, courseId) {
       // Clean filename for download
       let filename = pdf.filename;
       
+      // Keep the document's own extension (PDF unless the name or URL says otherwise)
+      const extension = ((filename || '').match(SUPPORTED_DOCUMENT_PATTERN) ||
+                         pdf.url.match(SUPPORTED_DOCUMENT_PATTERN) || [null, 'pdf'])[1].toLowerCase();
+      
       // Check if the extracted filename is generic/meaningless
       const isGenericFilename = !filename || 
                                /^\d+\.pdf$/.test(filename) ||  // Just numbers like "1.pdf"
@@ -589,22 +604,22 @@ async function downloadPDFsWithAuth(pdfs, courseId) {
         // Try to extract filename from the URL itself
         const urlFilename = extractFilenameFromUrl(pdf.url);
         if (urlFilename) {
-          filename = `${urlFilename}.pdf`;
+          filename = `${urlFilename}.${extension}`;
         } else if (isGenericFilename || !filename) {
-          filename = `Canvas_Document_${Date.now()}.pdf`;
+          filename = `Canvas_Document_${Date.now()}.${extension}`;
         }
-      } else if (isGenericFilename || !filename?.toLowerCase().endsWith('.pdf')) {
+      } else if (isGenericFilename || !filename?.toLowerCase().endsWith(`.${extension}`)) {
         // Use meaningful title (with unique suffix if needed)
         const cleanTitle = titleToUse.replace(/[^a-z0-9._åäöÅÄÖ()-]/gi, '_').replace(/_+/g, '_');
-        filename = `${cleanTitle}.pdf`;
+        filename = `${cleanTitle}.${extension}`;
       }
       
       // Ensure filename doesn't start with dots or have invalid characters
       filename = filename.replace(/^[._]+/, '').replace(/[<>:"/\\|?*]/g, '_');
       
-      // Ensure filename ends with .pdf but doesn't have double extensions
-      if (!filename.toLowerCase().endsWith('.pdf')) {
-        filename = `${filename}.pdf`;
+      // Ensure filename ends with its extension but doesn't have double extensions
+      if (!filename.toLowerCase().endsWith(`.${extension}`)) {
+        filename = `${filename}.${extension}`;
       }
       
       const cleanFilename = `Canvas_Course_${courseId}/${filename}`;
@@ -787,8 +802,27 @@ async function openAndScanTab(url, courseId) {
   });
 }
 
+// Collect the student's Canvas session cookies as { name: value }
+// Cloud Functions use them to download course files on the student's behalf
+async function getCanvasCookies() {
+  const cookies = await chrome.cookies.getAll({ domain: 'canvas.education.lu.se' });
+  
+  if (cookies.length === 0) {
+    throw new Error('No Canvas cookies found - please make sure you are logged into Canvas');
+  }
+  
+  // Convert cookies array to object
+  const cookiesObj = {};
+  cookies.forEach(cookie => {
+    cookiesObj[cookie.name] = cookie.value;
+  });
+  
+  console.log(`🍪 Found ${cookies.length} Canvas cookies`);
+  return cookiesObj;
+}
+
 // Fetch PDF via Cloud Function proxy (bypasses CORS)
-async function downloadPDFAsBlob(url) {
+async function downloadPDFAsBlob(url, idToken) {
   console.log(`📥 Background script requesting PDF via Cloud Function: ${url}`);
   
   // Ensure URL is a download URL, not a preview URL
@@ -808,19 +842,7 @@ async function downloadPDFAsBlob(url) {
   
   try {
     // Get Canvas cookies to pass to Cloud Function
-    const cookies = await chrome.cookies.getAll({ domain: 'canvas.education.lu.se' });
-    
-    if (cookies.length === 0) {
-      throw new Error('No Canvas cookies found - please make sure you are logged into Canvas');
-    }
-    
-    // Convert cookies array to object
-    const cookiesObj = {};
-    cookies.forEach(cookie => {
-      cookiesObj[cookie.name] = cookie.value;
-    });
-    
-    console.log(`🍪 Found ${cookies.length} Canvas cookies`);
+    const cookiesObj = await getCanvasCookies();
     
     // Call Cloud Function using direct HTTP fetch (service worker compatible)
     const cloudFunctionUrl = 'https://europe-north1-canvas-lm.cloudfunctions.net/downloadCanvasPdf';
@@ -830,7 +852,9 @@ async function downloadPDFAsBlob(url) {
     const response = await fetch(cloudFunctionUrl, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        // Callable protocol: Firebase ID token of the signed-in user (passed from the popup)
+        'Authorization': `Bearer ${idToken}`
       },
       body: JSON.stringify({
         data: {
@@ -878,10 +902,104 @@ function blobToBase64(blob) {
   });
 }
 
+// "Ask Canvs LM about this selection": the context menu entry and the
+// ask-about-selection shortcut hand the selected text (plus the file being
+// viewed) to the side panel through chrome.storage.local
+
+const ASK_SELECTION_MENU_ID = 'askAboutSelection';
+const ASK_SELECTION_COMMAND = 'ask-about-selection';
+const MAX_SELECTION_LENGTH = 2000;
+
+// Same pages as the content script; *.instructure.com also covers the PDF preview frame
+const CANVAS_URL_PATTERNS = [
+  '*://*.instructure.com/*',
+  '*://canvas.education.lu.se/*',
+  '*://*.canvas.com/*',
+  '*://*.canvaslms.com/*'
+];
+
+function createAskSelectionMenu() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: ASK_SELECTION_MENU_ID,
+      title: 'Ask Canvs LM about "%s"',
+      contexts: ['selection'],
+      documentUrlPatterns: CANVAS_URL_PATTERNS
+    });
+  });
+}
+
+/**
+ * Open the side panel next to the page
+ * Chrome only allows this while handling the click or shortcut, so call it before awaiting anything
+ */
+function openSidePanelForTab(tab) {
+  chrome.sidePanel.open({ windowId: tab.windowId }).catch(error => {
+    console.error('Could not open side panel:', error);
+  });
+}
+
+/**
+ * Selected text in any frame of the tab (the Canvas PDF preview is an iframe)
+ */
+async function getSelectedText(tabId) {
+  try {
+    const results = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => window.getSelection()?.toString() || ''
+    });
+    return results.map(result => result.result).find(text => text?.trim()) || '';
+  } catch (error) {
+    console.error('Could not read selection:', error);
+    return '';
+  }
+}
+
+/**
+ * Queue the selection for the side panel, with the course and file it came from
+ */
+async function sendSelectionToChat(tab, selectionText) {
+  const text = selectionText?.trim().slice(0, MAX_SELECTION_LENGTH);
+  if (!text) {
+    return;
+  }
+  
+  let fileContext = null;
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getCurrentFileContext' });
+    fileContext = response?.success ? response.context : null;
+  } catch (error) {
+    console.log('No file context for selection:', error.message);
+  }
+  
+  const courseId = tab.url?.match(/\/courses\/(\d+)/)?.[1] || fileContext?.courseId || null;
+  await chrome.storage.local.set({
+    pendingSelectionAsk: { text, courseId, fileContext, createdAt: Date.now() }
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== ASK_SELECTION_MENU_ID || !tab) {
+    return;
+  }
+  openSidePanelForTab(tab);
+  sendSelectionToChat(tab, info.selectionText);
+});
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== ASK_SELECTION_COMMAND || !tab || !/canvas\.|instructure\.com/.test(tab.url || '')) {
+    return;
+  }
+  openSidePanelForTab(tab);
+  await sendSelectionToChat(tab, await getSelectedText(tab.id));
+});
+
 // Extension installation/update handler
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('Canvas RAG Assistant installed/updated:', details.reason);
   
+  createAskSelectionMenu();
+  
   if (details.reason === 'install') {
     // First time installation
     console.log('Welcome to Canvas RAG Assistant!');
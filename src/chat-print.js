@@ -0,0 +1,28 @@
+// chat-print.js
+// Printable chat export: popup-logic stores the document in chrome.storage.local and
+// opens chat-print.html#<storage key>; the student saves it as a PDF from the print dialog
+
+async function showPrintDocument() {
+  const container = document.getElementById('chat-export');
+  const storageKey = decodeURIComponent(window.location.hash.slice(1));
+  const stored = storageKey ? await chrome.storage.local.get(storageKey) : {};
+  const printDocument = stored[storageKey];
+
+  if (!printDocument) {
+    container.textContent = 'This export is no longer available - export the chat again from Canvas LM.';
+    return;
+  }
+  // One-off: the page keeps its content, storage doesn't need to
+  await chrome.storage.local.remove(storageKey);
+
+  // Sanitised by the export (see lib/chat-export.js)
+  const parsed = new DOMParser().parseFromString(printDocument, 'text/html');
+  document.title = parsed.title;
+  document.head.append(...parsed.head.querySelectorAll('style'));
+  container.replaceChildren(...parsed.body.childNodes);
+
+  window.print();
+}
+
+document.getElementById('print-button').addEventListener('click', () => window.print());
+showPrintDocument();
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { FileDown, X, Loader2 } from 'lucide-react';
+
+const FORMATS = [
+  { id: 'markdown', label: 'Markdown', description: 'For Obsidian, GitHub or any notes app (.md)' },
+  { id: 'pdf', label: 'PDF', description: 'Opens a printable page - choose "Save as PDF"' },
+  { id: 'html', label: 'HTML', description: 'Imports cleanly into Notion or Google Docs (.html)' }
+];
+
+/**
+ * Export the open chat, or every chat of the course, as study notes
+ * Answers keep their formatting, math, sources and timestamps
+ */
+export const ChatExportPanel = ({
+  open,
+  onClose,
+  hasActiveThread = false,
+  threadCount = 0,
+  onExport
+}) => {
+  const [format, setFormat] = useState('markdown');
+  const [allThreads, setAllThreads] = useState(!hasActiveThread);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [done, setDone] = useState(false);
+
+  const exportChats = async () => {
+    setIsWorking(true);
+    setError(null);
+    setDone(false);
+    try {
+      await onExport({ format, allThreads });
+      setDone(true);
+    } catch (err) {
+      setError(err.message || 'Export failed');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const renderOption = (selected, onSelect, label, description, disabled = false) => (
+    <button
+      type="button"
+      onClick={onSelect}
+      disabled={disabled}
+      className={`w-full text-left p-2.5 rounded-lg border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+        selected ? 'border-blue-400 bg-blue-50' : 'border-slate-200 hover:bg-slate-50'
+      }`}
+    >
+      <p className="text-sm font-medium text-slate-900">{label}</p>
+      <p className="text-xs text-slate-500">{description}</p>
+    </button>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[480px] max-w-lg">
+        <DialogHeader>
+          <div className="flex items-center justify-between">
+            <DialogTitle className="flex items-center gap-2">
+              <FileDown className="w-5 h-5 text-blue-600" />
+              Export chats
+            </DialogTitle>
+            <button onClick={onClose} className="p-1 rounded hover:bg-slate-100" title="Close">
+              <X className="w-4 h-4 text-slate-500" />
+            </button>
+          </div>
+          <DialogDescription>
+            Keep your chats as study notes, with math, sources and timestamps
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="mt-4 space-y-4">
+          <div className="space-y-2">
+            <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Chats</p>
+            <div className="grid grid-cols-2 gap-2">
+              {renderOption(!allThreads, () => setAllThreads(false), 'This chat', 'The open conversation', !hasActiveThread)}
+              {renderOption(allThreads, () => setAllThreads(true), `All chats (${threadCount})`, 'Every chat in this course', threadCount === 0)}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Format</p>
+            {FORMATS.map(option => (
+              <React.Fragment key={option.id}>
+                {renderOption(format === option.id, () => setFormat(option.id), option.label, option.description)}
+              </React.Fragment>
+            ))}
+          </div>
+
+          {error && <p className="text-sm text-red-600">❌ {error}</p>}
+          {done && !error && (
+            <p className="text-sm text-green-700">
+              {format === 'pdf' ? 'Opened the printable page' : 'Saved to your Downloads folder'}
+            </p>
+          )}
+
+          <Button
+            onClick={exportChats}
+            disabled={isWorking || (allThreads ? threadCount === 0 : !hasActiveThread)}
+            variant="gradient"
+            className="w-full"
+          >
+            {isWorking ? (
+              <>
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Exporting...
+              </>
+            ) : 'Export'}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { Pencil, RefreshCw, CircleStop, Quote, X } from 'lucide-react';
+import { CHAT_MODELS, DEFAULT_CHAT_MODEL } from '../lib/chat-models';
+
+/**
+ * A question as sent; a leading "> " quote (text asked about from the page) is set apart
+ */
+export const QuestionText = ({ content }) => {
+  const match = content.match(/^((?:>.*(?:\n|$))+)\n*([\s\S]*)$/);
+  if (!match) {
+    return <p className="whitespace-pre-wrap">{content}</p>;
+  }
+
+  const quote = match[1].trim().split('\n').map(line => line.replace(/^> ?/, '')).join('\n');
+  return (
+    <>
+      <blockquote className="border-l-2 border-blue-300 pl-2 text-slate-600 italic whitespace-pre-wrap line-clamp-6">
+        {quote}
+      </blockquote>
+      {match[2] && <p className="whitespace-pre-wrap">{match[2]}</p>}
+    </>
+  );
+};
+
+/**
+ * Text selected on the page, quoted above the input until the next question is sent
+ */
+export const QuotedSelection = ({ selection, onRemove, disabled = false }) => (
+  <div className="flex items-start gap-2 p-2 rounded-lg border border-blue-200 bg-blue-50 text-[11px] text-slate-700">
+    <Quote className="w-3 h-3 mt-0.5 flex-shrink-0 text-blue-500" />
+    <div className="flex-1 min-w-0">
+      <p className="italic whitespace-pre-wrap line-clamp-3">{selection.text}</p>
+      {selection.fileName && (
+        <p className="mt-1 truncate text-blue-700" title={selection.fileName}>From {selection.fileName}</p>
+      )}
+    </div>
+    <button type="button" onClick={onRemove} disabled={disabled} title="Remove quote">
+      <X className="w-3 h-3 text-blue-500" />
+    </button>
+  </div>
+);
+
+/**
+ * Inline editor for an earlier question
+ * Sending it forks the conversation: the answers after it are replaced
+ */
+export const QuestionEditor = ({ initialContent, onSubmit, onCancel }) => {
+  const [content, setContent] = useState(initialContent);
+
+  const submit = () => {
+    if (content.trim()) {
+      onSubmit(content.trim());
+    }
+  };
+
+  return (
+    <div className="space-y-2 min-w-[240px]">
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            submit();
+          } else if (e.key === 'Escape') {
+            onCancel();
+          }
+        }}
+        rows={3}
+        autoFocus
+        className="w-full rounded-lg border border-slate-300 bg-white p-2 text-sm text-slate-800 resize-y focus:outline-none focus:ring-2 focus:ring-blue-400"
+      />
+      <p className="text-[11px] text-slate-500">The answers after this question will be replaced</p>
+      <div className="flex justify-end gap-2">
+        <Button onClick={onCancel} size="sm" variant="outline" className="h-7 border-slate-300">
+          Cancel
+        </Button>
+        <Button onClick={submit} disabled={!content.trim()} size="sm" variant="gradient" className="h-7">
+          Send
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Pencil button shown under a question that can be edited
+ */
+export const EditQuestionButton = ({ onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className="inline-flex items-center gap-1 text-[11px] text-slate-500 hover:text-slate-800"
+    title="Edit and resend"
+  >
+    <Pencil className="w-3 h-3" />
+    Edit
+  </button>
+);
+
+/**
+ * Footer under the last message: a note when the answer was stopped, and
+ * regenerating the answer with the same or another model
+ */
+export const AnswerActions = ({ message, canRegenerate, onRegenerate }) => {
+  const [model, setModel] = useState(message.model || DEFAULT_CHAT_MODEL);
+
+  if (!message.stopped && !canRegenerate) return null;
+
+  return (
+    <div className="flex items-center gap-2 text-[11px] text-slate-500">
+      {message.stopped && (
+        <span className="inline-flex items-center gap-1">
+          <CircleStop className="w-3 h-3" />
+          Stopped
+        </span>
+      )}
+      {canRegenerate && (
+        <>
+          <button
+            type="button"
+            onClick={() => onRegenerate(model)}
+            className="inline-flex items-center gap-1 hover:text-slate-800"
+            title="Answer this question again"
+          >
+            <RefreshCw className="w-3 h-3" />
+            Regenerate
+          </button>
+          <select
+            value={model}
+            onChange={(e) => setModel(e.target.value)}
+            className="h-6 rounded border border-slate-200 bg-white px-1 text-[11px] text-slate-600"
+            title="Model for the new answer"
+          >
+            {CHAT_MODELS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </>
+      )}
+    </div>
+  );
+};
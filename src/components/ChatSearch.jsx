@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { Search, X, Loader2 } from 'lucide-react';
+
+/**
+ * Wrap each search term in the snippet with a <mark>
+ */
+const highlightTerms = (snippet, terms) => {
+  if (!terms?.length) return snippet;
+
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+
+  return snippet.split(pattern).map((part, index) =>
+    index % 2 === 1
+      ? <mark key={index} className="bg-amber-200 text-slate-900 rounded px-0.5">{part}</mark>
+      : <span key={index}>{part}</span>
+  );
+};
+
+/**
+ * Search across all of the user's chat threads, with course and date filters
+ * Results come from the searchChatHistory Cloud Function; picking one opens its thread
+ */
+export const ChatSearch = ({ open, onClose, courses = [], onSearch, onOpenResult }) => {
+  const [query, setQuery] = useState('');
+  const [courseId, setCourseId] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [searchResult, setSearchResult] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runSearch = async (e) => {
+    e?.preventDefault();
+    if (query.trim().length < 2 || isSearching) return;
+
+    setIsSearching(true);
+    setError(null);
+    try {
+      // Date inputs are local days; include the whole "to" day
+      const data = await onSearch(query.trim(), {
+        courseId: courseId || null,
+        from: fromDate ? new Date(`${fromDate}T00:00:00`).toISOString() : null,
+        to: toDate ? new Date(`${toDate}T23:59:59.999`).toISOString() : null
+      });
+      setSearchResult(data);
+    } catch (err) {
+      setError(err.message || 'Search failed');
+      setSearchResult(null);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleOpenResult = (result) => {
+    onOpenResult(result);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[560px] max-w-lg max-h-[80vh] flex flex-col">
+        <DialogHeader>
+          <div className="flex items-center justify-between">
+            <DialogTitle>Search Chats</DialogTitle>
+            <button onClick={onClose} className="p-1 rounded hover:bg-slate-100" title="Close">
+              <X className="w-4 h-4 text-slate-500" />
+            </button>
+          </div>
+          <DialogDescription>
+            Find past questions and answers across all your courses
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={runSearch} className="space-y-2">
+          <div className="flex gap-2">
+            <Input
+              autoFocus
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search your chat history..."
+              className="flex-1 border-slate-300"
+            />
+            <Button type="submit" disabled={query.trim().length < 2 || isSearching} className="h-10 px-3">
+              {isSearching ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+            </Button>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600">
+            <select
+              value={courseId}
+              onChange={(e) => setCourseId(e.target.value)}
+              className="h-8 max-w-[200px] rounded-lg border border-slate-300 bg-white px-2"
+            >
+              <option value="">All courses</option>
+              {courses.map((course) => (
+                <option key={course.id} value={course.id}>{course.name}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-1">
+              From
+              <input
+                type="date"
+                value={fromDate}
+                max={toDate || undefined}
+                onChange={(e) => setFromDate(e.target.value)}
+                className="h-8 rounded-lg border border-slate-300 bg-white px-2"
+              />
+            </label>
+            <label className="flex items-center gap-1">
+              To
+              <input
+                type="date"
+                value={toDate}
+                min={fromDate || undefined}
+                onChange={(e) => setToDate(e.target.value)}
+                className="h-8 rounded-lg border border-slate-300 bg-white px-2"
+              />
+            </label>
+          </div>
+        </form>
+
+        <div className="mt-4 flex-1 min-h-0 overflow-y-auto space-y-2">
+          {error && (
+            <p className="text-sm text-red-600">❌ {error}</p>
+          )}
+
+          {searchResult && searchResult.results.length === 0 && (
+            <p className="py-6 text-center text-sm text-slate-500">No messages match your search</p>
+          )}
+
+          {searchResult?.results.map((result) => (
+            <button
+              key={`${result.sessionId}-${result.messageId}`}
+              onClick={() => handleOpenResult(result)}
+              className="w-full text-left p-3 rounded-lg border border-slate-200 hover:bg-slate-50 transition-colors"
+            >
+              <div className="flex items-center justify-between gap-2 text-xs text-slate-500">
+                <span className="truncate">
+                  <span className="font-medium text-slate-700">{result.sessionTitle}</span>
+                  {result.courseName && ` · ${result.courseName}`}
+                </span>
+                {result.timestamp && (
+                  <span className="flex-shrink-0">{new Date(result.timestamp).toLocaleDateString()}</span>
+                )}
+              </div>
+              <p className="mt-1 text-sm text-slate-700 leading-snug">
+                <span className="font-medium text-slate-500">{result.role === 'user' ? 'You: ' : 'Canvs LM: '}</span>
+                {highlightTerms(result.snippet, searchResult.terms)}
+              </p>
+            </button>
+          ))}
+
+          {searchResult && searchResult.totalMatches > searchResult.results.length && (
+            <p className="text-xs text-slate-500 text-center">
+              Showing the best {searchResult.results.length} of {searchResult.totalMatches} matches - refine your search to narrow it down
+            </p>
+          )}
+          {searchResult?.truncated && (
+            <p className="text-xs text-slate-500 text-center">
+              Only your most recent chats were searched - use the date filters to look further back
+            </p>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
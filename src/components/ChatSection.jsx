@@ -1,138 +1,113 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { Card, CardHeader, CardContent, CardTitle } from './ui/card';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
 import { ScrollArea } from './ui/scroll-area';
-import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
-import { MessageCircle, Send, RotateCcw, AlertTriangle } from 'lucide-react';
+import { MessageCitations } from './MessageCitations';
+import { ChatThreadList } from './ChatThreadList';
+import { CrossCoursePicker } from './CrossCoursePicker';
+import { MessageCircle, Send, Square, MessageSquarePlus, History, Filter, X, GraduationCap, WalletCards, BookA, CalendarDays, FileDown } from 'lucide-react';
 import { trefoil } from 'ldrs';
-import { InlineMath, BlockMath } from 'react-katex';
-import 'katex/dist/katex.min.css';
+import { MarkdownMessage } from './MarkdownMessage';
+import { QuestionEditor, QuestionText, EditQuestionButton, AnswerActions, QuotedSelection } from './ChatMessageControls';
+import { buildGlossaryMatcher } from '../lib/glossary';
 
 // Register the Trefoil loader
 if (typeof window !== 'undefined') {
   trefoil.register();
 }
 
-// Parse and render text with LaTeX, bold, and bullets
-const formatAIResponse = (text) => {
-  if (!text) return text;
-  
-  const lines = text.split('\n');
-  
-  return lines.map((line, lineIndex) => {
-    // Check if line starts with ### (heading), * (bullet point) or numbered list
-    const isHeading = line.trim().startsWith('### ');
-    const isBullet = line.trim().startsWith('* ');
-    const isNumbered = /^\d+\./.test(line.trim());
-    let content = isBullet ? line.trim().substring(2) : isHeading ? line.trim().substring(4) : line;
-    
-    // Process the content for LaTeX and bold
-    const processContent = (text) => {
-      const parts = [];
-      let currentIndex = 0;
-      let partIndex = 0;
-      
-      // Combined regex to match both inline LaTeX $...$ and bold **...**
-      const combinedRegex = /(\$\$[\s\S]+?\$\$|\$[^\$\n]+?\$|\*\*[^\*]+?\*\*)/g;
-      let match;
-      
-      while ((match = combinedRegex.exec(text)) !== null) {
-        // Add text before the match
-        if (match.index > currentIndex) {
-          parts.push(
-            <span key={`text-${lineIndex}-${partIndex++}`}>
-              {text.substring(currentIndex, match.index)}
-            </span>
-          );
-        }
-        
-        const matchedText = match[1];
-        
-        // Check if it's LaTeX (block or inline)
-        if (matchedText.startsWith('$$') && matchedText.endsWith('$$')) {
-          // Block math
-          const latex = matchedText.slice(2, -2).trim();
-          parts.push(
-            <BlockMath key={`block-math-${lineIndex}-${partIndex++}`} math={latex} />
-          );
-        } else if (matchedText.startsWith('$') && matchedText.endsWith('$')) {
-          // Inline math
-          const latex = matchedText.slice(1, -1);
-          parts.push(
-            <InlineMath key={`inline-math-${lineIndex}-${partIndex++}`} math={latex} />
-          );
-        } else if (matchedText.startsWith('**') && matchedText.endsWith('**')) {
-          // Bold text
-          const boldText = matchedText.slice(2, -2);
-          parts.push(
-            <strong key={`bold-${lineIndex}-${partIndex++}`} className="font-bold">
-              {boldText}
-            </strong>
-          );
-        }
-        
-        currentIndex = match.index + matchedText.length;
-      }
-      
-      // Add remaining text
-      if (currentIndex < text.length) {
-        parts.push(
-          <span key={`text-${lineIndex}-${partIndex++}`}>
-            {text.substring(currentIndex)}
-          </span>
-        );
-      }
-      
-      return parts.length > 0 ? parts : text;
-    };
-    
-    // Render based on line type
-    if (isHeading) {
-      return (
-        <h3 key={lineIndex} className="text-lg font-bold text-slate-900 mt-4 mb-2">
-          {processContent(content)}
-        </h3>
-      );
-    } else if (isBullet) {
-      return (
-        <div key={lineIndex} className="flex gap-2 ml-2">
-          <span className="text-slate-600 flex-shrink-0">•</span>
-          <div className="flex-1">{processContent(content)}</div>
-        </div>
-      );
-    } else if (isNumbered) {
-      return (
-        <div key={lineIndex} className="ml-2">
-          {processContent(line)}
-        </div>
-      );
-    } else if (line.trim()) {
-      return (
-        <div key={lineIndex}>{processContent(line)}</div>
-      );
-    } else {
-      return <br key={lineIndex} />;
-    }
-  });
-};
-
 export const ChatSection = ({ 
   messages, 
   inputValue, 
   onInputChange, 
   onSend, 
   isLoading,
+  isAnswering = false,
+  onStop = null,
+  onRegenerate = null,
+  onEditMessage = null,
   isFullScreen = false,
   user,
   currentPagePDF = null,
   onContextToggle = null,
-  onNewChat = null
+  onNewChat = null,
+  threads = null,
+  activeThreadId = null,
+  onSelectThread = null,
+  onRenameThread = null,
+  onTogglePinThread = null,
+  onDeleteThread = null,
+  highlightedMessageId = null,
+  crossCourseOptions = null,
+  crossCourseIds = [],
+  onCrossCourseChange = null,
+  onLoadCrossCourseOptions = null,
+  documentScope = [],
+  onRemoveScopedDocument = null,
+  onClearDocumentScope = null,
+  onOpenQuiz = null,
+  onOpenFlashcards = null,
+  glossary = [],
+  onOpenGlossary = null,
+  onOpenStudyPlan = null,
+  onOpenChatExport = null,
+  quotedSelection = null,
+  onRemoveQuotedSelection = null
 }) => {
   const scrollContainerRef = useRef(null);
   const scrollAreaRef = useRef(null);
   const [contextEnabled, setContextEnabled] = useState(true);
-  const [showResetDialog, setShowResetDialog] = useState(false);
+  const [showThreads, setShowThreads] = useState(false);
+  const [editingIndex, setEditingIndex] = useState(null);
+
+  // Course terms in answers link to their glossary entries
+  const glossaryMatcher = useMemo(() => buildGlossaryMatcher(glossary), [glossary]);
+  const glossaryLinks = glossaryMatcher && onOpenGlossary
+    ? { matcher: glossaryMatcher, onOpenTerm: onOpenGlossary }
+    : null;
+
+  const isBusy = isLoading || isAnswering;
+  const hasQuestion = messages.some(msg => msg.role === 'user');
+
+  // Bubble content; a question being edited shows its editor instead
+  const renderMessageContent = (msg, idx) => {
+    if (msg.role !== 'user') {
+      return <MarkdownMessage content={msg.content} glossary={glossaryLinks} />;
+    }
+    if (editingIndex !== idx) {
+      return <QuestionText content={msg.content} />;
+    }
+    return (
+      <QuestionEditor
+        initialContent={msg.content}
+        onSubmit={(content) => {
+          setEditingIndex(null);
+          onEditMessage(idx, content);
+        }}
+        onCancel={() => setEditingIndex(null)}
+      />
+    );
+  };
+
+  // Edit under questions; regenerate (and the stopped note) under the last message
+  const renderMessageControls = (msg, idx) => {
+    const canEdit = msg.role === 'user' && onEditMessage && !isBusy && editingIndex === null;
+    const canRegenerate = idx === messages.length - 1 && onRegenerate && !isBusy && hasQuestion;
+    if (!canEdit && !canRegenerate && !msg.stopped) return null;
+
+    return (
+      <div className={`flex items-center gap-3 px-1 ${msg.role === 'user' ? 'self-end' : 'self-start'}`}>
+        {canEdit && <EditQuestionButton onClick={() => setEditingIndex(idx)} />}
+        <AnswerActions
+          key={msg.id || idx}
+          message={msg}
+          canRegenerate={canRegenerate}
+          onRegenerate={onRegenerate}
+        />
+      </div>
+    );
+  };
 
   // Notify parent when context toggle changes
   useEffect(() => {
@@ -141,21 +116,76 @@ export const ChatSection = ({
     }
   }, [contextEnabled, currentPagePDF, onContextToggle]);
 
-  const handleResetClick = () => {
-    setShowResetDialog(true);
-  };
-
-  const handleResetConfirm = () => {
-    setShowResetDialog(false);
+  const handleNewChat = () => {
+    setShowThreads(false);
     if (onNewChat) {
       onNewChat();
     }
   };
 
-  const handleResetCancel = () => {
-    setShowResetDialog(false);
+  const handleSelectThread = (threadId) => {
+    setShowThreads(false);
+    onSelectThread?.(threadId);
   };
 
+  const threadList = threads && (
+    <ChatThreadList
+      threads={threads}
+      activeThreadId={activeThreadId}
+      onSelect={handleSelectThread}
+      onNewChat={handleNewChat}
+      onRename={onRenameThread}
+      onTogglePin={onTogglePinThread}
+      onDelete={onDeleteThread}
+      disabled={isLoading}
+      className={isFullScreen ? 'h-full' : 'h-[320px]'}
+    />
+  );
+
+  const quotedSelectionCard = quotedSelection && (
+    <QuotedSelection selection={quotedSelection} onRemove={onRemoveQuotedSelection} disabled={isLoading} />
+  );
+
+  const crossCoursePicker = onCrossCourseChange && (
+    <CrossCoursePicker
+      options={crossCourseOptions || []}
+      selectedIds={crossCourseIds}
+      onChange={onCrossCourseChange}
+      onOpen={onLoadCrossCourseOptions}
+      disabled={isLoading}
+      compact={!isFullScreen}
+    />
+  );
+
+  // Documents picked in the course drawer that answers are restricted to
+  const documentScopeChips = documentScope.length > 0 && (
+    <div className="flex flex-wrap items-center gap-1.5">
+      <span className="inline-flex items-center gap-1 text-[11px] font-medium text-slate-500">
+        <Filter className="w-3 h-3" />
+        Only from:
+      </span>
+      {documentScope.map(doc => (
+        <span
+          key={doc.id}
+          className="inline-flex items-center gap-1 max-w-[200px] px-2 py-1 rounded-full bg-blue-50 border border-blue-200 text-blue-800 text-[11px]"
+          title={doc.fileName}
+        >
+          <span className="truncate">{doc.fileName}</span>
+          {onRemoveScopedDocument && (
+            <button type="button" onClick={() => onRemoveScopedDocument(doc)} disabled={isLoading} title="Remove">
+              <X className="w-3 h-3 text-blue-500" />
+            </button>
+          )}
+        </span>
+      ))}
+      {onClearDocumentScope && documentScope.length > 1 && (
+        <button type="button" onClick={onClearDocumentScope} disabled={isLoading} className="text-[11px] text-slate-500 hover:text-slate-800 hover:underline">
+          Clear all
+        </button>
+      )}
+    </div>
+  );
+
   // Debug logging
   useEffect(() => {
     if (currentPagePDF) {
@@ -165,7 +195,16 @@ export const ChatSection = ({
   }, [currentPagePDF, contextEnabled]);
 
   // Auto-scroll to bottom when messages change or when loading
+  // (or to the highlighted message when a search result was opened)
   useEffect(() => {
+    const container = scrollContainerRef.current || scrollAreaRef.current;
+    if (highlightedMessageId && container) {
+      const target = container.querySelector(`[data-message-id="${highlightedMessageId}"]`);
+      if (target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+      }
+    }
     // For fullscreen view
     if (scrollContainerRef.current) {
       scrollContainerRef.current.scrollTo({
@@ -183,164 +222,244 @@ export const ChatSection = ({
         });
       }
     }
-  }, [messages, isLoading]);
+  }, [messages, isLoading, highlightedMessageId]);
 
   if (isFullScreen) {
     // Full-screen layout for extended page
     return (
-      <div className="flex-1 flex flex-col h-full min-h-0">
-        {/* Messages Area */}
-        <div ref={scrollContainerRef} className="flex-1 overflow-y-auto min-h-0">
-          <div className="w-full px-8 py-8">
-            {/* Context Indicator */}
-            {currentPagePDF && (
-              <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-3 mb-4 flex items-start gap-3">
-                <div className="flex-shrink-0 mt-0.5">
-                  <svg className="w-5 h-5 text-blue-600 dark:text-blue-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                  </svg>
-                </div>
-                <div className="flex-1 min-w-0">
-                  <div className="flex items-center gap-2">
-                    <p className="text-sm font-medium text-blue-900 dark:text-blue-100">
-                      📄 Viewing Context
+      <div className="flex-1 flex h-full min-h-0">
+        {/* Thread list */}
+        {threadList && (
+          <div className="w-60 flex-shrink-0 border-r border-slate-200 bg-slate-50 p-3 min-h-0">
+            {threadList}
+          </div>
+        )}
+        <div className="flex-1 flex flex-col h-full min-h-0">
+          {/* Messages Area */}
+          <div ref={scrollContainerRef} className="flex-1 overflow-y-auto min-h-0">
+            <div className="w-full px-8 py-8">
+              {/* Context Indicator */}
+              {currentPagePDF && (
+                <div className="bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg p-3 mb-4 flex items-start gap-3">
+                  <div className="flex-shrink-0 mt-0.5">
+                    <svg className="w-5 h-5 text-blue-600 dark:text-blue-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                    </svg>
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <p className="text-sm font-medium text-blue-900 dark:text-blue-100">
+                        📄 Viewing Context
+                      </p>
+                      <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-100 dark:bg-blue-900/40 text-blue-800 dark:text-blue-200">
+                        Active
+                      </span>
+                    </div>
+                    <p className="text-sm text-blue-700 dark:text-blue-300 mt-1 truncate">
+                      {currentPagePDF.fileName}
+                    </p>
+                    <p className="text-xs text-blue-600 dark:text-blue-400 mt-1">
+                      Questions will prioritize this document
                     </p>
-                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-100 dark:bg-blue-900/40 text-blue-800 dark:text-blue-200">
-                      Active
-                    </span>
                   </div>
-                  <p className="text-sm text-blue-700 dark:text-blue-300 mt-1 truncate">
-                    {currentPagePDF.fileName}
-                  </p>
-                  <p className="text-xs text-blue-600 dark:text-blue-400 mt-1">
-                    Questions will prioritize this document
-                  </p>
                 </div>
-              </div>
-            )}
-            <div className="space-y-6">
-              {messages.length === 0 ? (
-                <div className="flex flex-col items-center justify-center py-20 text-center">
-                  <div className="w-20 h-20 rounded-3xl flex items-center justify-center mb-6">
-                    <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-20 h-20 rounded-3xl" />
+              )}
+              <div className="space-y-6">
+                {messages.length === 0 ? (
+                  <div className="flex flex-col items-center justify-center py-20 text-center">
+                    <div className="w-20 h-20 rounded-3xl flex items-center justify-center mb-6">
+                      <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-20 h-20 rounded-3xl" />
+                    </div>
+                    <p className="text-lg text-slate-700 font-medium mb-2">Ready to help!</p>
+                    <p className="text-sm text-slate-500">Ask me anything about your course materials</p>
                   </div>
-                  <p className="text-lg text-slate-700 font-medium mb-2">Ready to help!</p>
-                  <p className="text-sm text-slate-500">Ask me anything about your course materials</p>
-                </div>
-              ) : (
-                messages.map((msg, idx) => (
-                  <div 
-                    key={idx}
-                    className={`flex gap-3 animate-fade-in ${
-                      msg.role === 'user' ? 'justify-end' : 'justify-start'
-                    }`}
-                  >
-                    <div className={`flex gap-3 max-w-[80%] items-start ${
-                      msg.role === 'user' ? 'flex-row-reverse' : 'flex-row'
-                    }`}>
-                      <div className={`w-8 h-8 rounded-xl flex items-center justify-center flex-shrink-0 ${
-                        msg.role === 'user'
-                          ? 'bg-gradient-to-br from-blue-500 to-sky-500 text-white font-semibold text-sm'
-                          : ''
+                ) : (
+                  messages.map((msg, idx) => (
+                    <div 
+                      key={idx}
+                      data-message-id={msg.id}
+                      className={`flex gap-3 animate-fade-in ${
+                        msg.role === 'user' ? 'justify-end' : 'justify-start'
+                      }`}
+                    >
+                      <div className={`flex gap-3 max-w-[80%] items-start ${
+                        msg.role === 'user' ? 'flex-row-reverse' : 'flex-row'
                       }`}>
-                        {msg.role === 'user' ? (
-                          user?.displayName?.charAt(0).toUpperCase() || 'U'
-                        ) : (
-                          <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-8 h-8 rounded-xl" />
-                        )}
-                      </div>
-                      <div 
-                        className={`p-4 rounded-2xl shadow-sm ${
-                          msg.role === 'user' 
-                            ? 'bg-gradient-to-br from-blue-100 to-sky-100 text-slate-800' 
-                            : 'bg-white border border-slate-200 text-slate-700'
-                        }`}
-                      >
-                        <div className="text-sm leading-relaxed space-y-1">
-                          {msg.role === 'user' 
-                            ? msg.content 
-                            : formatAIResponse(msg.content)
-                          }
+                        <div className={`w-8 h-8 rounded-xl flex items-center justify-center flex-shrink-0 ${
+                          msg.role === 'user'
+                            ? 'bg-gradient-to-br from-blue-500 to-sky-500 text-white font-semibold text-sm'
+                            : ''
+                        }`}>
+                          {msg.role === 'user' ? (
+                            user?.displayName?.charAt(0).toUpperCase() || 'U'
+                          ) : (
+                            <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-8 h-8 rounded-xl" />
+                          )}
+                        </div>
+                        <div className="flex flex-col gap-1 min-w-0">
+                          <div 
+                            className={`p-4 rounded-2xl shadow-sm ${
+                              msg.role === 'user' 
+                                ? 'bg-gradient-to-br from-blue-100 to-sky-100 text-slate-800' 
+                                : 'bg-white border border-slate-200 text-slate-700'
+                            } ${msg.id && msg.id === highlightedMessageId ? 'ring-2 ring-amber-400' : ''}`}
+                          >
+                            <div className="text-sm leading-relaxed space-y-1">
+                              {renderMessageContent(msg, idx)}
+                            </div>
+                            {msg.role === 'assistant' && (
+                              <MessageCitations citations={msg.citations} />
+                            )}
+                          </div>
+                          {renderMessageControls(msg, idx)}
                         </div>
                       </div>
                     </div>
-                  </div>
-                ))
-              )}
-              {isLoading && (
-                <div className="flex gap-3 animate-fade-in justify-start">
-                  <div className="flex gap-3 max-w-[80%] items-start">
-                    <div className="w-8 h-8 rounded-xl flex items-center justify-center flex-shrink-0">
-                      <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-8 h-8 rounded-xl" />
-                    </div>
-                    <div className="p-4 rounded-2xl shadow-sm bg-white border border-slate-200">
-                      <div className="flex items-center gap-3">
-                        <l-trefoil
-                          size="28"
-                          stroke="3.5"
-                          stroke-length="0.15"
-                          bg-opacity="0.1"
-                          speed="1.4"
-                          color="#3b82f6"
-                        />
-                        <span className="text-sm text-slate-500">Searching course...</span>
+                  ))
+                )}
+                {isLoading && (
+                  <div className="flex gap-3 animate-fade-in justify-start">
+                    <div className="flex gap-3 max-w-[80%] items-start">
+                      <div className="w-8 h-8 rounded-xl flex items-center justify-center flex-shrink-0">
+                        <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-8 h-8 rounded-xl" />
+                      </div>
+                      <div className="p-4 rounded-2xl shadow-sm bg-white border border-slate-200">
+                        <div className="flex items-center gap-3">
+                          <l-trefoil
+                            size="28"
+                            stroke="3.5"
+                            stroke-length="0.15"
+                            bg-opacity="0.1"
+                            speed="1.4"
+                            color="#3b82f6"
+                          />
+                          <span className="text-sm text-slate-500">Searching course...</span>
+                        </div>
                       </div>
                     </div>
                   </div>
-                </div>
-              )}
+                )}
+              </div>
             </div>
           </div>
-        </div>
 
-        {/* Input Area - Fixed at Bottom */}
-        <div className="bg-white">
-          <div className="w-full px-8 py-4">
-            <div className="flex gap-3">
-              {onNewChat && messages.length > 0 && (
-                <Button
-                  onClick={handleResetClick}
+          {/* Input Area - Fixed at Bottom */}
+          <div className="bg-white">
+            <div className="w-full px-8 py-4">
+              {quotedSelectionCard && <div className="mb-2">{quotedSelectionCard}</div>}
+              {documentScopeChips && <div className="mb-2">{documentScopeChips}</div>}
+              {crossCoursePicker && <div className="mb-2">{crossCoursePicker}</div>}
+              <div className="flex gap-3">
+                {onNewChat && messages.length > 0 && (
+                  <Button
+                    onClick={handleNewChat}
+                    disabled={isLoading}
+                    size="icon"
+                    variant="outline"
+                    className="flex-shrink-0 w-12 h-12 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+                    title="New chat"
+                  >
+                    <MessageSquarePlus className="w-5 h-5 text-slate-600" />
+                  </Button>
+                )}
+                {onOpenQuiz && (
+                  <Button
+                    onClick={onOpenQuiz}
+                    disabled={isLoading}
+                    size="icon"
+                    variant="outline"
+                    className="flex-shrink-0 w-12 h-12 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+                    title="Practice quiz"
+                  >
+                    <GraduationCap className="w-5 h-5 text-slate-600" />
+                  </Button>
+                )}
+                {onOpenFlashcards && (
+                  <Button
+                    onClick={onOpenFlashcards}
+                    disabled={isLoading}
+                    size="icon"
+                    variant="outline"
+                    className="flex-shrink-0 w-12 h-12 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+                    title="Flashcards"
+                  >
+                    <WalletCards className="w-5 h-5 text-slate-600" />
+                  </Button>
+                )}
+                {onOpenGlossary && (
+                  <Button
+                    onClick={() => onOpenGlossary()}
+                    disabled={isLoading}
+                    size="icon"
+                    variant="outline"
+                    className="flex-shrink-0 w-12 h-12 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+                    title="Glossary"
+                  >
+                    <BookA className="w-5 h-5 text-slate-600" />
+                  </Button>
+                )}
+                {onOpenStudyPlan && (
+                  <Button
+                    onClick={onOpenStudyPlan}
+                    disabled={isLoading}
+                    size="icon"
+                    variant="outline"
+                    className="flex-shrink-0 w-12 h-12 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+                    title="Study plan"
+                  >
+                    <CalendarDays className="w-5 h-5 text-slate-600" />
+                  </Button>
+                )}
+                {onOpenChatExport && (
+                  <Button
+                    onClick={onOpenChatExport}
+                    disabled={isLoading || !threads || threads.length === 0}
+                    size="icon"
+                    variant="outline"
+                    className="flex-shrink-0 w-12 h-12 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+                    title="Export chats"
+                  >
+                    <FileDown className="w-5 h-5 text-slate-600" />
+                  </Button>
+                )}
+                <Input
+                  type="text"
+                  value={inputValue}
+                  onChange={(e) => onInputChange(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && !e.shiftKey && !isAnswering && onSend()}
+                  placeholder={quotedSelection ? 'Ask about the quoted text...' : 'Ask me about your course...'}
                   disabled={isLoading}
-                  size="icon"
-                  variant="outline"
-                  className="flex-shrink-0 w-12 h-12 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
-                  title="Reset chat"
-                >
-                  <RotateCcw className="w-5 h-5 text-slate-600" />
-                </Button>
-              )}
-              <Input
-                type="text"
-                value={inputValue}
-                onChange={(e) => onInputChange(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && !e.shiftKey && onSend()}
-                placeholder="Ask me about your course..."
-                disabled={isLoading}
-                className="flex-1 h-12 text-base border-slate-600"
-              />
-              <Button
-                onClick={onSend}
-                disabled={isLoading || !inputValue.trim()}
-                size="icon"
-                variant="gradient"
-                className="flex-shrink-0 w-12 h-12"
-              >
-                {isLoading ? (
-                  <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                  className="flex-1 h-12 text-base border-slate-600"
+                />
+                {isAnswering && onStop ? (
+                  <Button
+                    onClick={onStop}
+                    size="icon"
+                    variant="gradient"
+                    className="flex-shrink-0 w-12 h-12"
+                    title="Stop answering"
+                  >
+                    <Square className="w-4 h-4 fill-current" />
+                  </Button>
                 ) : (
-                  <Send className="w-5 h-5" />
+                  <Button
+                    onClick={onSend}
+                    disabled={isBusy || !inputValue.trim()}
+                    size="icon"
+                    variant="gradient"
+                    className="flex-shrink-0 w-12 h-12"
+                  >
+                    {isLoading ? (
+                      <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                    ) : (
+                      <Send className="w-5 h-5" />
+                    )}
+                  </Button>
                 )}
-              </Button>
+              </div>
             </div>
           </div>
         </div>
-        
-        {/* Reset Confirmation Dialog */}
-        <ResetChatDialog 
-          isOpen={showResetDialog}
-          onClose={handleResetCancel}
-          onConfirm={handleResetConfirm}
-        />
       </div>
     );
   }
@@ -355,6 +474,17 @@ export const ChatSection = ({
             <MessageCircle className="w-5 h-5 text-white" />
           </div>
           <CardTitle className="text-lg">Chat with the course</CardTitle>
+          {threadList && (
+            <Button
+              onClick={() => setShowThreads(!showThreads)}
+              size="icon"
+              variant="ghost"
+              className={`ml-auto h-8 w-8 ${showThreads ? 'bg-slate-100' : ''}`}
+              title="Chat history"
+            >
+              <History className="w-4 h-4 text-slate-600" />
+            </Button>
+          )}
         </div>
       </CardHeader>
       
@@ -394,159 +524,196 @@ export const ChatSection = ({
             </div>
           </div>
         )}
-        <ScrollArea ref={scrollAreaRef} className="h-[320px] pr-4">
-          <div className="space-y-4">
-            {messages.length === 0 ? (
-              <div className="flex flex-col items-center justify-center py-12 text-center">
-                <div className="w-16 h-16 rounded-2xl flex items-center justify-center mb-4">
-                  <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-16 h-16 rounded-2xl" />
+        {showThreads && threadList ? threadList : (
+          <ScrollArea ref={scrollAreaRef} className="h-[320px] pr-4">
+            <div className="space-y-4">
+              {messages.length === 0 ? (
+                <div className="flex flex-col items-center justify-center py-12 text-center">
+                  <div className="w-16 h-16 rounded-2xl flex items-center justify-center mb-4">
+                    <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-16 h-16 rounded-2xl" />
+                  </div>
+                  <p className="text-sm text-slate-600 font-medium mb-1">Ready to help!</p>
+                  <p className="text-xs text-slate-500">Ask me anything about your course materials</p>
                 </div>
-                <p className="text-sm text-slate-600 font-medium mb-1">Ready to help!</p>
-                <p className="text-xs text-slate-500">Ask me anything about your course materials</p>
-              </div>
-            ) : (
-              messages.map((msg, idx) => (
-                <div 
-                  key={idx}
-                  className={`flex flex-col animate-fade-in ${
-                    msg.role === 'user' ? 'items-end' : 'items-start'
-                  }`}
-                >
-                  <div className="flex flex-col gap-1.5 max-w-[95%]">
-                    <div className={`w-7 h-7 rounded-lg flex items-center justify-center flex-shrink-0 ${
-                      msg.role === 'user'
-                        ? 'bg-gradient-to-br from-blue-500 to-sky-500 self-end text-white font-semibold text-xs'
-                        : 'self-start'
-                    }`}>
-                      {msg.role === 'user' ? (
-                        user?.displayName?.charAt(0).toUpperCase() || 'U'
-                      ) : (
-                        <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-7 h-7 rounded-lg" />
-                      )}
-                    </div>
-                    <div 
-                      className={`p-3 rounded-2xl shadow-sm ${
-                        msg.role === 'user' 
-                          ? 'bg-gradient-to-br from-blue-100 to-sky-100 text-slate-800' 
-                          : 'bg-white border border-slate-200 text-slate-700'
-                      }`}
-                    >
-                      <div className="text-sm leading-relaxed space-y-1">
-                        {msg.role === 'user' 
-                          ? msg.content 
-                          : formatAIResponse(msg.content)
-                        }
+              ) : (
+                messages.map((msg, idx) => (
+                  <div 
+                    key={idx}
+                    data-message-id={msg.id}
+                    className={`flex flex-col animate-fade-in ${
+                      msg.role === 'user' ? 'items-end' : 'items-start'
+                    }`}
+                  >
+                    <div className="flex flex-col gap-1.5 max-w-[95%]">
+                      <div className={`w-7 h-7 rounded-lg flex items-center justify-center flex-shrink-0 ${
+                        msg.role === 'user'
+                          ? 'bg-gradient-to-br from-blue-500 to-sky-500 self-end text-white font-semibold text-xs'
+                          : 'self-start'
+                      }`}>
+                        {msg.role === 'user' ? (
+                          user?.displayName?.charAt(0).toUpperCase() || 'U'
+                        ) : (
+                          <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-7 h-7 rounded-lg" />
+                        )}
                       </div>
+                      <div 
+                        className={`p-3 rounded-2xl shadow-sm ${
+                          msg.role === 'user' 
+                            ? 'bg-gradient-to-br from-blue-100 to-sky-100 text-slate-800' 
+                            : 'bg-white border border-slate-200 text-slate-700'
+                        } ${msg.id && msg.id === highlightedMessageId ? 'ring-2 ring-amber-400' : ''}`}
+                      >
+                        <div className="text-sm leading-relaxed space-y-1">
+                          {renderMessageContent(msg, idx)}
+                        </div>
+                        {msg.role === 'assistant' && (
+                          <MessageCitations citations={msg.citations} />
+                        )}
+                      </div>
+                      {renderMessageControls(msg, idx)}
                     </div>
                   </div>
-                </div>
-              ))
-            )}
-            {isLoading && (
-              <div className="flex flex-col animate-fade-in items-start">
-                <div className="flex flex-col gap-1.5 max-w-[95%]">
-                  <div className="w-7 h-7 rounded-lg flex items-center justify-center flex-shrink-0 self-start">
-                    <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-7 h-7 rounded-lg" />
-                  </div>
-                  <div className="p-3 rounded-2xl shadow-sm bg-white border border-slate-200">
-                    <div className="flex items-center gap-3">
-                      <l-trefoil
-                        size="28"
-                        stroke="3.5"
-                        stroke-length="0.15"
-                        bg-opacity="0.1"
-                        speed="1.4"
-                        color="#3b82f6"
-                      />
-                      <span className="text-sm text-slate-500">Searching course...</span>
+                ))
+              )}
+              {isLoading && (
+                <div className="flex flex-col animate-fade-in items-start">
+                  <div className="flex flex-col gap-1.5 max-w-[95%]">
+                    <div className="w-7 h-7 rounded-lg flex items-center justify-center flex-shrink-0 self-start">
+                      <img src={chrome.runtime.getURL('Canvas LM Logo.png')} alt="Canvs LM" className="w-7 h-7 rounded-lg" />
+                    </div>
+                    <div className="p-3 rounded-2xl shadow-sm bg-white border border-slate-200">
+                      <div className="flex items-center gap-3">
+                        <l-trefoil
+                          size="28"
+                          stroke="3.5"
+                          stroke-length="0.15"
+                          bg-opacity="0.1"
+                          speed="1.4"
+                          color="#3b82f6"
+                        />
+                        <span className="text-sm text-slate-500">Searching course...</span>
+                      </div>
                     </div>
                   </div>
                 </div>
-              </div>
-            )}
-          </div>
-        </ScrollArea>
+              )}
+            </div>
+          </ScrollArea>
+        )}
         
+        {quotedSelectionCard}
+        {documentScopeChips}
+        {crossCoursePicker}
         <div className="flex gap-2 pt-2">
           {onNewChat && messages.length > 0 && (
             <Button
-              onClick={handleResetClick}
+              onClick={handleNewChat}
+              disabled={isLoading}
+              size="icon"
+              variant="outline"
+              className="flex-shrink-0 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+              title="New chat"
+            >
+              <MessageSquarePlus className="w-4 h-4 text-slate-600" />
+            </Button>
+          )}
+          {onOpenQuiz && (
+            <Button
+              onClick={onOpenQuiz}
+              disabled={isLoading}
+              size="icon"
+              variant="outline"
+              className="flex-shrink-0 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+              title="Practice quiz"
+            >
+              <GraduationCap className="w-4 h-4 text-slate-600" />
+            </Button>
+          )}
+          {onOpenFlashcards && (
+            <Button
+              onClick={onOpenFlashcards}
               disabled={isLoading}
               size="icon"
               variant="outline"
               className="flex-shrink-0 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
-              title="Reset chat"
+              title="Flashcards"
             >
-              <RotateCcw className="w-4 h-4 text-slate-600" />
+              <WalletCards className="w-4 h-4 text-slate-600" />
+            </Button>
+          )}
+          {onOpenGlossary && (
+            <Button
+              onClick={() => onOpenGlossary()}
+              disabled={isLoading}
+              size="icon"
+              variant="outline"
+              className="flex-shrink-0 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+              title="Glossary"
+            >
+              <BookA className="w-4 h-4 text-slate-600" />
+            </Button>
+          )}
+          {onOpenStudyPlan && (
+            <Button
+              onClick={onOpenStudyPlan}
+              disabled={isLoading}
+              size="icon"
+              variant="outline"
+              className="flex-shrink-0 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+              title="Study plan"
+            >
+              <CalendarDays className="w-4 h-4 text-slate-600" />
+            </Button>
+          )}
+          {onOpenChatExport && (
+            <Button
+              onClick={onOpenChatExport}
+              disabled={isLoading || !threads || threads.length === 0}
+              size="icon"
+              variant="outline"
+              className="flex-shrink-0 border-slate-300 hover:bg-slate-100 hover:border-slate-400"
+              title="Export chats"
+            >
+              <FileDown className="w-4 h-4 text-slate-600" />
             </Button>
           )}
           <Input
             type="text"
             value={inputValue}
             onChange={(e) => onInputChange(e.target.value)}
-            onKeyPress={(e) => e.key === 'Enter' && !e.shiftKey && onSend()}
-            placeholder="Ask about your course..."
+            onKeyPress={(e) => e.key === 'Enter' && !e.shiftKey && !isAnswering && onSend()}
+            placeholder={quotedSelection ? 'Ask about the quoted text...' : 'Ask about your course...'}
             disabled={isLoading}
             className="flex-1"
           />
-          <Button
-            onClick={onSend}
-            disabled={isLoading || !inputValue.trim()}
-            size="icon"
-            variant="gradient"
-            className="flex-shrink-0"
-          >
-            {isLoading ? (
-              <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-            ) : (
-              <Send className="w-4 h-4" />
-            )}
-          </Button>
+          {isAnswering && onStop ? (
+            <Button
+              onClick={onStop}
+              size="icon"
+              variant="gradient"
+              className="flex-shrink-0"
+              title="Stop answering"
+            >
+              <Square className="w-3.5 h-3.5 fill-current" />
+            </Button>
+          ) : (
+            <Button
+              onClick={onSend}
+              disabled={isBusy || !inputValue.trim()}
+              size="icon"
+              variant="gradient"
+              className="flex-shrink-0"
+            >
+              {isLoading ? (
+                <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+              ) : (
+                <Send className="w-4 h-4" />
+              )}
+            </Button>
+          )}
         </div>
       </CardContent>
     </Card>
-    
-    {/* Reset Confirmation Dialog */}
-    <ResetChatDialog 
-      isOpen={showResetDialog}
-      onClose={handleResetCancel}
-      onConfirm={handleResetConfirm}
-    />
     </>
   );
 };
-
-// Confirmation Dialog Component
-const ResetChatDialog = ({ isOpen, onClose, onConfirm }) => (
-  <Dialog open={isOpen} onOpenChange={onClose}>
-    <DialogContent className="sm:max-w-[425px]">
-      <DialogHeader>
-        <div className="flex items-center gap-3">
-          <div className="w-10 h-10 rounded-full bg-red-100 flex items-center justify-center">
-            <AlertTriangle className="w-5 h-5 text-red-600" />
-          </div>
-          <DialogTitle>Reset Chat?</DialogTitle>
-        </div>
-        <DialogDescription className="pt-4">
-          This will start a new conversation and <strong>permanently delete all messages</strong> in this chat session. This action cannot be undone.
-          <br /><br />
-          Use this after rescanning to ensure the AI uses the latest course documents.
-        </DialogDescription>
-      </DialogHeader>
-      <DialogFooter className="gap-2 sm:gap-0">
-        <Button
-          variant="outline"
-          onClick={onClose}
-        >
-          Cancel
-        </Button>
-        <Button
-          variant="destructive"
-          onClick={onConfirm}
-        >
-          Reset Chat
-        </Button>
-      </DialogFooter>
-    </DialogContent>
-  </Dialog>
-);
\ No newline at end of file
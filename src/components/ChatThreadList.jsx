@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { MessageSquarePlus, Pin, PinOff, Pencil, Trash2, Check, X, AlertTriangle } from 'lucide-react';
+
+/**
+ * Chat threads for the current course: switch, create, rename, pin and delete
+ * Threads are chatSessions documents ({ id, title, pinned, lastMessageAt, messageCount }),
+ * already sorted pinned-first by popup-logic
+ */
+export const ChatThreadList = ({
+  threads,
+  activeThreadId,
+  onSelect,
+  onNewChat,
+  onRename,
+  onTogglePin,
+  onDelete,
+  disabled = false,
+  className = ''
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+  const [threadToDelete, setThreadToDelete] = useState(null);
+
+  const startRename = (thread) => {
+    setEditingId(thread.id);
+    setEditTitle(thread.title || '');
+  };
+
+  const commitRename = () => {
+    if (editingId && editTitle.trim()) {
+      onRename(editingId, editTitle);
+    }
+    setEditingId(null);
+  };
+
+  const confirmDelete = () => {
+    if (threadToDelete) {
+      onDelete(threadToDelete.id);
+    }
+    setThreadToDelete(null);
+  };
+
+  return (
+    <div className={`flex flex-col min-h-0 ${className}`}>
+      <div className="flex items-center justify-between px-1 pb-2">
+        <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Chats</p>
+        <Button
+          onClick={onNewChat}
+          disabled={disabled}
+          size="sm"
+          variant="outline"
+          className="h-7 gap-1 px-2 text-xs border-slate-300"
+          title="New chat"
+        >
+          <MessageSquarePlus className="w-3.5 h-3.5" />
+          New
+        </Button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto space-y-0.5">
+        {threads.length === 0 ? (
+          <p className="px-2 py-4 text-xs text-slate-500 text-center">
+            No chats yet - your first question starts one
+          </p>
+        ) : (
+          threads.map((thread) => {
+            const isActive = thread.id === activeThreadId;
+
+            if (editingId === thread.id) {
+              return (
+                <div key={thread.id} className="flex items-center gap-1 p-1 rounded-lg bg-slate-100">
+                  <input
+                    autoFocus
+                    value={editTitle}
+                    onChange={(e) => setEditTitle(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    maxLength={100}
+                    className="flex-1 min-w-0 px-2 py-1 text-sm rounded border border-slate-300 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  />
+                  <button onClick={commitRename} className="p-1 rounded hover:bg-slate-200" title="Save">
+                    <Check className="w-3.5 h-3.5 text-slate-600" />
+                  </button>
+                  <button onClick={() => setEditingId(null)} className="p-1 rounded hover:bg-slate-200" title="Cancel">
+                    <X className="w-3.5 h-3.5 text-slate-600" />
+                  </button>
+                </div>
+              );
+            }
+
+            return (
+              <div
+                key={thread.id}
+                className={`group flex items-center gap-1 rounded-lg transition-colors ${
+                  isActive ? 'bg-slate-200' : 'hover:bg-slate-100'
+                }`}
+              >
+                <button
+                  onClick={() => onSelect(thread.id)}
+                  disabled={disabled}
+                  className="flex-1 min-w-0 flex items-center gap-1.5 px-2 py-1.5 text-left disabled:cursor-not-allowed"
+                  title={thread.title}
+                >
+                  {thread.pinned && <Pin className="w-3 h-3 flex-shrink-0 text-blue-500" />}
+                  <span className={`truncate text-sm ${isActive ? 'font-medium text-slate-900' : 'text-slate-700'}`}>
+                    {thread.title || 'New chat'}
+                  </span>
+                </button>
+                <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity pr-1">
+                  <button onClick={() => startRename(thread)} className="p-1 rounded hover:bg-slate-300" title="Rename">
+                    <Pencil className="w-3 h-3 text-slate-600" />
+                  </button>
+                  <button onClick={() => onTogglePin(thread.id)} className="p-1 rounded hover:bg-slate-300" title={thread.pinned ? 'Unpin' : 'Pin'}>
+                    {thread.pinned
+                      ? <PinOff className="w-3 h-3 text-slate-600" />
+                      : <Pin className="w-3 h-3 text-slate-600" />}
+                  </button>
+                  <button
+                    onClick={() => setThreadToDelete(thread)}
+                    disabled={disabled && isActive}
+                    className="p-1 rounded hover:bg-red-100 disabled:opacity-50"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-3 h-3 text-red-600" />
+                  </button>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      <DeleteThreadDialog
+        thread={threadToDelete}
+        onClose={() => setThreadToDelete(null)}
+        onConfirm={confirmDelete}
+      />
+    </div>
+  );
+};
+
+// Confirmation Dialog Component
+const DeleteThreadDialog = ({ thread, onClose, onConfirm }) => (
+  <Dialog open={Boolean(thread)} onOpenChange={onClose}>
+    <DialogContent className="sm:max-w-[425px]">
+      <DialogHeader>
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-full bg-red-100 flex items-center justify-center">
+            <AlertTriangle className="w-5 h-5 text-red-600" />
+          </div>
+          <DialogTitle>Delete Chat?</DialogTitle>
+        </div>
+        <DialogDescription className="pt-4">
+          "{thread?.title}" and all its messages will be <strong>permanently deleted</strong>. This action cannot be undone.
+        </DialogDescription>
+      </DialogHeader>
+      <DialogFooter className="gap-2 sm:gap-0">
+        <Button
+          variant="outline"
+          onClick={onClose}
+        >
+          Cancel
+        </Button>
+        <Button
+          variant="destructive"
+          onClick={onConfirm}
+        >
+          Delete Chat
+        </Button>
+      </DialogFooter>
+    </DialogContent>
+  </Dialog>
+);
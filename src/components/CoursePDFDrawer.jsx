@@ -1,14 +1,203 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { ScrollArea } from './ui/scroll-area';
-import { FileText, Loader2, Info } from 'lucide-react';
+import { File, FileText, FileType, FileCode, Presentation, BookOpen, ClipboardList, ScrollText, Loader2, Info, Check, NotebookText } from 'lucide-react';
+import { InlineMath } from 'react-katex';
+import 'katex/dist/katex.min.css';
 
+// Icon and color per indexed file type (matched on MIME type, then file extension)
+const FILE_TYPE_ICONS = [
+  { mimeType: 'application/pdf', extension: 'pdf', Icon: FileText, className: 'text-red-600', label: 'PDF' },
+  { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx', Icon: FileType, className: 'text-blue-600', label: 'Word document' },
+  { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: 'pptx', Icon: Presentation, className: 'text-orange-600', label: 'PowerPoint presentation' },
+  { mimeType: 'text/markdown', extension: 'md', Icon: FileCode, className: 'text-slate-700', label: 'Markdown' },
+  { mimeType: 'text/plain', extension: 'txt', Icon: File, className: 'text-slate-600', label: 'Text file' }
+];
+
+// Canvas pages, syllabus and assignments (indexed as Markdown) get their own icons
+const SOURCE_TYPE_ICONS = {
+  page: { Icon: BookOpen, className: 'text-emerald-600', label: 'Canvas page' },
+  syllabus: { Icon: ScrollText, className: 'text-emerald-600', label: 'Syllabus' },
+  assignment: { Icon: ClipboardList, className: 'text-purple-600', label: 'Assignment' }
+};
+
+const getFileTypeIcon = (doc) => {
+  const extension = (doc.fileName || '').toLowerCase().split('.').pop();
+  return SOURCE_TYPE_ICONS[doc.sourceType] ||
+    FILE_TYPE_ICONS.find(type => type.mimeType === doc.fileType) ||
+    FILE_TYPE_ICONS.find(type => type.extension === extension) ||
+    FILE_TYPE_ICONS[0]; // Documents indexed before multi-format support are PDFs
+};
+
+// Documents without Canvas module info sort after everything else
+const UNPOSITIONED = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Group documents by Canvas module, in course order
+ * Documents outside any module (or indexed before module info was kept) come last
+ */
+const groupByModule = (documents) => {
+  const groups = new Map();
+  documents.forEach(doc => {
+    const key = doc.moduleName || '';
+    if (!groups.has(key)) {
+      groups.set(key, { moduleName: doc.moduleName || null, position: doc.moduleName ? (doc.modulePosition ?? UNPOSITIONED - 1) : UNPOSITIONED, documents: [] });
+    }
+    groups.get(key).documents.push(doc);
+  });
+
+  const sorted = [...groups.values()].sort((a, b) => a.position - b.position);
+  sorted.forEach(group => group.documents.sort((a, b) => (a.itemPosition ?? UNPOSITIONED) - (b.itemPosition ?? UNPOSITIONED)));
+  return sorted;
+};
+
+const SummarySection = ({ title, children }) => (
+  <div className="space-y-1">
+    <p className="text-[10px] font-semibold uppercase tracking-wide text-slate-500">{title}</p>
+    {children}
+  </div>
+);
+
+/**
+ * Shared study summary of a document, generated server-side after it was indexed
+ */
+const DocumentSummary = ({ doc }) => {
+  const { summary, summaryStatus } = doc;
+
+  if (!summary) {
+    return (
+      <p className="text-[11px] text-slate-500 italic">
+        {summaryStatus === 'pending'
+          ? 'The summary is being written...'
+          : summaryStatus === 'failed'
+            ? 'No summary could be generated for this document'
+            : 'No summary yet - it is created the next time the course is scanned'}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2.5 text-[11px] text-slate-700 leading-relaxed">
+      <p>{summary.overview}</p>
+      {summary.keyConcepts?.length > 0 && (
+        <SummarySection title="Key concepts">
+          <ul className="space-y-1">
+            {summary.keyConcepts.map((concept, i) => (
+              <li key={i}>
+                <span className="font-semibold text-slate-900">{concept.name}</span>
+                {concept.explanation && ` - ${concept.explanation}`}
+              </li>
+            ))}
+          </ul>
+        </SummarySection>
+      )}
+      {summary.definitions?.length > 0 && (
+        <SummarySection title="Definitions">
+          <dl className="space-y-1">
+            {summary.definitions.map((definition, i) => (
+              <div key={i}>
+                <dt className="inline font-semibold text-slate-900">{definition.term}: </dt>
+                <dd className="inline">{definition.definition}</dd>
+              </div>
+            ))}
+          </dl>
+        </SummarySection>
+      )}
+      {summary.formulas?.length > 0 && (
+        <SummarySection title="Formulas">
+          <ul className="space-y-1.5">
+            {summary.formulas.map((formula, i) => (
+              <li key={i}>
+                {formula.name && <span className="font-semibold text-slate-900">{formula.name}: </span>}
+                <InlineMath math={formula.latex} renderError={() => <code>{formula.latex}</code>} />
+                {formula.explanation && <p className="text-slate-600">{formula.explanation}</p>}
+              </li>
+            ))}
+          </ul>
+        </SummarySection>
+      )}
+      {summaryStatus === 'pending' && (
+        <p className="text-slate-500 italic">This document changed - an updated summary is being written</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Indexed documents of the selected course
+ * Grouped by Canvas module when module info is known
+ * With onToggleSelect, documents (or whole modules via onToggleModule) can be picked to scope chat answers to them
+ * Each document's summary opens from its summary button (or by clicking it when documents aren't selectable)
+ */
 export const CoursePDFDrawer = ({ 
   open, 
   documents, 
-  isLoading 
+  isLoading,
+  selectedIds = [],
+  onToggleSelect = null,
+  onToggleModule = null,
+  onClearSelection = null
 }) => {
+  const [summaryOpenId, setSummaryOpenId] = useState(null);
+
   if (!open) return null;
 
+  const isSelectable = Boolean(onToggleSelect);
+  const groups = groupByModule(documents || []);
+  const showModules = groups.some(group => group.moduleName);
+
+  const renderDocument = (doc, index) => {
+    const { Icon, className, label } = getFileTypeIcon(doc);
+    const isSelected = selectedIds.includes(doc.id);
+    const isSummaryOpen = summaryOpenId === doc.id;
+    const toggleSummary = () => setSummaryOpenId(isSummaryOpen ? null : doc.id);
+    
+    return (
+      <div
+        key={doc.id || index}
+        onClick={isSelectable ? () => onToggleSelect(doc) : toggleSummary}
+        className={`p-2.5 rounded-md border transition-colors cursor-pointer ${
+          isSelected
+            ? 'bg-blue-50 border-blue-300'
+            : 'bg-white hover:bg-slate-50 border-slate-200'
+        }`}
+      >
+        <div className="flex items-start gap-2">
+          {isSelectable && (
+            <span className={`w-3.5 h-3.5 mt-0.5 flex-shrink-0 rounded border flex items-center justify-center ${
+              isSelected ? 'bg-blue-600 border-blue-600' : 'border-slate-300 bg-white'
+            }`}>
+              {isSelected && <Check className="w-2.5 h-2.5 text-white" />}
+            </span>
+          )}
+          <Icon className={`w-3.5 h-3.5 ${className} mt-0.5 flex-shrink-0`} aria-label={label} />
+          <div className="flex-1 min-w-0">
+            <p className="text-xs text-slate-900 font-medium break-words leading-tight">
+              {doc.fileName || doc.title || 'Untitled Document'}
+            </p>
+          </div>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleSummary();
+            }}
+            className={`p-0.5 -m-0.5 rounded flex-shrink-0 hover:bg-slate-200 ${isSummaryOpen ? 'text-blue-600' : 'text-slate-400'}`}
+            title={isSummaryOpen ? 'Hide summary' : 'Show summary'}
+          >
+            <NotebookText className="w-3.5 h-3.5" />
+          </button>
+        </div>
+        {isSummaryOpen && (
+          <div
+            onClick={(e) => e.stopPropagation()}
+            className="mt-2 pt-2 border-t border-slate-200 cursor-auto"
+          >
+            <DocumentSummary doc={doc} />
+          </div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="overflow-hidden transition-all duration-300 ease-in-out bg-slate-50 rounded-lg mx-1 mb-1 border border-slate-300">
       <div className="p-3">
@@ -18,21 +207,48 @@ export const CoursePDFDrawer = ({
           </div>
         ) : documents && documents.length > 0 ? (
           <div className="space-y-2 max-h-64 overflow-y-auto">
-            {documents.map((doc, index) => (
-              <div
-                key={doc.id || index}
-                className="p-2.5 bg-white hover:bg-slate-50 rounded-md border border-slate-200 transition-colors"
-              >
-                <div className="flex items-start gap-2">
-                  <FileText className="w-3.5 h-3.5 text-blue-600 mt-0.5 flex-shrink-0" />
-                  <div className="flex-1 min-w-0">
-                    <p className="text-xs text-slate-900 font-medium break-words leading-tight">
-                      {doc.fileName || doc.title || 'Untitled Document'}
+            {isSelectable && (
+              <div className="flex items-center justify-between px-0.5">
+                <p className="text-[11px] text-slate-500">
+                  {selectedIds.length > 0
+                    ? `Answering only from ${selectedIds.length} selected`
+                    : 'Select documents to focus answers on them'}
+                </p>
+                {selectedIds.length > 0 && onClearSelection && (
+                  <button onClick={onClearSelection} className="text-[11px] text-blue-600 hover:underline">
+                    Clear
+                  </button>
+                )}
+              </div>
+            )}
+            {groups.map(group => {
+              if (!showModules) {
+                return group.documents.map(renderDocument);
+              }
+
+              const moduleSelected = group.documents.every(doc => selectedIds.includes(doc.id));
+              return (
+                <div key={group.moduleName || 'other'} className="space-y-1.5">
+                  <div
+                    onClick={isSelectable && onToggleModule ? () => onToggleModule(group.documents) : undefined}
+                    className={`flex items-center gap-2 px-0.5 pt-1 ${isSelectable && onToggleModule ? 'cursor-pointer' : ''}`}
+                  >
+                    {isSelectable && onToggleModule && (
+                      <span className={`w-3.5 h-3.5 flex-shrink-0 rounded border flex items-center justify-center ${
+                        moduleSelected ? 'bg-blue-600 border-blue-600' : 'border-slate-300 bg-white'
+                      }`}>
+                        {moduleSelected && <Check className="w-2.5 h-2.5 text-white" />}
+                      </span>
+                    )}
+                    <p className="flex-1 min-w-0 truncate text-[11px] font-semibold uppercase tracking-wide text-slate-500" title={group.moduleName || undefined}>
+                      {group.moduleName || 'Other documents'}
                     </p>
+                    <span className="text-[11px] text-slate-400">{group.documents.length}</span>
                   </div>
+                  {group.documents.map(renderDocument)}
                 </div>
-              </div>
-            ))}
+              );
+            })}
             <div className="p-3 bg-blue-50/50 hover:bg-blue-50 rounded-md border border-blue-200 transition-colors">
               <div className="flex items-start gap-2.5">
                 <Info className="w-4 h-4 text-blue-600 mt-0.5 flex-shrink-0" />
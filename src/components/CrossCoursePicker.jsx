@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Layers, Check, X } from 'lucide-react';
+
+// Extra courses on top of the current one (the server allows 5 in total)
+const MAX_EXTRA_COURSES = 4;
+
+/**
+ * Pick other enrolled courses to include in the next questions (cross-course mode)
+ * Options are loaded when the picker is first opened: [{ id, name }]
+ */
+export const CrossCoursePicker = ({ options, selectedIds, onChange, onOpen, disabled = false, compact = false }) => {
+  const [open, setOpen] = useState(false);
+
+  const toggleOpen = () => {
+    if (!open) {
+      onOpen?.();
+    }
+    setOpen(!open);
+  };
+
+  const toggleCourse = (courseId) => {
+    if (selectedIds.includes(courseId)) {
+      onChange(selectedIds.filter(id => id !== courseId));
+    } else if (selectedIds.length < MAX_EXTRA_COURSES) {
+      onChange([...selectedIds, courseId]);
+    }
+  };
+
+  const selectedCourses = selectedIds
+    .map(id => options.find(course => course.id === id))
+    .filter(Boolean);
+
+  return (
+    <div className="relative flex flex-wrap items-center gap-1.5">
+      <button
+        type="button"
+        onClick={toggleOpen}
+        disabled={disabled}
+        className={`inline-flex items-center gap-1 px-2 py-1 rounded-full border text-[11px] font-medium transition-colors disabled:opacity-50 ${
+          selectedIds.length > 0
+            ? 'border-blue-300 bg-blue-50 text-blue-800 hover:bg-blue-100'
+            : 'border-slate-300 text-slate-600 hover:bg-slate-100'
+        }`}
+        title="Also search other enrolled courses"
+      >
+        <Layers className="w-3 h-3" />
+        {selectedIds.length > 0 ? `+${selectedIds.length} course${selectedIds.length > 1 ? 's' : ''}` : (compact ? 'Courses' : 'Search other courses')}
+      </button>
+
+      {selectedCourses.map(course => (
+        <span
+          key={course.id}
+          className="inline-flex items-center gap-1 max-w-[180px] px-2 py-1 rounded-full bg-slate-100 text-slate-700 text-[11px]"
+        >
+          <span className="truncate">{course.name}</span>
+          <button type="button" onClick={() => toggleCourse(course.id)} disabled={disabled} title="Remove">
+            <X className="w-3 h-3 text-slate-500" />
+          </button>
+        </span>
+      ))}
+
+      {open && (
+        <div className="absolute bottom-full left-0 mb-2 w-72 z-20 bg-white border border-slate-200 rounded-lg shadow-lg py-1">
+          <p className="px-3 py-1.5 text-[11px] text-slate-500">
+            Answers will draw on the current course plus up to {MAX_EXTRA_COURSES} more
+          </p>
+          {options.length === 0 ? (
+            <p className="px-3 py-2 text-xs text-slate-500">No other scanned courses</p>
+          ) : (
+            options.map(course => {
+              const isSelected = selectedIds.includes(course.id);
+              const isFull = !isSelected && selectedIds.length >= MAX_EXTRA_COURSES;
+              return (
+                <button
+                  key={course.id}
+                  type="button"
+                  onClick={() => toggleCourse(course.id)}
+                  disabled={isFull}
+                  className="w-full flex items-center gap-2 px-3 py-1.5 text-left text-sm text-slate-700 hover:bg-slate-100 disabled:opacity-50 disabled:hover:bg-white"
+                >
+                  <span className={`w-4 h-4 flex-shrink-0 rounded border flex items-center justify-center ${
+                    isSelected ? 'bg-blue-600 border-blue-600' : 'border-slate-300'
+                  }`}>
+                    {isSelected && <Check className="w-3 h-3 text-white" />}
+                  </span>
+                  <span className="truncate">{course.name}</span>
+                </button>
+              );
+            })
+          )}
+          <div className="border-t border-slate-100 mt-1 pt-1 px-3 pb-1 flex justify-end">
+            <button type="button" onClick={() => setOpen(false)} className="text-xs text-slate-600 hover:text-slate-900">
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,331 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { WalletCards, X, Loader2, Download, Trash2, ArrowLeft, FileText } from 'lucide-react';
+import { REVIEW_GRADES, describeNextInterval, isDue, toMillis } from '../lib/spaced-repetition';
+
+const CARD_COUNTS = [10, 20, 30];
+
+/**
+ * Sources a deck can be generated from: the chat's document scope, Canvas modules, single documents
+ * Option values are "scope", "module:<name>" or "doc:<id>"
+ */
+const buildSourceOptions = (documents, documentScope) => {
+  const modules = new Map();
+  documents.forEach(doc => {
+    if (doc.moduleName && !modules.has(doc.moduleName)) {
+      modules.set(doc.moduleName, doc.modulePosition ?? Number.MAX_SAFE_INTEGER);
+    }
+  });
+
+  return {
+    scope: documentScope.length > 0,
+    modules: [...modules.entries()].sort((a, b) => a[1] - b[1]).map(([name]) => name),
+    documents: [...documents].sort((a, b) => (a.fileName || '').localeCompare(b.fileName || ''))
+  };
+};
+
+const toSourceRequest = (value, documentScope) => {
+  if (value === 'scope') return { documentIds: documentScope.map(doc => doc.id) };
+  if (value.startsWith('module:')) return { moduleName: value.slice('module:'.length) };
+  return { documentIds: [value.slice('doc:'.length)] };
+};
+
+/**
+ * Flashcard decks for the current course: generate a deck from a module or documents,
+ * review due cards with SM-2 scheduling, and export decks for Anki
+ * Mount it only while open so every opening starts from the deck list
+ */
+export const FlashcardPanel = ({
+  open,
+  onClose,
+  documentScope = [],
+  onLoadDecks,
+  onLoadDocuments,
+  onGenerate,
+  onLoadCards,
+  onReview,
+  onDelete,
+  onExport
+}) => {
+  const [decks, setDecks] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [source, setSource] = useState('');
+  const [cardCount, setCardCount] = useState(20);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [deckToDelete, setDeckToDelete] = useState(null);
+
+  // Review session
+  const [activeDeck, setActiveDeck] = useState(null);
+  const [deckCards, setDeckCards] = useState([]);
+  const [queue, setQueue] = useState([]);
+  const [showBack, setShowBack] = useState(false);
+
+  useEffect(() => {
+    onLoadDecks().then(setDecks).catch(() => setDecks([]));
+    onLoadDocuments().then(setDocuments).catch(() => setDocuments([]));
+  }, []);
+
+  const sourceOptions = buildSourceOptions(documents, documentScope);
+  const selectedSource = source || (sourceOptions.scope ? 'scope' : '');
+
+  const generateDeck = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      await onGenerate({ ...toSourceRequest(selectedSource, documentScope), cardCount });
+      setDecks(await onLoadDecks());
+    } catch (err) {
+      setError(err.message || 'Could not generate flashcards');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const startReview = async (deck) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const cards = await onLoadCards(deck.id);
+      setDeckCards(cards);
+      setQueue(cards.filter(card => isDue(card)).sort((a, b) => toMillis(a.dueAt) - toMillis(b.dueAt)));
+      setShowBack(false);
+      setActiveDeck(deck);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const gradeCard = async (quality) => {
+    const [card, ...rest] = queue;
+    setShowBack(false);
+    // Failed cards come back at the end of this session
+    setQueue(quality < 3 ? [...rest, card] : rest);
+
+    const updated = await onReview(activeDeck.id, card, quality);
+    const replace = cards => cards.map(c => (c.id === updated.id ? updated : c));
+    setDeckCards(replace);
+    setQueue(replace);
+  };
+
+  const exportDeck = async (deck, format) => {
+    setError(null);
+    try {
+      await onExport(deck, format);
+    } catch (err) {
+      setError(err.message || 'Export failed');
+    }
+  };
+
+  const deleteDeck = async () => {
+    const deck = deckToDelete;
+    setDeckToDelete(null);
+    if (await onDelete(deck.id)) {
+      setDecks(decks.filter(d => d.id !== deck.id));
+    } else {
+      setError('Could not delete the deck');
+    }
+  };
+
+  const renderDeckList = () => (
+    <div className="flex-1 min-h-0 overflow-y-auto space-y-5">
+      <div className="space-y-2">
+        <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">New deck</p>
+        <select
+          value={selectedSource}
+          onChange={(e) => setSource(e.target.value)}
+          className="w-full h-9 rounded-lg border border-slate-300 bg-white px-2 text-sm"
+        >
+          <option value="" disabled>Choose a module or document...</option>
+          {sourceOptions.scope && (
+            <option value="scope">Documents picked for the chat ({documentScope.length})</option>
+          )}
+          {sourceOptions.modules.length > 0 && (
+            <optgroup label="Modules">
+              {sourceOptions.modules.map(name => (
+                <option key={name} value={`module:${name}`}>{name}</option>
+              ))}
+            </optgroup>
+          )}
+          <optgroup label="Documents">
+            {sourceOptions.documents.map(doc => (
+              <option key={doc.id} value={`doc:${doc.id}`}>{doc.fileName}</option>
+            ))}
+          </optgroup>
+        </select>
+        <div className="flex items-center gap-2">
+          <select
+            value={cardCount}
+            onChange={(e) => setCardCount(Number(e.target.value))}
+            className="h-9 rounded-lg border border-slate-300 bg-white px-2 text-sm"
+          >
+            {CARD_COUNTS.map(count => (
+              <option key={count} value={count}>{count} cards</option>
+            ))}
+          </select>
+          <Button
+            onClick={generateDeck}
+            disabled={isWorking || !selectedSource}
+            variant="gradient"
+            className="flex-1 h-9"
+          >
+            {isWorking ? (
+              <>
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Writing cards...
+              </>
+            ) : 'Generate deck'}
+          </Button>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Your decks</p>
+        {decks === null ? (
+          <div className="flex justify-center py-4">
+            <Loader2 className="w-5 h-5 text-blue-500 animate-spin" />
+          </div>
+        ) : decks.length === 0 ? (
+          <p className="py-4 text-center text-sm text-slate-500">No decks for this course yet</p>
+        ) : (
+          decks.map(deck => (
+            <div key={deck.id} className="p-3 rounded-lg border border-slate-200 space-y-2">
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-slate-900 truncate" title={deck.title}>{deck.title}</p>
+                  <p className="text-xs text-slate-500">
+                    {deck.cardCount} cards
+                    {deck.createdAt && ` · ${new Date(toMillis(deck.createdAt)).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <Button onClick={() => startReview(deck)} disabled={isWorking} size="sm" variant="gradient" className="h-8 flex-shrink-0">
+                  Study
+                </Button>
+              </div>
+
+              {deckToDelete?.id === deck.id ? (
+                <div className="flex items-center justify-end gap-2 text-xs">
+                  <span className="text-slate-600">Delete this deck and its review history?</span>
+                  <button onClick={deleteDeck} className="text-red-600 font-medium hover:underline">Delete</button>
+                  <button onClick={() => setDeckToDelete(null)} className="text-slate-600 hover:underline">Cancel</button>
+                </div>
+              ) : (
+                <div className="flex items-center gap-3 text-xs text-slate-600">
+                  <span className="inline-flex items-center gap-1">
+                    <Download className="w-3.5 h-3.5" />
+                    Anki:
+                  </span>
+                  <button onClick={() => exportDeck(deck, 'tsv')} className="hover:text-blue-700 hover:underline">TSV</button>
+                  <button onClick={() => exportDeck(deck, 'csv')} className="hover:text-blue-700 hover:underline">CSV</button>
+                  <button onClick={() => setDeckToDelete(deck)} className="ml-auto p-1 rounded hover:bg-red-50" title="Delete deck">
+                    <Trash2 className="w-3.5 h-3.5 text-red-600" />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+
+  const renderReview = () => {
+    const card = queue[0];
+
+    if (!card) {
+      const nextDue = deckCards.length > 0 ? Math.min(...deckCards.map(c => toMillis(c.dueAt))) : null;
+      return (
+        <div className="flex-1 flex flex-col items-center justify-center text-center py-8 space-y-2">
+          <p className="text-lg font-semibold text-slate-900">All caught up</p>
+          <p className="text-sm text-slate-500">
+            {nextDue ? `Next cards are due ${new Date(nextDue).toLocaleString()}` : 'This deck has no cards'}
+          </p>
+          <Button onClick={() => setActiveDeck(null)} variant="outline" className="mt-2 border-slate-300">
+            Back to decks
+          </Button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="flex-1 min-h-0 overflow-y-auto flex flex-col">
+        <div className="flex items-center justify-between text-xs text-slate-500 mb-3">
+          <button onClick={() => setActiveDeck(null)} className="inline-flex items-center gap-1 hover:text-slate-800">
+            <ArrowLeft className="w-3.5 h-3.5" />
+            Decks
+          </button>
+          <span>{queue.length} due</span>
+        </div>
+
+        <div className="p-5 rounded-xl border border-slate-200 bg-white min-h-[140px] flex flex-col justify-center">
+          <p className="text-base text-slate-900 text-center leading-relaxed">{card.front}</p>
+          {showBack && (
+            <>
+              <div className="my-4 border-t border-slate-200" />
+              <p className="text-sm text-slate-700 text-center leading-relaxed">{card.back}</p>
+              {card.sourceDocument && (
+                <p className="mt-3 flex items-center justify-center gap-1 text-xs text-slate-500">
+                  <FileText className="w-3 h-3" />
+                  {card.sourceDocument}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="mt-4">
+          {!showBack ? (
+            <Button onClick={() => setShowBack(true)} variant="gradient" className="w-full">
+              Show answer
+            </Button>
+          ) : (
+            <div className="grid grid-cols-4 gap-2">
+              {REVIEW_GRADES.map(grade => (
+                <Button
+                  key={grade.id}
+                  onClick={() => gradeCard(grade.quality)}
+                  variant="outline"
+                  className="h-auto py-2 flex flex-col border-slate-300"
+                >
+                  <span className="text-sm">{grade.label}</span>
+                  <span className="text-[11px] text-slate-500">{describeNextInterval(card, grade.quality)}</span>
+                </Button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[560px] max-w-lg max-h-[85vh] flex flex-col">
+        <DialogHeader>
+          <div className="flex items-center justify-between">
+            <DialogTitle className="flex items-center gap-2">
+              <WalletCards className="w-5 h-5 text-blue-600" />
+              {activeDeck ? activeDeck.title : 'Flashcards'}
+            </DialogTitle>
+            <button onClick={onClose} className="p-1 rounded hover:bg-slate-100" title="Close">
+              <X className="w-4 h-4 text-slate-500" />
+            </button>
+          </div>
+          <DialogDescription>
+            {activeDeck
+              ? 'Rate how well you remembered each card to schedule its next review'
+              : 'Make decks from your lectures and review them with spaced repetition'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="mt-4 flex-1 min-h-0 flex flex-col">
+          {error && <p className="text-sm text-red-600 mb-3">❌ {error}</p>}
+          {activeDeck ? renderReview() : renderDeckList()}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,150 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Input } from './ui/input';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { BookA, X, Search, FileText, Loader2 } from 'lucide-react';
+
+const matchesQuery = (entry, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  return [entry.term, entry.definition, ...(entry.aliases || [])]
+    .some(text => (text || '').toLowerCase().includes(needle));
+};
+
+const formatPages = (pages) => {
+  if (!pages || pages.length === 0) return null;
+  return `${pages.length === 1 ? 'p.' : 'pp.'} ${pages.join(', ')}`;
+};
+
+/**
+ * Searchable glossary of the current course: terms, definitions and the
+ * documents (and pages) each term appears in
+ * Opened from the chat toolbar, or from a linked term in an answer (initialEntryId)
+ * Mount it only while open so it reloads the glossary each time
+ */
+export const GlossaryPanel = ({
+  open,
+  onClose,
+  entries = [],
+  initialEntryId = null,
+  onRefresh
+}) => {
+  const [query, setQuery] = useState('');
+  const [expandedId, setExpandedId] = useState(initialEntryId);
+  const [isRefreshing, setIsRefreshing] = useState(true);
+  const initialEntryRef = useRef(null);
+
+  useEffect(() => {
+    Promise.resolve(onRefresh?.()).finally(() => setIsRefreshing(false));
+  }, []);
+
+  useEffect(() => {
+    initialEntryRef.current?.scrollIntoView({ block: 'center' });
+  }, [isRefreshing]);
+
+  const openDocument = (occurrence) => {
+    if (occurrence.fileUrl) {
+      chrome.tabs.create({ url: occurrence.fileUrl });
+    }
+  };
+
+  const visibleEntries = entries.filter(entry => matchesQuery(entry, query));
+
+  const renderEntry = (entry) => {
+    const isExpanded = expandedId === entry.id;
+    const occurrences = Object.entries(entry.occurrences || {})
+      .sort((a, b) => a[1].fileName.localeCompare(b[1].fileName));
+
+    return (
+      <div
+        key={entry.id}
+        ref={entry.id === initialEntryId ? initialEntryRef : undefined}
+        className={`rounded-lg border transition-colors ${isExpanded ? 'border-blue-300 bg-blue-50/50' : 'border-slate-200 bg-white'}`}
+      >
+        <button
+          type="button"
+          onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+          className="w-full text-left p-3"
+        >
+          <p className="text-sm font-semibold text-slate-900">
+            {entry.term}
+            {entry.aliases?.length > 0 && (
+              <span className="ml-1.5 font-normal text-slate-500">({entry.aliases.join(', ')})</span>
+            )}
+          </p>
+          <p className={`text-sm text-slate-700 ${isExpanded ? '' : 'line-clamp-2'}`}>{entry.definition}</p>
+        </button>
+
+        {isExpanded && occurrences.length > 0 && (
+          <div className="px-3 pb-3 space-y-1">
+            <p className="text-[11px] font-semibold uppercase tracking-wide text-slate-500">Appears in</p>
+            {occurrences.map(([documentId, occurrence]) => (
+              <button
+                key={documentId}
+                type="button"
+                onClick={() => openDocument(occurrence)}
+                disabled={!occurrence.fileUrl}
+                className="flex items-center gap-1.5 w-full text-left text-xs text-blue-800 hover:underline disabled:text-slate-600 disabled:no-underline"
+              >
+                <FileText className="w-3 h-3 flex-shrink-0" />
+                <span className="truncate">{occurrence.fileName}</span>
+                {formatPages(occurrence.pages) && (
+                  <span className="flex-shrink-0 text-slate-500">· {formatPages(occurrence.pages)}</span>
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[560px] max-w-lg max-h-[85vh] flex flex-col">
+        <DialogHeader>
+          <div className="flex items-center justify-between">
+            <DialogTitle className="flex items-center gap-2">
+              <BookA className="w-5 h-5 text-blue-600" />
+              Glossary
+            </DialogTitle>
+            <button onClick={onClose} className="p-1 rounded hover:bg-slate-100" title="Close">
+              <X className="w-4 h-4 text-slate-500" />
+            </button>
+          </div>
+          <DialogDescription>
+            Terms from this course's documents, with definitions and where they appear
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="mt-4 flex-1 min-h-0 flex flex-col gap-3">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+            <Input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={`Search ${entries.length} terms...`}
+              className="pl-9"
+              autoFocus={!initialEntryId}
+            />
+          </div>
+
+          <div className="flex-1 min-h-0 overflow-y-auto space-y-2">
+            {isRefreshing && entries.length === 0 ? (
+              <div className="flex justify-center py-6">
+                <Loader2 className="w-5 h-5 text-blue-500 animate-spin" />
+              </div>
+            ) : entries.length === 0 ? (
+              <p className="py-6 text-center text-sm text-slate-500">
+                No glossary yet - terms are collected as the course's documents are indexed
+              </p>
+            ) : visibleEntries.length === 0 ? (
+              <p className="py-6 text-center text-sm text-slate-500">No terms match "{query}"</p>
+            ) : (
+              visibleEntries.map(renderEntry)
+            )}
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
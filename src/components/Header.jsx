@@ -2,9 +2,9 @@ import React from 'react';
 import { Avatar, AvatarImage, AvatarFallback } from './ui/avatar';
 import { Button } from './ui/button';
 import { Badge } from './ui/badge';
-import { Maximize2 } from 'lucide-react';
+import { Maximize2, PanelRight, Search } from 'lucide-react';
 
-export const Header = ({ user, onExpandWindow, isExtensionPage, usageStatus }) => {
+export const Header = ({ user, onExpandWindow, onOpenSidePanel = null, onOpenSearch = null, isExtensionPage, usageStatus }) => {
   // Determine tier badge
   const getTierBadge = () => {
     if (!usageStatus || usageStatus.loading) return null;
@@ -64,6 +64,30 @@ export const Header = ({ user, onExpandWindow, isExtensionPage, usageStatus }) =
         
         {!isExtensionPage && user && getTierBadge()}
         
+        {onOpenSearch && (
+          <Button
+            onClick={onOpenSearch}
+            variant="ghost"
+            size="icon"
+            className="h-9 w-9 rounded-full hover:bg-slate-100"
+            title="Search chats"
+          >
+            <Search className="w-4 h-4" />
+          </Button>
+        )}
+        
+        {!isExtensionPage && onOpenSidePanel && (
+          <Button
+            onClick={onOpenSidePanel}
+            variant="ghost"
+            size="icon"
+            className="h-9 w-9 rounded-full hover:bg-slate-100"
+            title="Open in side panel"
+          >
+            <PanelRight className="w-4 h-4" />
+          </Button>
+        )}
+        
         {!isExtensionPage && (
           <Button
             onClick={onExpandWindow}
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import { Check, Copy } from 'lucide-react';
+import { splitGlossaryTerms } from '../lib/glossary';
+import { normalizeMathDelimiters, sanitizeSchema } from '../lib/markdown';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github.css';
+
+const hastToText = (node) => {
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(hastToText).join('');
+};
+
+const hasClass = (node, name) => {
+  const className = node.properties?.className;
+  return Array.isArray(className) && className.some(c => String(c).startsWith(name));
+};
+
+/**
+ * Rehype plugin that wraps the first use of each glossary term in a <glossary-term> element
+ * Code, links and rendered math are left alone
+ */
+const rehypeGlossaryTerms = ({ matcher }) => (tree) => {
+  const linked = new Set();
+
+  const visit = (node) => {
+    if (node.type === 'element' && (['a', 'code', 'pre'].includes(node.tagName) || hasClass(node, 'katex'))) {
+      return;
+    }
+    if (!node.children) return;
+
+    node.children = node.children.flatMap(child => {
+      if (child.type !== 'text') {
+        visit(child);
+        return [child];
+      }
+      return splitGlossaryTerms(child.value, matcher, linked).map(part => (
+        typeof part === 'string'
+          ? { type: 'text', value: part }
+          : { type: 'element', tagName: 'glossary-term', properties: {}, data: { entry: part.entry }, children: [{ type: 'text', value: part.text }] }
+      ));
+    });
+  };
+
+  visit(tree);
+};
+
+/**
+ * Fenced code block with its language and a copy button
+ */
+const CodeBlock = ({ node, children }) => {
+  const [copied, setCopied] = useState(false);
+  // Render the <code> here so the inline code style below doesn't apply to blocks
+  const codeElement = React.Children.only(children);
+  const code = node.children.find(child => child.tagName === 'code');
+  const language = (code?.properties?.className || [])
+    .map(String)
+    .find(c => c.startsWith('language-'))
+    ?.slice('language-'.length);
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(hastToText(node).replace(/\n$/, ''));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (error) {
+      console.error('Copy failed:', error);
+    }
+  };
+
+  return (
+    <div className="my-2 rounded-lg border border-slate-200 overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-1 bg-slate-50 border-b border-slate-200">
+        <span className="text-[11px] font-medium text-slate-500">{language || 'code'}</span>
+        <button
+          type="button"
+          onClick={copyCode}
+          className="inline-flex items-center gap-1 text-[11px] text-slate-500 hover:text-slate-800"
+          title="Copy code"
+        >
+          {copied ? <Check className="w-3 h-3 text-green-600" /> : <Copy className="w-3 h-3" />}
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+      <pre className="p-3 text-xs leading-relaxed overflow-x-auto">
+        <code className={`${codeElement.props.className || ''} !p-0 !bg-transparent`}>{codeElement.props.children}</code>
+      </pre>
+    </div>
+  );
+};
+
+const components = {
+  pre: CodeBlock,
+  code: ({ children }) => (
+    <code className="px-1 py-0.5 rounded bg-slate-100 text-[0.85em] font-mono text-slate-800">{children}</code>
+  ),
+  h1: ({ children }) => <h1 className="text-xl font-bold text-slate-900 mt-4 mb-2">{children}</h1>,
+  h2: ({ children }) => <h2 className="text-lg font-bold text-slate-900 mt-4 mb-2">{children}</h2>,
+  h3: ({ children }) => <h3 className="text-base font-bold text-slate-900 mt-3 mb-1.5">{children}</h3>,
+  h4: ({ children }) => <h4 className="text-sm font-bold text-slate-900 mt-3 mb-1">{children}</h4>,
+  p: ({ children }) => <p className="my-1.5">{children}</p>,
+  ul: ({ children }) => <ul className="my-1.5 pl-5 list-disc space-y-0.5">{children}</ul>,
+  ol: ({ children, start }) => <ol start={start} className="my-1.5 pl-5 list-decimal space-y-0.5">{children}</ol>,
+  li: ({ children }) => <li className="pl-0.5">{children}</li>,
+  strong: ({ children }) => <strong className="font-bold">{children}</strong>,
+  blockquote: ({ children }) => (
+    <blockquote className="my-2 pl-3 border-l-2 border-slate-300 text-slate-600">{children}</blockquote>
+  ),
+  hr: () => <hr className="my-3 border-slate-200" />,
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-blue-700 underline underline-offset-2 hover:text-blue-900">
+      {children}
+    </a>
+  ),
+  table: ({ children }) => (
+    <div className="my-2 overflow-x-auto rounded-lg border border-slate-200">
+      <table className="w-full text-xs border-collapse">{children}</table>
+    </div>
+  ),
+  thead: ({ children }) => <thead className="bg-slate-50">{children}</thead>,
+  th: ({ children, style }) => (
+    <th style={style} className="px-2 py-1.5 text-left font-semibold text-slate-900 border-b border-slate-200">{children}</th>
+  ),
+  td: ({ children, style }) => (
+    <td style={style} className="px-2 py-1.5 border-b border-slate-100 align-top">{children}</td>
+  )
+};
+
+/**
+ * Render an assistant message as GitHub-flavoured Markdown with KaTeX math
+ * and highlighted code blocks. Raw HTML is never rendered and the tree is sanitised
+ * With a glossary ({ matcher, onOpenTerm }), the first use of each course term links to its entry
+ */
+export const MarkdownMessage = ({ content, glossary = null }) => {
+  if (!content) return null;
+
+  const rehypePlugins = [
+    [rehypeSanitize, sanitizeSchema],
+    rehypeKatex,
+    rehypeHighlight,
+    ...(glossary ? [[rehypeGlossaryTerms, { matcher: glossary.matcher }]] : [])
+  ];
+
+  const glossaryComponents = glossary ? {
+    'glossary-term': ({ node, children }) => (
+      <button
+        type="button"
+        onClick={() => glossary.onOpenTerm(node.data.entry)}
+        title={node.data.entry.definition}
+        className="underline decoration-dotted decoration-blue-400 underline-offset-2 hover:text-blue-700 cursor-help"
+      >
+        {children}
+      </button>
+    )
+  } : {};
+
+  return (
+    <div className="break-words [&>*:first-child]:mt-0 [&>*:last-child]:mb-0">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, remarkMath]}
+        rehypePlugins={rehypePlugins}
+        components={{ ...components, ...glossaryComponents }}
+      >
+        {normalizeMathDelimiters(content)}
+      </ReactMarkdown>
+    </div>
+  );
+};
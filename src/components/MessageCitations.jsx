@@ -0,0 +1,54 @@
+import React from 'react';
+import { FileText } from 'lucide-react';
+
+/**
+ * Footnote-style source chips for an assistant message
+ * Citations are resolved server-side from Gemini grounding metadata:
+ * [{ index, documentId, courseId, courseName, title, fileUrl, passages }]
+ * Cross-course answers tag each source with its course
+ */
+export const MessageCitations = ({ citations }) => {
+  if (!citations || citations.length === 0) return null;
+
+  const isCrossCourse = new Set(citations.map(citation => citation.courseId).filter(Boolean)).size > 1;
+
+  const openSource = (citation) => {
+    if (!citation.fileUrl) return;
+    chrome.tabs.create({ url: citation.fileUrl });
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-slate-100">
+      <p className="text-[11px] font-medium text-slate-500 mb-1.5">Sources</p>
+      <div className="flex flex-wrap gap-1.5">
+        {citations.map((citation) => {
+          const preview = citation.passages?.[0];
+          const label = isCrossCourse && citation.courseName
+            ? `${citation.courseName} · ${citation.title}`
+            : citation.title;
+          const tooltip = preview
+            ? `${label}\n\n"${preview.length > 300 ? preview.substring(0, 300) + '…' : preview}"`
+            : label;
+
+          return (
+            <button
+              key={citation.courseId && citation.documentId ? `${citation.courseId}/${citation.documentId}` : citation.index}
+              type="button"
+              onClick={() => openSource(citation)}
+              disabled={!citation.fileUrl}
+              title={tooltip}
+              className="inline-flex items-center gap-1 max-w-[220px] px-2 py-1 rounded-full border border-blue-200 bg-blue-50 text-blue-800 text-[11px] font-medium hover:bg-blue-100 transition-colors disabled:cursor-default disabled:hover:bg-blue-50"
+            >
+              <span className="text-blue-500">[{citation.index}]</span>
+              <FileText className="w-3 h-3 flex-shrink-0" />
+              {isCrossCourse && citation.courseName && (
+                <span className="flex-shrink-0 max-w-[80px] truncate px-1 rounded bg-blue-100 text-blue-700">{citation.courseName}</span>
+              )}
+              <span className="truncate">{citation.title}</span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
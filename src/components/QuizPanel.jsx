@@ -0,0 +1,377 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { GraduationCap, Check, X, Loader2, FileText, RotateCcw } from 'lucide-react';
+
+const QUESTION_COUNTS = [3, 5, 10];
+
+const QUESTION_TYPES = [
+  { id: 'multiple_choice', label: 'Multiple choice' },
+  { id: 'short_answer', label: 'Short answer' }
+];
+
+/**
+ * Whether the student has finished with a question (and may move on)
+ */
+const isAnswered = (question, answer) =>
+  question.type === 'multiple_choice'
+    ? answer.selectedIndex !== undefined
+    : answer.selfMarkedCorrect !== undefined;
+
+/**
+ * Explanation and source document shown once a question is answered
+ */
+const QuestionExplanation = ({ question }) => (
+  <div className="mt-3 p-3 rounded-lg bg-slate-50 border border-slate-200 space-y-2">
+    {question.explanation && (
+      <p className="text-sm text-slate-700 leading-relaxed">{question.explanation}</p>
+    )}
+    {question.citation?.title && (
+      <button
+        type="button"
+        onClick={() => question.citation.fileUrl && chrome.tabs.create({ url: question.citation.fileUrl })}
+        disabled={!question.citation.fileUrl}
+        className="flex items-start gap-1.5 text-left text-xs text-slate-600 enabled:hover:text-blue-700"
+        title={question.citation.fileUrl ? 'Open in Canvas' : undefined}
+      >
+        <FileText className="w-3.5 h-3.5 mt-0.5 flex-shrink-0" />
+        <span>
+          <span className="font-medium">{question.citation.title}</span>
+          {question.citation.quote && <span className="italic"> - "{question.citation.quote}"</span>}
+        </span>
+      </button>
+    )}
+  </div>
+);
+
+/**
+ * Practice quiz for the current course, generated from its documents by the
+ * generateQuiz Cloud Function (the chat's document scope, or the whole course)
+ * Multiple-choice answers are checked right away; short answers are compared with
+ * the model answer and self-marked. Scores are saved per course when the quiz is finished
+ * Mount it only while open so every opening starts from the setup screen
+ */
+export const QuizPanel = ({ open, onClose, documentScope = [], onGenerate, onSubmit, onLoadScore }) => {
+  const [questionCount, setQuestionCount] = useState(5);
+  const [questionTypes, setQuestionTypes] = useState(QUESTION_TYPES.map(type => type.id));
+  const [quiz, setQuiz] = useState(null);
+  const [answers, setAnswers] = useState([]);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [result, setResult] = useState(null);
+  const [courseScore, setCourseScore] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Course totals for the setup screen; results bring updated ones
+  useEffect(() => {
+    onLoadScore?.().then(setCourseScore).catch(() => setCourseScore(null));
+  }, []);
+
+  const toggleQuestionType = (typeId) => {
+    setQuestionTypes(questionTypes.includes(typeId)
+      ? questionTypes.filter(id => id !== typeId)
+      : [...questionTypes, typeId]);
+  };
+
+  const startQuiz = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const data = await onGenerate({ questionCount, questionTypes });
+      setQuiz(data);
+      setAnswers(data.questions.map(() => ({})));
+      setCurrentIndex(0);
+      setResult(null);
+    } catch (err) {
+      setError(err.message || 'Could not generate a quiz');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const updateAnswer = (changes) => {
+    setAnswers(answers.map((answer, index) => (index === currentIndex ? { ...answer, ...changes } : answer)));
+  };
+
+  const finishQuiz = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      const data = await onSubmit(quiz.quizId, answers.map((answer, questionIndex) => ({
+        questionIndex,
+        selectedIndex: answer.selectedIndex,
+        selfMarkedCorrect: answer.selfMarkedCorrect
+      })));
+      setResult(data);
+      setCourseScore(data.courseScore);
+    } catch (err) {
+      setError(err.message || 'Could not save your score');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const resetQuiz = () => {
+    setQuiz(null);
+    setAnswers([]);
+    setResult(null);
+    setError(null);
+  };
+
+  const question = quiz?.questions[currentIndex];
+  const answer = answers[currentIndex] || {};
+  const isLastQuestion = quiz && currentIndex === quiz.questions.length - 1;
+
+  const renderSetup = () => (
+    <div className="space-y-4">
+      <p className="text-sm text-slate-600">
+        {documentScope.length > 0
+          ? `Questions will come from the ${documentScope.length} document${documentScope.length > 1 ? 's' : ''} you picked for the chat.`
+          : 'Questions will come from all indexed course documents. Pick documents in the course drawer to focus the quiz.'}
+      </p>
+
+      <div>
+        <p className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-1.5">Questions</p>
+        <div className="flex gap-2">
+          {QUESTION_COUNTS.map(count => (
+            <button
+              key={count}
+              type="button"
+              onClick={() => setQuestionCount(count)}
+              className={`px-3 py-1.5 rounded-lg border text-sm transition-colors ${
+                questionCount === count
+                  ? 'border-blue-500 bg-blue-50 text-blue-800'
+                  : 'border-slate-300 text-slate-700 hover:bg-slate-50'
+              }`}
+            >
+              {count}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <p className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-1.5">Question types</p>
+        <div className="flex flex-wrap gap-3">
+          {QUESTION_TYPES.map(type => (
+            <label key={type.id} className="flex items-center gap-1.5 text-sm text-slate-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={questionTypes.includes(type.id)}
+                onChange={() => toggleQuestionType(type.id)}
+                className="rounded border-slate-300"
+              />
+              {type.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {courseScore && courseScore.questionsAnswered > 0 && (
+        <p className="text-xs text-slate-500">
+          Your record in this course: {courseScore.correctAnswers}/{courseScore.questionsAnswered} correct
+          across {courseScore.quizzesTaken} quiz{courseScore.quizzesTaken === 1 ? '' : 'zes'}
+        </p>
+      )}
+
+      <Button
+        onClick={startQuiz}
+        disabled={isWorking || questionTypes.length === 0}
+        variant="gradient"
+        className="w-full"
+      >
+        {isWorking ? (
+          <>
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            Writing questions...
+          </>
+        ) : 'Start quiz'}
+      </Button>
+    </div>
+  );
+
+  const renderQuestion = () => (
+    <div className="flex-1 min-h-0 overflow-y-auto">
+      <div className="flex items-center justify-between text-xs text-slate-500 mb-1.5">
+        <span>Question {currentIndex + 1} of {quiz.questions.length}</span>
+        <span>{question.type === 'multiple_choice' ? 'Multiple choice' : 'Short answer'}</span>
+      </div>
+      <div className="h-1 rounded-full bg-slate-100 mb-4">
+        <div
+          className="h-1 rounded-full bg-blue-500 transition-all"
+          style={{ width: `${((currentIndex + 1) / quiz.questions.length) * 100}%` }}
+        />
+      </div>
+
+      <p className="text-sm font-medium text-slate-900 leading-relaxed mb-3">{question.question}</p>
+
+      {question.type === 'multiple_choice' ? (
+        <div className="space-y-2">
+          {question.options.map((option, optionIndex) => {
+            const isRevealed = answer.selectedIndex !== undefined;
+            const isCorrect = optionIndex === question.answerIndex;
+            const isChosen = optionIndex === answer.selectedIndex;
+            return (
+              <button
+                key={optionIndex}
+                type="button"
+                onClick={() => !isRevealed && updateAnswer({ selectedIndex: optionIndex })}
+                disabled={isRevealed}
+                className={`w-full flex items-start gap-2 p-2.5 rounded-lg border text-left text-sm transition-colors ${
+                  isRevealed && isCorrect
+                    ? 'border-green-400 bg-green-50 text-green-900'
+                    : isRevealed && isChosen
+                      ? 'border-red-300 bg-red-50 text-red-900'
+                      : 'border-slate-200 text-slate-700 enabled:hover:bg-slate-50'
+                }`}
+              >
+                <span className="font-medium text-slate-500">{String.fromCharCode(65 + optionIndex)}.</span>
+                <span className="flex-1">{option}</span>
+                {isRevealed && isCorrect && <Check className="w-4 h-4 text-green-600 flex-shrink-0" />}
+                {isRevealed && isChosen && !isCorrect && <X className="w-4 h-4 text-red-600 flex-shrink-0" />}
+              </button>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <textarea
+            value={answer.answerText || ''}
+            onChange={(e) => updateAnswer({ answerText: e.target.value })}
+            disabled={answer.revealed}
+            rows={3}
+            placeholder="Write your answer..."
+            className="w-full p-2.5 text-sm rounded-lg border border-slate-300 focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:bg-slate-50"
+          />
+          {!answer.revealed ? (
+            <Button onClick={() => updateAnswer({ revealed: true })} variant="outline" size="sm" className="border-slate-300">
+              Show answer
+            </Button>
+          ) : (
+            <>
+              <div className="p-3 rounded-lg bg-blue-50 border border-blue-200">
+                <p className="text-xs font-semibold text-blue-900 mb-1">Model answer</p>
+                <p className="text-sm text-blue-900 leading-relaxed">{question.answer}</p>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-slate-500">Did you get it right?</span>
+                <Button
+                  onClick={() => updateAnswer({ selfMarkedCorrect: true })}
+                  variant={answer.selfMarkedCorrect === true ? 'default' : 'outline'}
+                  size="sm"
+                  className="h-7 px-2 text-xs"
+                >
+                  <Check className="w-3.5 h-3.5 mr-1" />
+                  Yes
+                </Button>
+                <Button
+                  onClick={() => updateAnswer({ selfMarkedCorrect: false })}
+                  variant={answer.selfMarkedCorrect === false ? 'default' : 'outline'}
+                  size="sm"
+                  className="h-7 px-2 text-xs"
+                >
+                  <X className="w-3.5 h-3.5 mr-1" />
+                  Not quite
+                </Button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {(answer.selectedIndex !== undefined || answer.revealed) && <QuestionExplanation question={question} />}
+
+      <div className="flex justify-between mt-4">
+        <Button
+          onClick={() => setCurrentIndex(currentIndex - 1)}
+          disabled={currentIndex === 0 || isWorking}
+          variant="outline"
+          size="sm"
+          className="border-slate-300"
+        >
+          Back
+        </Button>
+        {isLastQuestion ? (
+          <Button
+            onClick={finishQuiz}
+            disabled={isWorking || !answers.every((a, index) => isAnswered(quiz.questions[index], a))}
+            variant="gradient"
+            size="sm"
+          >
+            {isWorking && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+            Finish quiz
+          </Button>
+        ) : (
+          <Button
+            onClick={() => setCurrentIndex(currentIndex + 1)}
+            disabled={!isAnswered(question, answer)}
+            variant="gradient"
+            size="sm"
+          >
+            Next
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderResult = () => (
+    <div className="flex-1 min-h-0 overflow-y-auto space-y-4">
+      <div className="text-center py-2">
+        <p className="text-3xl font-bold text-slate-900">{result.score}/{result.total}</p>
+        <p className="text-sm text-slate-500 mt-1">{Math.round((result.score / result.total) * 100)}% correct</p>
+      </div>
+
+      <div className="space-y-1.5">
+        {quiz.questions.map((q, index) => (
+          <div key={index} className="flex items-start gap-2 p-2 rounded-lg border border-slate-200 text-sm text-slate-700">
+            {result.results[index]?.correct
+              ? <Check className="w-4 h-4 mt-0.5 text-green-600 flex-shrink-0" />
+              : <X className="w-4 h-4 mt-0.5 text-red-600 flex-shrink-0" />}
+            <span className="line-clamp-2">{q.question}</span>
+          </div>
+        ))}
+      </div>
+
+      {courseScore && (
+        <p className="text-xs text-slate-500 text-center">
+          {quiz.courseName ? `In ${quiz.courseName}` : 'In this course'}: {courseScore.correctAnswers}/{courseScore.questionsAnswered} correct
+          across {courseScore.quizzesTaken} quiz{courseScore.quizzesTaken === 1 ? '' : 'zes'}
+        </p>
+      )}
+
+      <Button onClick={resetQuiz} variant="outline" className="w-full border-slate-300">
+        <RotateCcw className="w-4 h-4 mr-2" />
+        New quiz
+      </Button>
+    </div>
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[560px] max-w-lg max-h-[85vh] flex flex-col">
+        <DialogHeader>
+          <div className="flex items-center justify-between">
+            <DialogTitle className="flex items-center gap-2">
+              <GraduationCap className="w-5 h-5 text-blue-600" />
+              Practice Quiz
+            </DialogTitle>
+            <button onClick={onClose} className="p-1 rounded hover:bg-slate-100" title="Close">
+              <X className="w-4 h-4 text-slate-500" />
+            </button>
+          </div>
+          <DialogDescription>
+            {quiz?.documentNames?.length > 0
+              ? `From ${quiz.documentNames.join(', ')}`
+              : 'Test yourself on the course material'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="mt-4 flex-1 min-h-0 flex flex-col">
+          {error && <p className="text-sm text-red-600 mb-3">❌ {error}</p>}
+          {!quiz ? renderSetup() : result ? renderResult() : renderQuestion()}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { CalendarDays, X, Loader2, Download, RefreshCw, Check, FileText } from 'lucide-react';
+import { toMillis } from '../lib/spaced-repetition';
+
+const MINUTES_PER_DAY = [30, 60, 90, 120];
+
+// Plan dates are calendar days (YYYY-MM-DD) in the student's time zone
+const localDate = (offsetDays = 0) => {
+  const date = new Date();
+  date.setDate(date.getDate() + offsetDays);
+  return date.toLocaleDateString('en-CA');
+};
+
+const formatDay = (isoDate) => {
+  if (isoDate === localDate()) return 'Today';
+  if (isoDate === localDate(1)) return 'Tomorrow';
+  return new Date(`${isoDate}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+/**
+ * Exam-prep planner for the current course: upcoming assessments from the syllabus
+ * and assignments, and a day-by-day plan to tick off and export to a calendar
+ * Mount it only while open so it loads the latest plan each time
+ */
+export const StudyPlanPanel = ({
+  open,
+  onClose,
+  onLoad,
+  onGenerate,
+  onToggleTask,
+  onExport
+}) => {
+  const [plan, setPlan] = useState(undefined);
+  const [minutesPerDay, setMinutesPerDay] = useState(60);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    onLoad()
+      .then(loaded => {
+        setPlan(loaded);
+        if (loaded?.minutesPerDay) setMinutesPerDay(loaded.minutesPerDay);
+      })
+      .catch(() => setPlan(null));
+  }, []);
+
+  const generatePlan = async () => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      setPlan(await onGenerate({ minutesPerDay }));
+    } catch (err) {
+      setError(err.message || 'Could not make a study plan');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const toggleTask = async (date, taskIndex) => {
+    setError(null);
+    try {
+      setPlan(await onToggleTask(plan, date, taskIndex));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const exportPlan = async () => {
+    setError(null);
+    try {
+      await onExport(plan);
+    } catch (err) {
+      setError(err.message || 'Export failed');
+    }
+  };
+
+  const renderSetup = () => (
+    <div className="flex-1 flex flex-col items-center justify-center text-center py-6 space-y-4">
+      <p className="text-sm text-slate-600 max-w-sm">
+        Canvas LM reads exam and assignment dates from the syllabus and assignments, then spreads
+        the course material over the days before them.
+      </p>
+      {renderGenerateControls('Make my study plan')}
+    </div>
+  );
+
+  const renderGenerateControls = (label) => (
+    <div className="flex items-center gap-2">
+      <select
+        value={minutesPerDay}
+        onChange={(e) => setMinutesPerDay(Number(e.target.value))}
+        className="h-9 rounded-lg border border-slate-300 bg-white px-2 text-sm"
+        disabled={isWorking}
+      >
+        {MINUTES_PER_DAY.map(minutes => (
+          <option key={minutes} value={minutes}>{minutes} min / day</option>
+        ))}
+      </select>
+      <Button onClick={generatePlan} disabled={isWorking} variant="gradient" className="h-9">
+        {isWorking ? (
+          <>
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            Planning...
+          </>
+        ) : label}
+      </Button>
+    </div>
+  );
+
+  const renderPlan = () => {
+    const today = localDate();
+    const upcomingAssessments = plan.assessments.filter(a => a.date >= today);
+    const assessmentsByDate = new Map();
+    upcomingAssessments.forEach(a => assessmentsByDate.set(a.date, [...(assessmentsByDate.get(a.date) || []), a]));
+    const upcomingDays = plan.days.filter(day => day.date >= today);
+    const pastTasks = plan.days.filter(day => day.date < today).flatMap(day => day.tasks);
+
+    return (
+      <div className="flex-1 min-h-0 overflow-y-auto space-y-5">
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-xs text-slate-500">
+            {plan.generatedAt && `Planned ${new Date(toMillis(plan.generatedAt)).toLocaleDateString()}`}
+            {pastTasks.length > 0 && ` · ${pastTasks.filter(task => task.done).length} of ${pastTasks.length} earlier tasks done`}
+          </p>
+          <Button onClick={exportPlan} size="sm" variant="outline" className="h-8 border-slate-300 flex-shrink-0">
+            <Download className="w-3.5 h-3.5 mr-1.5" />
+            Calendar (.ics)
+          </Button>
+        </div>
+
+        {plan.refreshError && (
+          <p className="text-xs text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-2">
+            The plan couldn't be updated after the latest course scan: {plan.refreshError}
+          </p>
+        )}
+
+        <div className="space-y-2">
+          <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Coming up</p>
+          {upcomingAssessments.length === 0 ? (
+            <p className="text-sm text-slate-500">No upcoming assessments</p>
+          ) : (
+            upcomingAssessments.map((assessment, i) => (
+              <div key={i} className="flex items-baseline gap-2 text-sm">
+                <span className="w-24 flex-shrink-0 text-slate-500">{formatDay(assessment.date)}</span>
+                <span className="flex-1 min-w-0 text-slate-900">
+                  <span className="font-medium">{assessment.title}</span>
+                  <span className="text-slate-500">
+                    {` · ${assessment.type}`}
+                    {assessment.time && ` · ${assessment.time}`}
+                    {assessment.weight && ` · ${assessment.weight}`}
+                  </span>
+                </span>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="space-y-3">
+          <p className="text-xs font-semibold uppercase tracking-wide text-slate-500">Plan</p>
+          {upcomingDays.map(day => (
+            <div key={day.date} className="space-y-1.5">
+              <div className="flex items-baseline justify-between">
+                <p className={`text-sm font-semibold ${day.date === today ? 'text-blue-700' : 'text-slate-900'}`}>
+                  {formatDay(day.date)}
+                </p>
+                <span className="text-xs text-slate-500">
+                  {day.tasks.reduce((total, task) => total + task.minutes, 0)} min
+                </span>
+              </div>
+              {(assessmentsByDate.get(day.date) || []).map((assessment, i) => (
+                <p key={i} className="text-xs font-medium text-red-700">
+                  {assessment.title}{assessment.time && ` at ${assessment.time}`}
+                </p>
+              ))}
+              {day.tasks.length === 0 && <p className="text-xs text-slate-500">Free day</p>}
+              {day.tasks.map((task, taskIndex) => (
+                <button
+                  key={taskIndex}
+                  type="button"
+                  onClick={() => toggleTask(day.date, taskIndex)}
+                  className="w-full flex items-start gap-2 p-2 rounded-lg border border-slate-200 text-left hover:bg-slate-50"
+                >
+                  <span className={`w-4 h-4 mt-0.5 flex-shrink-0 rounded border flex items-center justify-center ${
+                    task.done ? 'bg-blue-600 border-blue-600' : 'border-slate-300 bg-white'
+                  }`}>
+                    {task.done && <Check className="w-3 h-3 text-white" />}
+                  </span>
+                  <span className="flex-1 min-w-0">
+                    <span className={`block text-sm ${task.done ? 'text-slate-400 line-through' : 'text-slate-900'}`}>
+                      {task.title}
+                      <span className="text-xs text-slate-500"> · {task.minutes} min</span>
+                    </span>
+                    {task.description && !task.done && (
+                      <span className="block text-xs text-slate-600">{task.description}</span>
+                    )}
+                    {task.documentNames?.length > 0 && !task.done && (
+                      <span className="mt-1 flex flex-wrap gap-1">
+                        {task.documentNames.map(name => (
+                          <span key={name} className="inline-flex items-center gap-1 max-w-[200px] px-1.5 py-0.5 rounded bg-slate-100 text-[11px] text-slate-600">
+                            <FileText className="w-3 h-3 flex-shrink-0" />
+                            <span className="truncate">{name}</span>
+                          </span>
+                        ))}
+                      </span>
+                    )}
+                  </span>
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        <div className="pt-3 border-t border-slate-200 flex items-center justify-between gap-2">
+          <span className="inline-flex items-center gap-1 text-xs text-slate-500">
+            <RefreshCw className="w-3 h-3" />
+            Updates itself when new material is scanned
+          </span>
+          {renderGenerateControls('Regenerate')}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-[600px] max-w-lg max-h-[85vh] flex flex-col">
+        <DialogHeader>
+          <div className="flex items-center justify-between">
+            <DialogTitle className="flex items-center gap-2">
+              <CalendarDays className="w-5 h-5 text-blue-600" />
+              Study plan
+            </DialogTitle>
+            <button onClick={onClose} className="p-1 rounded hover:bg-slate-100" title="Close">
+              <X className="w-4 h-4 text-slate-500" />
+            </button>
+          </div>
+          <DialogDescription>
+            A day-by-day plan towards this course's exams and deadlines
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="mt-4 flex-1 min-h-0 flex flex-col">
+          {error && <p className="text-sm text-red-600 mb-3">❌ {error}</p>}
+          {plan === undefined ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-5 h-5 text-blue-500 animate-spin" />
+            </div>
+          ) : plan === null ? renderSetup() : renderPlan()}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
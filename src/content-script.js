@@ -85,6 +85,7 @@ class CanvasContentScript {
         visitedUrls: new Set(),
         pendingUrls: [],
         foundPDFs: new Map(), // Map of URL -> {title, filename, context, type}
+        incremental: false, // Only changes since the course's last sync were crawled
         currentStep: 'idle'
       };
       
@@ -354,7 +355,8 @@ class CanvasContentScript {
         isEmbeddedFile: isEmbeddedFile,
         fileId: fileId,
         source: source,
-        needsRedirectResolution: absoluteUrl.includes('/modules/items/')
+        needsRedirectResolution: absoluteUrl.includes('/modules/items/'),
+        ...this.getModuleInfo(element)
       });
       
       console.log(`📎 Deep crawl found ${contextDescription}: "${finalTitle}" -> ${absoluteUrl} (source: ${source}, type: ${itemType || 'unknown'})`);
@@ -362,8 +364,8 @@ class CanvasContentScript {
   }
 
   isPDFLink(url, text, element) {
-    // Direct PDF URLs
-    if (url.match(/\.pdf($|\?)/i)) return true;
+    // Direct links to supported documents (PDF, Word, PowerPoint, text, Markdown)
+    if (url.match(/\.(pdf|docx|pptx|txt|md)($|\?)/i)) return true;
     
     // Canvas download URLs
     if (url.includes('/download') && url.includes('/files/')) return true;
@@ -1949,9 +1951,8 @@ class CanvasContentScript {
           return true; // Keep channel open for response
         }
         
-        // Use the enhanced crawl system that opens background tabs (works better)
-        console.log('ℹ️  Using background tab scanning system for better stability');
-        this.startEnhancedCrawl()
+        // Canvas REST API first, falling back to the background tab scanning system
+        this.startEnhancedCrawl(request.crawlMode, request.since, request.knownModuleFiles)
           .then(() => {
             console.log('✅ Enhanced crawl started successfully');
             sendResponse({ success: true, message: 'Background tab scanning started' });
@@ -2021,7 +2022,43 @@ class CanvasContentScript {
     }
   }
 
-  async startEnhancedCrawl() {
+  /**
+   * Discover course files and page/syllabus/assignment text through the Canvas REST API
+   * and add them to the crawl results
+   * @param {string|null} since - ISO time of the last sync for an incremental crawl
+   * @param {Object|null} knownModuleFiles - Module fields of the course's indexed files, by URL
+   * @returns {Promise<{pdfs: Array, textDocuments: Array, filesAccessible: boolean}>}
+   */
+  async crawlViaCanvasApi(since = null, knownModuleFiles = null) {
+    console.log(`🔌 Crawling course via Canvas REST API${since ? ` (changes since ${since})` : ''}...`);
+    this.crawlerState.currentStep = since ? 'Checking Canvas for changed files' : 'Reading course files via Canvas API';
+    
+    try {
+      const result = await new CanvasApiCrawler(this.courseId).crawl({ since, knownModuleFiles });
+      
+      [...result.pdfs, ...result.textDocuments].forEach(({ url, ...metadata }) => {
+        if (!this.crawlerState.foundPDFs.has(url)) {
+          this.crawlerState.foundPDFs.set(url, metadata);
+        }
+      });
+      
+      console.log(`🔌 Canvas API found ${result.pdfs.length} files and ${result.textDocuments.length} pages/assignments (files accessible: ${result.filesAccessible})`);
+      return result;
+    } catch (error) {
+      console.warn('⚠️ Canvas API crawl failed:', error.message);
+      return { pdfs: [], textDocuments: [], filesAccessible: false };
+    }
+  }
+
+  /**
+   * Crawl the course for PDFs
+   * @param {string} crawlMode - 'auto' (API, DOM fallback when Files is hidden), 'api' or 'dom'
+   * @param {string|null} since - ISO time of the course's last sync; the API crawl then only
+   *   reports what changed. DOM scraping can't tell, so a DOM fallback still finds every file.
+   * @param {Object|null} knownModuleFiles - Module fields of the course's indexed files, by URL,
+   *   so an incremental crawl also reports files whose module changed
+   */
+  async startEnhancedCrawl(crawlMode = 'auto', since = null, knownModuleFiles = null) {
     console.log('startEnhancedCrawl called, current running state:', this.crawlerState.isRunning);
     
     if (this.crawlerState.isRunning) {
@@ -2035,6 +2072,7 @@ class CanvasContentScript {
     this.crawlerState.visitedUrls.clear();
     this.crawlerState.foundPDFs.clear();
     this.crawlerState.pendingUrls = [];
+    this.crawlerState.incremental = false;
     this.crawlerState.currentStep = 'Starting crawler...';
     
     // Notify background script that scan has started
@@ -2070,6 +2108,21 @@ class CanvasContentScript {
     }, 15000); // Update every 15 seconds
 
     try {
+      // Step 0: Canvas REST API - fast and independent of page markup
+      if (crawlMode !== 'dom') {
+        const apiResult = await this.crawlViaCanvasApi(since, knownModuleFiles);
+        
+        if (apiResult.filesAccessible || crawlMode === 'api') {
+          console.log('✅ Canvas API crawl covered the course, skipping DOM scraping');
+          this.crawlerState.incremental = Boolean(since);
+          this.crawlerState.currentStep = 'complete';
+          await this.reportCrawlComplete();
+          return;
+        }
+        
+        console.log('ℹ️  Files tab not available via API, falling back to DOM scraping...');
+      }
+      
       // Step 1: Expand current page content
       console.log('Step 1: Expanding current page content...');
       this.crawlerState.currentStep = 'Expanding current page content';
@@ -3113,6 +3166,23 @@ class CanvasContentScript {
     this.crawlerState.currentStep = 'stopped';
   }
 
+  /**
+   * Module structure fields of a crawl record, for the final report
+   * A null moduleName (the API crawl found the file in no module) is kept, so the
+   * server can clear a module the file was removed from
+   */
+  pickModuleFields(metadata) {
+    if (metadata.moduleName === undefined) {
+      return {};
+    }
+    return {
+      moduleName: metadata.moduleName,
+      modulePosition: metadata.modulePosition ?? null,
+      itemPosition: metadata.itemPosition ?? null,
+      lectureNumber: metadata.lectureNumber ?? null
+    };
+  }
+
   async reportCrawlComplete() {
     const totalPDFs = this.crawlerState.foundPDFs.size;
     const totalPages = this.crawlerState.visitedUrls.size;
@@ -3125,7 +3195,9 @@ class CanvasContentScript {
     });
     
     // Send final batch of all found PDFs (no duplicates since we used a Map)
-    if (totalPDFs > 0) {
+    // An incremental crawl reports even when nothing changed, so failed files are retried
+    // and the course's sync time moves forward
+    if (totalPDFs > 0 || this.crawlerState.incremental) {
       console.log(`🔄 Processing ${totalPDFs} PDFs for final report, resolving any remaining module items...`);
       
       const resolvedPdfs = [];
@@ -3144,7 +3216,8 @@ class CanvasContentScript {
                 title: resolved.title || metadata.title || this.extractFilename(downloadUrl) || 'Canvas PDF',
                 filename: this.extractFilename(downloadUrl) || 'document.pdf',
                 context: metadata.context || 'Final Crawl Results (Resolved)',
-                type: 'resolved_module_item'
+                type: 'resolved_module_item',
+                ...this.pickModuleFields(metadata)
               });
               console.log(`✅ Resolved in final report: ${metadata.title} -> ${downloadUrl}`);
             } else {
@@ -3160,7 +3233,17 @@ class CanvasContentScript {
             title: metadata.title || this.extractFilename(url) || 'Canvas PDF',
             filename: metadata.filename || this.extractFilename(url) || 'document.pdf',
             context: metadata.context || 'Final Crawl Results',
-            type: metadata.type || 'crawl_result'
+            type: metadata.type || 'crawl_result',
+            updatedAt: metadata.updatedAt || null,
+            size: metadata.size ?? null,
+            ...this.pickModuleFields(metadata),
+            // Pages, syllabus and assignments carry their Markdown text
+            ...(metadata.content ? {
+              sourceType: metadata.sourceType,
+              content: metadata.content,
+              dueAt: metadata.dueAt,
+              pointsPossible: metadata.pointsPossible
+            } : {})
           });
         }
       }
@@ -3172,6 +3255,7 @@ class CanvasContentScript {
         courseId: this.courseId,
         courseName: this.courseName,
         pdfs: resolvedPdfs,
+        incremental: this.crawlerState.incremental,
         pageUrl: location.href,
         crawlerActive: false
       });
@@ -3865,6 +3949,31 @@ class CanvasContentScript {
     return modules;
   }
 
+  /**
+   * Module structure for a link inside a Canvas modules list
+   * Positions are 1-based, like the Canvas API's module and item positions
+   * @returns {Object} { moduleName, modulePosition, itemPosition, lectureNumber } or {} outside a module
+   */
+  getModuleInfo(element) {
+    const moduleEl = element.closest('.context_module');
+    const moduleItem = element.closest('.context_module_item');
+    if (!moduleEl || !moduleItem) {
+      return {};
+    }
+    
+    const moduleName = moduleEl.querySelector('.module-header .name, .header .name')?.textContent?.trim() || null;
+    const modules = Array.from(moduleEl.ownerDocument.querySelectorAll('.context_module'));
+    const items = Array.from(moduleEl.querySelectorAll('.context_module_item'));
+    const itemTitle = moduleItem.querySelector('.item_name')?.textContent?.trim();
+    
+    return {
+      moduleName,
+      modulePosition: modules.indexOf(moduleEl) + 1,
+      itemPosition: items.indexOf(moduleItem) + 1,
+      lectureNumber: detectLectureNumber(itemTitle)
+    };
+  }
+
   extractFileList() {
     const files = [];
     const fileElements = document.querySelectorAll('.file, .file-link, .instructure_file_link');
@@ -3897,6 +4006,7 @@ class CanvasContentScript {
       'xls': 'Excel Spreadsheet',
       'xlsx': 'Excel Spreadsheet',
       'txt': 'Text File',
+      'md': 'Markdown File',
       'mp4': 'Video',
       'mov': 'Video',
       'avi': 'Video'
@@ -4541,6 +4651,561 @@ class NavigationDetector {
   }
 }
 
+// Course file types the knowledge base can index (validated again server-side)
+const SUPPORTED_DOCUMENT_EXTENSIONS = ['pdf', 'docx', 'pptx', 'txt', 'md'];
+const SUPPORTED_DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'text/markdown'
+];
+
+// Canvas content indexed as text documents (sourceType -> label)
+const TEXT_DOCUMENT_LABELS = {
+  page: 'Page',
+  syllabus: 'Syllabus',
+  assignment: 'Assignment'
+};
+
+// Longest page/assignment text uploaded (characters); keeps Cloud Task payloads small
+const MAX_TEXT_DOCUMENT_LENGTH = 200000;
+
+// Lecture/week numbers in item titles: "Lecture 4", "Föreläsning 4", "Lec04", "Week 4", "Vecka 4", "F4", "L4"
+const LECTURE_NUMBER_PATTERN = /\b(?:(?:lecture|lect|lec|föreläsning|forelasning|week|vecka|wk)[\s._-]*|[FL])(\d{1,2})(?!\d)/i;
+
+/**
+ * Detect the lecture or week number in a module item title
+ * @returns {number|null}
+ */
+function detectLectureNumber(title) {
+  const match = (title || '').match(LECTURE_NUMBER_PATTERN);
+  return match ? Number(match[1]) : null;
+}
+
+// ============================================================================
+// CANVAS REST API CRAWLER
+// Discovers course files through /api/v1 using the student's Canvas session,
+// instead of scraping rendered pages
+// ============================================================================
+
+/**
+ * Canvas REST API crawler
+ * Produces the same PDF records as the DOM crawler ({url, title, filename, context, type})
+ */
+class CanvasApiCrawler {
+  constructor(courseId, origin = window.location.origin) {
+    this.courseId = courseId;
+    this.origin = origin;
+    this.maxPagesPerList = 50; // Safety cap on Link-header pagination (100 items per page)
+    this.fileCache = new Map(); // file ID -> Canvas file object (null if inaccessible)
+  }
+  
+  /**
+   * Fetch one page of a Canvas API endpoint
+   * @returns {Promise<{data: any, next: string|null}>}
+   */
+  async fetchPage(url) {
+    const response = await fetch(url, {
+      credentials: 'include',
+      headers: { 'Accept': 'application/json' }
+    });
+    
+    if (!response.ok) {
+      const error = new Error(`Canvas API ${response.status}: ${url}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    // Canvas prefixes session-authenticated JSON with "while(1);" to prevent JSON hijacking
+    const text = await response.text();
+    const data = JSON.parse(text.replace(/^while\(1\);/, ''));
+    
+    return { data, next: this.parseNextLink(response.headers.get('Link')) };
+  }
+  
+  /**
+   * Extract the rel="next" URL from a Canvas Link header
+   */
+  parseNextLink(linkHeader) {
+    if (!linkHeader) return null;
+    
+    for (const part of linkHeader.split(',')) {
+      const match = part.match(/<([^>]+)>;\s*rel="next"/);
+      if (match) return match[1];
+    }
+    return null;
+  }
+  
+  /**
+   * Fetch every page of a list endpoint by following Link headers
+   * @param {Function} stopWhen - Optional; stop after a page containing an item it matches
+   *   (used with sort=updated_at&order=desc to stop at the first unchanged item)
+   */
+  async fetchAll(pathOrUrl, stopWhen = null) {
+    const baseUrl = pathOrUrl.startsWith('http') ? pathOrUrl : `${this.origin}/api/v1${pathOrUrl}`;
+    let url = `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}per_page=100`;
+    
+    const results = [];
+    let pages = 0;
+    
+    while (url && pages < this.maxPagesPerList) {
+      const { data, next } = await this.fetchPage(url);
+      const items = Array.isArray(data) ? data : [data];
+      results.push(...items);
+      url = next;
+      pages++;
+      
+      if (stopWhen && items.some(stopWhen)) {
+        return results;
+      }
+    }
+    
+    if (url) {
+      console.warn(`⚠️ Stopped paginating ${pathOrUrl} after ${pages} pages`);
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Get a file's metadata by ID (files linked from modules or pages)
+   */
+  async getFile(fileId) {
+    const key = String(fileId);
+    if (this.fileCache.has(key)) {
+      return this.fileCache.get(key);
+    }
+    
+    try {
+      const { data } = await this.fetchPage(`${this.origin}/api/v1/courses/${this.courseId}/files/${key}`);
+      this.fileCache.set(key, data);
+      return data;
+    } catch (error) {
+      console.warn(`⚠️ Could not load file ${key} via API:`, error.message);
+      this.fileCache.set(key, null);
+      return null;
+    }
+  }
+  
+  /**
+   * Whether a Canvas file can be indexed (PDF, Word, PowerPoint, text or Markdown)
+   */
+  isSupportedFile(file) {
+    const contentType = file['content-type'] || file.content_type || '';
+    const name = (file.filename || file.display_name || '').toLowerCase();
+    return SUPPORTED_DOCUMENT_MIME_TYPES.includes(contentType) ||
+      SUPPORTED_DOCUMENT_EXTENSIONS.some(extension => name.endsWith(`.${extension}`));
+  }
+  
+  /**
+   * Convert a Canvas file object to the crawler's PDF record shape
+   * The URL matches CanvasContentScript.convertToDownloadURL() so document IDs stay stable
+   * updatedAt/size let the ingestion job skip files that haven't changed on Canvas
+   */
+  toPdfRecord(file, context, type) {
+    return {
+      url: `${this.origin}/courses/${this.courseId}/files/${file.id}/download?download_frd=1`,
+      title: file.display_name || file.filename || 'Canvas PDF',
+      filename: file.filename || file.display_name || 'document.pdf',
+      context,
+      type,
+      updatedAt: file.updated_at || null,
+      size: file.size ?? null
+    };
+  }
+  
+  /**
+   * Whether a Canvas object changed after the last sync
+   * Objects without an updated_at are always treated as changed
+   */
+  isChangedSince(updatedAt) {
+    return !this.since || !updatedAt || new Date(updatedAt) > this.since;
+  }
+  
+  /**
+   * Crawl the course's files, modules, pages, syllabus and assignments
+   * @param {Object} options
+   * @param {string|null} options.since - ISO time of the last sync; when set, only files,
+   *   pages and assignments updated after it are returned (incremental rescan)
+   * @param {Object|null} options.knownModuleFiles - Module fields of the course's indexed files
+   *   by URL (null for alias URLs); an incremental rescan also returns files that were added
+   *   to, moved between or removed from modules, even when the file itself didn't change
+   * @returns {Promise<{pdfs: Array, textDocuments: Array, filesAccessible: boolean}>}
+   *   textDocuments are pages, the syllabus and assignments converted to Markdown
+   *   Records listed in a module also carry moduleName, modulePosition, itemPosition and lectureNumber;
+   *   when modules could be listed, other files carry a null moduleName
+   *   filesAccessible is false when the Files tab is hidden or the API refused access,
+   *   in which case the caller should fall back to DOM scraping
+   */
+  async crawl({ since = null, knownModuleFiles = null } = {}) {
+    this.since = since ? new Date(since) : null;
+    const knownFiles = knownModuleFiles || {};
+    const isUnchanged = (item) => !this.isChangedSince(item.updated_at);
+    const sortByUpdated = this.since ? '?sort=updated_at&order=desc' : '';
+    
+    const pdfs = new Map(); // url -> record (first source wins)
+    const textDocuments = new Map(); // url -> page/syllabus/assignment record
+    const addTextDocument = (record) => {
+      if (record && !textDocuments.has(record.url)) {
+        textDocuments.set(record.url, record);
+      }
+    };
+    const addPdf = (file, context, type, includeUnchanged = false) => {
+      if (!file || file.locked_for_user || !this.isSupportedFile(file)) return;
+      if (!includeUnchanged && !this.isChangedSince(file.updated_at)) return;
+      const record = this.toPdfRecord(file, context, type);
+      if (!pdfs.has(record.url)) {
+        pdfs.set(record.url, record);
+      }
+    };
+    
+    // Files (with folder names as context)
+    let filesAccessible = true;
+    try {
+      const folders = await this.fetchAll(`/courses/${this.courseId}/folders`);
+      const folderNames = new Map(
+        folders.map(folder => [folder.id, (folder.full_name || folder.name || '').replace(/^course files\/?/, '')])
+      );
+      
+      // Newest first when incremental, so paging stops at the first unchanged file
+      const files = await this.fetchAll(
+        `/courses/${this.courseId}/files${sortByUpdated}`,
+        this.since ? isUnchanged : null
+      );
+      files.forEach(file => {
+        this.fileCache.set(String(file.id), file);
+        const folderName = folderNames.get(file.folder_id);
+        addPdf(file, folderName ? `Files: ${folderName}` : 'Files', 'api_files');
+      });
+      
+      console.log(`📂 Canvas API: ${files.length} files listed`);
+    } catch (error) {
+      filesAccessible = false;
+      console.warn('⚠️ Canvas API: Files not accessible, will fall back to DOM scraping:', error.message);
+    }
+    
+    // Modules - structure for every file, page and assignment they list, and
+    // File items with the module name as context. When incremental only files
+    // whose module changed are looked up: changed files already came from the Files list
+    const moduleInfoByUrl = new Map(); // record url -> module fields (first module wins)
+    const lookUpModuleFiles = !(this.since && filesAccessible);
+    let modulesListed = false;
+    try {
+      const modules = await this.fetchAll(`/courses/${this.courseId}/modules?include[]=items`);
+      
+      for (const module of modules) {
+        // Canvas omits items for large modules; fetch them separately
+        const items = module.items || await this.fetchAll(module.items_url);
+        
+        for (const item of items) {
+          const url = this.getModuleItemRecordUrl(item);
+          let moduleChanged = false;
+          if (url && !moduleInfoByUrl.has(url)) {
+            const moduleFields = {
+              moduleName: module.name?.trim() || null,
+              modulePosition: module.position ?? null,
+              itemPosition: item.position ?? null,
+              lectureNumber: detectLectureNumber(item.title)
+            };
+            moduleInfoByUrl.set(url, moduleFields);
+            moduleChanged = Boolean(this.since) && this.hasModuleChanged(knownFiles[url], moduleFields);
+          }
+          
+          if ((lookUpModuleFiles || moduleChanged) && item.type === 'File' && item.content_id) {
+            addPdf(await this.getFile(item.content_id), `Module: ${module.name}`, 'api_module_item', moduleChanged);
+          }
+        }
+      }
+      
+      modulesListed = true;
+      console.log(`📚 Canvas API: ${modules.length} modules checked`);
+    } catch (error) {
+      console.warn('⚠️ Canvas API: Modules not accessible:', error.message);
+    }
+    
+    // Indexed files that are no longer in any module, so their module fields are cleared
+    if (this.since && modulesListed) {
+      for (const [url, known] of Object.entries(knownFiles)) {
+        const fileId = url.match(/\/files\/(\d+)\//)?.[1];
+        if (known?.moduleName && fileId && !moduleInfoByUrl.has(url)) {
+          addPdf(await this.getFile(fileId), 'Files', 'api_files', true);
+        }
+      }
+    }
+    
+    // Pages - files linked from page bodies
+    try {
+      const pages = await this.fetchAll(
+        `/courses/${this.courseId}/pages${sortByUpdated}`,
+        this.since ? isUnchanged : null
+      );
+      
+      for (const page of pages) {
+        // Page bodies are fetched one by one, so only fetch the ones that changed
+        if (!this.isChangedSince(page.updated_at)) continue;
+        
+        // A locked or deleted page shouldn't cost us the rest
+        let fullPage;
+        try {
+          ({ data: fullPage } = await this.fetchPage(
+            `${this.origin}/api/v1/courses/${this.courseId}/pages/${encodeURIComponent(page.url)}`
+          ));
+        } catch (error) {
+          console.warn(`⚠️ Could not load page "${page.title}" via API:`, error.message);
+          continue;
+        }
+        
+        for (const fileId of this.extractFileIds(fullPage.body)) {
+          addPdf(await this.getFile(fileId), `Page: ${page.title}`, 'api_page_link');
+        }
+        
+        addTextDocument(this.toTextDocument({
+          url: fullPage.html_url || `${this.origin}/courses/${this.courseId}/pages/${page.url}`,
+          title: fullPage.title || page.title,
+          html: fullPage.body,
+          sourceType: 'page'
+        }));
+      }
+      
+      console.log(`📄 Canvas API: ${pages.length} pages checked`);
+    } catch (error) {
+      console.warn('⚠️ Canvas API: Pages not accessible:', error.message);
+    }
+    
+    // Syllabus
+    try {
+      const { data: course } = await this.fetchPage(
+        `${this.origin}/api/v1/courses/${this.courseId}?include[]=syllabus_body`
+      );
+      
+      for (const fileId of this.extractFileIds(course.syllabus_body)) {
+        addPdf(await this.getFile(fileId), 'Syllabus', 'api_syllabus_link');
+      }
+      
+      addTextDocument(this.toTextDocument({
+        url: `${this.origin}/courses/${this.courseId}/assignments/syllabus`,
+        title: `${course.name || 'Course'} - Syllabus`,
+        html: course.syllabus_body,
+        sourceType: 'syllabus'
+      }));
+    } catch (error) {
+      console.warn('⚠️ Canvas API: Syllabus not accessible:', error.message);
+    }
+    
+    // Assignments - descriptions, due dates and points
+    try {
+      const assignments = await this.fetchAll(`/courses/${this.courseId}/assignments`);
+      
+      for (const assignment of assignments) {
+        if (!this.isChangedSince(assignment.updated_at)) continue;
+        
+        for (const fileId of this.extractFileIds(assignment.description)) {
+          addPdf(await this.getFile(fileId), `Assignment: ${assignment.name}`, 'api_assignment_link');
+        }
+        
+        addTextDocument(this.toTextDocument({
+          url: assignment.html_url || `${this.origin}/courses/${this.courseId}/assignments/${assignment.id}`,
+          title: assignment.name,
+          html: assignment.description,
+          sourceType: 'assignment',
+          dueAt: assignment.due_at,
+          pointsPossible: assignment.points_possible
+        }));
+      }
+      
+      console.log(`📝 Canvas API: ${assignments.length} assignments checked`);
+    } catch (error) {
+      console.warn('⚠️ Canvas API: Assignments not accessible:', error.message);
+    }
+    
+    // Files, pages and assignments listed in a module carry its structure
+    const noModule = modulesListed
+      ? { moduleName: null, modulePosition: null, itemPosition: null, lectureNumber: null }
+      : {};
+    [...pdfs.values(), ...textDocuments.values()].forEach(record => {
+      Object.assign(record, moduleInfoByUrl.get(record.url) || noModule);
+    });
+    
+    return { pdfs: Array.from(pdfs.values()), textDocuments: Array.from(textDocuments.values()), filesAccessible };
+  }
+  
+  /**
+   * Whether a module item's structure differs from what was indexed for its file
+   * Files that weren't indexed yet count as changed (e.g. an older file newly published in a
+   * module); alias URLs (null) aren't compared
+   */
+  hasModuleChanged(known, moduleFields) {
+    if (known === null) return false;
+    if (known === undefined) return true;
+    return Object.entries(moduleFields).some(([key, value]) => (known[key] ?? null) !== value);
+  }
+  
+  /**
+   * URL of the crawl record a module item corresponds to (matches toPdfRecord and the
+   * page/assignment html_url), or null for items that aren't indexed
+   */
+  getModuleItemRecordUrl(item) {
+    const courseUrl = `${this.origin}/courses/${this.courseId}`;
+    switch (item.type) {
+      case 'File':
+        return item.content_id ? `${courseUrl}/files/${item.content_id}/download?download_frd=1` : null;
+      case 'Page':
+        return item.page_url ? `${courseUrl}/pages/${item.page_url}` : null;
+      case 'Assignment':
+        return item.content_id ? `${courseUrl}/assignments/${item.content_id}` : null;
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Canvas file IDs linked from an HTML body
+   */
+  extractFileIds(html) {
+    return new Set(Array.from((html || '').matchAll(/\/files\/(\d+)/g), match => match[1]));
+  }
+  
+  /**
+   * Build a text document record for a page, syllabus or assignment
+   * The Markdown starts with a header carrying the due date and points, so they
+   * end up in the indexed text where questions like "when is lab 3 due?" can find them
+   * @returns {Object|null} Record in the crawler's shape plus content/sourceType, or null if empty
+   */
+  toTextDocument({ url, title, html, sourceType, dueAt = null, pointsPossible = null }) {
+    const body = this.htmlToMarkdown(html || '');
+    
+    // Assignments without a description are still worth indexing for their due date
+    if (!body && sourceType !== 'assignment') {
+      return null;
+    }
+    
+    const header = [`# ${title}`, '', `Type: ${TEXT_DOCUMENT_LABELS[sourceType]}`];
+    if (dueAt) {
+      const dueDate = new Date(dueAt);
+      header.push(`Due: ${dueDate.toLocaleString('en-GB', { dateStyle: 'full', timeStyle: 'short' })} (${dueAt})`);
+    }
+    if (pointsPossible !== null && pointsPossible !== undefined) {
+      header.push(`Points: ${pointsPossible}`);
+    }
+    header.push(`Canvas link: ${url}`);
+    
+    let content = `${header.join('\n')}\n\n${body}`.trim();
+    if (content.length > MAX_TEXT_DOCUMENT_LENGTH) {
+      content = `${content.substring(0, MAX_TEXT_DOCUMENT_LENGTH)}\n\n[Truncated]`;
+    }
+    
+    return {
+      url,
+      title,
+      filename: `${title}.md`,
+      context: `${TEXT_DOCUMENT_LABELS[sourceType]}: ${title}`,
+      type: `api_${sourceType}`,
+      sourceType,
+      content,
+      dueAt: dueAt || null,
+      pointsPossible: pointsPossible ?? null
+    };
+  }
+  
+  /**
+   * Convert Canvas rich content HTML to Markdown
+   * Keeps headings, lists, links, emphasis, tables and code; drops scripts, media and styling
+   */
+  htmlToMarkdown(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    
+    const convert = (node, listDepth = 0) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, ' ');
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        return '';
+      }
+      
+      const tag = node.tagName.toLowerCase();
+      const children = (depth = listDepth) => Array.from(node.childNodes).map(child => convert(child, depth)).join('');
+      
+      switch (tag) {
+        case 'script':
+        case 'style':
+        case 'iframe':
+        case 'video':
+        case 'audio':
+        case 'noscript':
+          return '';
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+          // Shifted down a level - the document title is the only top-level heading
+          return `\n\n${'#'.repeat(Math.min(Number(tag[1]) + 1, 6))} ${children().trim()}\n\n`;
+        case 'p':
+        case 'div':
+        case 'section':
+          return `\n\n${children().trim()}\n\n`;
+        case 'br':
+          return '\n';
+        case 'hr':
+          return '\n\n---\n\n';
+        case 'strong':
+        case 'b': {
+          const text = children().trim();
+          return text ? `**${text}**` : '';
+        }
+        case 'em':
+        case 'i': {
+          const text = children().trim();
+          return text ? `_${text}_` : '';
+        }
+        case 'code':
+          return node.closest('pre') ? node.textContent : `\`${node.textContent}\``;
+        case 'pre':
+          return `\n\n\`\`\`\n${node.textContent.trim()}\n\`\`\`\n\n`;
+        case 'blockquote':
+          return `\n\n${children().trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+        case 'a': {
+          const text = children().trim();
+          const href = node.getAttribute('href');
+          if (!href || href.startsWith('#') || href.startsWith('javascript:')) return text;
+          let absoluteHref;
+          try {
+            absoluteHref = new URL(href, this.origin).href;
+          } catch {
+            return text; // Malformed link (e.g. "http://[") - keep its text
+          }
+          return text ? `[${text}](${absoluteHref})` : absoluteHref;
+        }
+        case 'img':
+          return node.getAttribute('alt') ? `[Image: ${node.getAttribute('alt')}]` : '';
+        case 'ul':
+        case 'ol':
+          return `\n${children(listDepth + 1)}\n`;
+        case 'li': {
+          const marker = node.parentElement?.tagName.toLowerCase() === 'ol'
+            ? `${Array.from(node.parentElement.children).indexOf(node) + 1}.`
+            : '-';
+          const text = children().trim().replace(/\n+/g, '\n' + '  '.repeat(listDepth));
+          return `${'  '.repeat(Math.max(0, listDepth - 1))}${marker} ${text}\n`;
+        }
+        case 'table': {
+          const rows = Array.from(node.querySelectorAll('tr')).map(row =>
+            Array.from(row.querySelectorAll('th, td')).map(cell => convert(cell).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim())
+          ).filter(cells => cells.length > 0);
+          if (rows.length === 0) return '';
+          const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+          lines.splice(1, 0, `| ${rows[0].map(() => '---').join(' | ')} |`);
+          return `\n\n${lines.join('\n')}\n\n`;
+        }
+        default:
+          return children();
+      }
+    };
+    
+    return convert(doc.body)
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
 // Initialize the content script when DOM is ready
 let canvasContentScript = null;
 
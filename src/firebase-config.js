@@ -13,9 +13,11 @@ import {
   query,
   where,
   orderBy,
+  onSnapshot,
   Timestamp 
 } from 'firebase/firestore';
 import { getFunctions } from 'firebase/functions';
+import { getAuth, GoogleAuthProvider, signInWithCredential, signOut } from 'firebase/auth/web-extension';
 
 // Firebase configuration
 const firebaseConfig = {
@@ -28,15 +30,18 @@ const firebaseConfig = {
   measurementId: "G-3C6JSYRG67"
 };
 
-// Initialize Firebase (Firestore only - authentication uses Chrome Identity API)
+// Initialize Firebase
+// Authentication: Chrome Identity OAuth token exchanged for a Firebase Auth session
 const app = initializeApp(firebaseConfig);
 const db = getFirestore(app);
 const functions = getFunctions(app, 'europe-north1');
+const auth = getAuth(app);
 
 // Make available globally
 window.firebaseApp = app;
 window.firebaseDb = db;
 window.firebaseFunctions = functions;
+window.firebaseAuth = auth;
 window.firebaseModules = {
   // Basic operations
   doc,
@@ -53,8 +58,16 @@ window.firebaseModules = {
   where,
   orderBy,
   
+  // Realtime listeners
+  onSnapshot,
+  
   // Utilities
-  Timestamp
+  Timestamp,
+  
+  // Authentication
+  GoogleAuthProvider,
+  signInWithCredential,
+  signOut
 };
 
-console.log('✅ Firebase initialized (Firestore only)');
\ No newline at end of file
+console.log('✅ Firebase initialized (Firestore + Auth)');
\ No newline at end of file
@@ -9,8 +9,8 @@
 /**
  * Create or update user in Firestore
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
- * @param {Object} userData - User data from Chrome Identity
+ * @param {string} userId - Firebase Auth uid
+ * @param {Object} userData - User profile (email, displayName, photoURL)
  * @returns {Promise<Object>} Result object with success status
  */
 export async function saveUser(db, userId, userData) {
@@ -45,7 +45,7 @@ export async function saveUser(db, userId, userData) {
 /**
  * Get user data from Firestore
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @returns {Promise<Object>} Result object with user data
  */
 export async function getUser(db, userId) {
@@ -74,7 +74,7 @@ export async function getUser(db, userId) {
  * Save course information to Firestore (SHARED across all users)
  * Creates or updates a shared course document
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID (for tracking who created it)
+ * @param {string} userId - Firebase Auth uid (for tracking who created it)
  * @param {Object} courseData - Course information
  * @returns {Promise<Object>} Result object with success status and whether it was newly created
  */
@@ -157,7 +157,7 @@ export async function getCourse(db, courseId) {
 /**
  * Get all courses for a user via enrollments
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @returns {Promise<Object>} Result object with array of courses
  */
 export async function getUserCourses(db, userId) {
@@ -231,85 +231,29 @@ export async function getUserCourses(db, userId) {
   }
 }
 
-/**
- * Increment total enrollments for a course
- * @param {Object} db - Firestore database instance
- * @param {string} courseId - Canvas course ID
- * @returns {Promise<Object>} Result object with success status
- */
-export async function incrementCourseEnrollments(db, courseId) {
-  try {
-    const { doc, updateDoc, getDoc } = window.firebaseModules;
-    
-    const courseRef = doc(db, 'courses', courseId);
-    const courseSnap = await getDoc(courseRef);
-    
-    if (courseSnap.exists()) {
-      const currentCount = courseSnap.data().totalEnrollments || 0;
-      await updateDoc(courseRef, {
-        totalEnrollments: currentCount + 1
-      });
-      console.log('✅ Course enrollment count incremented:', courseId);
-    }
-    
-    return { success: true };
-  } catch (error) {
-    console.error('❌ Error incrementing enrollments:', error);
-    return { success: false, error: error.message };
-  }
-}
-
 // ==================== ENROLLMENT OPERATIONS (PRIVATE) ====================
 
 /**
- * Create or update user enrollment in a course
+ * Pick the color for a course the user is about to enroll in
+ * Enrollments are created by the enrollInCourse Cloud Function, which stores this color
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
- * @param {Object} enrollmentData - Enrollment information
- * @returns {Promise<Object>} Result object with success status and whether it was new
+ * @param {string} userId - Firebase Auth uid
+ * @returns {Promise<Object>} Result object with the color ID as data
  */
-export async function enrollUserInCourse(db, userId, enrollmentData) {
+export async function getNewEnrollmentColor(db, userId) {
   try {
-    const { doc, setDoc, getDoc, Timestamp, getDocs, collection } = window.firebaseModules;
-    
-    const enrollmentRef = doc(db, 'users', userId, 'enrollments', enrollmentData.courseId);
-    const enrollmentSnap = await getDoc(enrollmentRef);
-    const isNewEnrollment = !enrollmentSnap.exists();
+    const { getDocs, collection } = window.firebaseModules;
     
-    if (isNewEnrollment) {
-      // Get existing enrollments to assign a color
-      const enrollmentsRef = collection(db, 'users', userId, 'enrollments');
-      const enrollmentsSnap = await getDocs(enrollmentsRef);
-      const existingCourses = enrollmentsSnap.docs.map(doc => doc.data());
-      
-      // Dynamically import the color assignment function
-      const { assignCourseColor } = await import('./lib/course-colors.js');
-      const colorId = assignCourseColor(existingCourses);
-      
-      // New enrollment
-      await setDoc(enrollmentRef, {
-        courseId: enrollmentData.courseId,
-        courseName: enrollmentData.courseName,
-        enrolledAt: Timestamp.now(),
-        lastAccessedAt: Timestamp.now(),
-        favorite: false,
-        colorId: colorId
-      });
-      console.log('✅ User enrolled in course with color:', enrollmentData.courseId, colorId);
-      
-      // Increment course enrollment count
-      await incrementCourseEnrollments(db, enrollmentData.courseId);
-    } else {
-      // Update existing enrollment
-      await setDoc(enrollmentRef, {
-        lastAccessedAt: Timestamp.now()
-      }, { merge: true });
-      console.log('✅ User enrollment updated:', enrollmentData.courseId);
-    }
+    // Get existing enrollments to assign a color
+    const enrollmentsRef = collection(db, 'users', userId, 'enrollments');
+    const enrollmentsSnap = await getDocs(enrollmentsRef);
+    const existingCourses = enrollmentsSnap.docs.map(doc => doc.data());
     
-    return { success: true, isNewEnrollment: isNewEnrollment };
+    // Dynamically import the color assignment function
+    const { assignCourseColor } = await import('./lib/course-colors.js');
+    return { success: true, data: assignCourseColor(existingCourses) };
   } catch (error) {
-    console.error('❌ Error enrolling user in course:', error);
+    console.error('❌ Error picking enrollment color:', error);
     return { success: false, error: error.message };
   }
 }
@@ -317,7 +261,7 @@ export async function enrollUserInCourse(db, userId, enrollmentData) {
 /**
  * Check if user is enrolled in a course
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @param {string} courseId - Canvas course ID
  * @returns {Promise<Object>} Result object with enrollment status
  */
@@ -342,7 +286,7 @@ export async function isUserEnrolled(db, userId, courseId) {
 /**
  * Update enrollment favorite status
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @param {string} courseId - Canvas course ID
  * @param {boolean} favorite - Favorite status
  * @returns {Promise<Object>} Result object with success status
@@ -365,75 +309,8 @@ export async function updateEnrollmentFavorite(db, userId, courseId, favorite) {
 }
 
 // ==================== DOCUMENT/PDF OPERATIONS (SHARED) ====================
-
-/**
- * Save PDF document metadata to Firestore
- * @param {Object} db - Firestore database instance
- * @param {string} courseId - Canvas course ID
- * @param {Object} pdfData - PDF metadata
- * @returns {Promise<Object>} Result object with document ID
- */
-export async function saveDocument(db, courseId, pdfData) {
-  try {
-    const { doc, setDoc, getDoc, Timestamp } = window.firebaseModules;
-    
-    // Use PDF URL as document ID to prevent duplicates
-    const docId = btoa(pdfData.url).replace(/[/+=]/g, '_'); // Base64 encode and sanitize
-    const docRef = doc(db, 'courses', courseId, 'documents', docId);
-    
-    // Extract filename properly - handle both 'filename' and 'fileName' properties
-    const displayName = pdfData.title || pdfData.fileName || pdfData.filename || 'Unknown Document';
-    
-    // Check if document already exists to preserve certain fields
-    const existingDoc = await getDoc(docRef);
-    const existingData = existingDoc.exists() ? existingDoc.data() : {};
-    
-    await setDoc(docRef, {
-      fileName: displayName,
-      fileUrl: pdfData.url,
-      fileSize: pdfData.size || 0,
-      fileType: pdfData.type || 'application/pdf',
-      scannedFrom: pdfData.scannedFrom || pdfData.type || pdfData.context || 'unknown',
-      uploadedAt: Timestamp.now(),
-      // Preserve fileSearchDocumentName if it exists (document was previously uploaded successfully)
-      fileSearchDocumentName: existingData.fileSearchDocumentName || null,
-      // Set status to 'pending' only if this is a new document or previously failed
-      uploadStatus: existingData.uploadStatus === 'completed' ? 'completed' : 'pending'
-    }, { merge: true });
-    
-    console.log('✅ Document saved to Firestore:', displayName);
-    return { success: true, docId: docId };
-  } catch (error) {
-    console.error('❌ Error saving document:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-/**
- * Save multiple documents (batch operation)
- * @param {Object} db - Firestore database instance
- * @param {string} courseId - Canvas course ID
- * @param {Array} pdfsArray - Array of PDF metadata objects
- * @returns {Promise<Array>} Array of result objects for each PDF
- */
-export async function saveDocuments(db, courseId, pdfsArray) {
-  console.log(`📦 Starting batch save of ${pdfsArray.length} documents...`);
-  const results = [];
-  
-  for (const pdf of pdfsArray) {
-    const result = await saveDocument(db, courseId, pdf);
-    results.push({ 
-      fileName: pdf.title || pdf.fileName || pdf.filename, 
-      ...result 
-    });
-  }
-  
-  const successCount = results.filter(r => r.success).length;
-  const failCount = results.filter(r => !r.success).length;
-  console.log(`✅ Batch save complete: ${successCount} succeeded, ${failCount} failed`);
-  
-  return results;
-}
+// Read-only on the client: course documents are written by Cloud Functions
+// (uploadToStore and the ingestion job worker) after enrollment is verified
 
 /**
  * Get all documents for a course
@@ -467,91 +344,6 @@ export async function getCourseDocuments(db, courseId, onlySuccessful = true) {
   }
 }
 
-/**
- * Update document upload status
- * @param {Object} db - Firestore database instance
- * @param {string} courseId - Canvas course ID
- * @param {string} docId - Document ID
- * @param {string} status - Upload status: 'pending' | 'uploading' | 'completed' | 'failed'
- * @param {string|null} geminiFileId - Optional Gemini file ID after successful upload
- * @returns {Promise<Object>} Result object with success status
- */
-export async function updateDocumentStatus(db, courseId, docId, status, fileSearchDocumentName = null) {
-  try {
-    const { doc, updateDoc, Timestamp } = window.firebaseModules;
-    
-    const docRef = doc(db, 'courses', courseId, 'documents', docId);
-    const updateData = {
-      uploadStatus: status,
-      lastUpdatedAt: Timestamp.now()
-    };
-    
-    if (fileSearchDocumentName) {
-      updateData.fileSearchDocumentName = fileSearchDocumentName;
-    }
-    
-    await updateDoc(docRef, updateData);
-    
-    console.log('✅ Document status updated:', docId, status);
-    return { success: true };
-  } catch (error) {
-    console.error('❌ Error updating document status:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-/**
- * Delete a document
- * @param {Object} db - Firestore database instance
- * @param {string} courseId - Canvas course ID
- * @param {string} docId - Document ID
- * @returns {Promise<Object>} Result object with success status
- */
-export async function deleteDocument(db, courseId, docId) {
-  try {
-    const { doc, deleteDoc } = window.firebaseModules;
-    
-    const docRef = doc(db, 'courses', courseId, 'documents', docId);
-    await deleteDoc(docRef);
-    
-    console.log('✅ Document deleted:', docId);
-    return { success: true };
-  } catch (error) {
-    console.error('❌ Error deleting document:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-// ==================== GEMINI RAG OPERATIONS ====================
-
-/**
- * Save File Search document metadata
- * @param {Object} db - Firestore database instance
- * @param {string} courseId - Canvas course ID
- * @param {string} docId - Document ID
- * @param {string} fileSearchDocumentName - File Search document resource name
- * @returns {Promise<Object>} Result object with success status
- */
-export async function saveDocumentFileSearch(db, courseId, docId, fileSearchDocumentName) {
-  try {
-    const { doc, updateDoc, Timestamp } = window.firebaseModules;
-    
-    const docRef = doc(db, 'courses', courseId, 'documents', docId);
-    
-    await updateDoc(docRef, {
-      fileSearchDocumentName: fileSearchDocumentName,
-      uploadedToFileSearchAt: Timestamp.now(),
-      uploadStatus: 'completed'
-    });
-    
-    console.log('✅ File Search document saved:', docId);
-    return { success: true };
-  } catch (error) {
-    console.error('❌ Error saving File Search document:', error);
-    return { success: false, error: error.message };
-  }
-}
-
 /**
  * Get all documents with File Search references for a course
  * @param {Object} db - Firestore database instance
@@ -656,12 +448,98 @@ export async function getDocument(db, courseId, docId) {
   }
 }
 
+// ==================== INGESTION JOBS (SHARED) ====================
+// Jobs are created and advanced by Cloud Functions (startIngestionJob,
+// processIngestionFile); the popup only observes them
+
+/**
+ * Get the course's running ingestion job, if any
+ * @param {Object} db - Firestore database instance
+ * @param {string} courseId - Canvas course ID
+ * @returns {Promise<Object>} Result object with job data (null if none is running)
+ */
+export async function getActiveIngestionJob(db, courseId) {
+  try {
+    const { doc, getDoc } = window.firebaseModules;
+    
+    const courseSnap = await getDoc(doc(db, 'courses', courseId));
+    const jobId = courseSnap.exists() ? courseSnap.data().activeIngestionJobId : null;
+    
+    if (!jobId) {
+      return { success: true, data: null };
+    }
+    
+    const jobSnap = await getDoc(doc(db, 'courses', courseId, 'ingestionJobs', jobId));
+    const job = jobSnap.exists() ? { id: jobSnap.id, ...jobSnap.data() } : null;
+    
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      return { success: true, data: null };
+    }
+    
+    return { success: true, data: job };
+  } catch (error) {
+    console.error('❌ Error getting active ingestion job:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Observe an ingestion job's progress
+ * @param {Object} db - Firestore database instance
+ * @param {string} courseId - Canvas course ID
+ * @param {string} jobId - Ingestion job ID
+ * @param {Function} onUpdate - Called with the job data on every change
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export function watchIngestionJob(db, courseId, jobId, onUpdate, onError) {
+  const { doc, onSnapshot } = window.firebaseModules;
+  
+  return onSnapshot(
+    doc(db, 'courses', courseId, 'ingestionJobs', jobId),
+    (snapshot) => {
+      if (snapshot.exists()) {
+        onUpdate({ id: snapshot.id, ...snapshot.data() });
+      }
+    },
+    (error) => {
+      console.error('❌ Error watching ingestion job:', error);
+      onError?.(error);
+    }
+  );
+}
+
+// ==================== GLOSSARY OPERATIONS (SHARED) ====================
+// Entries are built by the extractGlossaryTerms Cloud Function as documents are indexed
+
+/**
+ * Get a course's glossary
+ * @param {Object} db - Firestore database instance
+ * @param {string} courseId - Canvas course ID
+ * @returns {Promise<Object>} Result with data (entries sorted by term)
+ */
+export async function getCourseGlossary(db, courseId) {
+  try {
+    const { collection, getDocs } = window.firebaseModules;
+    
+    const glossarySnap = await getDocs(collection(db, 'courses', courseId, 'glossary'));
+    const entries = glossarySnap.docs
+      .map(termDoc => ({ id: termDoc.id, ...termDoc.data() }))
+      .sort((a, b) => a.term.localeCompare(b.term));
+    
+    return { success: true, data: entries };
+  } catch (error) {
+    console.error('❌ Error getting course glossary:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // ==================== STATISTICS & ANALYTICS ====================
 
 /**
  * Get storage statistics for a user
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @returns {Promise<Object>} Result object with statistics
  */
 export async function getUserStats(db, userId) {
@@ -798,7 +676,7 @@ export function docIdToUrl(docId) {
 /**
  * Create a new chat session for a user
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @param {Object} sessionData - Chat session information
  * @returns {Promise<Object>} Result object with session ID
  */
@@ -811,6 +689,7 @@ export async function createChatSession(db, userId, sessionData) {
       userId: userId,
       courseId: sessionData.courseId,
       title: sessionData.title || 'New Chat',
+      pinned: false,
       createdAt: Timestamp.now(),
       lastMessageAt: Timestamp.now(),
       messageCount: 0
@@ -827,7 +706,7 @@ export async function createChatSession(db, userId, sessionData) {
 /**
  * Get all chat sessions for a user (optionally filtered by course)
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @param {string|null} courseId - Optional course ID to filter by
  * @returns {Promise<Object>} Result object with array of sessions
  */
@@ -866,12 +745,39 @@ export async function getUserChatSessions(db, userId, courseId = null) {
   }
 }
 
+/**
+ * Update a chat session's title or pinned state
+ * @param {Object} db - Firestore database instance
+ * @param {string} userId - Firebase Auth uid
+ * @param {string} sessionId - Chat session ID
+ * @param {Object} updates - Fields to change ({ title, pinned })
+ * @returns {Promise<Object>} Result object with success status
+ */
+export async function updateChatSession(db, userId, sessionId, updates) {
+  try {
+    const { doc, updateDoc } = window.firebaseModules;
+    
+    const allowed = {};
+    if (typeof updates.title === 'string') allowed.title = updates.title;
+    if (typeof updates.pinned === 'boolean') allowed.pinned = updates.pinned;
+    
+    await updateDoc(doc(db, 'chatSessions', sessionId), allowed);
+    
+    console.log('✅ Chat session updated:', sessionId);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error updating chat session:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Add a message to a chat session
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @param {string} sessionId - Chat session ID
- * @param {Object} messageData - Message data (role, content)
+ * @param {Object} messageData - Message data (role, content, optional citations, model, stopped,
+ *   documentScope)
  * @returns {Promise<Object>} Result object with message ID
  */
 export async function addMessageToSession(db, userId, sessionId, messageData) {
@@ -883,6 +789,13 @@ export async function addMessageToSession(db, userId, sessionId, messageData) {
     const messageRef = await addDoc(messagesRef, {
       role: messageData.role, // 'user' or 'assistant'
       content: messageData.content,
+      // Source documents cited by assistant messages: [{index, documentId, title, fileUrl, passages}]
+      ...(messageData.citations?.length ? { citations: messageData.citations } : {}),
+      // Assistant messages: the Gemini model, and whether the student stopped the answer early
+      ...(messageData.model ? { model: messageData.model } : {}),
+      ...(messageData.stopped ? { stopped: true } : {}),
+      // Questions about a quoted selection: the documents they're answered from ([{id, fileName}])
+      ...(messageData.documentScope?.length ? { documentScope: messageData.documentScope } : {}),
       timestamp: Timestamp.now()
     });
     
@@ -904,10 +817,43 @@ export async function addMessageToSession(db, userId, sessionId, messageData) {
   }
 }
 
+/**
+ * Delete messages from a chat session (a regenerated answer, or the messages
+ * after an edited question)
+ * @param {Object} db - Firestore database instance
+ * @param {string} userId - Firebase Auth uid
+ * @param {string} sessionId - Chat session ID
+ * @param {Array<string>} messageIds - IDs of the messages to delete
+ * @returns {Promise<Object>} Result object with success status
+ */
+export async function deleteSessionMessages(db, userId, sessionId, messageIds) {
+  try {
+    const { doc, deleteDoc, updateDoc, getDoc } = window.firebaseModules;
+    
+    for (const messageId of messageIds) {
+      await deleteDoc(doc(db, 'chatSessions', sessionId, 'messages', messageId));
+    }
+    
+    const sessionRef = doc(db, 'chatSessions', sessionId);
+    const sessionSnap = await getDoc(sessionRef);
+    const currentCount = sessionSnap.exists() ? (sessionSnap.data().messageCount || 0) : 0;
+    
+    await updateDoc(sessionRef, {
+      messageCount: Math.max(0, currentCount - messageIds.length)
+    });
+    
+    console.log(`✅ Deleted ${messageIds.length} messages from session:`, sessionId);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error deleting session messages:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Get all messages for a chat session
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @param {string} sessionId - Chat session ID
  * @returns {Promise<Object>} Result object with array of messages
  */
@@ -941,7 +887,7 @@ export async function getSessionMessages(db, userId, sessionId) {
 /**
  * Delete a chat session and all its messages
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @param {string} sessionId - Chat session ID
  * @returns {Promise<Object>} Result object with success status
  */
@@ -972,7 +918,7 @@ export async function deleteChatSession(db, userId, sessionId) {
 /**
  * Remove user enrollment from a course (deletes enrollment and all chat sessions)
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @param {string} courseId - Course ID to unenroll from
  * @returns {Promise<Object>} Result object with success status
  */
@@ -1016,12 +962,175 @@ export async function removeUserEnrollment(db, userId, courseId) {
   }
 }
 
+// ==================== QUIZ OPERATIONS (PRIVATE) ====================
+// Quizzes and scores are written by the generateQuiz/submitQuizAttempt Cloud Functions
+
+/**
+ * Get a user's quiz score totals for a course
+ * @param {Object} db - Firestore database instance
+ * @param {string} userId - Firebase Auth uid
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} Result with data ({ quizzesTaken, questionsAnswered, correctAnswers }) or null before the first quiz
+ */
+export async function getQuizScore(db, userId, courseId) {
+  try {
+    const { doc, getDoc } = window.firebaseModules;
+    
+    const scoreSnap = await getDoc(doc(db, 'users', userId, 'quizScores', courseId));
+    return { success: true, data: scoreSnap.exists() ? scoreSnap.data() : null };
+  } catch (error) {
+    console.error('❌ Error getting quiz score:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== FLASHCARD OPERATIONS (PRIVATE) ====================
+// Decks are created by the generateFlashcards Cloud Function; reviews are saved here
+
+/**
+ * Get a user's flashcard decks for a course, newest first
+ * @param {Object} db - Firestore database instance
+ * @param {string} userId - Firebase Auth uid
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} Result with data (array of decks)
+ */
+export async function getFlashcardDecks(db, userId, courseId) {
+  try {
+    const { collection, query, where, getDocs } = window.firebaseModules;
+    
+    const decksRef = collection(db, 'users', userId, 'flashcardDecks');
+    const decksSnap = await getDocs(query(decksRef, where('courseId', '==', courseId)));
+    
+    const decks = decksSnap.docs
+      .map(deckDoc => ({ id: deckDoc.id, ...deckDoc.data() }))
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+    
+    return { success: true, data: decks };
+  } catch (error) {
+    console.error('❌ Error getting flashcard decks:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get all cards of a flashcard deck
+ * @param {Object} db - Firestore database instance
+ * @param {string} userId - Firebase Auth uid
+ * @param {string} deckId - Deck ID
+ * @returns {Promise<Object>} Result with data (array of cards)
+ */
+export async function getFlashcards(db, userId, deckId) {
+  try {
+    const { collection, getDocs } = window.firebaseModules;
+    
+    const cardsSnap = await getDocs(collection(db, 'users', userId, 'flashcardDecks', deckId, 'cards'));
+    return { success: true, data: cardsSnap.docs.map(cardDoc => ({ id: cardDoc.id, ...cardDoc.data() })) };
+  } catch (error) {
+    console.error('❌ Error getting flashcards:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save a card's review schedule
+ * @param {Object} db - Firestore database instance
+ * @param {string} userId - Firebase Auth uid
+ * @param {string} deckId - Deck ID
+ * @param {string} cardId - Card ID
+ * @param {Object} schedule - { ease, interval, repetitions, dueAt: Date, lastReviewedAt: Date }
+ * @returns {Promise<Object>} Result object with success status
+ */
+export async function updateFlashcardSchedule(db, userId, deckId, cardId, schedule) {
+  try {
+    const { doc, updateDoc, Timestamp } = window.firebaseModules;
+    
+    await updateDoc(doc(db, 'users', userId, 'flashcardDecks', deckId, 'cards', cardId), {
+      ease: schedule.ease,
+      interval: schedule.interval,
+      repetitions: schedule.repetitions,
+      dueAt: Timestamp.fromDate(schedule.dueAt),
+      lastReviewedAt: Timestamp.fromDate(schedule.lastReviewedAt)
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error saving flashcard review:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a flashcard deck and all its cards
+ * @param {Object} db - Firestore database instance
+ * @param {string} userId - Firebase Auth uid
+ * @param {string} deckId - Deck ID
+ * @returns {Promise<Object>} Result object with success status
+ */
+export async function deleteFlashcardDeck(db, userId, deckId) {
+  try {
+    const { collection, getDocs, doc, deleteDoc } = window.firebaseModules;
+    
+    const cardsSnap = await getDocs(collection(db, 'users', userId, 'flashcardDecks', deckId, 'cards'));
+    for (const cardDoc of cardsSnap.docs) {
+      await deleteDoc(cardDoc.ref);
+    }
+    
+    await deleteDoc(doc(db, 'users', userId, 'flashcardDecks', deckId));
+    
+    console.log('✅ Flashcard deck deleted:', deckId);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error deleting flashcard deck:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ==================== STUDY PLAN OPERATIONS (PRIVATE) ====================
+// Plans are written by the generateStudyPlan/refreshStudyPlan Cloud Functions; only task progress is saved here
+
+/**
+ * Get a user's study plan for a course
+ * @param {Object} db - Firestore database instance
+ * @param {string} userId - Firebase Auth uid
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} Result with data (the plan, or null if none was generated)
+ */
+export async function getStudyPlan(db, userId, courseId) {
+  try {
+    const { doc, getDoc } = window.firebaseModules;
+    
+    const planSnap = await getDoc(doc(db, 'studyPlans', `${userId}_${courseId}`));
+    return { success: true, data: planSnap.exists() ? { id: planSnap.id, ...planSnap.data() } : null };
+  } catch (error) {
+    console.error('❌ Error getting study plan:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save which study plan tasks are done
+ * @param {Object} db - Firestore database instance
+ * @param {string} planId - Plan ID ({userId}_{courseId})
+ * @param {Array<Object>} days - The plan's days with updated done flags
+ * @returns {Promise<Object>} Result object with success status
+ */
+export async function updateStudyPlanDays(db, planId, days) {
+  try {
+    const { doc, updateDoc } = window.firebaseModules;
+    
+    await updateDoc(doc(db, 'studyPlans', planId), { days });
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error saving study plan progress:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // ==================== ADMIN OPERATIONS ====================
 
 /**
  * Set admin status for a user
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @param {boolean} isAdmin - Admin status
  * @returns {Promise<Object>} Result object with success status
  */
@@ -1045,7 +1154,7 @@ export async function setUserAdminStatus(db, userId, isAdmin) {
 /**
  * Check if user is an admin
  * @param {Object} db - Firestore database instance
- * @param {string} userId - Chrome Identity user ID
+ * @param {string} userId - Firebase Auth uid
  * @returns {Promise<Object>} Result object with isAdmin status
  */
 export async function isUserAdmin(db, userId) {
@@ -1243,35 +1352,51 @@ if (typeof window !== 'undefined') {
     saveCourse,
     getCourse,
     getUserCourses,
-    incrementCourseEnrollments,
     
     // Enrollment operations (PRIVATE)
-    enrollUserInCourse,
+    getNewEnrollmentColor,
     isUserEnrolled,
     updateEnrollmentFavorite,
     
     // Document operations (SHARED)
-    saveDocument,
-    saveDocuments,
     getCourseDocuments,
     getDocument,
-    updateDocumentStatus,
-    deleteDocument,
     
     // File Search operations
-    saveDocumentFileSearch,
     getCourseDocumentsWithFileSearch,
     getDocumentsNeedingFileSearchUpload,
     saveCourseFileSearchStore,
     
+    // Ingestion jobs
+    getActiveIngestionJob,
+    watchIngestionJob,
+    
+    // Glossary operations (SHARED)
+    getCourseGlossary,
+    
     // Chat session operations
     createChatSession,
     getUserChatSessions,
+    updateChatSession,
     addMessageToSession,
+    deleteSessionMessages,
     getSessionMessages,
     deleteChatSession,
     removeUserEnrollment,
     
+    // Quiz operations
+    getQuizScore,
+    
+    // Flashcard operations
+    getFlashcardDecks,
+    getFlashcards,
+    updateFlashcardSchedule,
+    deleteFlashcardDeck,
+    
+    // Study plan operations
+    getStudyPlan,
+    updateStudyPlanDays,
+    
     // Admin operations
     setUserAdminStatus,
     isUserAdmin,
@@ -2,6 +2,7 @@
 // Replaces direct API calls with secure server-side calls
 
 import { getFunctions, httpsCallable } from 'firebase/functions';
+import { getAuth } from 'firebase/auth/web-extension';
 
 /**
  * Gemini File Search Cloud Client
@@ -11,22 +12,36 @@ import { getFunctions, httpsCallable } from 'firebase/functions';
  * This is for the File Search Tool (RAG) - persistent, searchable corpus
  * NOT the simple File API (temporary file uploads)
  * 
- * Requires userId for all operations to enforce user isolation
+ * Callables carry the signed-in Firebase Auth user automatically; the server derives
+ * the caller from the verified ID token. userId only gates calls until sign-in completes
  */
 class GeminiFileSearchCloudClient {
   constructor(firebaseApp, userId) {
     this.functions = getFunctions(firebaseApp, 'europe-north1');
+    this.auth = getAuth(firebaseApp);
+    this.functionsBaseUrl = `https://europe-north1-${firebaseApp.options.projectId}.cloudfunctions.net`;
     this.userId = userId;
   }
   
   /**
    * Set or update the user ID
-   * @param {string} userId - User ID from Chrome Identity
+   * @param {string} userId - Firebase Auth uid of the signed-in user
    */
   setUserId(userId) {
     this.userId = userId;
   }
 
+  /**
+   * Get a Firebase ID token for HTTP functions that aren't called through httpsCallable
+   * @returns {Promise<string>} ID token of the signed-in user
+   */
+  async getIdToken() {
+    if (!this.auth.currentUser) {
+      throw new Error('Not signed in to Firebase. Sign in before calling Cloud Functions.');
+    }
+    return this.auth.currentUser.getIdToken();
+  }
+
   // ==================== STORE MANAGEMENT ====================
 
   /**
@@ -45,8 +60,7 @@ class GeminiFileSearchCloudClient {
       const createCourseStore = httpsCallable(this.functions, 'createCourseStore');
       const result = await createCourseStore({ 
         courseId,
-        displayName,
-        userId: this.userId 
+        displayName
       });
 
       if (!result.data.success) {
@@ -85,8 +99,7 @@ class GeminiFileSearchCloudClient {
 
       const createStore = httpsCallable(this.functions, 'createStore');
       const result = await createStore({ 
-        displayName,
-        userId: this.userId 
+        displayName
       });
 
       if (!result.data.success) {
@@ -114,8 +127,7 @@ class GeminiFileSearchCloudClient {
 
       const getStore = httpsCallable(this.functions, 'getStore');
       const result = await getStore({ 
-        storeName,
-        userId: this.userId 
+        storeName
       });
 
       if (!result.data.success) {
@@ -142,9 +154,7 @@ class GeminiFileSearchCloudClient {
       }
 
       const listStores = httpsCallable(this.functions, 'listStores');
-      const result = await listStores({
-        userId: this.userId
-      });
+      const result = await listStores({});
 
       if (!result.data.success) {
         throw new Error('List stores failed');
@@ -172,8 +182,7 @@ class GeminiFileSearchCloudClient {
 
       const deleteStore = httpsCallable(this.functions, 'deleteStore');
       const result = await deleteStore({ 
-        storeName,
-        userId: this.userId 
+        storeName
       });
 
       console.log('✅ File Search store deleted:', storeName);
@@ -190,7 +199,7 @@ class GeminiFileSearchCloudClient {
    * Upload a PDF directly to File Search store
    * Automatically chunks, embeds, and indexes the document
    * @param {string} storeName - Store resource name
-   * @param {Blob|File} file - The PDF file to upload
+   * @param {Blob|File} file - The file to upload (PDF, docx, pptx, txt or md)
    * @param {string} displayName - Display name for the document
    * @param {Object} metadata - Optional metadata for the document
    * @returns {Promise<Object>} Document metadata
@@ -211,9 +220,8 @@ class GeminiFileSearchCloudClient {
         storeName,
         fileData,
         fileName: displayName || file.name || 'document.pdf',
-        mimeType: 'application/pdf',
-        metadata,
-        userId: this.userId
+        mimeType: file.type || 'application/pdf', // Verified server-side from the file contents
+        metadata
       });
 
       if (!result.data.success) {
@@ -224,6 +232,7 @@ class GeminiFileSearchCloudClient {
       return {
         name: result.data.name,           // Full document resource name
         documentId: result.data.documentId,
+        docId: result.data.docId,         // Firestore course document ID (saved server-side)
         fileName: result.data.fileName,
         operationName: result.data.operationName
       };
@@ -250,8 +259,7 @@ class GeminiFileSearchCloudClient {
       const result = await listDocuments({
         storeName,
         pageSize,
-        pageToken,
-        userId: this.userId
+        pageToken
       });
 
       if (!result.data.success) {
@@ -268,6 +276,62 @@ class GeminiFileSearchCloudClient {
     }
   }
 
+  /**
+   * Start (or join) the server-side ingestion job for a course
+   * Cloud Functions download, validate and upload each file; progress is
+   * written to courses/{courseId}/ingestionJobs/{jobId}
+   * @param {string} courseId - Canvas course ID
+   * @param {Array} files - Scanned files ({url, title, type, context, updatedAt, size}); pages,
+   *   syllabus and assignments also carry {sourceType, content, dueAt, pointsPossible}, and
+   *   anything listed in a module {moduleName, modulePosition, itemPosition, lectureNumber}
+   * @param {Object} cookies - Canvas session cookies as { name: value }
+   * @param {string|null} syncStartedAt - ISO time the crawl started; becomes the course's
+   *   lastSyncedAt once the job completes
+   * @returns {Promise<Object>} {jobId, total, alreadyRunning}
+   */
+  async startIngestionJob(courseId, files, cookies, syncStartedAt = null) {
+    try {
+      if (!this.userId) {
+        throw new Error('userId not set. Call setUserId() first.');
+      }
+
+      const startJob = httpsCallable(this.functions, 'startIngestionJob');
+      const result = await startJob({
+        courseId,
+        files: files.map(file => ({
+          url: file.url,
+          title: file.title || file.fileName || file.filename,
+          filename: file.filename,
+          type: file.type,
+          context: file.context,
+          updatedAt: file.updatedAt || null,
+          size: file.size ?? null,
+          ...(file.moduleName ? {
+            moduleName: file.moduleName,
+            modulePosition: file.modulePosition ?? null,
+            itemPosition: file.itemPosition ?? null,
+            lectureNumber: file.lectureNumber ?? null
+          } : {}),
+          // Pages, syllabus and assignments are sent as Markdown text
+          ...(file.content ? {
+            sourceType: file.sourceType,
+            content: file.content,
+            dueAt: file.dueAt,
+            pointsPossible: file.pointsPossible
+          } : {})
+        })),
+        cookies,
+        syncStartedAt
+      });
+
+      console.log(`✅ Ingestion job ${result.data.alreadyRunning ? 'joined' : 'started'}: ${result.data.jobId}`);
+      return result.data;
+    } catch (error) {
+      console.error('❌ Error starting ingestion job:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete a document from File Search store
    * @param {string} documentName - Document resource name
@@ -281,8 +345,9 @@ class GeminiFileSearchCloudClient {
       
       const deleteDocument = httpsCallable(this.functions, 'deleteDocument');
       const result = await deleteDocument({ 
-        userId: this.userId,
-        documentName 
+        documentName,
+        // Resource name format: fileSearchStores/{store}/documents/{documentId}
+        storeName: documentName.split('/documents/')[0]
       });
 
       console.log('✅ Document deleted:', documentName);
@@ -299,14 +364,15 @@ class GeminiFileSearchCloudClient {
    * Query course store (RECOMMENDED)
    * This is the main RAG endpoint for querying course materials
    * @param {string} question - The question to ask
-   * @param {string} courseId - Canvas course ID
+   * @param {string|Array<string>} courseId - Canvas course ID, or several for a cross-course query
    * @param {string} model - Model to use (default: gemini-2.5-flash)
    * @param {string} metadataFilter - Optional metadata filter
    * @param {number} topK - Number of chunks to retrieve (default: 5)
    * @param {Array} history - Optional conversation history (max 10 messages)
-   * @returns {Promise<Object>} Answer with citations
+   * @param {AbortSignal|null} signal - Rejects with an AbortError when aborted (the callable itself can't be cancelled)
+   * @returns {Promise<Object>} Answer with groundingMetadata and resolved citations
    */
-  async queryCourseStore(question, courseId, model = 'gemini-2.5-flash', metadataFilter = null, topK = 5, history = []) {
+  async queryCourseStore(question, courseId, model = 'gemini-2.5-flash', metadataFilter = null, topK = 5, history = [], signal = null) {
     try {
       if (!this.userId) {
         throw new Error('userId not set. Call setUserId() first.');
@@ -314,16 +380,22 @@ class GeminiFileSearchCloudClient {
       
       console.log('🔍 Querying course store with:', question);
       
+      signal?.throwIfAborted();
       const queryCourseStore = httpsCallable(this.functions, 'queryCourseStore');
-      const result = await queryCourseStore({
-        userId: this.userId,
+      const call = queryCourseStore({
         question,
-        courseId,
+        ...this.toCourseScope(courseId),
         model,
         metadataFilter,
         topK,
         history: history.slice(-10)
       });
+      const result = await (signal
+        ? Promise.race([
+          call,
+          new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason), { once: true }))
+        ])
+        : call);
 
       if (!result.data.success) {
         throw new Error('Query failed');
@@ -333,6 +405,7 @@ class GeminiFileSearchCloudClient {
       return {
         answer: result.data.answer,
         groundingMetadata: result.data.groundingMetadata,
+        citations: result.data.citations || [],
         model: result.data.model
       };
     } catch (error) {
@@ -341,6 +414,142 @@ class GeminiFileSearchCloudClient {
     }
   }
 
+  /**
+   * Query course store and stream the answer as it is generated
+   * Reads server-sent events from the streamCourseQuery HTTP function
+   * @param {string} question - The question to ask
+   * @param {string|Array<string>} courseId - Canvas course ID, or several for a cross-course query
+   * @param {Function} onChunk - Called with (textFragment, fullTextSoFar) for each received chunk
+   * @param {string} model - Model to use (default: gemini-2.5-flash)
+   * @param {string} metadataFilter - Optional metadata filter
+   * @param {number} topK - Number of chunks to retrieve (default: 5)
+   * @param {Array} history - Optional conversation history (max 10 messages)
+   * @param {AbortSignal|null} signal - Aborts the request; the server stops generating when the connection closes
+   * @returns {Promise<Object>} Complete answer with citations
+   * @throws {Error} With streamUnavailable set when the endpoint couldn't be reached, so the
+   *   query wasn't counted against the rate limit and can be retried with queryCourseStore
+   */
+  async streamCourseQuery(question, courseId, onChunk, model = 'gemini-2.5-flash', metadataFilter = null, topK = 5, history = [], signal = null) {
+    try {
+      if (!this.userId) {
+        throw new Error('userId not set. Call setUserId() first.');
+      }
+
+      console.log('🔍 Streaming course store query:', question);
+
+      const idToken = await this.getIdToken();
+      let response;
+      try {
+        response = await fetch(`${this.functionsBaseUrl}/streamCourseQuery`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+          },
+          body: JSON.stringify({
+            data: {
+              question,
+              ...this.toCourseScope(courseId),
+              model,
+              metadataFilter,
+              topK,
+              history: history.slice(-10)
+            }
+          }),
+          signal
+        });
+      } catch (error) {
+        // The request never reached the function
+        error.streamUnavailable = error.name !== 'AbortError';
+        throw error;
+      }
+
+      if (!response.ok || !response.body) {
+        const errorBody = await response.json().catch(() => ({}));
+        const error = new Error(errorBody.error || `Streaming query failed (${response.status})`);
+        // The function isn't deployed
+        error.streamUnavailable = response.status === 404;
+        throw error;
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let answer = '';
+      let groundingMetadata = null;
+      let citations = [];
+      let resultModel = model;
+
+      const handleEvent = (rawEvent) => {
+        let eventName = 'message';
+        let data = '';
+        for (const line of rawEvent.split('\n')) {
+          if (line.startsWith('event:')) eventName = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (!data) return;
+
+        const payload = JSON.parse(data);
+        switch (eventName) {
+          case 'chunk':
+            answer += payload.text;
+            onChunk?.(payload.text, answer);
+            break;
+          case 'grounding':
+            groundingMetadata = payload.groundingMetadata;
+            citations = payload.citations || [];
+            break;
+          case 'done':
+            resultModel = payload.model || model;
+            break;
+          case 'error':
+            throw new Error(payload.error);
+        }
+      };
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        // Keep the last (possibly incomplete) event for the next read
+        buffer = events.pop() || '';
+        events.forEach(handleEvent);
+      }
+
+      if (buffer.trim()) handleEvent(buffer);
+
+      if (!answer) {
+        throw new Error('No response text received from stream');
+      }
+
+      console.log('✅ Streaming query completed');
+      return {
+        answer,
+        groundingMetadata,
+        citations,
+        model: resultModel
+      };
+    } catch (error) {
+      console.error('❌ Error streaming course query:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Query request fields for one course or a cross-course query
+   * The first course is primary (its file names win when citations are ambiguous)
+   * @param {string|Array<string>} courseId - Course ID or list of course IDs
+   * @returns {Object} { courseId } or { courseId, courseIds }
+   */
+  toCourseScope(courseId) {
+    if (!Array.isArray(courseId)) {
+      return { courseId };
+    }
+    return { courseId: courseId[0], courseIds: courseId };
+  }
+
   /**
    * DEPRECATED: Use queryCourseStore instead
    * This method has been removed. Use queryCourseStore for all queries.
@@ -386,6 +595,181 @@ class GeminiFileSearchCloudClient {
     }
   }
 
+  // ==================== CHAT HISTORY ====================
+
+  /**
+   * Search the user's chat messages across all courses
+   * @param {string} query - Search terms (all must match)
+   * @param {Object} filters - Optional { courseId, from, to } (dates as ISO strings)
+   * @returns {Promise<Object>} { results, terms, totalMatches, truncated }
+   */
+  async searchChatHistory(query, { courseId = null, from = null, to = null } = {}) {
+    try {
+      if (!this.userId) {
+        throw new Error('userId not set. Call setUserId() first.');
+      }
+
+      const searchChatHistory = httpsCallable(this.functions, 'searchChatHistory');
+      const result = await searchChatHistory({ query, courseId, from, to });
+
+      console.log(`✅ Chat search found ${result.data.totalMatches} matches`);
+      return result.data;
+    } catch (error) {
+      console.error('❌ Error searching chat history:', error);
+      throw error;
+    }
+  }
+
+  // ==================== QUIZZES ====================
+
+  /**
+   * Generate a practice quiz grounded in the course documents
+   * @param {string} courseId - Course ID
+   * @param {Object} options - { documentIds, questionCount, questionTypes }; no documentIds quizzes on the whole course
+   * @returns {Promise<Object>} { quizId, courseName, documentNames, questions }
+   */
+  async generateQuiz(courseId, { documentIds = [], questionCount = 5, questionTypes = ['multiple_choice', 'short_answer'] } = {}) {
+    try {
+      if (!this.userId) {
+        throw new Error('userId not set. Call setUserId() first.');
+      }
+
+      const generateQuiz = httpsCallable(this.functions, 'generateQuiz');
+      const result = await generateQuiz({ courseId, documentIds, questionCount, questionTypes });
+
+      console.log(`✅ Quiz generated with ${result.data.questions.length} questions`);
+      return result.data;
+    } catch (error) {
+      console.error('❌ Error generating quiz:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit answers to a quiz for grading
+   * @param {string} quizId - Quiz ID from generateQuiz
+   * @param {Array<Object>} answers - [{ questionIndex, selectedIndex }] or [{ questionIndex, selfMarkedCorrect }]
+   * @returns {Promise<Object>} { score, total, results, courseScore }
+   */
+  async submitQuizAttempt(quizId, answers) {
+    try {
+      if (!this.userId) {
+        throw new Error('userId not set. Call setUserId() first.');
+      }
+
+      const submitQuizAttempt = httpsCallable(this.functions, 'submitQuizAttempt');
+      const result = await submitQuizAttempt({ quizId, answers });
+
+      console.log(`✅ Quiz scored ${result.data.score}/${result.data.total}`);
+      return result.data;
+    } catch (error) {
+      console.error('❌ Error submitting quiz:', error);
+      throw error;
+    }
+  }
+
+  // ==================== FLASHCARDS ====================
+
+  /**
+   * Generate a flashcard deck from a Canvas module or hand-picked documents
+   * The deck is saved under the user in Firestore by the Cloud Function
+   * @param {string} courseId - Course ID
+   * @param {Object} source - { moduleName } or { documentIds }, plus optional cardCount
+   * @returns {Promise<Object>} { deckId, title, cardCount }
+   */
+  async generateFlashcards(courseId, { moduleName = null, documentIds = [], cardCount = 20 } = {}) {
+    try {
+      if (!this.userId) {
+        throw new Error('userId not set. Call setUserId() first.');
+      }
+
+      const generateFlashcards = httpsCallable(this.functions, 'generateFlashcards');
+      const result = await generateFlashcards({ courseId, moduleName, documentIds, cardCount });
+
+      console.log(`✅ Flashcard deck generated with ${result.data.cardCount} cards`);
+      return result.data;
+    } catch (error) {
+      console.error('❌ Error generating flashcards:', error);
+      throw error;
+    }
+  }
+
+  // ==================== STUDY PLANS ====================
+
+  /**
+   * Generate (or regenerate) the user's exam-prep plan for a course
+   * The plan is saved to studyPlans/{userId}_{courseId} by the Cloud Function
+   * @param {string} courseId - Course ID
+   * @param {Object} options - { timeZone, minutesPerDay }
+   * @returns {Promise<Object>} { plan }
+   */
+  async generateStudyPlan(courseId, { timeZone, minutesPerDay = 60 } = {}) {
+    try {
+      if (!this.userId) {
+        throw new Error('userId not set. Call setUserId() first.');
+      }
+
+      const generateStudyPlan = httpsCallable(this.functions, 'generateStudyPlan');
+      const result = await generateStudyPlan({ courseId, timeZone, minutesPerDay });
+
+      console.log(`✅ Study plan generated with ${result.data.plan.days.length} days`);
+      return result.data;
+    } catch (error) {
+      console.error('❌ Error generating study plan:', error);
+      throw error;
+    }
+  }
+
+  // ==================== ACCOUNT ====================
+
+  /**
+   * Enroll the user in a course, or record a visit if they already are
+   * The server checks with Canvas that the user can see the course before enrolling them
+   * @param {string} courseId - Canvas course ID
+   * @param {string} courseName - Course name
+   * @param {Object} cookies - Canvas session cookies as { name: value }
+   * @param {string|null} colorId - Display color for a new enrollment
+   * @returns {Promise<Object>} {success, isNewEnrollment}
+   */
+  async enrollInCourse(courseId, courseName, cookies, colorId = null) {
+    try {
+      if (!this.userId) {
+        throw new Error('userId not set. Call setUserId() first.');
+      }
+
+      const enrollInCourse = httpsCallable(this.functions, 'enrollInCourse');
+      const result = await enrollInCourse({ courseId, courseName, cookies, colorId });
+      return result.data;
+    } catch (error) {
+      console.error('❌ Error enrolling in course:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move data stored under the legacy Chrome Identity user ID to the Firebase Auth uid
+   * The server proves ownership from the Google identity on the ID token
+   * @returns {Promise<Object>} Migration result with migrated flag and counts
+   */
+  async migrateLegacyUser() {
+    try {
+      if (!this.userId) {
+        throw new Error('userId not set. Call setUserId() first.');
+      }
+
+      const migrateLegacyUser = httpsCallable(this.functions, 'migrateLegacyUser');
+      const result = await migrateLegacyUser({});
+
+      if (result.data.migrated) {
+        console.log('✅ Legacy account data migrated:', result.data);
+      }
+      return result.data;
+    } catch (error) {
+      console.error('❌ Error migrating legacy account:', error);
+      throw error;
+    }
+  }
+
   // ==================== USAGE LIMIT METHODS ====================
 
   /**
@@ -399,7 +783,7 @@ class GeminiFileSearchCloudClient {
       }
       
       const checkLimit = httpsCallable(this.functions, 'checkUsageLimit');
-      const result = await checkLimit({ userId: this.userId });
+      const result = await checkLimit({});
       return result.data;
     } catch (error) {
       console.error('[UsageLimit] Error checking usage limit:', error);
@@ -421,7 +805,7 @@ class GeminiFileSearchCloudClient {
       }
       
       const recordUsage = httpsCallable(this.functions, 'recordMessageUsage');
-      const result = await recordUsage({ userId: this.userId, courseChatId, messageId });
+      const result = await recordUsage({ courseChatId, messageId });
       return result.data;
     } catch (error) {
       console.error('[UsageLimit] Error recording message usage:', error);
@@ -457,7 +841,7 @@ class GeminiFileSearchCloudClient {
       
       console.log('🔧 Initializing usage limit configuration...');
       const initConfig = httpsCallable(this.functions, 'initializeUsageLimitConfig');
-      const result = await initConfig({ userId: this.userId });
+      const result = await initConfig({});
       console.log('✅ Config initialization result:', result.data);
       return result.data;
     } catch (error) {
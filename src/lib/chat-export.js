@@ -0,0 +1,151 @@
+// chat-export.js
+// Export chat threads as study notes: Markdown, standalone HTML and a printable (PDF) document
+
+import { markdownToHtml } from './markdown';
+import { toMillis } from './spaced-repetition';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatTimestamp = (timestamp) => {
+  const millis = toMillis(timestamp);
+  return millis ? new Date(millis).toLocaleString() : '';
+};
+
+const citationLabel = (citation, isCrossCourse) => (
+  isCrossCourse && citation.courseName ? `${citation.courseName} · ${citation.title}` : citation.title
+);
+
+const isCrossCourse = (citations) => new Set(citations.map(citation => citation.courseId).filter(Boolean)).size > 1;
+
+// "You · 19/10/2026, 10:04" / "Canvas LM · 19/10/2026, 10:05 · gemini-2.5-flash · stopped"
+const messageHeading = (message) => [
+  message.role === 'user' ? 'You' : 'Canvas LM',
+  formatTimestamp(message.timestamp),
+  message.role === 'assistant' && message.model,
+  message.stopped && 'stopped'
+].filter(Boolean).join(' · ');
+
+/**
+ * Export a chat thread as Markdown
+ * Answers are kept as written (LaTeX stays in $ delimiters); sources become a numbered list of links
+ * @param {Object} chat - { title, courseName, messages: [{ role, content, timestamp, citations, model, stopped }] }
+ * @param {Date} now - Export time
+ * @returns {{ content: string, filename: string, mimeType: string }}
+ */
+export function exportChatToMarkdown(chat, now = new Date()) {
+  const lines = [
+    `# ${chat.title}`,
+    '',
+    `${chat.courseName} · exported ${now.toLocaleString()}`
+  ];
+
+  chat.messages.forEach(message => {
+    lines.push('', '---', '', `**${messageHeading(message)}**`, '', message.content.trim());
+
+    const citations = message.citations || [];
+    if (citations.length > 0) {
+      const crossCourse = isCrossCourse(citations);
+      lines.push('', 'Sources:');
+      citations.forEach(citation => {
+        const label = citationLabel(citation, crossCourse);
+        lines.push(`${citation.index}. ${citation.fileUrl ? `[${label}](${citation.fileUrl})` : label}`);
+      });
+    }
+  });
+
+  return {
+    content: lines.join('\n') + '\n',
+    filename: `${chat.title}.md`,
+    mimeType: 'text/markdown'
+  };
+}
+
+/**
+ * Render a chat thread as an HTML <article>
+ * Answers go through the sanitising Markdown pipeline with math as MathML;
+ * questions are plain text
+ * @param {Object} chat - See exportChatToMarkdown
+ * @returns {string} HTML fragment
+ */
+export function renderChatHtml(chat) {
+  const messages = chat.messages.map(message => {
+    const citations = message.citations || [];
+    const crossCourse = isCrossCourse(citations);
+    const body = message.role === 'user'
+      ? `<p>${escapeHtml(message.content.trim()).replace(/\n/g, '<br>')}</p>`
+      : markdownToHtml(message.content);
+    const sources = citations.length === 0 ? '' : `
+<p><strong>Sources</strong></p>
+<ol>${citations.map(citation => {
+      const label = escapeHtml(citationLabel(citation, crossCourse));
+      const value = Number(citation.index) ? ` value="${Number(citation.index)}"` : '';
+      return `<li${value}>${citation.fileUrl ? `<a href="${escapeHtml(citation.fileUrl)}">${label}</a>` : label}</li>`;
+    }).join('')}</ol>`;
+
+    return `<section class="message ${message.role}">
+<h3>${escapeHtml(messageHeading(message))}</h3>
+${body}${sources}
+</section>`;
+  });
+
+  return `<article>
+<h1>${escapeHtml(chat.title)}</h1>
+<p class="meta">${escapeHtml(chat.courseName)}</p>
+${messages.join('\n<hr>\n')}
+</article>`;
+}
+
+// Plain styles; Notion and other importers ignore them and keep the structure
+const DOCUMENT_STYLES = `
+body { font-family: system-ui, sans-serif; line-height: 1.5; color: #1e293b; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+h3 { font-size: 0.85rem; color: #64748b; font-weight: 600; margin-bottom: 0.25rem; }
+.meta { color: #64748b; }
+.message.user { background: #eff6ff; border-radius: 8px; padding: 0.25rem 0.75rem 0.5rem; }
+pre { background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 6px; padding: 0.75rem; overflow-x: auto; }
+code { font-size: 0.9em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #e2e8f0; padding: 0.25rem 0.5rem; }
+hr { border: none; border-top: 1px solid #e2e8f0; margin: 1.5rem 0; }
+@media print {
+  body { margin: 0; max-width: none; }
+  article + article { break-before: page; }
+  .no-print { display: none; }
+}`;
+
+/**
+ * Wrap rendered chats in a standalone HTML document
+ * @param {string} title - Document title
+ * @param {Array<Object>} chats - Chats to include
+ * @returns {string} HTML document
+ */
+export function buildChatDocument(title, chats) {
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${DOCUMENT_STYLES}</style>
+</head>
+<body>
+${chats.map(renderChatHtml).join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export a chat thread as a standalone HTML file (imports cleanly into Notion)
+ * @param {Object} chat - See exportChatToMarkdown
+ * @returns {{ content: string, filename: string, mimeType: string }}
+ */
+export function exportChatToHTML(chat) {
+  return {
+    content: buildChatDocument(chat.title, [chat]),
+    filename: `${chat.title}.html`,
+    mimeType: 'text/html'
+  };
+}
@@ -0,0 +1,11 @@
+// chat-models.js
+// Gemini models answers can be generated (or regenerated) with
+// Keep in sync with CHAT_MODELS in functions/index.js
+
+export const DEFAULT_CHAT_MODEL = 'gemini-2.5-flash';
+
+export const CHAT_MODELS = [
+  { id: 'gemini-2.5-flash', label: 'Flash' },
+  { id: 'gemini-2.5-pro', label: 'Pro' },
+  { id: 'gemini-2.5-flash-lite', label: 'Flash-Lite' }
+];
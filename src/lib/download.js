@@ -0,0 +1,24 @@
+// download.js
+// Save generated files (exports) to the user's Downloads folder
+
+/**
+ * Download text content as a file through chrome.downloads
+ * A data: URL is used instead of a blob: URL so the download survives the popup closing
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ * @param {string|null} folder - Optional subfolder of Downloads to save into
+ * @returns {Promise<number>} Download ID
+ */
+export function downloadTextFile(content, filename, mimeType = 'text/plain', folder = null) {
+  const url = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+  const path = folder ? `${toSafeFilename(folder)}/${toSafeFilename(filename)}` : toSafeFilename(filename);
+  return chrome.downloads.download({ url, filename: path });
+}
+
+/**
+ * Strip characters that are not allowed in download file names
+ */
+export function toSafeFilename(name) {
+  return name.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').replace(/\s+/g, ' ').trim().substring(0, 150) || 'download';
+}
@@ -0,0 +1,53 @@
+// flashcard-export.js
+// Anki-compatible CSV/TSV exports of flashcard decks
+
+const SEPARATORS = {
+  csv: { char: ',', header: 'comma', mimeType: 'text/csv' },
+  tsv: { char: '\t', header: 'tab', mimeType: 'text/tab-separated-values' }
+};
+
+/**
+ * Quote a field when it contains the separator, quotes or line breaks
+ */
+const quoteField = (value, separator) => {
+  const text = String(value ?? '');
+  return text.includes(separator) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+// Anki tags cannot contain spaces
+const toTag = (value) => (value || '').trim().replace(/\s+/g, '_').replace(/"/g, '');
+
+/**
+ * Export a deck as Anki import text (Basic note type: Front, Back, Tags)
+ * Starts with Anki's file header lines so the separator, deck and tag column are
+ * picked up without changing import settings
+ * @param {Object} deck - Deck ({ title, courseName })
+ * @param {Array<Object>} cards - Cards ({ front, back, sourceDocument })
+ * @param {'csv'|'tsv'} format - Output format
+ * @returns {{ content: string, filename: string, mimeType: string }}
+ */
+export function exportDeckForAnki(deck, cards, format = 'tsv') {
+  const separator = SEPARATORS[format] || SEPARATORS.tsv;
+  const deckName = [deck.courseName, deck.title].filter(Boolean).join('::');
+
+  const lines = [
+    `#separator:${separator.header}`,
+    '#html:false',
+    '#notetype:Basic',
+    `#deck:${deckName}`,
+    '#tags column:3'
+  ];
+
+  cards.forEach(card => {
+    const tags = ['canvas-lm', toTag(deck.courseName), toTag(card.sourceDocument)].filter(Boolean).join(' ');
+    lines.push([card.front, card.back, tags].map(field => quoteField(field, separator.char)).join(separator.char));
+  });
+
+  return {
+    content: lines.join('\n'),
+    filename: `${deck.title || 'Flashcards'}.${SEPARATORS[format] ? format : 'tsv'}`,
+    mimeType: separator.mimeType
+  };
+}
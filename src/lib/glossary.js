@@ -0,0 +1,74 @@
+// glossary.js
+// Find course glossary terms in answer text so they can link to their entries
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Single letters and symbols would match everywhere
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Build a matcher for the terms and aliases of a course glossary
+ * Longer names are tried first so "linear map" wins over "map"
+ * @param {Array<Object>} entries - Glossary entries ({ term, aliases })
+ * @returns {{ regex: RegExp, byName: Map<string, Object> }|null} null for an empty glossary
+ */
+export function buildGlossaryMatcher(entries) {
+  const byName = new Map();
+  (entries || []).forEach(entry => {
+    [entry.term, ...(entry.aliases || [])].forEach(name => {
+      const key = (name || '').trim().toLowerCase();
+      if (key.length >= MIN_TERM_LENGTH && !byName.has(key)) {
+        byName.set(key, entry);
+      }
+    });
+  });
+
+  if (byName.size === 0) {
+    return null;
+  }
+
+  const pattern = [...byName.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+
+  // Letter lookarounds instead of \b, which doesn't know non-ASCII letters
+  return {
+    regex: new RegExp(`(?<![\\p{L}\\p{N}])(${pattern})(?![\\p{L}\\p{N}])`, 'giu'),
+    byName
+  };
+}
+
+/**
+ * Split text into plain strings and glossary matches
+ * An entry is only matched once per `linked` set, so a term is linked on its first use in an answer
+ * @param {string} text - Plain text
+ * @param {Object|null} matcher - From buildGlossaryMatcher
+ * @param {Set<string>} linked - IDs of entries already linked
+ * @returns {Array<string|{ text: string, entry: Object }>}
+ */
+export function splitGlossaryTerms(text, matcher, linked = new Set()) {
+  if (!matcher || !text) {
+    return [text];
+  }
+
+  const parts = [];
+  let currentIndex = 0;
+  for (const match of text.matchAll(matcher.regex)) {
+    const entry = matcher.byName.get(match[1].toLowerCase());
+    if (!entry || linked.has(entry.id)) {
+      continue;
+    }
+    linked.add(entry.id);
+    if (match.index > currentIndex) {
+      parts.push(text.substring(currentIndex, match.index));
+    }
+    parts.push({ text: match[1], entry });
+    currentIndex = match.index + match[1].length;
+  }
+
+  if (currentIndex < text.length) {
+    parts.push(text.substring(currentIndex));
+  }
+  return parts;
+}
@@ -0,0 +1,51 @@
+// markdown.js
+// Markdown + math pipeline shared by the chat (MarkdownMessage) and chat exports
+
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import remarkRehype from 'remark-rehype';
+import rehypeSanitize, { defaultSchema } from 'rehype-sanitize';
+import rehypeKatex from 'rehype-katex';
+import rehypeStringify from 'rehype-stringify';
+
+// remark-math marks math as <code class="language-math math-inline|math-display">;
+// keep those classes through sanitising so rehype-katex can find it afterwards
+export const sanitizeSchema = {
+  ...defaultSchema,
+  attributes: {
+    ...defaultSchema.attributes,
+    code: [['className', /^language-./, 'math-inline', 'math-display']]
+  }
+};
+
+/**
+ * Rewrite \( \) and \[ \] math (which Gemini sometimes uses) as $ and $$
+ * @param {string} text - Markdown
+ * @returns {string} Markdown for remark-math
+ */
+export function normalizeMathDelimiters(text) {
+  return text
+    .replace(/\\\[([\s\S]+?)\\\]/g, (_, latex) => `\n$$\n${latex.trim()}\n$$\n`)
+    .replace(/\\\(([\s\S]+?)\\\)/g, (_, latex) => `$${latex.trim()}$`);
+}
+
+const htmlProcessor = unified()
+  .use(remarkParse)
+  .use(remarkGfm)
+  .use(remarkMath)
+  .use(remarkRehype)
+  .use(rehypeSanitize, sanitizeSchema)
+  // MathML needs no stylesheet or fonts, so exported files render on their own
+  .use(rehypeKatex, { output: 'mathml' })
+  .use(rehypeStringify);
+
+/**
+ * Convert an assistant message to sanitised HTML (for exports)
+ * @param {string} markdown - Message content
+ * @returns {string} HTML fragment
+ */
+export function markdownToHtml(markdown) {
+  return String(htmlProcessor.processSync(normalizeMathDelimiters(markdown || '')));
+}
@@ -0,0 +1,90 @@
+// spaced-repetition.js
+// SM-2 scheduling for flashcard reviews
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Failed cards come back within the same study session
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+
+const MIN_EASE = 1.3;
+
+/**
+ * Answer buttons and the SM-2 quality (0-5) each one records
+ */
+export const REVIEW_GRADES = [
+  { id: 'again', label: 'Again', quality: 1 },
+  { id: 'hard', label: 'Hard', quality: 3 },
+  { id: 'good', label: 'Good', quality: 4 },
+  { id: 'easy', label: 'Easy', quality: 5 }
+];
+
+/**
+ * Milliseconds since epoch for a card's dueAt (Firestore Timestamp, Date or ms)
+ */
+export function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return Number(value) || 0;
+}
+
+/**
+ * Whether a card should be reviewed now
+ * @param {Object} card - Card with dueAt
+ * @param {number} now - Current time in ms
+ */
+export function isDue(card, now = Date.now()) {
+  return toMillis(card.dueAt) <= now;
+}
+
+/**
+ * Schedule the next review of a card (SM-2)
+ * Quality below 3 resets the card to relearning; otherwise the interval grows
+ * 1 day, 6 days, then by the ease factor, which itself moves with each answer
+ * @param {Object} card - { ease, interval, repetitions } (interval in days)
+ * @param {number} quality - Answer quality 0-5, from REVIEW_GRADES
+ * @param {number} now - Current time in ms
+ * @returns {Object} { ease, interval, repetitions, dueAt: Date, lastReviewedAt: Date }
+ */
+export function scheduleReview(card, quality, now = Date.now()) {
+  const ease = Math.max(
+    MIN_EASE,
+    (card.ease || 2.5) + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  if (quality < 3) {
+    return {
+      ease,
+      interval: 0,
+      repetitions: 0,
+      dueAt: new Date(now + RELEARN_DELAY_MS),
+      lastReviewedAt: new Date(now)
+    };
+  }
+
+  const repetitions = (card.repetitions || 0) + 1;
+  let interval;
+  if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  } else {
+    interval = Math.round((card.interval || 1) * ease);
+  }
+
+  return {
+    ease,
+    interval,
+    repetitions,
+    dueAt: new Date(now + interval * DAY_MS),
+    lastReviewedAt: new Date(now)
+  };
+}
+
+/**
+ * Short label for when a grade would next show the card ("10 min", "6 d")
+ */
+export function describeNextInterval(card, quality) {
+  const { interval } = scheduleReview(card, quality, 0);
+  return interval === 0 ? '10 min' : `${interval} d`;
+}
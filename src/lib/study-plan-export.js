@@ -0,0 +1,119 @@
+// study-plan-export.js
+// iCalendar (.ics) export of study plans
+
+const encoder = new TextEncoder();
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets; continuation lines start with a space (RFC 5545 3.1)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// YYYY-MM-DD -> YYYYMMDD
+const toDateValue = (isoDate) => isoDate.replace(/-/g, '');
+
+const nextDay = (isoDate) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().substring(0, 10);
+};
+
+// UTC timestamp for DTSTAMP, e.g. 20261019T120000Z
+const toTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Study days don't block the calendar; assessments do
+const allDayEvent = ({ uid, date, summary, description, stamp, busy = false }) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTAMP:${stamp}`,
+  `DTSTART;VALUE=DATE:${toDateValue(date)}`,
+  `DTEND;VALUE=DATE:${toDateValue(nextDay(date))}`,
+  `SUMMARY:${escapeText(summary)}`,
+  ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+  `TRANSP:${busy ? 'OPAQUE' : 'TRANSPARENT'}`,
+  'END:VEVENT'
+];
+
+/**
+ * Export a study plan as an iCalendar file
+ * Each study day becomes an all-day event listing its tasks; each assessment
+ * becomes an all-day event on its date (with the time in its title)
+ * @param {Object} plan - Study plan ({ id, courseName, days, assessments })
+ * @param {Date} now - Export time (DTSTAMP)
+ * @returns {{ content: string, filename: string, mimeType: string }}
+ */
+export function exportStudyPlanToICS(plan, now = new Date()) {
+  const stamp = toTimestamp(now);
+  const courseName = plan.courseName || 'Course';
+
+  const studyDays = (plan.days || []).filter(day => day.tasks.length > 0).map(day => {
+    const minutes = day.tasks.reduce((total, task) => total + (task.minutes || 0), 0);
+    const description = day.tasks.map(task => {
+      const lines = [`${task.done ? '✓' : '•'} ${task.title} (${task.minutes} min)`];
+      if (task.description) lines.push(`  ${task.description}`);
+      if (task.documentNames?.length > 0) lines.push(`  Documents: ${task.documentNames.join(', ')}`);
+      return lines.join('\n');
+    }).join('\n');
+
+    return allDayEvent({
+      uid: `${plan.id}-${day.date}@canvas-lm`,
+      date: day.date,
+      summary: `Study ${courseName} (${minutes} min)`,
+      description,
+      stamp
+    });
+  });
+
+  const assessments = (plan.assessments || []).map((assessment, index) => allDayEvent({
+    uid: `${plan.id}-assessment-${index}-${assessment.date}@canvas-lm`,
+    date: assessment.date,
+    summary: `${courseName}: ${assessment.title}${assessment.time ? ` (${assessment.time})` : ''}`,
+    description: [
+      assessment.weight && `Weight: ${assessment.weight}`,
+      assessment.topics?.length > 0 && `Covers: ${assessment.topics.join(', ')}`
+    ].filter(Boolean).join('\n'),
+    stamp,
+    busy: true
+  }));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Canvas LM//Study Plan//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(`${courseName} study plan`)}`,
+    ...studyDays.flat(),
+    ...assessments.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return {
+    content: lines.map(foldLine).join('\r\n') + '\r\n',
+    filename: `${courseName} study plan.ics`,
+    mimeType: 'text/calendar'
+  };
+}
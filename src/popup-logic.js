@@ -2,6 +2,24 @@
 import './firebase-config';
 import './firestore-helpers';
 import './gemini-file-search-cloud';
+import { scheduleReview } from './lib/spaced-repetition';
+import { exportDeckForAnki } from './lib/flashcard-export';
+import { exportStudyPlanToICS } from './lib/study-plan-export';
+import { downloadTextFile } from './lib/download';
+import { buildChatDocument, exportChatToHTML, exportChatToMarkdown } from './lib/chat-export';
+import { DEFAULT_CHAT_MODEL } from './lib/chat-models';
+
+// Upper bound for a hand-picked document scope (each document adds a clause to the metadata filter)
+const MAX_SCOPED_DOCUMENTS = 20;
+
+// An ingestion job whose updatedAt hasn't moved for this long has stalled (same as the server's INGESTION_STALE_MS)
+const INGESTION_JOB_STALE_MS = 15 * 60 * 1000;
+
+// Selections sent from the page (context menu or shortcut) older than this are dropped
+const SELECTION_ASK_MAX_AGE_MS = 2 * 60 * 1000;
+
+// "> line" for every line of a selection
+const quoteMarkdown = (text) => text.split('\n').map(line => `> ${line}`).join('\n');
 
 export class PopupLogic {
   constructor() {
@@ -12,10 +30,27 @@ export class PopupLogic {
     this.uiCallbacks = {};
     this.conversationHistory = [];
     this.currentSessionId = null; // Track current chat session
+    this.chatThreads = []; // Chat sessions for the current course (metadata only)
+    this.crossCourseIds = []; // Other enrolled courses included in questions (cross-course mode)
+    this.documentScope = []; // Hand-picked documents answers are restricted to ({ id, fileName })
+    this.glossary = []; // Course glossary entries, linked from terms in answers
     this.streamingMessageTimer = null; // Timer for streaming animation
     this.isStreaming = false; // Flag to prevent interruptions
+    this.isAwaitingAnswer = false; // A question is in flight - don't switch or delete threads
+    this.chatAbortController = null; // Aborts the answer in flight (stop button)
     this.uploadPhase = false; // Flag to indicate we're in upload phase (don't accept scan progress updates)
+    this.ingestionJobUnsubscribe = null; // Listener for the course's server-side ingestion job
+    this.ingestionJobCourseId = null;
+    this.ingestionJobReject = null; // Rejects the observeIngestionJob promise when the listener is stopped
+    this.ingestionJobStaleTimer = null; // Gives up on a job that stopped making progress
     this.contextEnabled = true; // Context toggle state (enabled by default)
+    this.isSidePanel = window.location.pathname.endsWith('/sidepanel.html'); // Docked next to the page instead of a popup
+    this.windowId = null; // Browser window the popup or side panel belongs to
+    this.activeTabTimer = null; // Debounces tab changes while the side panel follows the active tab
+    this.activeTabChanged = false; // Tab changed during an answer or scan - follow it once that's done
+    this.quotedSelection = null; // Text selected on the page, quoted in the next question ({ text, fileName, document })
+    this.queuedSelectionAsk = null; // Selection from another course that came in during an answer
+    this.lastSelectionAskAt = null; // Selection from the page already picked up
     
     // Firestore helper functions
     this.firestoreHelpers = null;
@@ -75,9 +110,17 @@ export class PopupLogic {
     // Check user authentication
     await this.checkUserSignedIn();
     
+    // Known up front so openSidePanel can run within the click that asked for it
+    this.windowId = (await chrome.windows.getCurrent()).id;
+    
     // Detect Canvas course
     await this.detectCanvas();
     
+    // The side panel stays open while the user browses - keep up with the active tab
+    if (this.isSidePanel) {
+      this.watchActiveTab();
+    }
+    
     // Check for pending scan results
     await this.checkPendingScanResults();
     
@@ -86,6 +129,14 @@ export class PopupLogic {
     
     // Listen for messages from background script
     this.setupMessageListener();
+    
+    // Selections sent from the page by the context menu or shortcut
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.pendingSelectionAsk?.newValue) {
+        this.takePendingSelectionAsk();
+      }
+    });
+    await this.takePendingSelectionAsk();
   }
 
   async waitForFirebase() {
@@ -104,20 +155,26 @@ export class PopupLogic {
       console.log('Chrome profile info:', userInfo);
       
       if (userInfo && userInfo.email) {
+        // Exchange the Chrome identity for a Firebase Auth session so Cloud Functions
+        // (and Firestore rules) can verify who is calling
+        const firebaseUser = await this.signInToFirebase();
+        
         this.currentUser = {
           email: userInfo.email,
-          id: userInfo.id,
+          id: firebaseUser.uid,
+          legacyId: userInfo.id, // Chrome Identity ID used as user ID before Firebase Auth
           displayName: userInfo.email.split('@')[0],
-          photoURL: null
+          photoURL: firebaseUser.photoURL || null
         };
         
         // Set userId in File Search Manager FIRST, before UI updates
         if (this.fileSearchManager) {
-          this.fileSearchManager.setUserId(userInfo.id);
+          this.fileSearchManager.setUserId(firebaseUser.uid);
+          await this.migrateLegacyUserData(firebaseUser.uid);
         }
         
         // Save user to Firestore
-        const result = await this.firestoreHelpers.saveUser(this.db, userInfo.id, this.currentUser);
+        const result = await this.firestoreHelpers.saveUser(this.db, firebaseUser.uid, this.currentUser);
         if (result.success) {
           console.log('User data saved to Firestore');
         }
@@ -141,6 +198,84 @@ export class PopupLogic {
     });
   }
 
+  /**
+   * Get a Google OAuth access token for the Chrome profile's account
+   * @param {boolean} interactive - Whether Chrome may show a consent prompt
+   * @returns {Promise<string>} OAuth access token
+   */
+  async getChromeAuthToken(interactive) {
+    return new Promise((resolve, reject) => {
+      chrome.identity.getAuthToken({ interactive }, (result) => {
+        if (chrome.runtime.lastError || !result) {
+          reject(new Error(chrome.runtime.lastError?.message || 'No auth token returned'));
+          return;
+        }
+        // Chrome 105+ resolves with { token }, older versions with the token string
+        resolve(typeof result === 'string' ? result : result.token);
+      });
+    });
+  }
+
+  /**
+   * Sign in to Firebase Auth with the Chrome profile's Google account
+   * Reuses the persisted Firebase session when there is one
+   * @returns {Promise<Object>} Firebase Auth user
+   */
+  async signInToFirebase() {
+    const auth = window.firebaseAuth;
+    await auth.authStateReady();
+    
+    if (auth.currentUser) {
+      return auth.currentUser;
+    }
+    
+    const { GoogleAuthProvider, signInWithCredential } = window.firebaseModules;
+    
+    let token;
+    try {
+      token = await this.getChromeAuthToken(false);
+    } catch (error) {
+      // First sign-in needs the OAuth consent screen
+      token = await this.getChromeAuthToken(true);
+    }
+    
+    try {
+      const { user } = await signInWithCredential(auth, GoogleAuthProvider.credential(null, token));
+      console.log('✅ Signed in to Firebase:', user.uid);
+      return user;
+    } catch (error) {
+      // Cached token may have been revoked - drop it and retry once with a fresh one
+      console.warn('⚠️ Firebase sign-in failed, retrying with a fresh token:', error.message);
+      await chrome.identity.removeCachedAuthToken({ token });
+      const freshToken = await this.getChromeAuthToken(true);
+      const { user } = await signInWithCredential(auth, GoogleAuthProvider.credential(null, freshToken));
+      console.log('✅ Signed in to Firebase:', user.uid);
+      return user;
+    }
+  }
+
+  /**
+   * Move data stored under the old Chrome Identity user ID to the Firebase uid
+   * Runs once per account; the server makes it idempotent as well
+   * @param {string} uid - Firebase Auth uid
+   */
+  async migrateLegacyUserData(uid) {
+    const storageKey = `legacyUserMigrated_${uid}`;
+    
+    try {
+      const stored = await chrome.storage.local.get(storageKey);
+      if (stored[storageKey]) {
+        return;
+      }
+      
+      await this.fileSearchManager.migrateLegacyUser();
+      await chrome.storage.local.set({ [storageKey]: true });
+    } catch (error) {
+      // Retry on next popup open - the user can keep working with their new account meanwhile
+      console.error('❌ Legacy account migration failed:', error);
+    }
+  }
+
   async updateUIForUser(user) {
     if (user) {
       this.currentUser = user;
@@ -262,7 +397,7 @@ export class PopupLogic {
       const courseHtml = `
         <div class="text-sm space-y-2">
           <p><strong class="font-semibold">${courseName}</strong> | ID: ${courseId}</p>
-          ${docCount > 0 ? `<p class="text-slate-900">${docCount} PDFs scanned</p>` : ''}
+          ${docCount > 0 ? `<p class="text-slate-900">${docCount} documents scanned</p>` : ''}
         </div>
       `;
       
@@ -270,9 +405,14 @@ export class PopupLogic {
       this.uiCallbacks.setShowCourseInfo?.(true);
       this.uiCallbacks.setCurrentCourseDocCount?.(docCount);
       
-      // Only load chat session if user is enrolled
+      // Another student (or an earlier session) may already be indexing this course
+      if (courseExists) {
+        await this.followActiveIngestionJob(courseId);
+      }
+      
+      // Only load chat threads if user is enrolled
       if (isEnrolled) {
-        await this.loadOrCreateChatSession();
+        await this.loadChatThreads();
       }
       
       // NEW: Check if viewing a specific file
@@ -370,13 +510,16 @@ export class PopupLogic {
     };
     
     this.uiCallbacks.setStatus?.(`✅ Selected: ${displayName}`);
+    this.setCrossCourseIds([]);
+    this.setDocumentScope([]);
+    this.setGlossary([]);
     
     const docCount = course.actualPdfCount || 0;
     
     const courseHtml = `
       <div class="text-sm space-y-2">
         <p><strong class="font-semibold">${displayName}</strong> | ID: ${course.id}</p>
-        ${docCount > 0 ? `<p class="text-slate-900">${docCount} PDFs scanned</p>` : ''}
+        ${docCount > 0 ? `<p class="text-slate-900">${docCount} documents scanned</p>` : ''}
       </div>
     `;
     
@@ -392,13 +535,33 @@ export class PopupLogic {
       checking: false
     });
     
-    // Load or create chat session for this enrolled course
-    await this.loadOrCreateChatSession();
+    // Load chat threads for this enrolled course
+    await this.loadChatThreads();
     
     // Check if viewing a specific file
     await this.updatePageContext();
   }
 
+  /**
+   * Enroll the signed-in user in a course (Cloud Functions check Canvas access first)
+   * @param {Object} course - {id, name}
+   * @returns {Promise<Object>} {success, isNewEnrollment}
+   */
+  async enrollUser(course) {
+    const cookiesResponse = await chrome.runtime.sendMessage({ action: 'GET_CANVAS_COOKIES' });
+    if (!cookiesResponse?.success) {
+      throw new Error(cookiesResponse?.error || 'Could not read Canvas cookies');
+    }
+    
+    const colorResult = await this.firestoreHelpers.getNewEnrollmentColor(this.db, this.currentUser.id);
+    return this.fileSearchManager.enrollInCourse(
+      course.id,
+      course.name,
+      cookiesResponse.cookies,
+      colorResult.success ? colorResult.data : null
+    );
+  }
+
   async enrollInCurrentCourse() {
     if (!this.currentUser) {
       console.error('No user signed in');
@@ -414,14 +577,7 @@ export class PopupLogic {
     try {
       console.log('📝 Enrolling user in course:', this.currentCourseData.id);
       
-      const enrollmentResult = await this.firestoreHelpers.enrollUserInCourse(
-        this.db,
-        this.currentUser.id,
-        {
-          courseId: this.currentCourseData.id,
-          courseName: this.currentCourseData.name
-        }
-      );
+      const enrollmentResult = await this.enrollUser(this.currentCourseData);
 
       if (enrollmentResult.success) {
         console.log('✅ User enrolled successfully');
@@ -436,8 +592,8 @@ export class PopupLogic {
         // Refresh course list
         await this.loadAllCourses();
         
-        // Now that user is enrolled, create/load chat session
-        await this.loadOrCreateChatSession();
+        // Now that user is enrolled, load chat threads
+        await this.loadChatThreads();
         
         // Show success message
         this.uiCallbacks.setStatus?.(`✅ Enrolled in ${this.currentCourseData.name}`);
@@ -481,7 +637,9 @@ export class PopupLogic {
           
           this.currentSessionId = null;
           this.conversationHistory = [];
+          this.setChatThreads([]);
           this.uiCallbacks.setChatMessages?.([]);
+          this.uiCallbacks.setActiveChatThreadId?.(null);
           this.uiCallbacks.setCurrentCourseDocCount?.(0);
           
           // Don't clear currentCourseData so the course info stays visible
@@ -499,16 +657,34 @@ export class PopupLogic {
 
   backToCourseSelector() {
     // Clear current course and show course selector
-    this.currentCourseData = null;
-    this.currentSessionId = null;
-    this.conversationHistory = [];
+    this.clearCourseState();
     this.uiCallbacks.setShowCourseInfo?.(false);
     this.uiCallbacks.setShowCourseSelector?.(true);
-    this.uiCallbacks.setChatMessages?.([]);
     this.uiCallbacks.setStatus?.('Select a course from your enrolled courses');
     console.log('✅ Navigated back to course selector');
   }
 
+  /**
+   * Forget the current course and its chats, scope, page context and indexing progress
+   * (a server-side ingestion job keeps running, only the popup stops following it)
+   */
+  clearCourseState() {
+    this.activeTabChanged = false;
+    this.stopObservingIngestionJob();
+    this.resetScanningState();
+    this.currentCourseData = null;
+    this.currentSessionId = null;
+    this.conversationHistory = [];
+    this.setChatThreads([]);
+    this.setCrossCourseIds([]);
+    this.setDocumentScope([]);
+    this.setGlossary([]);
+    this.uiCallbacks.setActiveChatThreadId?.(null);
+    this.uiCallbacks.setChatMessages?.([]);
+    this.uiCallbacks.setCurrentPagePDF?.(null);
+    this.setQuotedSelection(null);
+  }
+
   /**
    * Check if we're stuck in a scanning state and auto-recover
    */
@@ -619,9 +795,42 @@ export class PopupLogic {
       return;
     }
     
+    // Don't start a duplicate scan while the course is being indexed
+    const activeJobResult = await this.firestoreHelpers.getActiveIngestionJob(this.db, this.currentCourseData.id);
+    if (activeJobResult.success && activeJobResult.data) {
+      await this.followActiveIngestionJob(this.currentCourseData.id);
+      return;
+    }
+    
     // Store re-scan flag for later use
     this._isRescan = isRescan;
     
+    // Re-scans are incremental: Canvas is only asked for what changed since the last sync.
+    // The crawler gets each indexed file's module, so files added to, moved between or
+    // removed from modules are picked up even when the file itself didn't change
+    let since = null;
+    let knownModuleFiles = null;
+    if (isRescan) {
+      const courseResult = await this.firestoreHelpers.getCourse(this.db, this.currentCourseData.id);
+      since = courseResult.data?.lastSyncedAt?.toDate?.().toISOString() || null;
+    }
+    if (since) {
+      const docsResult = await this.firestoreHelpers.getCourseDocuments(this.db, this.currentCourseData.id);
+      knownModuleFiles = {};
+      (docsResult.data || [])
+        .filter(doc => (doc.sourceType || 'file') === 'file')
+        .forEach(doc => {
+          (doc.aliasUrls || []).forEach(url => { knownModuleFiles[url] = null; });
+          knownModuleFiles[doc.fileUrl] = {
+            moduleName: doc.moduleName ?? null,
+            modulePosition: doc.modulePosition ?? null,
+            itemPosition: doc.itemPosition ?? null,
+            lectureNumber: doc.lectureNumber ?? null
+          };
+        });
+    }
+    this._syncStartedAt = new Date().toISOString();
+    
     try {
       // Get active tab
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -744,7 +953,9 @@ export class PopupLogic {
         action: 'startSmartCrawl',
         courseId: this.currentCourseData.id,
         courseName: this.currentCourseData.name,
-        userId: this.currentUser.id
+        userId: this.currentUser.id,
+        since,
+        knownModuleFiles
       }, (response) => {
         if (chrome.runtime.lastError) {
           console.error('Error sending message to content script:', chrome.runtime.lastError);
@@ -853,6 +1064,7 @@ export class PopupLogic {
     
     // Clear upload phase flag
     this.uploadPhase = false;
+    this.followDeferredTabChange();
     
     // Clear scan status from storage - do this immediately and don't wait
     if (this.currentCourseData?.id) {
@@ -891,6 +1103,7 @@ export class PopupLogic {
           
           // Stop health check
           this.stopScanHealthCheck();
+          this.followDeferredTabChange();
           
           // Set to 100% and show completion
           this.uiCallbacks.setScanProgress?.(100);
@@ -906,6 +1119,10 @@ export class PopupLogic {
             this.detectCanvas();
           }, 1500);
         }).catch(err => {
+          // The course was left while it was being indexed - the server-side job continues
+          if (err.code === 'ingestion-observer-stopped') {
+            return;
+          }
           console.error('❌ Error in saveFoundPDFsToFirestore:', err);
           this.resetScanningState();
           this.uiCallbacks.setStatus?.('❌ Error saving PDFs: ' + err.message);
@@ -1016,9 +1233,10 @@ export class PopupLogic {
       console.log('📦 Storage data retrieved:', storedData);
       
       const pdfs = storedData[`pdfs_${this.currentCourseData.id}`]?.pdfs || [];
-      console.log(`📄 Found ${pdfs.length} PDFs in storage`);
+      const incremental = Boolean(storedData[`pdfs_${this.currentCourseData.id}`]?.incremental);
+      console.log(`📄 Found ${pdfs.length} ${incremental ? 'changed ' : ''}PDFs in storage`);
       
-      if (pdfs.length === 0) {
+      if (pdfs.length === 0 && !incremental) {
         console.log('⚠️ No PDFs found in storage');
         this.resetScanningState();
         this.uiCallbacks.setStatus?.('⚠️ No PDFs found during crawl');
@@ -1068,10 +1286,7 @@ export class PopupLogic {
       console.log(`✅ ${courseResult.isNewCourse ? 'New shared course created' : 'Existing course updated'}`);
       
       // Step 2.5: Create user enrollment
-      const enrollmentResult = await this.firestoreHelpers.enrollUserInCourse(this.db, this.currentUser.id, {
-        courseId: this.currentCourseData.id,
-        courseName: this.currentCourseData.name
-      });
+      const enrollmentResult = await this.enrollUser(this.currentCourseData);
       
       if (!enrollmentResult.success) {
         throw new Error(`Failed to create enrollment: ${enrollmentResult.error}`);
@@ -1079,206 +1294,87 @@ export class PopupLogic {
       
       console.log(`✅ ${enrollmentResult.isNewEnrollment ? 'User enrolled in course' : 'Enrollment updated'}`);
       
-      // Step 3: Detect new documents and failed uploads if this is a re-scan
-      let pdfsToUpload = pdfs;
-      
+      // Step 3: On a re-scan, the ingestion job compares Canvas timestamps and content
+      // hashes, so changed files are re-indexed and unchanged ones are left alone.
+      // An incremental crawl only found what changed on Canvas - add earlier failures
+      // so they're still retried.
       if (this._isRescan) {
-        console.log('🔄 Re-scan detected, checking for new and failed documents...');
-        this.uiCallbacks.setStatus?.('🔍 Analyzing documents...');
-        
         const existingDocsResult = await this.firestoreHelpers.getCourseDocuments(this.db, this.currentCourseData.id, false);
+        const existingDocs = existingDocsResult.data || [];
+        const knownUrls = new Set(existingDocs.flatMap(doc => [doc.fileUrl, ...(doc.aliasUrls || [])]));
+        const newCount = pdfs.filter(pdf => !knownUrls.has(pdf.url)).length;
         
-        if (existingDocsResult.success && existingDocsResult.data.length > 0) {
-          // Separate documents by upload status
-          const successfulDocs = existingDocsResult.data.filter(doc => doc.uploadStatus === 'completed');
-          const failedOrPendingDocs = existingDocsResult.data.filter(doc => doc.uploadStatus !== 'completed');
-          
-          const successfulUrls = new Set(successfulDocs.map(doc => doc.fileUrl));
-          const failedUrls = new Set(failedOrPendingDocs.map(doc => doc.fileUrl));
-          
-          // Find truly new PDFs (not in Firestore at all)
-          const newPdfs = pdfs.filter(pdf => !successfulUrls.has(pdf.url) && !failedUrls.has(pdf.url));
-          
-          // Find failed/pending PDFs that need retry
-          const retryPdfs = pdfs.filter(pdf => failedUrls.has(pdf.url));
-          
-          console.log(`📊 Scan analysis:`);
-          console.log(`   - Total PDFs found: ${pdfs.length}`);
-          console.log(`   - Already uploaded successfully: ${successfulDocs.length}`);
-          console.log(`   - New PDFs to upload: ${newPdfs.length}`);
-          console.log(`   - Failed/pending PDFs to retry: ${retryPdfs.length}`);
+        if (incremental) {
+          const foundUrls = new Set(pdfs.map(pdf => pdf.url));
+          // Page/assignment text isn't stored, so only files can be retried without a full scan
+          const retryPdfs = existingDocs
+            .filter(doc => doc.uploadStatus !== 'completed' && (doc.sourceType || 'file') === 'file' && !foundUrls.has(doc.fileUrl))
+            .map(doc => ({
+              url: doc.fileUrl,
+              title: doc.fileName,
+              type: doc.scannedFrom,
+              moduleName: doc.moduleName,
+              modulePosition: doc.modulePosition,
+              itemPosition: doc.itemPosition,
+              lectureNumber: doc.lectureNumber
+            }));
+          pdfs.push(...retryPdfs);
           
-          // Combine new and retry PDFs
-          pdfsToUpload = [...newPdfs, ...retryPdfs];
-          
-          if (pdfsToUpload.length === 0) {
-            this._isRescan = false;
-            this.uiCallbacks.setNewDocumentsFound?.(0);
-            this.resetScanningState();
-            this.uiCallbacks.setStatus?.('✅ All documents are already uploaded successfully. Course is up to date!');
-            return;
-          }
-          
-          console.log(`📤 Will upload ${pdfsToUpload.length} PDFs total`);
-          this.uiCallbacks.setStatus?.(`📋 Found ${newPdfs.length} new, ${retryPdfs.length} to retry. Starting upload...`);
-          
-          // Update timer based on actual PDF count to upload: 15 seconds per PDF
-          const estimatedSeconds = pdfsToUpload.length * 15;
-          this.uiCallbacks.setScanStartTime?.(Date.now());
-          this.uiCallbacks.setScanTimeLeft?.(estimatedSeconds);
-          this.uiCallbacks.setEstimatedScanTime?.(estimatedSeconds);
-          console.log(`⏱️ Updated estimated upload time: ${estimatedSeconds} seconds (${pdfsToUpload.length} PDFs × 15s)`);
+          console.log(`📊 Incremental scan: ${pdfs.length - retryPdfs.length} changed on Canvas (${newCount} new), ${retryPdfs.length} to retry`);
+        } else {
+          console.log(`📊 Scan analysis: ${pdfs.length} documents found, ${newCount} new, ${pdfs.length - newCount} to check for changes`);
         }
+        
+        this.uiCallbacks.setStatus?.(`🔍 Found ${newCount} new document${newCount !== 1 ? 's' : ''}, checking the rest for changes...`);
       } else {
-        // Not a re-scan, upload all PDFs
-        console.log(`📤 Initial scan: will upload all ${pdfs.length} PDFs`);
+        console.log(`📤 Initial scan: will upload all ${pdfs.length} documents`);
       }
       
-      // Step 5: Upload PDFs to File Search store and save metadata ONLY on success
-      let uploadedCount = 0;
-      let uploadFailedCount = 0;
+      // Step 5: Hand the files to the server-side ingestion job
+      // Cloud Functions download, validate and upload each file - the popup only observes progress,
+      // so indexing continues even if the popup is closed
+      this.uiCallbacks.setStatus?.(`📤 Queuing ${pdfs.length} documents for indexing...`);
       
-      // Track start time for dynamic time estimation
-      const uploadStartTime = Date.now();
+      const cookiesResponse = await chrome.runtime.sendMessage({ action: 'GET_CANVAS_COOKIES' });
+      if (!cookiesResponse?.success) {
+        throw new Error(cookiesResponse?.error || 'Could not read Canvas cookies');
+      }
       
-      for (let i = 0; i < pdfsToUpload.length; i++) {
-        const pdf = pdfsToUpload[i];
-        const docId = btoa(pdf.url).replace(/[/+=]/g, '_');
-        
-        // Ensure we have a proper title
-        const pdfTitle = pdf.title || pdf.fileName || pdf.filename || `Document ${i + 1}`;
-        
-        // Track start time for this file
-        const fileStartTime = Date.now();
-        
-        try {
-          console.log(`📤 Uploading ${i + 1}/${pdfsToUpload.length}: ${pdfTitle}...`);
-          console.log(`   URL: ${pdf.url}`);
-          
-          // Calculate progress based on completed files (0-100% range)
-          const currentProgress = (i / pdfsToUpload.length) * 100;
-          
-          // Update status: Downloading
-          this.uiCallbacks.setScanProgress?.(currentProgress);
-          this.uiCallbacks.setStatus?.(`📥 [${i + 1}/${pdfsToUpload.length}] Downloading: ${pdfTitle}`);
-          await new Promise(resolve => setTimeout(resolve, 300)); // Let UI render
-          
-          // Download PDF from Canvas via background script (avoids CORS)
-          console.log(`📥 Requesting PDF blob from background: ${pdf.url}`);
-          const blobResponse = await chrome.runtime.sendMessage({
-            action: 'FETCH_PDF_BLOB',
-            url: pdf.url
-          });
-          
-          if (!blobResponse.success) {
-            throw new Error(`Failed to download PDF: ${blobResponse.error}`);
-          }
-          
-          // Convert base64 back to blob
-          const pdfBlob = this.base64ToBlob(blobResponse.base64Data, blobResponse.mimeType);
-          const fileSizeMB = (pdfBlob.size / 1024 / 1024).toFixed(2);
-          console.log(`✅ Received PDF blob: ${fileSizeMB} MB`);
-          
-          // Update status: Uploading
-          this.uiCallbacks.setStatus?.(`📤 [${i + 1}/${pdfsToUpload.length}] Uploading: ${pdfTitle} (${fileSizeMB} MB)`);
-          await new Promise(resolve => setTimeout(resolve, 300)); // Let UI render
-          
-          // Upload to File Search store with metadata
-          const uploadResult = await this.fileSearchManager.uploadToStore(
-            fileSearchStore.name,
-            pdfBlob,
-            pdfTitle,
-            {
-              courseId: this.currentCourseData.id,
-              courseName: this.currentCourseData.name,
-              fileName: pdfTitle,
-              source: pdf.type || pdf.context,
-              originalUrl: pdf.url
-            }
-          );
-          
-          // Update status: Saving metadata
-          this.uiCallbacks.setStatus?.(`💾 [${i + 1}/${pdfsToUpload.length}] Saving metadata: ${pdfTitle}`);
-          await new Promise(resolve => setTimeout(resolve, 200)); // Let UI render
-          
-          // ONLY save to Firestore after successful upload
-          console.log(`💾 Saving document metadata to Firestore...`);
-          // Add the actual file size to the pdf object before saving
-          const pdfWithSize = { ...pdf, size: pdfBlob.size };
-          const saveResult = await this.firestoreHelpers.saveDocument(this.db, this.currentCourseData.id, pdfWithSize);
-          
-          if (!saveResult.success) {
-            console.warn(`⚠️ Uploaded to File Search but failed to save metadata: ${saveResult.error}`);
-          }
-          
-          // Update status to 'completed' and save File Search document reference
-          await this.firestoreHelpers.saveDocumentFileSearch(this.db, this.currentCourseData.id, docId, uploadResult.name);
-          await this.firestoreHelpers.updateDocumentStatus(this.db, this.currentCourseData.id, docId, 'completed');
-          
-          uploadedCount++;
-          
-          // Calculate actual time taken for this file
-          const fileEndTime = Date.now();
-          const actualTimeForFile = (fileEndTime - fileStartTime) / 1000; // in seconds
-          
-          // Update progress based on completed files (0-100% range)
-          const completedProgress = (uploadedCount / pdfsToUpload.length) * 100;
-          this.uiCallbacks.setScanProgress?.(completedProgress);
-          
-          // Recalculate estimated time remaining based on actual performance
-          if (uploadedCount > 0) {
-            const elapsedTime = (Date.now() - uploadStartTime) / 1000; // Total elapsed in seconds
-            const avgTimePerFile = elapsedTime / uploadedCount;
-            const filesRemaining = pdfsToUpload.length - uploadedCount;
-            const estimatedTimeRemaining = Math.ceil(avgTimePerFile * filesRemaining);
-            
-            // Update the timer with new estimate
-            this.uiCallbacks.setScanTimeLeft?.(estimatedTimeRemaining);
-            
-            console.log(`⏱️ File took ${actualTimeForFile.toFixed(1)}s | Avg: ${avgTimePerFile.toFixed(1)}s | Remaining: ${estimatedTimeRemaining}s`);
-          }
-          
-          console.log(`✅ [${uploadedCount}/${pdfsToUpload.length}] Uploaded: ${pdfTitle}`);
-          
-          // Update status: Success
-          this.uiCallbacks.setStatus?.(`✅ [${uploadedCount}/${pdfsToUpload.length}] Completed: ${pdfTitle}`);
-          await new Promise(resolve => setTimeout(resolve, 400)); // Let UI render success message
-          
-        } catch (uploadError) {
-          uploadFailedCount++;
-          const errorMsg = uploadError.message || String(uploadError);
-          console.error(`❌ Failed to upload ${pdfTitle}:`, errorMsg);
-          
-          // Update status: Failed
-          this.uiCallbacks.setStatus?.(`❌ [${i + 1}/${pdfsToUpload.length}] Failed: ${pdfTitle}`);
-          await new Promise(resolve => setTimeout(resolve, 600)); // Let user see the error
-          
-          // Check if this is a non-PDF file (invalid format error)
-          // Don't save non-PDF files to Firestore since they can't be uploaded
-          const isInvalidPDFError = errorMsg.includes('Invalid PDF file') || 
-                                    errorMsg.includes('PDF magic bytes') ||
-                                    errorMsg.includes('does not have PDF');
-          
-          if (isInvalidPDFError) {
-            console.log(`⏭️ Skipping Firestore save for non-PDF file: ${pdfTitle}`);
-          } else {
-            // Save the document with failed status so we can retry later
-            // This is only for legitimate PDFs that failed due to network or other temporary issues
-            await this.firestoreHelpers.saveDocument(this.db, this.currentCourseData.id, pdf);
-            await this.firestoreHelpers.updateDocumentStatus(this.db, this.currentCourseData.id, docId, 'failed');
-          }
-        }
+      const jobResult = await this.fileSearchManager.startIngestionJob(
+        this.currentCourseData.id,
+        pdfs,
+        cookiesResponse.cookies,
+        this._syncStartedAt || null
+      );
+      
+      if (jobResult.alreadyRunning) {
+        console.log('⏳ Another ingestion job is already running for this course, following it');
+        this.uiCallbacks.setStatus?.('⏳ This course is already being indexed by another student. Following progress...');
+      } else if (jobResult.total === 0) {
+        this._isRescan = false;
+        this.uiCallbacks.setNewDocumentsFound?.(0);
+        this.resetScanningState();
+        this.uiCallbacks.setStatus?.('✅ All documents are already uploaded successfully. Course is up to date!');
+        return;
       }
       
+      const job = await this.observeIngestionJob(this.currentCourseData.id, jobResult.jobId);
+      const uploadedCount = job.succeeded || 0;
+      const updatedCount = job.updated || 0;
+      const uploadFailedCount = job.failed || 0;
+      
       // Final status - notify user
       if (this._isRescan) {
         // Re-scan completed
-        if (uploadedCount > 0) {
-          this.uiCallbacks.setNewDocumentsFound?.(uploadedCount);
-          const failureMsg = uploadFailedCount > 0 ? ` ⚠️ ${uploadFailedCount} failed (will retry on next scan)` : '';
-          this.uiCallbacks.setStatus?.(`✅ Re-scan complete! Uploaded ${uploadedCount} document${uploadedCount !== 1 ? 's' : ''}!${failureMsg}`);
+        const failureMsg = uploadFailedCount > 0 ? ` ⚠️ ${uploadFailedCount} failed (will retry on next scan)` : '';
+        if (uploadedCount + updatedCount > 0) {
+          this.uiCallbacks.setNewDocumentsFound?.(uploadedCount + updatedCount);
+          this.uiCallbacks.setStatus?.(`✅ Re-scan complete! ${uploadedCount} new, ${updatedCount} updated document${uploadedCount + updatedCount !== 1 ? 's' : ''}.${failureMsg}`);
         } else if (uploadFailedCount > 0) {
-          this.uiCallbacks.setStatus?.(`❌ All ${uploadFailedCount} uploads failed. Please check your internet connection and try again.`);
+          this.uiCallbacks.setStatus?.(`⚠️ No new or changed documents.${failureMsg}`);
+        } else {
+          this.uiCallbacks.setNewDocumentsFound?.(0);
+          this.uiCallbacks.setStatus?.('✅ Course is up to date - no new or changed documents.');
         }
       } else {
         // Initial scan completed
@@ -1296,6 +1392,7 @@ export class PopupLogic {
       // Exit upload phase
       this.uploadPhase = false;
       console.log('✅ Exited upload phase');
+      this.followDeferredTabChange();
       
     } catch (err) {
       console.error('Error in saveFoundPDFsToFirestore:', err);
@@ -1305,22 +1402,144 @@ export class PopupLogic {
     }
   }
 
-  base64ToBlob(base64, mimeType) {
-    const byteCharacters = atob(base64);
-    const byteNumbers = new Array(byteCharacters.length);
-    for (let i = 0; i < byteCharacters.length; i++) {
-      byteNumbers[i] = byteCharacters.charCodeAt(i);
+  /**
+   * Follow a server-side ingestion job until it finishes
+   * Drives the scan progress UI from courses/{courseId}/ingestionJobs/{jobId}
+   * @param {string} courseId - Canvas course ID
+   * @param {string} jobId - Ingestion job ID
+   * @returns {Promise<Object>} The finished job; rejects if the job stalls or the listener is stopped
+   *   (error.code 'ingestion-observer-stopped')
+   */
+  observeIngestionJob(courseId, jobId) {
+    this.stopObservingIngestionJob();
+    this.ingestionJobCourseId = courseId;
+    
+    return new Promise((resolve, reject) => {
+      let lastProgressAt = Date.now();
+      const settle = (callback, value) => {
+        this.ingestionJobReject = null;
+        this.stopObservingIngestionJob();
+        callback(value);
+      };
+      
+      this.ingestionJobReject = reject;
+      
+      // Workers can die or tasks never get queued - don't wait forever on a job that isn't moving
+      this.ingestionJobStaleTimer = setInterval(() => {
+        if (Date.now() - lastProgressAt > INGESTION_JOB_STALE_MS) {
+          settle(reject, new Error('Indexing stopped making progress. Scan again to retry the remaining files.'));
+        }
+      }, 60 * 1000);
+      
+      this.ingestionJobUnsubscribe = this.firestoreHelpers.watchIngestionJob(
+        this.db,
+        courseId,
+        jobId,
+        (job) => {
+          const total = job.total || 0;
+          const processed = job.processed || 0;
+          lastProgressAt = job.updatedAt?.toMillis?.() || Date.now();
+          
+          if (job.status === 'completed' || job.status === 'failed') {
+            settle(resolve, job);
+            return;
+          }
+          
+          // Re-estimate from actual throughput: 15 seconds per PDF until the first one finishes
+          const jobStartTime = job.createdAt?.toMillis?.() || Date.now();
+          const elapsedSeconds = (Date.now() - jobStartTime) / 1000;
+          const estimatedSeconds = processed > 0
+            ? Math.ceil((elapsedSeconds / processed) * total)
+            : Math.max(total * 15, Math.ceil(elapsedSeconds) + 15);
+          
+          this.uiCallbacks.setScanStartTime?.(jobStartTime);
+          this.uiCallbacks.setEstimatedScanTime?.(estimatedSeconds);
+          this.uiCallbacks.setScanProgress?.(total > 0 ? (processed / total) * 100 : 0);
+          
+          if (job.currentFile) {
+            this.uiCallbacks.setStatus?.(`📤 [${processed}/${total}] Indexing: ${job.currentFile}`);
+          } else {
+            this.uiCallbacks.setStatus?.(`⏳ ${total} PDF${total !== 1 ? 's' : ''} queued for indexing...`);
+          }
+        },
+        (error) => settle(reject, error)
+      );
+    });
+  }
+
+  stopObservingIngestionJob() {
+    clearInterval(this.ingestionJobStaleTimer);
+    this.ingestionJobStaleTimer = null;
+    
+    if (this.ingestionJobUnsubscribe) {
+      this.ingestionJobUnsubscribe();
+      this.ingestionJobUnsubscribe = null;
+    }
+    
+    // Whoever is waiting for the job gives up instead of hanging
+    if (this.ingestionJobReject) {
+      const reject = this.ingestionJobReject;
+      this.ingestionJobReject = null;
+      const error = new Error('Stopped following the indexing job');
+      error.code = 'ingestion-observer-stopped';
+      reject(error);
+    }
+  }
+
+  /**
+   * Show progress for a course that is already being indexed
+   * (by another student, or by this user before the popup was closed)
+   * @param {string} courseId - Canvas course ID
+   * @returns {Promise<boolean>} true if an ingestion job is running
+   */
+  async followActiveIngestionJob(courseId) {
+    // Already following this course's job (e.g. from saveFoundPDFsToFirestore)
+    if (this.uploadPhase || (this.ingestionJobUnsubscribe && this.ingestionJobCourseId === courseId)) {
+      return true;
+    }
+    
+    const jobResult = await this.firestoreHelpers.getActiveIngestionJob(this.db, courseId);
+    if (!jobResult.success || !jobResult.data) {
+      return false;
     }
-    const byteArray = new Uint8Array(byteNumbers);
-    return new Blob([byteArray], { type: mimeType });
+    
+    const activeJob = jobResult.data;
+    console.log('⏳ Course is being indexed:', activeJob);
+    
+    this.uiCallbacks.setIsScanning?.(true);
+    this.uiCallbacks.setStatus?.(`⏳ This course is being indexed (${activeJob.processed || 0}/${activeJob.total} PDFs)...`);
+    
+    this.observeIngestionJob(courseId, activeJob.id).then((job) => {
+      this.uiCallbacks.setIsScanning?.(false);
+      this.uiCallbacks.setScanProgress?.(0);
+      this.uiCallbacks.setScanTimeLeft?.(0);
+      this.uiCallbacks.setStatus?.(`✅ Course indexing finished - ${job.succeeded || 0} added, ${job.updated || 0} updated`);
+      
+      // Refresh course details to show updated document count
+      if (this.currentCourseData?.id === courseId) {
+        this.detectCanvas();
+      }
+    }).catch((error) => {
+      // Replaced by another observer (e.g. this user's own scan) - leave its UI alone
+      if (error.code === 'ingestion-observer-stopped') {
+        return;
+      }
+      console.error('Error following ingestion job:', error);
+      this.resetScanningState();
+      this.uiCallbacks.setStatus?.(`❌ ${error.message}`);
+    });
+    
+    return true;
   }
 
   /**
    * Animate message streaming word-by-word
    * @param {string} fullMessage - The complete message to stream
    * @param {number} delay - Delay between words in ms (default 10ms)
+   * @param {AbortSignal|null} signal - Stops the animation early, keeping the words shown so far
+   * @returns {Promise<string>} The text shown
    */
-  async streamMessage(fullMessage, delay = 10) {
+  async streamMessage(fullMessage, delay = 10, signal = null) {
     // Clear any existing streaming animation
     if (this.streamingMessageTimer) {
       clearInterval(this.streamingMessageTimer);
@@ -1342,6 +1561,14 @@ export class PopupLogic {
 
     return new Promise((resolve) => {
       this.streamingMessageTimer = setInterval(() => {
+        if (signal?.aborted) {
+          clearInterval(this.streamingMessageTimer);
+          this.streamingMessageTimer = null;
+          this.isStreaming = false;
+          resolve(currentText);
+          return;
+        }
+
         if (tokenIndex >= tokens.length) {
           clearInterval(this.streamingMessageTimer);
           this.streamingMessageTimer = null;
@@ -1350,7 +1577,7 @@ export class PopupLogic {
           // Ensure final message is complete
           this.conversationHistory[this.conversationHistory.length - 1].content = fullMessage;
           this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
-          resolve();
+          resolve(fullMessage);
           return;
         }
 
@@ -1364,6 +1591,22 @@ export class PopupLogic {
     });
   }
 
+  /**
+   * Render streamed text into the assistant message currently being generated
+   * Creates the assistant message on the first chunk
+   * @param {string} answerSoFar - All text received so far
+   */
+  renderStreamingChunk(answerSoFar) {
+    if (!this.isStreaming) {
+      this.isStreaming = true;
+      this.uiCallbacks.setIsChatLoading?.(false);
+      this.conversationHistory.push({ role: 'assistant', content: '' });
+    }
+
+    this.conversationHistory[this.conversationHistory.length - 1].content = answerSoFar;
+    this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+  }
+
   handleLogin() {
     this.uiCallbacks.setStatus?.('❌ Please sign in to Chrome by clicking your profile icon in the top-right corner of Chrome, then reload this extension.');
   }
@@ -1373,16 +1616,18 @@ export class PopupLogic {
   }
 
   /**
-   * Load or create a chat session for the current course
-   * Loads existing messages if a session exists
+   * Load the current course's chat threads and open the most recent one
+   * Only thread metadata is listed; messages are loaded when a thread is opened
    */
-  async loadOrCreateChatSession() {
+  async loadChatThreads() {
     if (!this.currentUser || !this.currentCourseData || !this.db) {
-      console.log('⚠️ Cannot load chat session: missing user or course data');
+      console.log('⚠️ Cannot load chat threads: missing user or course data');
       return;
     }
 
-    // Verify user is enrolled before creating/loading session
+    this.loadGlossary();
+
+    // Verify user is enrolled before loading threads
     const enrollmentResult = await this.firestoreHelpers.isUserEnrolled(
       this.db,
       this.currentUser.id,
@@ -1390,150 +1635,625 @@ export class PopupLogic {
     );
     
     if (!enrollmentResult.success || !enrollmentResult.isEnrolled) {
-      console.log('⚠️ User not enrolled in course, skipping chat session creation');
+      console.log('⚠️ User not enrolled in course, skipping chat threads');
+      this.setChatThreads([]);
       return;
     }
 
     try {
-      // Get existing chat sessions for this course
       const sessionsResult = await this.firestoreHelpers.getUserChatSessions(
         this.db, 
         this.currentUser.id, 
         this.currentCourseData.id
       );
 
-      let sessionId;
+      this.setChatThreads(sessionsResult.success ? sessionsResult.data : []);
 
+      // Open the most recently used thread (sessions are sorted by lastMessageAt)
       if (sessionsResult.success && sessionsResult.data.length > 0) {
-        // Use the most recent session (sessions are sorted by lastMessageAt)
-        sessionId = sessionsResult.data[0].id;
-        console.log('✅ Using existing chat session:', sessionId);
-
-        // Load existing messages
-        const messagesResult = await this.firestoreHelpers.getSessionMessages(
-          this.db,
-          this.currentUser.id,
-          sessionId
-        );
-
-        if (messagesResult.success) {
-          // Convert Firestore messages to UI format
-          this.conversationHistory = messagesResult.data.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          }));
-          this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
-          console.log(`✅ Loaded ${this.conversationHistory.length} messages from session`);
-        }
+        await this.openChatThread(sessionsResult.data[0].id);
       } else {
-        // Create a new session
-        const createResult = await this.firestoreHelpers.createChatSession(
-          this.db,
-          this.currentUser.id,
-          {
-            courseId: this.currentCourseData.id,
-            title: `Chat - ${this.currentCourseData.name}`
-          }
-        );
-
-        if (createResult.success) {
-          sessionId = createResult.sessionId;
-          this.conversationHistory = [];
-          this.uiCallbacks.setChatMessages?.([]);
-          console.log('✅ Created new chat session:', sessionId);
-        } else {
-          console.error('❌ Failed to create chat session');
-          return;
-        }
+        // The first question creates a thread
+        this.currentSessionId = null;
+        this.conversationHistory = [];
+        this.uiCallbacks.setChatMessages?.([]);
+        this.uiCallbacks.setActiveChatThreadId?.(null);
       }
-
-      this.currentSessionId = sessionId;
     } catch (error) {
-      console.error('❌ Error loading/creating chat session:', error);
+      console.error('❌ Error loading chat threads:', error);
     }
   }
 
   /**
-   * Start a new chat session (clear conversation and create fresh session)
-   * This is useful after rescanning to ensure the AI uses the latest documents
+   * Store the thread list, pinned threads first, then most recently used
    */
-  async startNewChat() {
-    if (!this.currentUser || !this.currentCourseData || !this.db) {
-      console.log('⚠️ Cannot start new chat: missing user or course data');
+  setChatThreads(threads) {
+    this.chatThreads = [...threads].sort((a, b) => {
+      if (Boolean(a.pinned) !== Boolean(b.pinned)) {
+        return a.pinned ? -1 : 1;
+      }
+      return (b.lastMessageAt?.toMillis?.() || 0) - (a.lastMessageAt?.toMillis?.() || 0);
+    });
+    this.uiCallbacks.setChatThreads?.([...this.chatThreads]);
+  }
+
+  /**
+   * Switch to a chat thread, loading its messages
+   * @param {string} sessionId - Chat session ID
+   * @param {string|null} messageId - Message to scroll to and highlight
+   */
+  async openChatThread(sessionId, messageId = null) {
+    if (this.isAwaitingAnswer) {
+      return;
+    }
+    if (sessionId === this.currentSessionId) {
+      this.uiCallbacks.setHighlightedMessageId?.(messageId);
       return;
     }
 
-    try {
-      console.log('🔄 Starting new chat session...');
-      
-      // Store reference to old session
-      const oldSessionId = this.currentSessionId;
-      
-      // Clear current conversation
-      this.conversationHistory = [];
-      this.currentSessionId = null;
-      this.uiCallbacks.setChatMessages?.([]);
-      
-      // Create a new session first
-      const createResult = await this.firestoreHelpers.createChatSession(
-        this.db,
-        this.currentUser.id,
-        {
-          courseId: this.currentCourseData.id,
-          title: `Chat - ${this.currentCourseData.name}`
-        }
-      );
+    const messagesResult = await this.firestoreHelpers.getSessionMessages(
+      this.db,
+      this.currentUser.id,
+      sessionId
+    );
 
-      if (createResult.success) {
-        this.currentSessionId = createResult.sessionId;
-        console.log('✅ New chat session created:', this.currentSessionId);
-        
-        // Now delete the old session if it exists
-        if (oldSessionId) {
-          console.log('🗑️ Deleting old chat session:', oldSessionId);
-          const deleteResult = await this.firestoreHelpers.deleteChatSession(
-            this.db,
-            this.currentUser.id,
-            oldSessionId
-          );
-          
-          if (deleteResult.success) {
-            console.log('✅ Old chat session deleted');
-          } else {
-            console.warn('⚠️ Failed to delete old session:', deleteResult.error);
-          }
-        }
-        
-        // Optionally show a message to the user
-        this.uiCallbacks.setStatus?.('✨ New chat started! Ask me anything about the course materials.');
-      } else {
-        console.error('❌ Failed to create new chat session');
-        this.uiCallbacks.setStatus?.('❌ Failed to start new chat');
-      }
-    } catch (error) {
-      console.error('❌ Error starting new chat:', error);
-      this.uiCallbacks.setStatus?.('❌ Error starting new chat');
+    if (!messagesResult.success) {
+      this.uiCallbacks.setStatus?.('❌ Failed to load chat');
+      return;
     }
+
+    this.currentSessionId = sessionId;
+    this.conversationHistory = messagesResult.data.map(msg => ({
+      id: msg.id,
+      role: msg.role,
+      content: msg.content,
+      citations: msg.citations || [],
+      model: msg.model || null,
+      stopped: msg.stopped === true,
+      documentScope: msg.documentScope || null
+    }));
+    this.uiCallbacks.setHighlightedMessageId?.(messageId);
+    this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+    this.uiCallbacks.setActiveChatThreadId?.(sessionId);
+    console.log(`✅ Opened chat thread ${sessionId} (${this.conversationHistory.length} messages)`);
   }
 
-  async handleChatSend(message) {
-    if (!this.currentUser || !this.db) {
-      this.conversationHistory.push({ 
-        role: 'assistant', 
-        content: '❌ Please sign in to use chat' 
-      });
-      this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+  /**
+   * Other enrolled courses that can join a cross-course question
+   * Only courses with a File Search store (i.e. scanned at least once) are offered
+   */
+  async loadCrossCourseOptions() {
+    if (!this.currentUser || !this.currentCourseData) {
       return;
     }
-    
-    if (!this.fileSearchManager) {
-      this.conversationHistory.push({ 
-        role: 'assistant', 
-        content: '❌ File Search service not available' 
-      });
-      this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+
+    const coursesResult = await this.firestoreHelpers.getUserCourses(this.db, this.currentUser.id);
+    if (!coursesResult.success) {
+      console.error('❌ Failed to load courses for cross-course mode:', coursesResult.error);
       return;
     }
+
+    const options = coursesResult.data
+      .filter(course => course.id !== this.currentCourseData.id && course.fileSearchStoreName)
+      .map(course => ({ id: course.id, name: course.courseName || `Course ${course.id}` }));
+    this.uiCallbacks.setCrossCourseOptions?.(options);
+  }
+
+  /**
+   * Choose the extra courses searched alongside the current one
+   * @param {Array<string>} courseIds - Other enrolled course IDs (empty for single-course mode)
+   */
+  setCrossCourseIds(courseIds) {
+    this.crossCourseIds = courseIds;
+    this.uiCallbacks.setCrossCourseIds?.([...courseIds]);
+  }
+
+  setGlossary(entries) {
+    this.glossary = entries;
+    this.uiCallbacks.setGlossary?.([...entries]);
+  }
+
+  /**
+   * Load the current course's glossary
+   * The glossary grows in the background while documents are indexed, so the
+   * glossary panel reloads it when opened
+   */
+  async loadGlossary() {
+    const courseId = this.currentCourseData?.id;
+    if (!courseId || !this.db || !this.firestoreHelpers) {
+      this.setGlossary([]);
+      return;
+    }
+
+    const result = await this.firestoreHelpers.getCourseGlossary(this.db, courseId);
+    // The course may have changed while the glossary loaded
+    if (this.currentCourseData?.id === courseId) {
+      this.setGlossary(result.success ? result.data : []);
+    }
+  }
+
+  /**
+   * Restrict answers to hand-picked documents of the current course
+   * @param {Array<Object>} documents - Course documents ({ id, fileName }); empty to search everything
+   */
+  setDocumentScope(documents) {
+    this.documentScope = documents
+      .filter(doc => doc.fileName)
+      .slice(0, MAX_SCOPED_DOCUMENTS)
+      .map(doc => ({ id: doc.id, fileName: doc.fileName }));
+    this.uiCallbacks.setDocumentScope?.([...this.documentScope]);
+  }
+
+  /**
+   * Add or remove one document from the answer scope
+   * @param {Object} doc - Course document from the drawer
+   */
+  toggleDocumentInScope(doc) {
+    if (this.documentScope.some(scoped => scoped.id === doc.id)) {
+      this.setDocumentScope(this.documentScope.filter(scoped => scoped.id !== doc.id));
+    } else if (this.documentScope.length >= MAX_SCOPED_DOCUMENTS) {
+      this.uiCallbacks.setStatus?.(`⚠️ You can focus on at most ${MAX_SCOPED_DOCUMENTS} documents at once`);
+    } else {
+      this.setDocumentScope([...this.documentScope, doc]);
+    }
+  }
+
+  /**
+   * Add or remove a whole Canvas module from the answer scope
+   * Removes the module if all its documents are already in scope, otherwise adds the missing ones
+   * @param {Array<Object>} documents - The module's documents from the drawer
+   */
+  toggleModuleInScope(documents) {
+    const scopedIds = new Set(this.documentScope.map(scoped => scoped.id));
+    const missing = documents.filter(doc => doc.fileName && !scopedIds.has(doc.id));
+
+    if (missing.length === 0) {
+      const moduleIds = new Set(documents.map(doc => doc.id));
+      this.setDocumentScope(this.documentScope.filter(scoped => !moduleIds.has(scoped.id)));
+      return;
+    }
+
+    if (this.documentScope.length + missing.length > MAX_SCOPED_DOCUMENTS) {
+      this.uiCallbacks.setStatus?.(`⚠️ You can focus on at most ${MAX_SCOPED_DOCUMENTS} documents at once`);
+    }
+    this.setDocumentScope([...this.documentScope, ...missing]);
+  }
+
+  /**
+   * File Search metadata filter matching any of the given documents
+   * Documents are uploaded with their display name as the fileName custom metadata
+   * @param {Array<Object>} documents - Documents with fileName
+   * @returns {string} AIP-160 filter expression
+   */
+  buildDocumentFilter(documents) {
+    return documents
+      .map(doc => `fileName = "${doc.fileName.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`)
+      .join(' OR ');
+  }
+
+  /**
+   * Search all of the user's chat threads (server-side, across courses)
+   * @param {string} query - Search terms
+   * @param {Object} filters - Optional { courseId, from, to }
+   * @returns {Promise<Object>} { results, terms, totalMatches, truncated }
+   */
+  async searchChatHistory(query, filters = {}) {
+    if (!this.fileSearchManager || !this.currentUser) {
+      throw new Error('Please sign in to search your chats');
+    }
+    return this.fileSearchManager.searchChatHistory(query, filters);
+  }
+
+  /**
+   * Jump from a search result into its thread, switching course if needed
+   * @param {Object} result - Search result ({ courseId, sessionId, messageId })
+   * @param {Object|null} course - The result's course from the course list
+   */
+  async openChatSearchResult(result, course = null) {
+    if (this.isAwaitingAnswer) {
+      return;
+    }
+
+    if (this.currentCourseData?.id !== result.courseId) {
+      // The popup may not have loaded the course list yet
+      if (!course) {
+        const coursesResult = await this.firestoreHelpers.getUserCourses(this.db, this.currentUser.id);
+        const enrolledCourse = coursesResult.success
+          ? coursesResult.data.find(c => c.id === result.courseId)
+          : null;
+
+        if (!enrolledCourse) {
+          this.uiCallbacks.setStatus?.('❌ That chat belongs to a course you are no longer enrolled in');
+          return;
+        }
+
+        const docsResult = await this.firestoreHelpers.getCourseDocuments(this.db, enrolledCourse.id, true);
+        course = {
+          ...enrolledCourse,
+          name: enrolledCourse.courseName || `Course ${enrolledCourse.id}`,
+          actualPdfCount: docsResult.success ? docsResult.data.length : 0
+        };
+      }
+      await this.selectCourse(course);
+    }
+
+    await this.openChatThread(result.sessionId, result.messageId);
+  }
+
+  /**
+   * Generate a practice quiz for the current course
+   * Covers the documents in the chat's document scope, or the whole course when none are picked
+   * @param {Object} options - { questionCount, questionTypes }
+   * @returns {Promise<Object>} { quizId, courseName, documentNames, questions }
+   */
+  async generateQuiz(options = {}) {
+    if (!this.fileSearchManager || !this.currentUser || !this.currentCourseData) {
+      throw new Error('Open a course to generate a quiz');
+    }
+    return this.fileSearchManager.generateQuiz(this.currentCourseData.id, {
+      ...options,
+      documentIds: this.documentScope.map(doc => doc.id)
+    });
+  }
+
+  /**
+   * Grade a quiz attempt and add it to the course score
+   * @param {string} quizId - Quiz ID
+   * @param {Array<Object>} answers - [{ questionIndex, selectedIndex | selfMarkedCorrect }]
+   * @returns {Promise<Object>} { score, total, results, courseScore }
+   */
+  async submitQuizAttempt(quizId, answers) {
+    if (!this.fileSearchManager || !this.currentUser) {
+      throw new Error('Please sign in to save your quiz score');
+    }
+    return this.fileSearchManager.submitQuizAttempt(quizId, answers);
+  }
+
+  /**
+   * Quiz score totals for the current course
+   * @returns {Promise<Object|null>} { quizzesTaken, questionsAnswered, correctAnswers }, null before the first quiz
+   */
+  async getQuizScore() {
+    if (!this.currentUser || !this.currentCourseData) {
+      return null;
+    }
+    const result = await this.firestoreHelpers.getQuizScore(this.db, this.currentUser.id, this.currentCourseData.id);
+    return result.success ? result.data : null;
+  }
+
+  /**
+   * Flashcard decks the user has made for the current course
+   * @returns {Promise<Array<Object>>} Decks, newest first
+   */
+  async loadFlashcardDecks() {
+    if (!this.currentUser || !this.currentCourseData) {
+      return [];
+    }
+    const result = await this.firestoreHelpers.getFlashcardDecks(this.db, this.currentUser.id, this.currentCourseData.id);
+    return result.success ? result.data : [];
+  }
+
+  /**
+   * Generate a flashcard deck for the current course
+   * @param {Object} source - { moduleName } or { documentIds }, plus optional cardCount
+   * @returns {Promise<Object>} { deckId, title, cardCount }
+   */
+  async generateFlashcardDeck(source) {
+    if (!this.fileSearchManager || !this.currentUser || !this.currentCourseData) {
+      throw new Error('Open a course to make flashcards');
+    }
+    return this.fileSearchManager.generateFlashcards(this.currentCourseData.id, source);
+  }
+
+  /**
+   * All cards of a deck
+   * @param {string} deckId - Deck ID
+   * @returns {Promise<Array<Object>>} Cards with their review schedule
+   */
+  async loadFlashcards(deckId) {
+    const result = await this.firestoreHelpers.getFlashcards(this.db, this.currentUser.id, deckId);
+    if (!result.success) {
+      throw new Error('Could not load the flashcards');
+    }
+    return result.data;
+  }
+
+  /**
+   * Record a review and reschedule the card (SM-2)
+   * @param {string} deckId - Deck ID
+   * @param {Object} card - Card being reviewed
+   * @param {number} quality - Answer quality 0-5
+   * @returns {Promise<Object>} The card with its new schedule
+   */
+  async reviewFlashcard(deckId, card, quality) {
+    const schedule = scheduleReview(card, quality);
+    const result = await this.firestoreHelpers.updateFlashcardSchedule(this.db, this.currentUser.id, deckId, card.id, schedule);
+    if (!result.success) {
+      this.uiCallbacks.setStatus?.('⚠️ Could not save your review');
+    }
+    return { ...card, ...schedule };
+  }
+
+  /**
+   * Delete a flashcard deck and its cards
+   * @param {string} deckId - Deck ID
+   * @returns {Promise<boolean>} Whether the deck was deleted
+   */
+  async deleteFlashcardDeck(deckId) {
+    const result = await this.firestoreHelpers.deleteFlashcardDeck(this.db, this.currentUser.id, deckId);
+    return result.success;
+  }
+
+  /**
+   * Download a deck as an Anki import file
+   * @param {Object} deck - Deck ({ id, title, courseName })
+   * @param {'csv'|'tsv'} format - File format
+   */
+  async exportFlashcardDeck(deck, format = 'tsv') {
+    const cards = await this.loadFlashcards(deck.id);
+    const { content, filename, mimeType } = exportDeckForAnki(deck, cards, format);
+    await downloadTextFile(content, filename, mimeType);
+  }
+
+  /**
+   * The user's exam-prep plan for the current course
+   * @returns {Promise<Object|null>} Plan, or null before one is generated
+   */
+  async loadStudyPlan() {
+    if (!this.currentUser || !this.currentCourseData) {
+      return null;
+    }
+    const result = await this.firestoreHelpers.getStudyPlan(this.db, this.currentUser.id, this.currentCourseData.id);
+    return result.success ? result.data : null;
+  }
+
+  /**
+   * Generate (or regenerate) the exam-prep plan for the current course
+   * Dates are planned in the browser's time zone
+   * @param {Object} options - { minutesPerDay }
+   * @returns {Promise<Object>} Saved plan
+   */
+  async generateStudyPlan({ minutesPerDay } = {}) {
+    if (!this.fileSearchManager || !this.currentUser || !this.currentCourseData) {
+      throw new Error('Open a course to make a study plan');
+    }
+    const { plan } = await this.fileSearchManager.generateStudyPlan(this.currentCourseData.id, {
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      minutesPerDay
+    });
+    return plan;
+  }
+
+  /**
+   * Tick a study plan task on or off
+   * @param {Object} plan - Plan from loadStudyPlan
+   * @param {string} date - Day of the task (YYYY-MM-DD)
+   * @param {number} taskIndex - Index of the task within its day
+   * @returns {Promise<Object>} Plan with the updated days
+   */
+  async toggleStudyTask(plan, date, taskIndex) {
+    const days = plan.days.map(day => (day.date !== date ? day : {
+      ...day,
+      tasks: day.tasks.map((task, i) => (i === taskIndex ? { ...task, done: !task.done } : task))
+    }));
+    const result = await this.firestoreHelpers.updateStudyPlanDays(this.db, plan.id, days);
+    if (!result.success) {
+      throw new Error(result.error || 'Could not save your progress');
+    }
+    return { ...plan, days };
+  }
+
+  /**
+   * Download a study plan as an iCalendar (.ics) file
+   * @param {Object} plan - Plan from loadStudyPlan
+   */
+  async exportStudyPlan(plan) {
+    const { content, filename, mimeType } = exportStudyPlanToICS(plan);
+    await downloadTextFile(content, filename, mimeType);
+  }
+
+  /**
+   * Export chat threads of the current course as study notes
+   * Markdown and HTML files are downloaded (all threads go into one folder); PDF opens
+   * a printable page to save from the print dialog
+   * @param {Object} options
+   * @param {string} options.format - 'markdown', 'html' or 'pdf'
+   * @param {boolean} options.allThreads - Every thread of the course instead of the open one
+   */
+  async exportChats({ format = 'markdown', allThreads = false } = {}) {
+    const threads = allThreads
+      ? this.chatThreads
+      : this.chatThreads.filter(thread => thread.id === this.currentSessionId);
+    if (threads.length === 0) {
+      throw new Error('There is no chat to export yet');
+    }
+
+    const courseName = this.currentCourseData?.name || 'Course';
+    const chats = [];
+    for (const thread of threads) {
+      const messagesResult = await this.firestoreHelpers.getSessionMessages(this.db, this.currentUser.id, thread.id);
+      if (!messagesResult.success) {
+        throw new Error(`Could not load "${thread.title}"`);
+      }
+      chats.push({ title: thread.title || 'New chat', courseName, messages: messagesResult.data });
+    }
+
+    if (format === 'pdf') {
+      const storageKey = `chatPrint_${Date.now()}`;
+      const title = allThreads ? `${courseName} chats` : chats[0].title;
+      try {
+        await chrome.storage.local.set({ [storageKey]: buildChatDocument(title, chats) });
+      } catch (error) {
+        // chrome.storage.local holds 10 MB, shared with scan results
+        if (/quota/i.test(error.message)) {
+          throw new Error('These chats are too long to print at once - export fewer threads, or use Markdown or HTML');
+        }
+        throw error;
+      }
+      await chrome.tabs.create({ url: chrome.runtime.getURL(`chat-print.html#${storageKey}`) });
+      return;
+    }
+
+    const exportChat = format === 'html' ? exportChatToHTML : exportChatToMarkdown;
+    const folder = allThreads ? `Canvas LM - ${courseName}` : null;
+    for (const chat of chats) {
+      const { content, filename, mimeType } = exportChat(chat);
+      await downloadTextFile(content, filename, mimeType, folder);
+    }
+  }
+
+  /**
+   * Thread title from the first question: its first line, shortened to fit the list
+   * @param {string} question - First message of the thread
+   * @returns {string} Title
+   */
+  generateThreadTitle(question) {
+    const firstLine = question.split('\n').find(line => line.trim()) || '';
+    const title = firstLine.replace(/\s+/g, ' ').trim();
+    if (!title) {
+      return 'New chat';
+    }
+    return title.length > 60 ? `${title.substring(0, 57).trimEnd()}…` : title;
+  }
+
+  /**
+   * Create a thread for the current course, titled after its first question
+   * @param {string} firstQuestion - The question that starts the thread
+   * @returns {Promise<string|null>} New session ID
+   */
+  async createChatThread(firstQuestion) {
+    const title = this.generateThreadTitle(firstQuestion);
+    const createResult = await this.firestoreHelpers.createChatSession(
+      this.db,
+      this.currentUser.id,
+      {
+        courseId: this.currentCourseData.id,
+        title
+      }
+    );
+
+    if (!createResult.success) {
+      console.error('❌ Failed to create chat thread');
+      return null;
+    }
+
+    this.currentSessionId = createResult.sessionId;
+    this.setChatThreads([
+      { id: createResult.sessionId, courseId: this.currentCourseData.id, title, pinned: false, messageCount: 0 },
+      ...this.chatThreads
+    ]);
+    this.uiCallbacks.setActiveChatThreadId?.(createResult.sessionId);
+    console.log('✅ Created chat thread:', createResult.sessionId);
+    return createResult.sessionId;
+  }
+
+  /**
+   * Start a new conversation in the current course
+   * Earlier threads stay in the thread list; the new thread is created by its first question
+   */
+  startNewChat() {
+    if (this.isAwaitingAnswer) {
+      return;
+    }
+    this.currentSessionId = null;
+    this.conversationHistory = [];
+    this.uiCallbacks.setHighlightedMessageId?.(null);
+    this.uiCallbacks.setChatMessages?.([]);
+    this.uiCallbacks.setActiveChatThreadId?.(null);
+  }
+
+  /**
+   * Rename a chat thread
+   * @param {string} sessionId - Chat session ID
+   * @param {string} title - New title
+   */
+  async renameChatThread(sessionId, title) {
+    const trimmed = title.trim().substring(0, 100);
+    if (!trimmed) {
+      return;
+    }
+
+    const result = await this.firestoreHelpers.updateChatSession(this.db, this.currentUser.id, sessionId, { title: trimmed });
+    if (result.success) {
+      this.setChatThreads(this.chatThreads.map(thread => thread.id === sessionId ? { ...thread, title: trimmed } : thread));
+    } else {
+      this.uiCallbacks.setStatus?.('❌ Failed to rename chat');
+    }
+  }
+
+  /**
+   * Pin or unpin a chat thread (pinned threads stay at the top of the list)
+   * @param {string} sessionId - Chat session ID
+   */
+  async toggleChatThreadPinned(sessionId) {
+    const thread = this.chatThreads.find(t => t.id === sessionId);
+    if (!thread) {
+      return;
+    }
+
+    const pinned = !thread.pinned;
+    const result = await this.firestoreHelpers.updateChatSession(this.db, this.currentUser.id, sessionId, { pinned });
+    if (result.success) {
+      this.setChatThreads(this.chatThreads.map(t => t.id === sessionId ? { ...t, pinned } : t));
+    } else {
+      this.uiCallbacks.setStatus?.('❌ Failed to update chat');
+    }
+  }
+
+  /**
+   * Delete a chat thread and its messages
+   * @param {string} sessionId - Chat session ID
+   */
+  async deleteChatThread(sessionId) {
+    if (this.isAwaitingAnswer && sessionId === this.currentSessionId) {
+      return;
+    }
+
+    const result = await this.firestoreHelpers.deleteChatSession(this.db, this.currentUser.id, sessionId);
+    if (!result.success) {
+      this.uiCallbacks.setStatus?.('❌ Failed to delete chat');
+      return;
+    }
+
+    this.setChatThreads(this.chatThreads.filter(thread => thread.id !== sessionId));
+    if (sessionId === this.currentSessionId) {
+      this.startNewChat();
+    }
+  }
+
+  /**
+   * Move the current thread to the top of the list after a new message
+   */
+  touchCurrentChatThread() {
+    this.setChatThreads(this.chatThreads.map(thread => thread.id === this.currentSessionId
+      ? { ...thread, lastMessageAt: { toMillis: () => Date.now() }, messageCount: (thread.messageCount || 0) + 1 }
+      : thread
+    ));
+  }
+
+  /**
+   * Check that a question can be sent: signed in, course scanned and message quota left
+   * Explains the problem in the chat when it can't
+   * @returns {Promise<boolean>}
+   */
+  async checkCanSendMessage() {
+    if (!this.currentUser || !this.db) {
+      this.conversationHistory.push({ 
+        role: 'assistant', 
+        content: '❌ Please sign in to use chat' 
+      });
+      this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+      return false;
+    }
+    
+    if (!this.fileSearchManager) {
+      this.conversationHistory.push({ 
+        role: 'assistant', 
+        content: '❌ File Search service not available' 
+      });
+      this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+      return false;
+    }
     
     if (!this.currentCourseData) {
       this.conversationHistory.push({ 
@@ -1541,7 +2261,7 @@ export class PopupLogic {
         content: '❌ Please navigate to a Canvas course first' 
       });
       this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
-      return;
+      return false;
     }
 
     // Check usage limit before sending
@@ -1554,7 +2274,7 @@ export class PopupLogic {
           content: `⏳ You've reached your message limit (40 messages per 3 hours). Please wait ${limitCheck.waitMinutes} minutes before sending another message.` 
         });
         this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
-        return;
+        return false;
       }
     } catch (error) {
       console.error('[UsageLimit] Error checking usage limit:', error);
@@ -1569,14 +2289,48 @@ export class PopupLogic {
         content: '❌ Please scan the course first to build the knowledge base' 
       });
       this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Send a question
+   * A pending quoted selection is put in front of it as a Markdown quote, and the question
+   * is answered from the document the text was selected in (kept as the message's
+   * documentScope, so regenerated and edited answers use it too)
+   * @param {string} question - The question
+   * @param {Object} options
+   * @param {number|null} options.editIndex - Index of an earlier question this one replaces;
+   *   that question and everything after it are removed first
+   */
+  async handleChatSend(question, { editIndex = null } = {}) {
+    if (this.isAwaitingAnswer || !(await this.checkCanSendMessage())) {
       return;
     }
     
-    const fileSearchStoreName = courseResult.data.fileSearchStoreName;
+    // A new question quotes the selection it was asked about
+    let message = question;
+    let selectionScope = null;
+    if (editIndex === null && this.quotedSelection) {
+      message = `${quoteMarkdown(this.quotedSelection.text)}\n\n${question}`;
+      selectionScope = this.quotedSelection.document ? [this.quotedSelection.document] : null;
+      this.setQuotedSelection(null);
+    } else if (editIndex !== null) {
+      selectionScope = this.conversationHistory[editIndex]?.documentScope || null;
+    }
+    
+    if (editIndex !== null) {
+      const replacedMessages = this.conversationHistory.slice(editIndex);
+      this.conversationHistory = this.conversationHistory.slice(0, editIndex);
+      this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+      await this.removeSessionMessages(replacedMessages);
+    }
     
-    // Ensure we have a chat session
+    // The first question of a new conversation creates its thread
     if (!this.currentSessionId) {
-      await this.loadOrCreateChatSession();
+      await this.createChatThread(question);
       if (!this.currentSessionId) {
         this.conversationHistory.push({ 
           role: 'assistant', 
@@ -1587,70 +2341,220 @@ export class PopupLogic {
       }
     }
     
-    // NEW: Check if user is viewing a specific file
-    const currentPagePDF = await this.getCurrentPagePDF();
-    let contextualMessage = message;
-    let metadataFilter = null;
-    
-    // Only apply context if toggle is enabled
-    const contextEnabled = this.contextEnabled !== false; // Default to true if undefined
-    
-    if (currentPagePDF && contextEnabled) {
-      // Add natural context hint to the message
-      contextualMessage = `Regarding "${currentPagePDF.fileName}": ${message}`;
-      
-      // Create metadata filter to prioritize this document
-      metadataFilter = `fileName = "${currentPagePDF.fileName}"`;
-      
-      console.log('🎯 Using page context for query:', currentPagePDF.fileName);
-    } else if (currentPagePDF && !contextEnabled) {
-      console.log('⏸️ Context available but disabled by user');
-    }
-    
     // Add user message (original, clean message to history)
-    this.conversationHistory.push({ role: 'user', content: message });
+    this.isAwaitingAnswer = true;
+    const userMessage = { role: 'user', content: message, documentScope: selectionScope };
+    this.conversationHistory.push(userMessage);
     this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
     this.uiCallbacks.setIsChatLoading?.(true);
     
     // Save user message to Firestore
-    await this.firestoreHelpers.addMessageToSession(
+    const savedMessage = await this.firestoreHelpers.addMessageToSession(
+      this.db,
+      this.currentUser.id,
+      this.currentSessionId,
+      { role: 'user', content: message, documentScope: selectionScope }
+    );
+    userMessage.id = savedMessage.messageId;
+    this.touchCurrentChatThread();
+    
+    await this.answerLastQuestion();
+  }
+
+  /**
+   * Answer the last question again, optionally with another model
+   * The previous answer is replaced, in the chat and in Firestore
+   * @param {string} model - Gemini model (one of CHAT_MODELS)
+   */
+  async regenerateAnswer(model = DEFAULT_CHAT_MODEL) {
+    const lastQuestionIndex = this.conversationHistory.map(msg => msg.role).lastIndexOf('user');
+    if (this.isAwaitingAnswer || !this.currentSessionId || lastQuestionIndex === -1) {
+      return;
+    }
+    if (!(await this.checkCanSendMessage())) {
+      return;
+    }
+
+    this.isAwaitingAnswer = true;
+    const previousAnswers = this.conversationHistory.slice(lastQuestionIndex + 1);
+    this.conversationHistory = this.conversationHistory.slice(0, lastQuestionIndex + 1);
+    this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+    this.uiCallbacks.setIsChatLoading?.(true);
+    await this.removeSessionMessages(previousAnswers);
+
+    await this.answerLastQuestion(model);
+  }
+
+  /**
+   * Edit an earlier question and send it again
+   * The conversation forks from there: the question and everything after it are replaced
+   * @param {number} index - Index of the question in the conversation
+   * @param {string} content - The edited question
+   */
+  async editAndResendMessage(index, content) {
+    const question = content.trim();
+    if (!question || this.conversationHistory[index]?.role !== 'user') {
+      return;
+    }
+    await this.handleChatSend(question, { editIndex: index });
+  }
+
+  /**
+   * Stop the answer being generated
+   * The text shown so far is kept, and the message doesn't count towards the usage limit
+   */
+  stopAnswer() {
+    this.chatAbortController?.abort();
+  }
+
+  /**
+   * Delete messages of the current thread from Firestore
+   * Messages without an ID (notices that were never saved) are skipped
+   * @param {Array<Object>} messages - Messages from the conversation
+   */
+  async removeSessionMessages(messages) {
+    const messageIds = messages.map(msg => msg.id).filter(Boolean);
+    if (messageIds.length === 0) {
+      return;
+    }
+
+    await this.firestoreHelpers.deleteSessionMessages(
       this.db,
       this.currentUser.id,
       this.currentSessionId,
-      { role: 'user', content: message }
+      messageIds
     );
+    this.setChatThreads(this.chatThreads.map(thread => thread.id === this.currentSessionId
+      ? { ...thread, messageCount: Math.max(0, (thread.messageCount || 0) - messageIds.length) }
+      : thread
+    ));
+  }
+
+  /**
+   * Ask Gemini the last question of the conversation and add the answer
+   * Shared by new questions, edited questions and regenerated answers
+   * The question must already be in conversationHistory and saved to the session
+   * A question about a quoted selection is answered from its own documentScope instead
+   * of the chat's
+   * @param {string} model - Gemini model (one of CHAT_MODELS)
+   */
+  async answerLastQuestion(model = DEFAULT_CHAT_MODEL) {
+    const question = this.conversationHistory[this.conversationHistory.length - 1];
+    const message = question.content;
+    const documentScope = question.documentScope || this.documentScope;
+    // Where the answer goes once the first text arrives
+    const answerIndex = this.conversationHistory.length;
+    const abortController = new AbortController();
+    
+    this.isAwaitingAnswer = true;
+    this.chatAbortController = abortController;
+    this.uiCallbacks.setHighlightedMessageId?.(null);
+    this.uiCallbacks.setIsChatLoading?.(true);
+    this.uiCallbacks.setIsAnswering?.(true);
     
     try {
-      // Get last 10 messages (excluding the current one) for context
+      // NEW: Check if user is viewing a specific file
+      const currentPagePDF = await this.getCurrentPagePDF();
+      let contextualMessage = message;
+      let metadataFilter = null;
+      
+      // Only apply context if toggle is enabled
+      const contextEnabled = this.contextEnabled !== false; // Default to true if undefined
+      
+      if (documentScope.length > 0) {
+        // Hand-picked documents take precedence over the page the user is viewing
+        metadataFilter = this.buildDocumentFilter(documentScope);
+        
+        console.log('🎯 Scoping query to selected documents:', documentScope.map(doc => doc.fileName));
+      } else if (currentPagePDF && contextEnabled) {
+        // Add natural context hint to the message
+        contextualMessage = `Regarding "${currentPagePDF.fileName}": ${message}`;
+        
+        // Create metadata filter to prioritize this document
+        metadataFilter = `fileName = "${currentPagePDF.fileName}"`;
+        
+        console.log('🎯 Using page context for query:', currentPagePDF.fileName);
+      } else if (currentPagePDF && !contextEnabled) {
+        console.log('⏸️ Context available but disabled by user');
+      }
+      
+      // Last 10 messages before the question (it's sent on its own), without error notices
       // Convert to Gemini format: {role: 'user'|'model', parts: [{text: '...'}]}
       const historyForGemini = this.conversationHistory
+        .slice(0, -1)
+        .filter(msg => !msg.error)
         .slice(-10)
         .map(msg => ({
           role: msg.role === 'user' ? 'user' : 'model',
           parts: [{ text: msg.content }]
         }));
       
-      // Query course store with enhanced message and metadata filter
-      const response = await this.fileSearchManager.queryCourseStore(
-        contextualMessage,  // Enhanced with context
-        this.currentCourseData.id,
-        'gemini-2.5-flash',
-        metadataFilter,  // NEW: Prioritize current document
-        currentPagePDF ? 10 : 5,  // Retrieve more chunks if we have context
-        historyForGemini
-      );
+      const topK = (currentPagePDF || documentScope.length > 0) ? 10 : 5;  // Retrieve more chunks if we have context
+      // Cross-course mode searches the current course's store plus the selected ones
+      const courseScope = this.crossCourseIds.length > 0
+        ? [this.currentCourseData.id, ...this.crossCourseIds]
+        : this.currentCourseData.id;
+      let streamStarted = false;
+      let response;
       
-      // Stream the response word-by-word
-      // Loading indicator will be turned off when streaming starts
-      await this.streamMessage(response.answer, 20);
+      try {
+        // Stream the answer into the chat as Gemini generates it
+        response = await this.fileSearchManager.streamCourseQuery(
+          contextualMessage,  // Enhanced with context
+          courseScope,
+          (text, answerSoFar) => {
+            streamStarted = true;
+            this.renderStreamingChunk(answerSoFar);
+          },
+          model,
+          metadataFilter,  // Prioritize current document
+          topK,
+          historyForGemini,
+          abortController.signal
+        );
+      } catch (streamError) {
+        // Once text is on screen we can't silently retry - surface the error instead.
+        // Only retry when the stream never reached the server: a query it received has
+        // already used a rate limit slot (and would most likely fail the same way again).
+        if (streamStarted || abortController.signal.aborted || !streamError.streamUnavailable) {
+          throw streamError;
+        }
+        
+        console.warn('⚠️ Streaming unavailable, falling back to callable query:', streamError.message);
+        response = await this.fileSearchManager.queryCourseStore(
+          contextualMessage,
+          courseScope,
+          model,
+          metadataFilter,
+          topK,
+          historyForGemini,
+          abortController.signal
+        );
+        
+        // Loading indicator will be turned off when streaming starts
+        await this.streamMessage(response.answer, 20, abortController.signal);
+        abortController.signal.throwIfAborted();
+      } finally {
+        this.isStreaming = false;
+      }
+      this.chatAbortController = null;
+      
+      // Attach cited documents so ChatSection can render source chips
+      const citations = response.citations || [];
+      const answer = this.conversationHistory[answerIndex];
+      answer.citations = citations;
+      answer.model = model;
+      this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
       
       // Save assistant message to Firestore (after streaming completes)
-      await this.firestoreHelpers.addMessageToSession(
+      const savedAnswer = await this.firestoreHelpers.addMessageToSession(
         this.db,
         this.currentUser.id,
         this.currentSessionId,
-        { role: 'assistant', content: response.answer }
+        { role: 'assistant', content: response.answer, citations, model }
       );
+      answer.id = savedAnswer.messageId;
+      this.touchCurrentChatThread();
 
       // Record usage after successful message
       try {
@@ -1668,30 +2572,232 @@ export class PopupLogic {
       }
       
     } catch (error) {
+      if (abortController.signal.aborted) {
+        await this.keepStoppedAnswer(answerIndex, model);
+        return;
+      }
+
       console.error('Chat error:', error);
       
+      // Drop the part of the answer that streamed before the failure - it isn't saved,
+      // and shouldn't be sent back to Gemini as context with later questions
+      if (this.conversationHistory.length > answerIndex) {
+        this.conversationHistory.splice(answerIndex);
+        this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+      }
+      
       const errorMessage = '❌ Error: ' + error.message;
       
-      // Stream error message (loading indicator will be turned off when streaming starts)
+      // Stream error message (loading indicator will be turned off when streaming starts).
+      // It's only shown, not saved: regenerating replaces it and reopening the thread drops it
       await this.streamMessage(errorMessage, 20);
-      
-      // Save error message to Firestore
-      await this.firestoreHelpers.addMessageToSession(
-        this.db,
-        this.currentUser.id,
-        this.currentSessionId,
-        { role: 'assistant', content: errorMessage }
-      );
+      if (this.conversationHistory[answerIndex]) {
+        this.conversationHistory[answerIndex].error = true;
+      }
+    } finally {
+      this.isAwaitingAnswer = false;
+      this.chatAbortController = null;
+      this.uiCallbacks.setIsChatLoading?.(false);
+      this.uiCallbacks.setIsAnswering?.(false);
+      
+      // A selection from another course switches course itself
+      const selectionAsk = this.queuedSelectionAsk;
+      this.queuedSelectionAsk = null;
+      if (selectionAsk) {
+        this.askAboutSelection(selectionAsk);
+      } else {
+        this.followDeferredTabChange();
+      }
     }
   }
 
+  /**
+   * Save the part of an answer shown before the student pressed stop
+   * Nothing is saved when no text had arrived yet; usage is not recorded either way
+   * @param {number} answerIndex - Index of the answer in conversationHistory
+   * @param {string} model - Gemini model the answer came from
+   */
+  async keepStoppedAnswer(answerIndex, model) {
+    const answer = this.conversationHistory[answerIndex];
+    if (!answer) {
+      return;
+    }
+    if (!answer.content.trim()) {
+      this.conversationHistory.splice(answerIndex, 1);
+      this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+      return;
+    }
+
+    answer.stopped = true;
+    answer.model = model;
+    this.uiCallbacks.setChatMessages?.([...this.conversationHistory]);
+
+    const savedAnswer = await this.firestoreHelpers.addMessageToSession(
+      this.db,
+      this.currentUser.id,
+      this.currentSessionId,
+      { role: 'assistant', content: answer.content, model, stopped: true }
+    );
+    answer.id = savedAnswer.messageId;
+    this.touchCurrentChatThread();
+  }
+
   handleExpandWindow() {
     chrome.tabs.create({
       url: chrome.runtime.getURL('popup.html')
     });
   }
 
-  async getCourseDocumentsForDrawer(courseId) {
+  /**
+   * Move from the popup to the side panel, which stays open next to the page
+   * Chrome only opens the side panel in response to a click, so don't await before it
+   */
+  async openSidePanel() {
+    try {
+      await chrome.sidePanel.open({ windowId: this.windowId });
+      window.close();
+    } catch (error) {
+      console.error('❌ Error opening side panel:', error);
+      this.uiCallbacks.setStatus?.('❌ Could not open the side panel');
+    }
+  }
+
+  /**
+   * Side panel: follow the active tab of this window as the user switches tabs
+   * or navigates within Canvas
+   */
+  watchActiveTab() {
+    const onTabChange = () => {
+      // A navigation fires several events - only react to the last one
+      clearTimeout(this.activeTabTimer);
+      this.activeTabTimer = setTimeout(() => this.followActiveTab(), 300);
+    };
+    
+    chrome.tabs.onActivated.addListener(({ windowId }) => {
+      if (windowId === this.windowId) {
+        onTabChange();
+      }
+    });
+    
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+      if (tab.active && tab.windowId === this.windowId && (changeInfo.url || changeInfo.status === 'complete')) {
+        onTabChange();
+      }
+    });
+  }
+
+  /**
+   * Sync the side panel with the active tab: switch course when the tab is in
+   * another course, otherwise just refresh which file is open
+   */
+  async followActiveTab() {
+    // Don't pull the conversation away while a question is being answered, or the
+    // course away while it's being scanned and its files queued for indexing
+    if (this.isAwaitingAnswer || this._scanTimeoutId || this.uploadPhase) {
+      this.activeTabChanged = true;
+      return;
+    }
+    this.activeTabChanged = false;
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, windowId: this.windowId });
+      const courseId = tab?.url?.match(/\/courses\/(\d+)/)?.[1];
+      
+      // Pages outside a course (another site, the Canvas dashboard) keep the current course
+      if (!courseId || courseId === this.currentCourseData?.id) {
+        await this.updatePageContext();
+        return;
+      }
+      
+      console.log('🔄 Active tab moved to course', courseId);
+      this.clearCourseState();
+      this.uiCallbacks.setShowCourseSelector?.(false);
+      await this.detectCanvas();
+    } catch (error) {
+      console.error('❌ Error following active tab:', error);
+    }
+  }
+
+  /**
+   * Follow a tab change that came in during an answer or scan
+   */
+  followDeferredTabChange() {
+    if (this.activeTabChanged) {
+      this.followActiveTab();
+    }
+  }
+
+  /**
+   * Quote text from the page in the next question
+   * @param {Object|null} selection - { text, fileName }, or null to drop the quote
+   */
+  setQuotedSelection(selection) {
+    this.quotedSelection = selection;
+    this.uiCallbacks.setQuotedSelection?.(selection);
+  }
+
+  /**
+   * Pick up a selection the background script queued from the context menu or shortcut
+   */
+  async takePendingSelectionAsk() {
+    const { pendingSelectionAsk: ask } = await chrome.storage.local.get('pendingSelectionAsk');
+    if (!ask || ask.createdAt === this.lastSelectionAskAt) {
+      return;
+    }
+    this.lastSelectionAskAt = ask.createdAt;
+    await chrome.storage.local.remove('pendingSelectionAsk');
+    
+    if (Date.now() - ask.createdAt > SELECTION_ASK_MAX_AGE_MS) {
+      return;
+    }
+    await this.askAboutSelection(ask);
+  }
+
+  /**
+   * Open the chat with a selection quoted, answering from the file it was selected in
+   * @param {Object} ask - { text, courseId, fileContext } from the background script
+   */
+  async askAboutSelection(ask) {
+    const { text, courseId, fileContext } = ask;
+    try {
+      if (this.activeTabChanged || (courseId && courseId !== this.currentCourseData?.id)) {
+        // The course can't switch during an answer - pick the selection up once it's done
+        if (this.isAwaitingAnswer) {
+          this.queuedSelectionAsk = ask;
+          return;
+        }
+        await this.followActiveTab();
+      }
+      if (!courseId || courseId !== this.currentCourseData?.id) {
+        this.uiCallbacks.setStatus?.(this.activeTabChanged
+          ? '⏳ Wait for the scan to finish before asking about another course'
+          : '❌ Select text on a page of your course to ask about it');
+        return;
+      }
+      
+      // The quoted question is answered from the file the text came from (metadata filter
+      // on its fileName); the chat's document scope is left as it is
+      const doc = fileContext?.fileId ? await this.findCourseDocumentForFile(fileContext.fileId) : null;
+      if (!doc && fileContext?.fileId) {
+        this.uiCallbacks.setStatus?.('⚠️ This file is not indexed yet - answers will search the whole course');
+      }
+      
+      this.setQuotedSelection({
+        text,
+        fileName: doc?.fileName || null,
+        document: doc ? { id: doc.id, fileName: doc.fileName } : null
+      });
+    } catch (error) {
+      console.error('❌ Error asking about selection:', error);
+    }
+  }
+
+  /**
+   * Indexed documents of a course, for the drawer and the flashcard source picker
+   * @param {string} courseId - Course ID (defaults to the current course)
+   * @returns {Promise<Array<Object>>} Documents, empty on error
+   */
+  async getCourseDocumentsForDrawer(courseId = this.currentCourseData?.id) {
     try {
       if (!this.db || !this.firestoreHelpers) {
         console.error('Database not initialized');
@@ -1753,26 +2859,7 @@ export class PopupLogic {
           return null;
         }
         
-        const docsResult = await this.firestoreHelpers.getCourseDocuments(
-          this.db,
-          this.currentCourseData.id
-        );
-        
-        if (!docsResult.success || !docsResult.data) {
-          console.log('No documents found for course');
-          return null;
-        }
-        
-        // Try to match by fileId in URL
-        const matchingDoc = docsResult.data.find(doc => {
-          if (!doc.fileUrl) return false;
-          
-          // Extract file ID from stored URL
-          const storedFileIdMatch = doc.fileUrl.match(/\/files\/(\d+)/);
-          if (!storedFileIdMatch) return false;
-          
-          return storedFileIdMatch[1] === fileContext.fileId;
-        });
+        const matchingDoc = await this.findCourseDocumentForFile(fileContext.fileId);
         
         if (matchingDoc) {
           console.log('✅ Matched current page to PDF:', matchingDoc.fileName);
@@ -1799,6 +2886,26 @@ export class PopupLogic {
     }
   }
 
+  /**
+   * Indexed document of the current course for a Canvas file
+   * @param {string} fileId - Canvas file ID
+   * @returns {Promise<Object|null>} Course document, or null if the file isn't indexed
+   */
+  async findCourseDocumentForFile(fileId) {
+    const docsResult = await this.firestoreHelpers.getCourseDocuments(
+      this.db,
+      this.currentCourseData.id
+    );
+    
+    if (!docsResult.success || !docsResult.data) {
+      console.log('No documents found for course');
+      return null;
+    }
+    
+    // Match by the file ID in the stored URL
+    return docsResult.data.find(doc => doc.fileUrl?.match(/\/files\/(\d+)/)?.[1] === fileId) || null;
+  }
+
   /**
    * Check for current page context and update UI
    */
@@ -3,6 +3,13 @@ const CopyPlugin = require('copy-webpack-plugin');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const TerserPlugin = require('terser-webpack-plugin');
 
+// Chrome extension OAuth client used by chrome.identity.getAuthToken. Without a real one
+// nobody can sign in, and every Cloud Function call is rejected - so don't build without it
+const OAUTH_CLIENT_ID = process.env.CHROME_OAUTH_CLIENT_ID;
+if (!/^[\w-]+\.apps\.googleusercontent\.com$/.test(OAUTH_CLIENT_ID || '')) {
+  throw new Error('Set CHROME_OAUTH_CLIENT_ID to the Chrome extension OAuth client ID (<id>.apps.googleusercontent.com) before building');
+}
+
 module.exports = {
   mode: 'production',
   entry: {
@@ -14,7 +21,8 @@ module.exports = {
       './stateful-page-scanner.js',
       './src/content-script.js'
     ],
-    settings: './src/settings.js'
+    settings: './src/settings.js',
+    'chat-print': './src/chat-print.js'
   },
   output: {
     path: path.resolve(__dirname, 'dist'),
@@ -44,6 +52,14 @@ module.exports = {
       inject: 'body',
       scriptLoading: 'blocking'
     }),
+    // Same app as the popup, docked in Chrome's side panel
+    new HtmlWebpackPlugin({
+      template: './popup.html',
+      filename: 'sidepanel.html',
+      chunks: ['popup'],
+      inject: 'body',
+      scriptLoading: 'blocking'
+    }),
     new HtmlWebpackPlugin({
       template: './settings.html',
       filename: 'settings.html',
@@ -51,9 +67,24 @@ module.exports = {
       inject: 'body',
       scriptLoading: 'blocking'
     }),
+    new HtmlWebpackPlugin({
+      template: './chat-print.html',
+      filename: 'chat-print.html',
+      chunks: ['chat-print'],
+      inject: 'body',
+      scriptLoading: 'blocking'
+    }),
     new CopyPlugin({
       patterns: [
-        { from: 'manifest.json', to: 'manifest.json' },
+        {
+          from: 'manifest.json',
+          to: 'manifest.json',
+          transform: (content) => {
+            const manifest = JSON.parse(content);
+            manifest.oauth2.client_id = OAUTH_CLIENT_ID;
+            return JSON.stringify(manifest, null, 2);
+          }
+        },
         { from: 'favicon-16x16.png', to: 'favicon-16x16.png' },
         { from: 'favicon-32x32.png', to: 'favicon-32x32.png' },
         { from: 'android-chrome-192x192.png', to: 'android-chrome-192x192.png' },